@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * The gnm-xsd-to-nodejs-classes command (see src/cli.js)
+ */
+
+'use strict';
+
+require('../src/cli').run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,469 @@
+/**
+ * @module builder - builds the SchemaModel from the documents of a schema set
+ */
+
+'use strict';
+
+/**
+ * Reference to the CONSTANTS module
+ */
+const CONST = require('./const')
+/**
+ * Utilities module
+ */
+    , util   = require('./util')
+/**
+ * The schema model
+ */
+    , model  = require('./model')
+/**
+ * Registers the processors of the plugins
+ */
+    , plugins = require('./plugins')
+/**
+ * Exceptions
+ */
+    , exceptions  = require('./exceptions');
+
+/**
+ * The facets that can appear in a restriction
+ */
+const FACETS = [
+    "length",
+    "minLength",
+    "maxLength",
+    "pattern",
+    "enumeration",
+    "whiteSpace",
+    "maxInclusive",
+    "maxExclusive",
+    "minInclusive",
+    "minExclusive",
+    "totalDigits",
+    "fractionDigits"
+];
+
+module.exports = {
+    /**
+     * Builds the model of a schema set
+     * @param {processSchema~options} options - the options passed to processSchema
+     * @param {loader~SchemaSet} schemaSet - the loaded schema set
+     * @returns {model.SchemaModel} - the model of every component in the schema set
+     */
+    buildModel : function( options, schemaSet ) {
+        let schemaModel = new model.SchemaModel();
+
+        for(let schemaDocument of schemaSet.documents) {
+            schemaModel.documents.push({
+                location        : schemaDocument.location,
+                targetNamespace : schemaDocument.targetNamespace
+            });
+        }
+
+        let registered = plugins.registerProcessors(processors, plugins.resolvePlugins(options));
+
+        for(let component of schemaSet.components) {
+            let context = {
+                options     : options,
+                model       : schemaModel,
+                document    : component.document,
+                processors  : registered
+            };
+            processNode(context, schemaModel, component.node);
+        }
+
+        return schemaModel;
+    },
+
+    /**
+     * The built-in plugins~Processor of each XSD node, keyed as in plugins~Plugin. A plugin that
+     * replaces one of them can call it to keep what it does.
+     */
+    get processors() {
+        return processors;
+    }
+}
+
+/**
+ * Runs the processor for an XSD node and then, depth first, for each of its children. Nodes without a
+ * processor are skipped along with their children, as are the nodes of the XML schema namespace found
+ * directly in xs:appinfo, which only holds the nodes of other namespaces that plugins process.
+ * @param {Object} context - the options, the model being built, the document xmlNode belongs to and 
+ *                           the processors registered
+ * @param {Object} parent - the model object built for the parent of xmlNode
+ * @param {Element} xmlNode - the XSD node to process
+ */
+function processNode(context, parent, xmlNode) {
+    let processor = context.processors[plugins.processorKey(xmlNode)];
+    if(!processor || (xmlNode.namespaceURI === CONST.XML_SCHEMA_NS && xmlNode.parentNode.localName === "appinfo"
+        && xmlNode.parentNode.namespaceURI === CONST.XML_SCHEMA_NS)) {
+        return;
+    }
+
+    let obj = processor["pre"] ? processor["pre"](context, parent, xmlNode) : parent;
+
+    if(obj) {
+        let node,
+            result = util.executeXPathLookup(context.options, xmlNode, "child::*");
+        while(node = result.iterateNext()) {
+            processNode(context, obj, node);
+        }
+    }
+
+    if(processor["post"]) {
+        processor["post"](context, parent, xmlNode, obj);
+    }
+}
+
+const processors = {
+    /**
+     * pre          :   pre-processor, returns the model object the children of the node are processed
+     *                  into (or null to skip the children)
+     * post         :   post-processor, called with the object the pre-processor returned once the 
+     *                  children have been processed
+     * (see plugins~Processor)
+     */
+    "element" : {
+        "pre" : (context, parent, node) => {
+            let element,
+                global = parent instanceof model.SchemaModel,
+                form = getAttribute(node, "form") || (global ? "qualified" : context.document.elementFormDefault);
+
+            element = new model.Element(
+                getAttribute(node, "name"),
+                form === "qualified" ? context.document.targetNamespace : null,
+                context.document.location);
+            element.typeName = getQName(context, node, "type");
+            element.refName = getQName(context, node, "ref");
+            element.substitutionGroupName = getQName(context, node, "substitutionGroup");
+            element.abstract = getAttribute(node, "abstract") === "true";
+            element.nillable = getAttribute(node, "nillable") === "true";
+            element.default = getAttribute(node, "default");
+            element.fixed = getAttribute(node, "fixed");
+            element.form = form;
+
+            if(global) {
+                parent.addComponent(element);
+            } else {
+                setOccurs(element, node);
+                parent.particles.push(element);
+            }
+            return element;
+        }
+    },
+    "complexType" : {
+        "pre" : (context, parent, node) => {
+            let complexType = new model.ComplexType(
+                getAttribute(node, "name"),
+                context.document.targetNamespace,
+                context.document.location);
+            complexType.abstract = getAttribute(node, "abstract") === "true";
+            complexType.mixed = getAttribute(node, "mixed") === "true";
+
+            if(parent instanceof model.SchemaModel) {
+                parent.addComponent(complexType);
+            } else {
+                parent.type = complexType;
+            }
+            return complexType;
+        }
+    },
+    "simpleType" : {
+        "pre" : (context, parent, node) => {
+            let simpleType = new model.SimpleType(
+                getAttribute(node, "name"),
+                context.document.targetNamespace,
+                context.document.location);
+
+            if(parent instanceof model.SchemaModel) {
+                parent.addComponent(simpleType);
+            } else if(parent instanceof model.SimpleType) {
+                // An anonymous type inside a restriction, list or union of the parent
+                if(parent.variety === "list") {
+                    parent.itemType = simpleType;
+                } else if(parent.variety === "union") {
+                    parent.memberTypes.push(simpleType);
+                } else {
+                    parent.base = simpleType;
+                }
+            } else if(parent instanceof model.ComplexType) {
+                // The anonymous base of a xs:simpleContent restriction is not modelled
+                return null;
+            } else {
+                parent.type = simpleType;
+            }
+            return simpleType;
+        }
+    },
+    "complexContent" : {
+        "pre" : (context, parent, node) => {
+            parent.simpleContent = false;
+            if(getAttribute(node, "mixed") !== null) {
+                parent.mixed = getAttribute(node, "mixed") === "true";
+            }
+            return parent;
+        }
+    },
+    "simpleContent" : {
+        "pre" : (context, parent, node) => {
+            parent.simpleContent = true;
+            return parent;
+        }
+    },
+    "extension" : {
+        "pre" : (context, parent, node) => {
+            parent.derivation = "extension";
+            parent.baseName = getQName(context, node, "base");
+            return parent;
+        }
+    },
+    "restriction" : {
+        "pre" : (context, parent, node) => {
+            if(parent instanceof model.SimpleType) {
+                parent.variety = "atomic";
+            } else {
+                parent.derivation = "restriction";
+            }
+            parent.baseName = getQName(context, node, "base");
+            return parent;
+        }
+    },
+    "list" : {
+        "pre" : (context, parent, node) => {
+            parent.variety = "list";
+            parent.itemTypeName = getQName(context, node, "itemType");
+            return parent;
+        }
+    },
+    "union" : {
+        "pre" : (context, parent, node) => {
+            parent.variety = "union";
+            parent.memberTypeNames = (getAttribute(node, "memberTypes") || "").split(/\s+/)
+                .filter((name) => name)
+                .map((name) => toQName(context, node, name));
+            return parent;
+        }
+    },
+    "sequence" : {
+        "pre" : (context, parent, node) => addModelGroup(parent, setOccurs(new model.ModelGroup("sequence"), node))
+    },
+    "choice" : {
+        "pre" : (context, parent, node) => addModelGroup(parent, setOccurs(new model.ModelGroup("choice"), node))
+    },
+    "all" : {
+        "pre" : (context, parent, node) => addModelGroup(parent, setOccurs(new model.ModelGroup("all"), node))
+    },
+    "group" : {
+        "pre" : (context, parent, node) => {
+            if(parent instanceof model.SchemaModel) {
+                let group = new model.Group(
+                    getAttribute(node, "name"),
+                    context.document.targetNamespace,
+                    context.document.location);
+                parent.addComponent(group);
+                return group;
+            }
+            return addModelGroup(parent, setOccurs(new model.GroupReference(getQName(context, node, "ref")), node));
+        }
+    },
+    "attribute" : {
+        "pre" : (context, parent, node) => {
+            let attribute,
+                global = parent instanceof model.SchemaModel,
+                form = getAttribute(node, "form") || (global ? "qualified" : context.document.attributeFormDefault);
+
+            attribute = new model.Attribute(
+                getAttribute(node, "name"),
+                form === "qualified" ? context.document.targetNamespace : null,
+                context.document.location);
+            attribute.typeName = getQName(context, node, "type");
+            attribute.refName = getQName(context, node, "ref");
+            attribute.use = getAttribute(node, "use") || "optional";
+            attribute.default = getAttribute(node, "default");
+            attribute.fixed = getAttribute(node, "fixed");
+            attribute.form = form;
+
+            if(global) {
+                parent.addComponent(attribute);
+            } else {
+                parent.attributes.push(attribute);
+            }
+            return attribute;
+        }
+    },
+    "attributeGroup" : {
+        "pre" : (context, parent, node) => {
+            if(parent instanceof model.SchemaModel) {
+                let attributeGroup = new model.AttributeGroup(
+                    getAttribute(node, "name"),
+                    context.document.targetNamespace,
+                    context.document.location);
+                parent.addComponent(attributeGroup);
+                return attributeGroup;
+            }
+
+            let reference = new model.AttributeGroupReference(getQName(context, node, "ref"));
+            parent.attributeGroups.push(reference);
+            return reference;
+        }
+    },
+    "any" : {
+        "pre" : (context, parent, node) => {
+            let wildcard = setOccurs(new model.Wildcard("any"), node);
+            wildcard.namespace = getAttribute(node, "namespace") || wildcard.namespace;
+            wildcard.processContents = getAttribute(node, "processContents") || wildcard.processContents;
+            parent.particles.push(wildcard);
+            return wildcard;
+        }
+    },
+    "anyAttribute" : {
+        "pre" : (context, parent, node) => {
+            let wildcard = new model.Wildcard("anyAttribute");
+            wildcard.namespace = getAttribute(node, "namespace") || wildcard.namespace;
+            wildcard.processContents = getAttribute(node, "processContents") || wildcard.processContents;
+            parent.anyAttribute = wildcard;
+            return wildcard;
+        }
+    },
+    "annotation" : {},
+    "appinfo" : {},
+    "documentation" : {
+        "pre" : (context, parent, node) => {
+            if(node.textContent !== "") {
+                let documentation = new model.Documentation(node.textContent, getLanguage(node), getAttribute(node, "source"));
+
+                parent.documentations = (parent.documentations || []).concat(documentation);
+                parent.documentation = parent.documentations.map((entry) => entry.text).join("\n\n");
+            }
+            return null;
+        }
+    }
+}
+
+for(let facet of FACETS) {
+    processors[facet] = {
+        "pre" : (context, parent, node) => {
+            let obj = new model.Facet(facet, getAttribute(node, "value"), getAttribute(node, "fixed") === "true");
+            parent.facets.push(obj);
+            return obj;
+        }
+    };
+}
+
+/**
+ * Adds a ModelGroup or GroupReference to whatever holds it
+ * @param {Object} parent - a ComplexType or Group (of which it is the content) or a ModelGroup (of which
+ *                          it is a particle)
+ * @param {model.ModelGroup|model.GroupReference} group - the group to add
+ * @returns {model.ModelGroup|model.GroupReference} - group
+ */
+function addModelGroup(parent, group) {
+    if(parent instanceof model.ModelGroup) {
+        parent.particles.push(group);
+    } else {
+        parent.content = group;
+    }
+    return group;
+}
+
+/**
+ * Sets the minOccurs and maxOccurs of a particle from its XSD node
+ * @param {Object} particle - a local Element, ModelGroup, GroupReference or Wildcard
+ * @param {Element} node - the XSD node of the particle
+ * @returns {Object} - particle
+ */
+function setOccurs(particle, node) {
+    let minOccurs = getAttribute(node, "minOccurs"),
+        maxOccurs = getAttribute(node, "maxOccurs");
+
+    if(minOccurs !== null) {
+        particle.minOccurs = parseInt(minOccurs, 10);
+    }
+    if(maxOccurs !== null) {
+        particle.maxOccurs = maxOccurs === "unbounded" ? CONST.UNBOUNDED : parseInt(maxOccurs, 10);
+    }
+    return particle;
+}
+
+/**
+ * Returns the value of an attribute of an XSD node
+ * @param {Element} node - the XSD node
+ * @param {String} name - the name of the attribute
+ * @returns {String} - the value of the attribute, or null if the node doesn't have it
+ */
+function getAttribute(node, name) {
+    return node.hasAttribute(name) ? node.getAttribute(name) : null;
+}
+
+/**
+ * Returns the language of an XSD node: the xml:lang of the node or of its closest ancestor that has one
+ * @param {Element} node - the XSD node
+ * @returns {String} - the language, or null if none is in scope
+ */
+function getLanguage(node) {
+    for(let current = node; current && current.nodeType === current.ELEMENT_NODE; current = current.parentNode) {
+        if(current.hasAttributeNS(CONST.XML_NS, "lang")) {
+            return current.getAttributeNS(CONST.XML_NS, "lang");
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the value of a QName attribute of an XSD node, resolved against the namespace declarations
+ * in scope at the node
+ * @param {Object} context - the options, the model being built and the document node belongs to
+ * @param {Element} node - the XSD node
+ * @param {String} name - the name of the attribute
+ * @returns {model.QName} - the resolved name, or null if the node doesn't have the attribute
+ */
+function getQName(context, node, name) {
+    let value = getAttribute(node, name);
+    return value === null ? null : toQName(context, node, value.trim());
+}
+
+/**
+ * Resolves a prefix:localName string against the namespace declarations in scope at an XSD node. An
+ * unprefixed name is in the default namespace, or in no namespace if there is no default namespace 
+ * (in the namespace a document without one is included into, for a chameleon include).
+ * @param {Object} context - the options, the model being built and the document node belongs to
+ * @param {Element} node - the XSD node the name appears on
+ * @param {String} value - the name
+ * @returns {model.QName} - the resolved name
+ */
+function toQName(context, node, value) {
+    let separator = value.indexOf(":"),
+        prefix = separator >= 0 ? value.substr(0, separator) : null,
+        localName = value.substr(separator + 1),
+        namespaceURI = prefix === "xml" ? CONST.XML_NS : node.lookupNamespaceURI(prefix || "");
+
+    if(prefix && !namespaceURI) {
+        throw new exceptions.SchemaReferenceException(
+            `Undeclared namespace prefix '${prefix}' in '${value}'`, describeNode(node), context.document.location);
+    }
+
+    if(!namespaceURI && context.document.chameleon) {
+        namespaceURI = context.document.targetNamespace;
+    }
+    return new model.QName(namespaceURI || null, localName, prefix);
+}
+
+/**
+ * Describes an XSD node by the named nodes that enclose it, for error messages
+ * @param {Element} node - the XSD node
+ * @returns {String} - e.g. "element 'status' in complexType 'Account'"
+ */
+function describeNode(node) {
+    let names = [];
+
+    for(let current = node; current && current.localName !== "schema"; current = current.parentNode) {
+        let name = getAttribute(current, "name") || getAttribute(current, "ref");
+        if(name !== null) {
+            names.push(`${current.localName} '${name}'`);
+        } else if(current === node) {
+            names.push(`anonymous ${current.localName}`);
+        }
+    }
+
+    return names.join(" in ");
+}
@@ -0,0 +1,92 @@
+/**
+ * @module cache - a local content-addressed cache of fetched schema documents
+ *
+ * The cache directory holds one file per distinct document, named after the SHA-256 of its content,
+ * and an index.json that maps each URL fetched to the hash of the content it returned.
+ */
+
+'use strict';
+
+/**
+ * For hashing document content
+ */
+const crypto     = require('crypto')
+/**
+ * For reading and writing the cache
+ */
+    , fs         = require('fs')
+/**
+ * For building paths into the cache directory
+ */
+    , path       = require('path')
+/**
+ * Exceptions
+ */
+    , exceptions = require('./exceptions');
+
+/**
+ * Name of the file mapping URLs to content hashes
+ */
+const INDEX_FILE = 'index.json';
+
+module.exports = {
+    /**
+     * Looks up the cached content of a URL
+     * @param {String} cacheDir - the cache directory
+     * @param {String} location - the URL
+     * @returns {String} - the cached content, or null if the URL is not in the cache
+     */
+    read : (cacheDir, location) => {
+        let hash = readIndex(cacheDir)[location];
+        if(!hash) {
+            return null;
+        }
+
+        let file = path.join(cacheDir, `${hash}.xsd`);
+        if(!fs.existsSync(file)) {
+            return null;
+        }
+
+        return fs.readFileSync(file, {encoding:'utf8', flag:'r'});
+    },
+
+    /**
+     * Stores the content of a URL in the cache
+     * @param {String} cacheDir - the cache directory (created if it does not exist)
+     * @param {String} location - the URL
+     * @param {String} content - the content the URL returned
+     * @returns {String} - the hash the content is stored under
+     */
+    write : (cacheDir, location, content) => {
+        let hash = crypto.createHash('sha256').update(content, 'utf8').digest('hex'),
+            index;
+
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(path.join(cacheDir, `${hash}.xsd`), content, {encoding:'utf8'});
+
+        index = readIndex(cacheDir);
+        index[location] = hash;
+        fs.writeFileSync(path.join(cacheDir, INDEX_FILE), JSON.stringify(index, null, 2), {encoding:'utf8'});
+
+        return hash;
+    }
+};
+
+/**
+ * Reads the index of a cache directory
+ * @param {String} cacheDir - the cache directory
+ * @returns {Object} - the hash of the cached content of each URL, empty if there is no index yet
+ * @throws {exceptions.SchemaLoadException} - if the index is not valid JSON
+ */
+function readIndex(cacheDir) {
+    let file = path.join(cacheDir, INDEX_FILE);
+    if(!fs.existsSync(file)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, {encoding:'utf8', flag:'r'}));
+    } catch(err) {
+        throw new exceptions.SchemaLoadException(`Cannot read the schema cache index: ${err.message}`, file);
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * @module cli - the command line interface: generates the classes, TypeScript declarations and JSON
+ * Schema of one or more XSD files or URLs
+ */
+
+'use strict';
+
+/**
+ * Processes the schemas
+ */
+const app = require('./index')
+/**
+ * Generates the modules
+ */
+    , emitter = require('./emitter')
+/**
+ * Exports the model as a JSON Schema document
+ */
+    , jsonSchema = require('./jsonSchema')
+/**
+ * The schema model, to tell the types apart in the summary
+ */
+    , model = require('./model')
+/**
+ * Names the classes, for the report of the cycles
+ */
+    , naming = require('./naming')
+/**
+ * Finds the types that refer to each other
+ */
+    , dependencies = require('./dependencies')
+/**
+ * Fetches the schemas, for its default timeout
+ */
+    , fetcher = require('./fetcher')
+/**
+ * Exceptions
+ */
+    , exceptions = require('./exceptions')
+/**
+ * For parsing the arguments
+ */
+    , { parseArgs } = require('util')
+    , path = require('path');
+
+/**
+ * The exit codes of the command
+ */
+const EXIT_CODES = Object.freeze({
+    SUCCESS         : 0,
+    /** anything unexpected */
+    FAILURE         : 1,
+    /** arguments the command can't run with */
+    USAGE           : 2,
+    /** a schema, or a document it includes or imports, could not be read */
+    SCHEMA_LOAD     : 3,
+    /** a schema is invalid or references a component that isn't declared */
+    SCHEMA_INVALID  : 4,
+    /** anything else that stops the generation, e.g. a plugin that fails or a name that is taken */
+    GENERATION      : 5
+});
+
+/**
+ * The formats the modules can be generated in
+ */
+const MODULE_FORMATS = emitter.MODULE_FORMATS;
+
+/**
+ * What can be generated, by the name --emit takes
+ */
+const EMITTERS = ["classes", "declarations", "json-schema"];
+
+/**
+ * The modules written besides those of the types and of the cycles of types, as the summary names them
+ */
+const SUPPORT_MODULES = ["index.js"];
+
+/**
+ * The file the JSON Schema is written to in the output directory when --json-schema-file isn't given
+ */
+const DEFAULT_JSON_SCHEMA_FILE = "schema.json";
+
+/**
+ * The options of the command, in the form util.parseArgs takes
+ */
+const OPTIONS = {
+    "output-dir"        : { type: "string", short: "o" },
+    "namespace"         : { type: "string", short: "n", multiple: true },
+    "module-format"     : { type: "string", short: "f", default: MODULE_FORMATS[0] },
+    "emit"              : { type: "string", short: "e", default: EMITTERS[0] },
+    "json-schema-file"  : { type: "string" },
+    "runtime-module"    : { type: "string" },
+    "plugin"            : { type: "string", short: "p", multiple: true },
+    "cache-dir"         : { type: "string" },
+    "no-cache"          : { type: "boolean" },
+    "offline"           : { type: "boolean" },
+    "fetch-timeout"     : { type: "string" },
+    "report-cycles"     : { type: "boolean" },
+    "quiet"             : { type: "boolean", short: "q" },
+    "help"              : { type: "boolean", short: "h" },
+    "version"           : { type: "boolean", short: "v" }
+};
+
+const USAGE = `Usage: gnm-xsd-to-nodejs-classes [options] <schema>...
+
+Generates node.js classes from one or more XSD files or URLs.
+
+Options:
+  -o, --output-dir <dir>          directory to write the generated modules to
+  -n, --namespace <prefix=uri>    a namespace prefix to expect in the schemas (repeatable)
+  -f, --module-format <format>    format of the generated modules: ${MODULE_FORMATS.join(", ")} (default: ${MODULE_FORMATS[0]})
+  -e, --emit <emitters>           comma-separated list of what to generate: ${EMITTERS.join(", ")}
+                                  (default: ${EMITTERS[0]})
+      --json-schema-file <file>   file to write the JSON Schema to (default: <output-dir>/${DEFAULT_JSON_SCHEMA_FILE})
+      --runtime-module <module>   module the generated classes require the runtime from
+  -p, --plugin <module>           a plugin to load (repeatable)
+      --cache-dir <dir>           directory to cache fetched schemas in (they aren't cached otherwise)
+      --no-cache                  don't cache fetched schemas, even with --cache-dir
+      --offline                   only read fetched schemas from the cache (requires --cache-dir)
+      --fetch-timeout <ms>        how long a server may send nothing before fetching fails (default: ${fetcher.DEFAULT_TIMEOUT})
+      --report-cycles             list the classes of each cycle of types that refer to each other
+  -q, --quiet                     don't print a summary
+  -h, --help                      print this help
+  -v, --version                   print the version
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  the schemas were processed
+  ${EXIT_CODES.FAILURE}  an unexpected error occurred
+  ${EXIT_CODES.USAGE}  the arguments are invalid
+  ${EXIT_CODES.SCHEMA_LOAD}  a schema could not be read
+  ${EXIT_CODES.SCHEMA_INVALID}  a schema is invalid
+  ${EXIT_CODES.GENERATION}  the code could not be generated (e.g. a plugin failed)
+`;
+
+module.exports = {
+    EXIT_CODES,
+
+    /**
+     * Turns the command line arguments into the options of processSchema and of the command
+     * @param {Array<String>} args - the arguments, without the node executable and the script
+     * @returns {Object} - the processSchema~options, plus emit (the names of the emitters to run),
+     *                     moduleFormat, jsonSchemaFile, reportCycles, quiet, help and version; the
+     *                     plugins are the names of their modules
+     * @throws {exceptions.UsageException} - if the arguments are invalid
+     */
+    parseArguments : function( args ) {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: args, options: OPTIONS, allowPositionals: true, strict: true });
+        } catch(err) {
+            throw new exceptions.UsageException(err.message);
+        }
+
+        let values = parsed.values,
+            options = {
+                schemas         : parsed.positionals,
+                namespaces      : parseNamespaces(values.namespace || []),
+                emit            : values.emit.split(",").map((name) => name.trim()).filter((name) => name),
+                moduleFormat    : values["module-format"],
+                reportCycles    : !!values["report-cycles"],
+                quiet           : !!values.quiet,
+                help            : !!values.help,
+                version         : !!values.version,
+                offline         : !!values.offline
+            };
+
+        if(options.help || options.version) {
+            return options;
+        }
+
+        if(options.schemas.length === 0) {
+            throw new exceptions.UsageException("No schema given");
+        }
+        if(!MODULE_FORMATS.includes(options.moduleFormat)) {
+            throw new exceptions.UsageException(`Unknown module format '${options.moduleFormat}' (expected ${MODULE_FORMATS.join(" or ")})`);
+        }
+
+        let unknown = options.emit.filter((name) => !EMITTERS.includes(name));
+        if(unknown.length > 0 || options.emit.length === 0) {
+            throw new exceptions.UsageException(`Unknown emitter '${unknown[0] || values.emit}' (expected ${EMITTERS.join(", ")})`);
+        }
+        if(options.emit.includes("declarations") && !options.emit.includes("classes")) {
+            throw new exceptions.UsageException("Declarations are only generated along with the classes (--emit classes,declarations)");
+        }
+
+        if(values["output-dir"]) {
+            options.outputDir = values["output-dir"];
+        } else if(options.emit.includes("classes")) {
+            throw new exceptions.UsageException("No output directory given (--output-dir)");
+        }
+        if(options.emit.includes("json-schema")) {
+            options.jsonSchemaFile = values["json-schema-file"] || (options.outputDir && path.join(options.outputDir, DEFAULT_JSON_SCHEMA_FILE));
+            if(!options.jsonSchemaFile) {
+                throw new exceptions.UsageException("No file to write the JSON Schema to (--json-schema-file or --output-dir)");
+            }
+        }
+
+        if(values["runtime-module"]) {
+            options.runtimeModule = values["runtime-module"];
+        }
+        if(values.plugin) {
+            options.plugins = values.plugin;
+        }
+        if(values["no-cache"]) {
+            options.cacheDir = false;
+        } else if(values["cache-dir"]) {
+            options.cacheDir = values["cache-dir"];
+        }
+        if(options.offline && !options.cacheDir) {
+            throw new exceptions.UsageException("Offline, schemas can only be read from a cache (--cache-dir)");
+        }
+        if(values["fetch-timeout"] !== undefined) {
+            options.fetchTimeout = Number(values["fetch-timeout"]);
+            if(!Number.isInteger(options.fetchTimeout) || options.fetchTimeout <= 0) {
+                throw new exceptions.UsageException(`Invalid fetch timeout '${values["fetch-timeout"]}' (expected a number of milliseconds)`);
+            }
+        }
+        options.declarations = options.emit.includes("declarations");
+
+        return options;
+    },
+
+    /**
+     * Runs the command: processes the schemas, writes what the arguments ask for and prints a summary
+     * of it. Errors are printed rather than thrown.
+     * @param {Array<String>} args - the arguments, without the node executable and the script
+     * @param {Object} io - optional { stdout, stderr } streams to print to (default: those of the process)
+     * @returns {Promise<number>} - a Promise that will resolve to the exit code (see EXIT_CODES)
+     */
+    run : async function( args, io = { stdout: process.stdout, stderr: process.stderr } ) {
+        let options;
+        try {
+            options = module.exports.parseArguments(args);
+        } catch(err) {
+            io.stderr.write(`${err}\n\n${USAGE}`);
+            return EXIT_CODES.USAGE;
+        }
+
+        if(options.help) {
+            io.stdout.write(USAGE);
+            return EXIT_CODES.SUCCESS;
+        }
+        if(options.version) {
+            io.stdout.write(`${require('../package.json').version}\n`);
+            return EXIT_CODES.SUCCESS;
+        }
+
+        try {
+            let summary = await generate(options);
+            if(!options.quiet) {
+                io.stdout.write(summary.map((line) => `${line}\n`).join(""));
+            }
+            return EXIT_CODES.SUCCESS;
+        } catch(err) {
+            io.stderr.write(`${err instanceof exceptions.Exception ? err.toString() : err.stack || err}\n`);
+            return exitCode(err);
+        }
+    }
+}
+
+/**
+ * Processes the schemas and writes what the options ask for
+ * @param {Object} options - the options parseArguments returns
+ * @returns {Promise<Array<String>>} - the lines of the summary of what was read and written
+ */
+async function generate(options) {
+    let schemaModel = await app.processSchema(Object.assign({}, options, { outputDir: null, jsonSchemaFile: null })),
+        types = Array.from(schemaModel.types.values()),
+        summary = [`Read ${count(schemaModel.documents.length, "schema document")} declaring `
+            + `${count(types.length, "type")} and ${count(schemaModel.elements.size, "global element")}`];
+
+    if(options.emit.includes("classes")) {
+        let modules = emitter.emitModel(schemaModel, options),
+            files = emitter.writeModules(options.outputDir, modules),
+            scripts = files.filter((file) => file.endsWith(".js")).map((file) => path.basename(file)),
+            support = SUPPORT_MODULES.filter((name) => scripts.includes(name)),
+            cycles = scripts.filter((name) => name.endsWith(`${emitter.CYCLE_FILE_SUFFIX}.js`)),
+            sources = scripts.filter((name) => !support.includes(name) && !cycles.includes(name)),
+            simpleTypes = types.filter((type) => !(type instanceof model.ComplexType)),
+            enumerations = simpleTypes.filter((type) => type.enumeration);
+
+        summary.push(`Wrote ${count(scripts.length, "module")} to ${options.outputDir}: ` + enumerate([
+            count(sources.length - simpleTypes.length, "class", "classes"),
+            count(enumerations.length, "enumeration"),
+            count(simpleTypes.length - enumerations.length, "simple type"),
+            ...(cycles.length > 0 ? [count(cycles.length, "module of a cycle of types", "modules of cycles of types")] : []),
+            ...support
+        ]));
+        if(options.declarations) {
+            summary.push(`Wrote ${count(files.filter((file) => file.endsWith(".d.ts")).length, "TypeScript declaration file")}`);
+        }
+        summary.push(...reportCycles(schemaModel, options));
+    }
+
+    if(options.emit.includes("json-schema")) {
+        let document = jsonSchema.exportModel(schemaModel);
+        jsonSchema.writeSchema(options.jsonSchemaFile, document);
+        summary.push(`Wrote a JSON Schema of ${count(Object.keys(document.$defs).length, "definition")} to ${options.jsonSchemaFile}`);
+    }
+
+    return summary;
+}
+
+/**
+ * Reports the cycles of types that refer to each other, whose classes are resolved once needed (see
+ * emitter.emitModel): how many there are and, with --report-cycles, the classes of each
+ * @param {model.SchemaModel} schemaModel - the model
+ * @param {Object} options - the options parseArguments returns
+ * @returns {Array<String>} - the lines of the report, none if there is no cycle
+ */
+function reportCycles(schemaModel, options) {
+    let names = naming.nameModel(schemaModel, options),
+        cycles = dependencies.buildGraph(names.keys()).cycles();
+
+    if(cycles.length === 0) {
+        return [];
+    }
+
+    let lines = [`Found ${count(cycles.length, "cycle")} of types that refer to each other, `
+        + `the largest of ${count(Math.max(...cycles.map((cycle) => cycle.length)), "type")}`];
+    if(options.reportCycles) {
+        cycles.forEach((cycle, i) => {
+            lines.push(`  ${i + 1}. ${cycle.map((type) => names.get(type)).sort().join(", ")}`);
+        });
+    }
+    return lines;
+}
+
+/**
+ * Turns the --namespace prefix=uri arguments into the namespaces option
+ * @throws {exceptions.UsageException} - if an argument isn't of the form prefix=uri
+ */
+function parseNamespaces(mappings) {
+    let namespaces = {};
+
+    for(let mapping of mappings) {
+        let separator = mapping.indexOf("=");
+        if(separator < 1 || separator === mapping.length - 1) {
+            throw new exceptions.UsageException(`Invalid namespace mapping '${mapping}' (expected prefix=uri)`);
+        }
+        namespaces[mapping.slice(0, separator)] = mapping.slice(separator + 1);
+    }
+    return namespaces;
+}
+
+/**
+ * Returns the exit code for an error
+ */
+function exitCode(err) {
+    return err instanceof exceptions.SchemaLoadException ? EXIT_CODES.SCHEMA_LOAD
+        : err instanceof exceptions.SchemaException ? EXIT_CODES.SCHEMA_INVALID
+        : err instanceof exceptions.UsageException ? EXIT_CODES.USAGE
+        : err instanceof exceptions.Exception ? EXIT_CODES.GENERATION
+        : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Joins the items of a list with commas, the last two with "and"
+ */
+function enumerate(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items.join("");
+}
+
+/**
+ * Returns a number followed by a noun, in the plural unless the number is 1
+ */
+function count(n, singular, plural = `${singular}s`) {
+    return `${n} ${n === 1 ? singular : plural}`;
+}
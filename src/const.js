@@ -6,5 +6,7 @@
 
 module.exports = {
     TEST_ENV        : 'test',
-    XML_SCHEMA_NS   : 'http://www.w3.org/2001/XMLSchema'
+    XML_SCHEMA_NS   : 'http://www.w3.org/2001/XMLSchema',
+    XML_NS          : 'http://www.w3.org/XML/1998/namespace',
+    UNBOUNDED       : Infinity
 }
@@ -13,8 +13,32 @@ module.exports = {
      *   type
      * - baseType: the name of the data types base type
      * - itemType: if specified, the data type is a collection of itemTypes
+     * - constraints: the values of the facets the data type is derived with,
+     *   which also constrain every type derived from it
      */    
 
+    /**
+     * Ur-types
+     */
+
+    /**
+     * anyType is the root of the type hierarchy. It is the type of an 
+     * element declared without a type, and may contain any attributes and 
+     * any content.
+     */
+    "anyType" : {
+        "facets" : []
+    },
+    /**
+     * anySimpleType is the base type of all primitive datatypes. It is the 
+     * type of an attribute declared without a type, and its value space is 
+     * the union of the value spaces of all the primitive datatypes.
+     */
+    "anySimpleType" : {
+        "baseType" : "anyType",
+        "facets" : []
+    },
+
     /**
      * Primitive datatypes
      */
@@ -43,6 +67,9 @@ module.exports = {
      * applications from treating strings as being ordered.
      */
     "string" : {
+        "constraints" : {
+            "whiteSpace" : "preserve"
+        },
         "facets": [
             "length",
             "minLength",
@@ -729,7 +756,15 @@ module.exports = {
      * append the canonical representation of the recoverable timezone.
      */
     "date" : {
-        "facets" : []
+        "facets" : [
+            "pattern",
+            "enumeration",
+            "whiteSpace",
+            "maxInclusive",
+            "maxExclusive",
+            "minInclusive",
+            "minExclusive"
+        ]
     },
     /**
      * gYearMonth represents a specific gregorian month in a specific gregorian 
@@ -1182,6 +1217,9 @@ module.exports = {
      */
     "normalizedString" : {
         "baseType" : "string",
+        "constraints" : {
+            "whiteSpace" : "replace"
+        },
         "facets" : [
             "length",
             "minLength",
@@ -1204,6 +1242,9 @@ module.exports = {
      */
     "token" : {
         "baseType" : "normalizedString",
+        "constraints" : {
+            "whiteSpace" : "collapse"
+        },
         "facets" : [
             "length",
             "minLength",
@@ -1222,6 +1263,9 @@ module.exports = {
      */
     "language" : {
         "baseType" : "token",
+        "constraints" : {
+            "pattern" : "[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*"
+        },
         "facets" : [
             "length",
             "minLength",
@@ -1243,6 +1287,9 @@ module.exports = {
      */
     "NMTOKEN" : {
         "baseType" : "token",
+        "constraints" : {
+            "pattern" : "\\c+"
+        },
         "facets" : [
             "length",
             "minLength",
@@ -1282,6 +1329,9 @@ module.exports = {
      */
     "Name" : {
         "baseType" : "token",
+        "constraints" : {
+            "pattern" : "\\i\\c*"
+        },
         "facets" : [
             "length",
             "minLength",
@@ -1300,6 +1350,9 @@ module.exports = {
      */
     "NCName" : {
         "baseType" : "Name",
+        "constraints" : {
+            "pattern" : "[\\i-[:]][\\c-[:]]*"
+        },
         "facets" : [
             "length",
             "minLength",
@@ -1441,6 +1494,10 @@ module.exports = {
      */
     "integer" : {
         "baseType" : "decimal",
+        "constraints" : {
+            "fractionDigits" : "0",
+            "pattern" : "[\\-+]?[0-9]+"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1474,6 +1531,9 @@ module.exports = {
      */
     "nonPositiveInteger" : {
         "baseType" : "integer",
+        "constraints" : {
+            "maxInclusive" : "0"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1503,6 +1563,9 @@ module.exports = {
      */
     "negativeInteger" : {
         "baseType" : "nonPositiveInteger",
+        "constraints" : {
+            "maxInclusive" : "-1"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1531,6 +1594,10 @@ module.exports = {
      */
     "long" : {
         "baseType" : "integer",
+        "constraints" : {
+            "minInclusive" : "-9223372036854775808",
+            "maxInclusive" : "9223372036854775807"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1558,6 +1625,10 @@ module.exports = {
      */
     "int" : {
         "baseType" : "long",
+        "constraints" : {
+            "minInclusive" : "-2147483648",
+            "maxInclusive" : "2147483647"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1584,6 +1655,10 @@ module.exports = {
      */
     "short" : {
         "baseType" : "int",
+        "constraints" : {
+            "minInclusive" : "-32768",
+            "maxInclusive" : "32767"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1610,6 +1685,10 @@ module.exports = {
      */
     "byte" : {
         "baseType" : "short",
+        "constraints" : {
+            "minInclusive" : "-128",
+            "maxInclusive" : "127"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1643,6 +1722,9 @@ module.exports = {
      */
     "nonNegativeInteger" : {
         "baseType" : "integer",
+        "constraints" : {
+            "minInclusive" : "0"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1670,6 +1752,9 @@ module.exports = {
      */
     "unsignedLong" : {
         "baseType" : "nonNegativeInteger",
+        "constraints" : {
+            "maxInclusive" : "18446744073709551615"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1697,6 +1782,9 @@ module.exports = {
      */
     "unsignedInt" : {
         "baseType" : "unsignedLong",
+        "constraints" : {
+            "maxInclusive" : "4294967295"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1722,6 +1810,9 @@ module.exports = {
      */
     "unsignedShort" : {
         "baseType" : "unsignedInt",
+        "constraints" : {
+            "maxInclusive" : "65535"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1747,6 +1838,9 @@ module.exports = {
      */
     "unsignedByte" : {
         "baseType" : "unsignedShort",
+        "constraints" : {
+            "maxInclusive" : "255"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
@@ -1777,6 +1871,9 @@ module.exports = {
      */
     "positiveInteger" : {
         "baseType" : "nonNegativeInteger",
+        "constraints" : {
+            "minInclusive" : "1"
+        },
         "facets" : [
             "totalDigits",
             "fractionDigits",
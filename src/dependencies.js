@@ -0,0 +1,187 @@
+/**
+ * @module dependencies - the graph of the complex types of a model and the types they depend on, and
+ * its strongly connected components: the groups of types that refer to each other
+ */
+
+'use strict';
+
+/**
+ * The schema model
+ */
+const model = require('./model');
+
+/**
+ * The graph of the dependencies of complex types, as a Map from each complex type to the Set of the
+ * complex types it depends on: its base type and the types of its properties. The types are split
+ * into the strongly connected components of the graph, a component holding the types that depend on
+ * each other, directly or not, or a single type that is in no cycle.
+ */
+class DependencyGraph extends Map {
+    constructor() {
+        super();
+        /** the components, each an Array of types, those a component depends on before it */
+        this.components = [];
+        /** the component of each type */
+        this.componentOf = new Map();
+    }
+
+    /**
+     * Tells whether a component is a cycle: it holds more than one type, or a type that refers to itself
+     * @param {Array<model.ComplexType>} component - the component
+     * @returns {boolean} - true if the component is a cycle
+     */
+    isCircular(component) {
+        return component.length > 1 || this.get(component[0]).has(component[0]);
+    }
+
+    /**
+     * Returns the components that are cycles
+     * @returns {Array<Array<model.ComplexType>>} - the components, those a component depends on before it
+     */
+    cycles() {
+        return this.components.filter((component) => this.isCircular(component));
+    }
+
+    /**
+     * Tells whether a type the given type depends on depends on it in turn, directly or not
+     * @param {model.ComplexType} type - the type
+     * @param {model.ComplexType} dependency - one of the types it depends on
+     * @returns {boolean} - true if both are in the same component (the type itself refers back to itself)
+     */
+    refersBack(type, dependency) {
+        return this.componentOf.get(type) === this.componentOf.get(dependency);
+    }
+
+    /**
+     * Returns the other types of the component of a type
+     * @param {model.ComplexType} type - the type
+     * @returns {Array<model.ComplexType>} - the types, none if the type is in no cycle with others
+     */
+    peersOf(type) {
+        return this.componentOf.get(type).filter((peer) => peer !== type);
+    }
+}
+
+module.exports = {
+    DependencyGraph,
+
+    /**
+     * Builds the graph of the dependencies of complex types and of every complex type they depend on,
+     * directly or not
+     * @param {Iterable} types - the types to start from; simple types are left out
+     * @returns {DependencyGraph} - the graph, split into its components
+     */
+    buildGraph : function( types ) {
+        let graph = new DependencyGraph(),
+            pending = Array.from(types).filter((type) => type instanceof model.ComplexType);
+
+        for(let i = 0; i < pending.length; i++) {
+            let type = pending[i];
+            if(!graph.has(type)) {
+                graph.set(type, dependenciesOf(type));
+                pending.push(...graph.get(type));
+            }
+        }
+
+        graph.components = module.exports.stronglyConnectedComponents(graph);
+        for(let component of graph.components) {
+            for(let type of component) {
+                graph.componentOf.set(type, component);
+            }
+        }
+        return graph;
+    },
+
+    /**
+     * Builds the graph of the dependencies of the complex types of a model: the named ones, and the
+     * anonymous ones of the elements and of the properties
+     * @param {model.SchemaModel} schemaModel - a model whose properties are laid out
+     * @returns {DependencyGraph} - the graph, split into its components
+     */
+    modelGraph : function( schemaModel ) {
+        return module.exports.buildGraph(Array.from(schemaModel.types.values())
+            .concat(Array.from(schemaModel.elements.values()).map((element) => element.type)));
+    },
+
+    /**
+     * Splits a directed graph into its strongly connected components, with Tarjan's algorithm (without
+     * recursion, as a chain of references can be longer than the stack is deep)
+     * @param {Map} edges - the Iterable of the successors of each node; a successor that isn't a key
+     *                      has none
+     * @returns {Array<Array>} - the components, each listing its nodes; a component comes after every
+     *                           component its nodes lead to
+     */
+    stronglyConnectedComponents : function( edges ) {
+        let index = new Map(),
+            lowLink = new Map(),
+            stack = [],
+            onStack = new Set(),
+            components = [];
+
+        let visit = (node) => {
+            index.set(node, index.size);
+            lowLink.set(node, index.get(node));
+            stack.push(node);
+            onStack.add(node);
+            return { node: node, successors: (edges.get(node) || [])[Symbol.iterator]() };
+        };
+
+        for(let root of edges.keys()) {
+            if(index.has(root)) {
+                continue;
+            }
+
+            let frames = [visit(root)];
+            while(frames.length > 0) {
+                let frame = frames[frames.length - 1],
+                    next = frame.successors.next();
+
+                if(!next.done) {
+                    if(!index.has(next.value)) {
+                        frames.push(visit(next.value));
+                    } else if(onStack.has(next.value)) {
+                        lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(next.value)));
+                    }
+                    continue;
+                }
+
+                frames.pop();
+                if(frames.length > 0) {
+                    let parent = frames[frames.length - 1].node;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+                }
+                if(lowLink.get(frame.node) === index.get(frame.node)) {
+                    let component = [],
+                        node;
+                    do {
+                        node = stack.pop();
+                        onStack.delete(node);
+                        component.push(node);
+                    } while(node !== frame.node);
+                    components.push(component.reverse());
+                }
+            }
+        }
+        return components;
+    }
+}
+
+/**
+ * Returns the complex types a complex type depends on: its base type and the types of the properties
+ * it declares
+ * @param {model.ComplexType} complexType - the complex type
+ * @returns {Set} - the types
+ */
+function dependenciesOf(complexType) {
+    let dependencies = new Set();
+
+    if(complexType.base instanceof model.ComplexType) {
+        dependencies.add(complexType.base);
+    }
+    for(let property of complexType.properties) {
+        if(property.type instanceof model.ComplexType) {
+            dependencies.add(property.type);
+        }
+    }
+    return dependencies;
+}
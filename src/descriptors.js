@@ -0,0 +1,217 @@
+/**
+ * @module descriptors - describes the types of a schema model as the plain objects that the runtime 
+ * reads from the xsd property of each generated class
+ */
+
+'use strict';
+
+/**
+ * The schema model
+ */
+const model = require('./model')
+/**
+ * Names the properties
+ */
+    , naming = require('./naming');
+
+/**
+ * The built-in types whose properties take any value
+ */
+const ANY_TYPES = ["anyType", "anySimpleType"];
+
+/**
+ * The name of the property holding the text of a complex type with simple content
+ */
+const TEXT_PROPERTY = "$value";
+
+module.exports = {
+    /**
+     * Describes a complex type. Only the properties and choices the type declares are described; the 
+     * class generated for it inherits the others from the class of its base type. The text of a type
+     * with simple content is described as a property of kind "text" named "$value", declared by the 
+     * type that derives it from a simple type or restricts it with facets.
+     * @param {model.ComplexType} complexType - a complex type of a model whose properties are laid out
+     * @param {naming.Names} names - optional names of the properties (see naming.nameModel); without
+     *                               them the properties are named after their XSD names
+     * @returns {Object} - { name, namespace, base, derivation, element, properties, choices }, where 
+     *                     base is the { name, namespace } of the complex type it derives from, or null,
+     *                     and element the { name, namespace } of the first global element declared
+     *                     with the type, or null
+     */
+    describeComplexType : function( complexType, names = new naming.Names() ) {
+        let base = complexType.base instanceof model.ComplexType ? complexType.base : null,
+            element = complexType.elements[0],
+            text = describeText(complexType);
+
+        return {
+            name        : complexType.name,
+            namespace   : complexType.targetNamespace,
+            base        : base ? { name: base.name, namespace: base.targetNamespace } : null,
+            derivation  : base ? complexType.derivation : null,
+            element     : element ? { name: element.name, namespace: element.targetNamespace } : null,
+            properties  : complexType.properties.map((property) => describeProperty(property, names)).concat(text ? [text] : []),
+            choices     : complexType.choices.map((choice) => describeChoice(choice, names))
+        };
+    },
+
+    /**
+     * Describes a simple type, in the form the runtime simpleTypes module checks values against
+     * @param {model.SimpleType|model.BuiltinType} simpleType - a simple type of a resolved model
+     * @returns {String|Object} - the name of a built-in type, or 
+     *                            { name, namespace, variety, base, facets, itemType, memberTypes }
+     */
+    describeSimpleType : function( simpleType ) {
+        return describeSimpleType(simpleType);
+    }
+}
+
+/**
+ * Describes a simple type, the types it is built from included
+ * @param {model.SimpleType|model.BuiltinType} simpleType - the simple type
+ * @returns {String|Object} - the name of a built-in type, or the description of a declared one
+ */
+function describeSimpleType(simpleType) {
+    if(!simpleType) {
+        return null;
+    }
+    if(simpleType.isBuiltin) {
+        return simpleType.name;
+    }
+
+    return {
+        name        : simpleType.name,
+        namespace   : simpleType.targetNamespace,
+        variety     : simpleType.variety,
+        base        : describeSimpleType(simpleType.base),
+        facets      : describeFacets(simpleType.facets),
+        itemType    : describeSimpleType(simpleType.itemType),
+        memberTypes : simpleType.memberTypes.map(describeSimpleType)
+    };
+}
+
+/**
+ * Describes facets as a map from facet name to value, or to the array of values of the facets that
+ * may be repeated (pattern and enumeration)
+ * @param {Array<model.Facet>} facets - the facets
+ * @returns {Object} - the map
+ */
+function describeFacets(facets) {
+    let described = {};
+    for(let facet of facets) {
+        if(facet.name === "pattern" || facet.name === "enumeration") {
+            (described[facet.name] = described[facet.name] || []).push(facet.value);
+        } else {
+            described[facet.name] = facet.value;
+        }
+    }
+    return described;
+}
+
+/**
+ * Describes the text of a complex type with simple content as a property, if the type declares it: 
+ * when it derives the type from a simple type, or restricts the simple content of its base type with 
+ * facets
+ * @param {model.ComplexType} complexType - the complex type
+ * @returns {Object} - the descriptor of the "$value" property, or null
+ */
+function describeText(complexType) {
+    if(!complexType.simpleContent) {
+        return null;
+    }
+    if(complexType.base instanceof model.ComplexType && complexType.facets.length === 0) {
+        return null;
+    }
+
+    return {
+        name        : TEXT_PROPERTY,
+        localName   : null,
+        kind        : "text",
+        namespace   : null,
+        minOccurs   : 1,
+        maxOccurs   : 1,
+        choice      : null,
+        branch      : null,
+        type        : null,
+        simpleType  : textType(complexType)
+    };
+}
+
+/**
+ * Describes the simple type of the text of a complex type with simple content
+ */
+function textType(complexType) {
+    let base = complexType.base;
+
+    if(!(base instanceof model.ComplexType)) {
+        return !base || (base.isBuiltin && ANY_TYPES.includes(base.name)) ? null : describeSimpleType(base);
+    }
+    if(complexType.derivation === "restriction" && complexType.facets.length > 0) {
+        return {
+            name        : null,
+            namespace   : complexType.targetNamespace,
+            variety     : "atomic",
+            base        : textType(base),
+            facets      : describeFacets(complexType.facets),
+            itemType    : null,
+            memberTypes : []
+        };
+    }
+    return base.simpleContent ? textType(base) : null;
+}
+
+/**
+ * Describes a property
+ * @param {model.Property} property - the property
+ * @param {naming.Names} names - the names of the properties
+ * @returns {Object} - { name, localName, kind, namespace, minOccurs, maxOccurs, choice, branch, type,
+ *                     simpleType }, where name is the name of the property in JavaScript, localName
+ *                     its XSD name, type the { name, namespace } of a complex type (the name
+ *                     is null for an anonymous type) and simpleType the description of a simple type;
+ *                     both are null for an xs:anyType (or xs:anySimpleType) property, which takes any 
+ *                     value
+ */
+function describeProperty(property, names) {
+    let type = property.type,
+        isComplex = type instanceof model.ComplexType,
+        isAny = !type || (type.isBuiltin && ANY_TYPES.includes(type.name));
+
+    return {
+        name        : propertyName(property, names),
+        localName   : property.name,
+        kind        : property.kind,
+        namespace   : property.targetNamespace,
+        minOccurs   : property.minOccurs,
+        maxOccurs   : property.maxOccurs,
+        choice      : property.choice ? property.choice.name : null,
+        branch      : property.branch ? property.branch.name : null,
+        type        : isComplex ? { name: type.name, namespace: type.targetNamespace } : null,
+        simpleType  : isComplex || isAny ? null : describeSimpleType(type)
+    };
+}
+
+/**
+ * Describes a choice
+ * @param {model.Choice} choice - the choice
+ * @param {naming.Names} names - the names of the properties
+ * @returns {Object} - { name, minOccurs, maxOccurs, parent, branches }, where parent is the 
+ *                     { choice, branch } the choice is nested in, and each branch is { name, properties }
+ */
+function describeChoice(choice, names) {
+    return {
+        name        : choice.name,
+        minOccurs   : choice.minOccurs,
+        maxOccurs   : choice.maxOccurs,
+        parent      : choice.parent ? { choice: choice.parent.name, branch: choice.parentBranch.name } : null,
+        branches    : choice.branches.map((branch) => ({
+            name        : branch.name,
+            properties  : branch.properties.map((property) => propertyName(property, names))
+        }))
+    };
+}
+
+/**
+ * Returns the name of a property in JavaScript, or its XSD name if it wasn't named
+ */
+function propertyName(property, names) {
+    return names.propertyName(property) || property.name;
+}
@@ -0,0 +1,983 @@
+/**
+ * @module emitter - generates the source code of node.js modules from a schema model
+ */
+
+'use strict';
+
+/**
+ * The schema model
+ */
+const model = require('./model')
+/**
+ * Describes the types for the runtime
+ */
+    , descriptors = require('./descriptors')
+/**
+ * Facets, for the primitive type of simple types
+ */
+    , facets = require('./runtime/facets')
+/**
+ * Runs the emission hooks of the plugins
+ */
+    , plugins = require('./plugins')
+/**
+ * Names the classes, files and properties
+ */
+    , naming = require('./naming')
+/**
+ * Finds the types that refer to each other
+ */
+    , dependencies = require('./dependencies')
+/**
+ * Exceptions
+ */
+    , exceptions = require('./exceptions')
+/**
+ * For writing the modules
+ */
+    , fs = require('fs')
+    , path = require('path');
+
+/**
+ * The formats the modules can be generated in, the default first
+ */
+const MODULE_FORMATS = ["commonjs", "esm"];
+
+/**
+ * The module the generated classes import the runtime from in each format, unless
+ * options.runtimeModule says otherwise (an ES module names the file, as it can't import a directory)
+ */
+const DEFAULT_RUNTIME_MODULES = {
+    "commonjs"  : "gnm-xsd-to-nodejs-classes/src/runtime",
+    "esm"       : "gnm-xsd-to-nodejs-classes/src/runtime/index.js"
+};
+
+/**
+ * The suffix of the file name of the ES module defining the classes of a cycle of types, after the
+ * file name of the first of them (which has no dots, being in kebab-case)
+ */
+const CYCLE_FILE_SUFFIX = ".cycle";
+
+/**
+ * Stands for CONST.UNBOUNDED (Infinity, which JSON can't represent) while a descriptor is formatted
+ */
+const UNBOUNDED_MARKER = "\u0000unbounded\u0000";
+
+/**
+ * The JSDoc type of the values of each primitive type, as the runtime parses them (see 
+ * runtime/primitives), the integer types aside
+ */
+const PRIMITIVE_JS_TYPES = {
+    "boolean"       : "boolean",
+    "decimal"       : "Decimal",
+    "float"         : "number",
+    "double"        : "number",
+    "duration"      : "Duration",
+    "dateTime"      : "DateTime",
+    "time"          : "DateTime",
+    "date"          : "DateTime",
+    "gYearMonth"    : "DateTime",
+    "gYear"         : "DateTime",
+    "gMonthDay"     : "DateTime",
+    "gDay"          : "DateTime",
+    "gMonth"        : "DateTime",
+    "hexBinary"     : "Buffer",
+    "base64Binary"  : "Buffer",
+    "QName"         : "QualifiedName",
+    "NOTATION"      : "QualifiedName"
+};
+
+/**
+ * The TypeScript types of the values of each primitive type, as simpleTypes.accepts them besides 
+ * their lexical string, the integer types aside
+ */
+const PRIMITIVE_TS_TYPES = {
+    "boolean"       : ["boolean"],
+    "decimal"       : ["number", "bigint", "$runtime.primitives.Decimal"],
+    "float"         : ["number", "bigint", "$runtime.primitives.Decimal"],
+    "double"        : ["number", "bigint", "$runtime.primitives.Decimal"],
+    "duration"      : ["$runtime.primitives.Duration"],
+    "dateTime"      : ["$runtime.primitives.DateTime", "Date"],
+    "time"          : ["$runtime.primitives.DateTime"],
+    "date"          : ["$runtime.primitives.DateTime", "Date"],
+    "gYearMonth"    : ["$runtime.primitives.DateTime"],
+    "gYear"         : ["$runtime.primitives.DateTime"],
+    "gMonthDay"     : ["$runtime.primitives.DateTime"],
+    "gDay"          : ["$runtime.primitives.DateTime"],
+    "gMonth"        : ["$runtime.primitives.DateTime"],
+    "hexBinary"     : ["Buffer"],
+    "base64Binary"  : ["Buffer"],
+    "QName"         : ["$runtime.primitives.QualifiedName"],
+    "NOTATION"      : ["$runtime.primitives.QualifiedName"]
+};
+
+/**
+ * The built-in types whose values can be anything, DOM elements included
+ */
+const ANY_TYPE_NAMES = ["anyType", "anySimpleType"];
+
+/**
+ * The specification of the built-in datatypes, which has an anchor for each of them
+ */
+const XSD_DATATYPES_URL = "https://www.w3.org/TR/xmlschema-2/";
+
+/**
+ * The words used for punctuation when naming enum members after values like "<=" or "!="
+ */
+const SYMBOL_WORDS = {
+    "<" : "LESS",
+    ">" : "GREATER",
+    "=" : "EQUALS",
+    "!" : "NOT",
+    "+" : "PLUS",
+    "-" : "MINUS",
+    "*" : "ASTERISK",
+    "/" : "SLASH",
+    "%" : "PERCENT"
+};
+
+module.exports = {
+    MODULE_FORMATS,
+    CYCLE_FILE_SUFFIX,
+
+    /**
+     * Generates the modules of a model: a class for each complex type, named or declared by an 
+     * element, a module for each named simple type, and an index.js barrel exporting all of them.
+     * Classes are named in PascalCase, files in kebab-case and properties in camelCase (see
+     * naming.nameModel). With the declarations option, each module is followed by its TypeScript
+     * declarations. The emitModule and afterEmit hooks of the plugins may change the modules.
+     *
+     * The modules are CommonJS modules unless the moduleFormat option is "esm", which makes them ES
+     * modules, along with a package.json telling node so.
+     *
+     * Types that refer to each other, directly or not (the cycles of dependencies.modelGraph), can't
+     * all import each other up front: a class would be evaluated while the module of its base class,
+     * or of a class it refers to, is only half-initialized. A class module therefore only imports
+     * its base class and the classes of the types that don't refer back to it, which never forms a
+     * cycle, and resolves the others once its properties are first read or written: a CommonJS
+     * module requires them then. ES modules are evaluated before anything can be resolved once
+     * needed, so the classes of a cycle are all defined in one module instead, in an order where
+     * each class follows its base class, and the module of each of them exports the class that
+     * module defines: any of them can be imported first.
+     * @param {model.SchemaModel} schemaModel - a model whose properties are laid out
+     * @param {processSchema~options} options - the runtimeModule option names the module the classes
+     *                                          import the runtime from, the declarations option
+     *                                          asks for the .d.ts files, the naming option overrides
+     *                                          names and the moduleFormat option is one of
+     *                                          MODULE_FORMATS
+     * @returns {Array<Object>} - the { fileName, source } of each module, the barrel last
+     * @throws {exceptions.Exception} - if the module format is unknown
+     */
+    emitModel : function( schemaModel, options = {} ) {
+        if(options.moduleFormat && !MODULE_FORMATS.includes(options.moduleFormat)) {
+            throw new exceptions.Exception(`Unknown module format '${options.moduleFormat}' (expected ${MODULE_FORMATS.join(" or ")})`);
+        }
+
+        let names = naming.nameModel(schemaModel, options),
+            graph = dependencies.buildGraph(names.keys()),
+            plugged = plugins.resolvePlugins(options),
+            modules = [];
+
+        let add = (module, type) => modules.push(plugins.runHook(plugged, "emitModule", module, type, options));
+
+        for(let type of names.keys()) {
+            let source = type instanceof model.ComplexType ? module.exports.emitClass(type, names, options, graph)
+                : type.enumeration ? module.exports.emitEnum(type, names, options)
+                : module.exports.emitSimpleType(type, names, options);
+
+            add({ fileName: `${names.files.get(type)}.js`, source: source }, type);
+            if(options.declarations) {
+                add({ fileName: `${names.files.get(type)}.d.ts`, source: module.exports.emitDeclarations(type, names, options) }, type);
+            }
+        }
+        if(isESM(options)) {
+            for(let component of graph.components.filter((component) => component.length > 1)) {
+                add({ fileName: `${cycleFileName(component, names)}.js`, source: emitCycle(component, names, options, graph) }, null);
+            }
+            add({ fileName: "package.json", source: `${JSON.stringify({ type: "module" }, null, 4)}\n` }, null);
+        }
+        add({ fileName: "index.js", source: emitIndex(names, options) }, null);
+        if(options.declarations) {
+            add({ fileName: "index.d.ts", source: emitIndexDeclarations(names, options) }, null);
+        }
+
+        return plugins.runHook(plugged, "afterEmit", modules, schemaModel, options);
+    },
+
+    /**
+     * Writes modules to a directory, creating it if needed
+     * @param {String} outputDir - the directory
+     * @param {Array<Object>} modules - the { fileName, source } of each module
+     * @returns {Array<String>} - the paths of the files written
+     */
+    writeModules : function( outputDir, modules ) {
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        return modules.map((module) => {
+            let file = path.join(outputDir, module.fileName);
+            fs.writeFileSync(file, module.source, {encoding:'utf8'});
+            return file;
+        });
+    },
+
+    /**
+     * Generates the module for a complex type: a class extending the class of its base type (or the
+     * runtime's XsdObject), with an accessor for each property it declares and the descriptor of the
+     * type as its static xsd property. The classes of the types that refer back to the type are
+     * resolved once needed, and an ES module of a type in a cycle exports the class the module of
+     * the cycle defines (see emitModel).
+     * @param {model.ComplexType} complexType - a complex type whose properties are laid out
+     * @param {naming.Names} names - the names of the classes, files and properties of the model
+     * @param {processSchema~options} options - as for emitModel
+     * @param {dependencies.DependencyGraph} graph - optional graph of the dependencies of the type
+     * @returns {String} - the source of the module
+     */
+    emitClass : function( complexType, names, options = {}, graph = dependencies.buildGraph([complexType]) ) {
+        let identifier = names.get(complexType),
+            lines = [];
+
+        if(isESM(options) && graph.peersOf(complexType).length > 0) {
+            let component = graph.componentOf.get(complexType);
+
+            lines.push(docComment([`The ${identifier} class, defined along with the classes of the types it refers to that refer back to it`], ""));
+            lines.push(`export { ${identifier} as default } from ${JSON.stringify(modulePath(cycleFileName(component, names), options))};`);
+            lines.push("");
+            return lines.join("\n");
+        }
+
+        lines.push(...preamble(options));
+        lines.push(...imports([complexType], names, options, graph));
+        lines.push("");
+        lines.push(...classDefinition(complexType, names, options, graph));
+        lines.push(exportStatement(identifier, options));
+        lines.push("");
+
+        return lines.join("\n");
+    },
+
+    /**
+     * Generates the module for a simple type that is not an enumeration: its descriptor, which the
+     * runtime simpleTypes module checks values against
+     * @param {model.SimpleType} simpleType - the simple type
+     * @param {naming.Names} names - optional names of the classes, files and properties of the model
+     * @param {processSchema~options} options - as for emitModel
+     * @returns {String} - the source of the module
+     */
+    emitSimpleType : function( simpleType, names = new naming.Names(), options = {} ) {
+        let identifier = names.get(simpleType) || naming.escape(naming.toPascalCase(simpleType.name), true),
+            lines = [];
+
+        lines.push(...preamble(options));
+        lines.push(docComment([
+            ...paragraphs(simpleType),
+            `The ${simpleType.name} simple type (${simpleType.targetNamespace || "no namespace"}), as described `
+                + "for the runtime simpleTypes module",
+            ...seeBase(simpleType, names),
+            "@readonly"
+        ], ""));
+        lines.push(`const ${identifier} = Object.freeze(${indentJSON(descriptors.describeSimpleType(simpleType), "")});`);
+        lines.push("");
+        lines.push(exportStatement(identifier, options));
+        lines.push("");
+
+        return lines.join("\n");
+    },
+
+    /**
+     * Generates the module for an enumerated simple type: a frozen object mapping a member name to
+     * each value of the enumeration, documented with the xs:documentation of each value
+     * @param {model.SimpleType} simpleType - a simple type restricted by xs:enumeration facets
+     * @param {naming.Names} names - optional names of the classes, files and properties of the model
+     * @param {processSchema~options} options - as for emitModel
+     * @returns {String} - the source of the module
+     */
+    emitEnum : function( simpleType, names = new naming.Names(), options = {} ) {
+        let identifier = names.get(simpleType) || naming.escape(naming.toPascalCase(simpleType.name), true),
+            facets = enumerationFacets(simpleType),
+            memberNames = enumMemberNames(facets.map((facet) => facet.value)),
+            lines = [];
+
+        lines.push(...preamble(options));
+        lines.push(docComment([
+            ...paragraphs(simpleType),
+            `Values of the ${simpleType.name} simple type (${simpleType.targetNamespace || "no namespace"})`,
+            ...seeBase(simpleType, names),
+            "@readonly",
+            "@enum {string}"
+        ], ""));
+        lines.push(`const ${identifier} = Object.freeze({`);
+        facets.forEach((facet, i) => {
+            if(facet.documentations.length > 0) {
+                lines.push(docComment(paragraphs(facet), "    "));
+            }
+            lines.push(`    ${memberNames[i]} : ${JSON.stringify(facet.value)}${i < facets.length - 1 ? "," : ""}`);
+        });
+        lines.push("});");
+        lines.push("");
+        lines.push(exportStatement(identifier, options));
+        lines.push("");
+
+        return lines.join("\n");
+    },
+
+    /**
+     * Generates the TypeScript declarations of the module of a type: a class declaring a property
+     * for each property of a complex type (optional if it may be left out, an array if it may
+     * repeat), a string-literal union type beside the object of an enumeration, and the descriptor
+     * of any other simple type. A property that restricts an inherited one isn't declared again. The
+     * runtime is imported as $runtime, which can't collide with a class name. The declarations of
+     * ES modules export the type as their default export.
+     * @param {model.ComplexType|model.SimpleType} type - the type
+     * @param {naming.Names} names - the names of the classes, files and properties of the model
+     * @param {processSchema~options} options - as for emitModel
+     * @returns {String} - the source of the .d.ts file
+     */
+    emitDeclarations : function( type, names, options = {} ) {
+        let identifier = names.get(type),
+            lines = [];
+
+        if(type instanceof model.ComplexType || !type.enumeration) {
+            lines.push(`import * as $runtime from ${JSON.stringify(runtimeModule(options))};`);
+        }
+
+        if(type instanceof model.ComplexType) {
+            let baseType = type.base instanceof model.ComplexType ? type.base : null,
+                base = baseType ? names.get(baseType) : null,
+                accessors = type.properties.filter((property) => !property.restricts),
+                imported = new Set(baseType ? [baseType] : []),
+                members = [];
+
+            for(let property of accessors) {
+                let key = propertyKey(names.propertyName(property)),
+                    types = tsTypes(property.type, names, imported),
+                    tsType = property.isArray ? `Array<${types.join(" | ")}>` : types.join(" | ");
+
+                members.push("");
+                members.push(docComment([...paragraphs(documented(property)), cardinality(property)], "    "));
+                members.push(`    ${key}${property.isOptional ? "?" : ""}: ${tsType};`);
+            }
+            let text = descriptors.describeComplexType(type, names).properties.find((property) => property.kind === "text");
+            if(text) {
+                let simpleType = type.base;
+                while(simpleType instanceof model.ComplexType) {
+                    simpleType = simpleType.base;
+                }
+                members.push("");
+                members.push(docComment(["The text content of the element"], "    "));
+                members.push(`    ${text.name}: ${tsTypes(simpleType, names, imported).join(" | ")};`);
+            }
+
+            imported.delete(type);
+            for(let importedType of Array.from(imported).sort((a, b) => names.get(a) < names.get(b) ? -1 : 1)) {
+                lines.push(declarationImport(names.get(importedType), modulePath(names.files.get(importedType), options), options));
+            }
+            lines.push("");
+            lines.push(docComment([
+                ...paragraphs(type),
+                `Generated from the ${type.name ? `${type.name} complex type` : "anonymous complex type of an element"}`
+                    + ` (${type.targetNamespace || "no namespace"})`,
+                ...seeBase(type, names)
+            ], ""));
+            lines.push(`declare class ${identifier} extends ${base || "$runtime.XsdObject"} {`);
+            lines.push(docComment([
+                "@param values - optional initial values, by property name",
+                "@param options - optional options"
+            ], "    "));
+            lines.push(`    constructor(values?: $runtime.Values<${identifier}>, options?: $runtime.Options);`);
+            lines.push(...members);
+            lines.push("}");
+        } else if(type.enumeration) {
+            let facets = enumerationFacets(type),
+                memberNames = enumMemberNames(facets.map((facet) => facet.value));
+
+            lines.push(docComment([
+                ...paragraphs(type),
+                `Values of the ${type.name} simple type (${type.targetNamespace || "no namespace"})`,
+                ...seeBase(type, names)
+            ], ""));
+            lines.push(`declare const ${identifier}: {`);
+            facets.forEach((facet, i) => {
+                if(facet.documentations.length > 0) {
+                    lines.push(docComment(paragraphs(facet), "    "));
+                }
+                lines.push(`    readonly ${memberNames[i]}: ${JSON.stringify(facet.value)};`);
+            });
+            lines.push("};");
+            lines.push(`type ${identifier} = ${tsTypes(type, new naming.Names(), new Set()).join(" | ")};`);
+        } else {
+            lines.push("");
+            lines.push(docComment([
+                ...paragraphs(type),
+                `The ${type.name} simple type (${type.targetNamespace || "no namespace"}), as described `
+                    + "for the runtime simpleTypes module",
+                ...seeBase(type, names)
+            ], ""));
+            lines.push(`declare const ${identifier}: Readonly<$runtime.SimpleTypeDescriptor>;`);
+        }
+
+        lines.push("");
+        lines.push(isESM(options) ? `export default ${identifier};` : `export = ${identifier};`);
+        lines.push("");
+
+        return lines.join("\n");
+    }
+}
+
+/**
+ * Generates the index.js barrel of the generated modules
+ * @param {naming.Names} names - the names of the classes and files of the model
+ * @param {processSchema~options} options - as for emitModel
+ * @returns {String} - the source of the barrel
+ */
+function emitIndex(names, options) {
+    let lines = preamble(options);
+
+    lines.push(docComment(["The generated classes, enums and simple types, by name"], ""));
+    if(isESM(options)) {
+        for(let type of sortedTypes(names)) {
+            lines.push(`export { default as ${names.get(type)} } from ${JSON.stringify(modulePath(names.files.get(type), options))};`);
+        }
+    } else {
+        lines.push("module.exports = {");
+        sortedTypes(names).forEach((type, i, all) => {
+            lines.push(`    ${names.get(type)} : require(${JSON.stringify(modulePath(names.files.get(type), options))})${i < all.length - 1 ? "," : ""}`);
+        });
+        lines.push("};");
+    }
+    lines.push("");
+
+    return lines.join("\n");
+}
+
+/**
+ * Generates the index.d.ts declarations of the barrel
+ * @param {naming.Names} names - the names of the classes and files of the model
+ * @param {processSchema~options} options - as for emitModel
+ * @returns {String} - the source of the declarations
+ */
+function emitIndexDeclarations(names, options) {
+    let sorted = sortedTypes(names),
+        lines = [];
+
+    if(isESM(options)) {
+        lines.push(docComment(["The generated classes, enums and simple types, by name"], ""));
+        for(let type of sorted) {
+            lines.push(`export { default as ${names.get(type)} } from ${JSON.stringify(modulePath(names.files.get(type), options))};`);
+        }
+        lines.push("");
+        return lines.join("\n");
+    }
+
+    for(let type of sorted) {
+        lines.push(declarationImport(names.get(type), modulePath(names.files.get(type), options), options));
+    }
+    lines.push("");
+    lines.push(docComment(["The generated classes, enums and simple types, by name"], ""));
+    lines.push("export {");
+    sorted.forEach((type, i) => {
+        lines.push(`    ${names.get(type)}${i < sorted.length - 1 ? "," : ""}`);
+    });
+    lines.push("};");
+    lines.push("");
+
+    return lines.join("\n");
+}
+
+/**
+ * Generates the ES module defining the classes of a cycle of types, each after its base class (see
+ * emitModel)
+ * @param {Array<model.ComplexType>} component - the types of the cycle
+ * @param {naming.Names} names - the names of the classes, files and properties of the model
+ * @param {processSchema~options} options - as for emitModel
+ * @param {dependencies.DependencyGraph} graph - the graph of the dependencies of the types
+ * @returns {String} - the source of the module
+ */
+function emitCycle(component, names, options, graph) {
+    let types = [],
+        lines = [];
+
+    let define = (type) => {
+        if(component.includes(type) && !types.includes(type)) {
+            define(type.base);
+            types.push(type);
+        }
+    };
+    byClassName(component, names).forEach(define);
+
+    lines.push(docComment([
+        "The classes of types that refer to each other, defined in one module so that each class can be",
+        "defined after its base class whichever of their modules is imported first"
+    ], ""));
+    lines.push(...imports(types, names, options, graph));
+    for(let type of types) {
+        lines.push("");
+        lines.push(...classDefinition(type, names, options, graph));
+    }
+    lines.push("");
+    lines.push(`export { ${byClassName(types, names).map((type) => names.get(type)).join(", ")} };`);
+    lines.push("");
+
+    return lines.join("\n");
+}
+
+/**
+ * Returns the statements importing what the classes of types defined in the same module extend or
+ * refer to: the runtime, the classes of their base types and those of the types they refer to that
+ * don't refer back to them (see emitModel)
+ * @param {Array<model.ComplexType>} types - the types, a single one or those of a cycle
+ * @param {naming.Names} names - the names of the classes, files and properties of the model
+ * @param {processSchema~options} options - as for emitModel
+ * @param {dependencies.DependencyGraph} graph - the graph of the dependencies of the types
+ * @returns {Array<String>} - the lines of the statements
+ */
+function imports(types, names, options, graph) {
+    let bases = new Set(),
+        referenced = new Set(),
+        lines = [];
+
+    for(let type of types) {
+        if(type.base instanceof model.ComplexType && !types.includes(type.base)) {
+            bases.add(type.base);
+        }
+        for(let property of type.properties) {
+            if(property.type instanceof model.ComplexType && !graph.refersBack(type, property.type)) {
+                referenced.add(property.type);
+            }
+        }
+    }
+
+    if(types.some((type) => !(type.base instanceof model.ComplexType))) {
+        if(isESM(options)) {
+            lines.push(`import $runtime from ${JSON.stringify(runtimeModule(options))};`);
+            lines.push("const { XsdObject } = $runtime;");
+        } else {
+            lines.push(`const { XsdObject } = require(${JSON.stringify(runtimeModule(options))});`);
+        }
+    }
+    for(let type of byClassName(bases, names).concat(byClassName(referenced, names).filter((type) => !bases.has(type)))) {
+        lines.push(importStatement(names.get(type), modulePath(names.files.get(type), options), options));
+    }
+    return lines;
+}
+
+/**
+ * Returns the statements defining the class of a complex type, its descriptor and the classes of its
+ * properties, and registering it (see emitClass). Within a CommonJS module, the types that refer back
+ * to the type are required once needed; those of an ES module are defined in the same module.
+ * @param {model.ComplexType} complexType - a complex type whose properties are laid out
+ * @param {naming.Names} names - the names of the classes, files and properties of the model
+ * @param {processSchema~options} options - as for emitModel
+ * @param {dependencies.DependencyGraph} graph - the graph of the dependencies of the type
+ * @returns {Array<String>} - the lines of the statements, followed by an empty one
+ */
+function classDefinition(complexType, names, options, graph) {
+    let identifier = names.get(complexType),
+        baseType = complexType.base instanceof model.ComplexType ? complexType.base : null,
+        base = baseType ? names.get(baseType) : null,
+        accessors = complexType.properties.filter((property) => !property.restricts),
+        classes = complexType.properties.filter((property) => property.type instanceof model.ComplexType),
+        lines = [];
+
+    lines.push(docComment([
+        ...paragraphs(complexType),
+        `Generated from the ${complexType.name ? `${complexType.name} complex type` : "anonymous complex type of an element"}`
+            + ` (${complexType.targetNamespace || "no namespace"})`,
+        ...seeBase(complexType, names)
+    ], ""));
+    lines.push(`class ${identifier} extends ${base || "XsdObject"} {`);
+    lines.push(docComment([
+        "@param {Object} values - optional initial values, by property name",
+        "@param {Object} options - optional options: { validation: \"throw\" or \"collect\" }"
+    ], "    "));
+    lines.push("    constructor(values, options) {");
+    lines.push("        super(values, options);");
+    lines.push("    }");
+
+    for(let property of accessors) {
+        let key = propertyKey(names.propertyName(property)),
+            name = JSON.stringify(names.propertyName(property));
+
+        lines.push("");
+        lines.push(docComment([
+            ...paragraphs(documented(property)),
+            cardinality(property),
+            `@type {${jsType(property, names)}}`
+        ], "    "));
+        lines.push(`    get ${key}() {`);
+        lines.push(`        return this._get(${name});`);
+        lines.push("    }");
+        lines.push(`    set ${key}(value) {`);
+        lines.push(`        this._set(${name}, value);`);
+        lines.push("    }");
+    }
+
+    let descriptor = descriptors.describeComplexType(complexType, names),
+        text = descriptor.properties.find((property) => property.kind === "text");
+
+    if(text) {
+        let simpleType = complexType.base;
+        while(simpleType instanceof model.ComplexType) {
+            simpleType = simpleType.base;
+        }
+
+        lines.push("");
+        lines.push(docComment([
+            "The text content of the element",
+            `@type {${valueType(simpleType, names)}}`
+        ], "    "));
+        lines.push(`    get ${text.name}() {`);
+        lines.push(`        return this._get(${JSON.stringify(text.name)});`);
+        lines.push("    }");
+        lines.push(`    set ${text.name}(value) {`);
+        lines.push(`        this._set(${JSON.stringify(text.name)}, value);`);
+        lines.push("    }");
+    }
+
+    lines.push("}");
+    lines.push("");
+    lines.push(docComment(["The descriptor of the complex type, read by the runtime"], ""));
+    lines.push(`${identifier}.xsd = ${indentJSON(descriptor, "")};`);
+
+    if(classes.length > 0) {
+        let required = (type) => !isESM(options) && type !== complexType && type !== baseType && graph.refersBack(complexType, type);
+
+        lines.push("");
+        lines.push(docComment(classes.some((property) => required(property.type)) ? [
+            "The classes of the complex-typed properties, those of the types referring back to this one required",
+            "once needed, as they can't be loaded before it"
+        ] : ["The classes of the complex-typed properties"], ""));
+        lines.push(`${identifier}.propertyClasses = () => ({`);
+        lines.push(classes.map((property) => `    ${JSON.stringify(names.propertyName(property))} : ${required(property.type)
+            ? `require(${JSON.stringify(modulePath(names.files.get(property.type), options))})`
+            : names.get(property.type)}`).join(",\n"));
+        lines.push("});");
+    }
+    lines.push("");
+    lines.push(`${identifier}.register();`);
+
+    return lines;
+}
+
+/**
+ * Returns the file name (without extension) of the ES module defining the classes of a cycle of types
+ */
+function cycleFileName(component, names) {
+    return `${names.files.get(byClassName(component, names)[0])}${CYCLE_FILE_SUFFIX}`;
+}
+
+/**
+ * Returns types sorted by class name
+ * @param {Iterable} types - the types
+ * @param {naming.Names} names - the names of the classes of the model
+ * @returns {Array<Object>} - the types
+ */
+function byClassName(types, names) {
+    return Array.from(types).sort((a, b) => names.get(a) < names.get(b) ? -1 : 1);
+}
+
+/**
+ * Returns the types that have a module, sorted by class name
+ * @param {naming.Names} names - the names of the classes of the model
+ * @returns {Array<Object>} - the types
+ */
+function sortedTypes(names) {
+    return byClassName(names.keys(), names);
+}
+
+/**
+ * Tells whether the modules are generated as ES modules
+ */
+function isESM(options) {
+    return options.moduleFormat === "esm";
+}
+
+/**
+ * Returns the lines a module starts with: CommonJS modules are made strict, as ES modules are
+ */
+function preamble(options) {
+    return isESM(options) ? [] : ["'use strict';", ""];
+}
+
+/**
+ * Returns the module the runtime is imported from
+ */
+function runtimeModule(options) {
+    return options.runtimeModule || DEFAULT_RUNTIME_MODULES[options.moduleFormat || MODULE_FORMATS[0]];
+}
+
+/**
+ * Returns the path another generated module is imported with, which names the file of an ES module
+ */
+function modulePath(fileName, options) {
+    return isESM(options) ? `./${fileName}.js` : `./${fileName}`;
+}
+
+/**
+ * Returns the statement binding the export of a module to an identifier
+ */
+function importStatement(identifier, specifier, options) {
+    return isESM(options) ? `import ${identifier} from ${JSON.stringify(specifier)};`
+        : `const ${identifier} = require(${JSON.stringify(specifier)});`;
+}
+
+/**
+ * Returns the statement exporting the value of an identifier as the export of the module
+ */
+function exportStatement(identifier, options) {
+    return isESM(options) ? `export default ${identifier};` : `module.exports = ${identifier};`;
+}
+
+/**
+ * Returns the TypeScript statement importing the declarations of another generated module
+ */
+function declarationImport(identifier, specifier, options) {
+    return isESM(options) ? `import ${identifier} from ${JSON.stringify(specifier)};`
+        : `import ${identifier} = require(${JSON.stringify(specifier)});`;
+}
+
+/**
+ * Returns the key of the accessor of a property: the name itself if it is an identifier, or else the
+ * name as a string literal
+ */
+function propertyKey(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Returns the JSDoc type of the value of a property
+ * @param {model.Property} property - the property
+ * @param {naming.Names} names - the names of the classes and files of the model
+ * @returns {String} - e.g. "string", "Identifier" or "Array<Extension>"
+ */
+function jsType(property, names) {
+    let type = valueType(property.type, names);
+    return property.isArray ? `Array<${type}>` : type;
+}
+
+/**
+ * Returns the JSDoc type of the values of a type
+ */
+function valueType(type, names) {
+    if(!type) {
+        return "*";
+    }
+    if(type instanceof model.ComplexType || (type.enumeration && names.has(type))) {
+        return names.get(type) || "Object";
+    }
+    if(type.variety === "list" && type.itemType) {
+        return `Array<${valueType(type.itemType, names)}>`;
+    }
+    if(type.variety === "union") {
+        return "*";
+    }
+    if(type.isBuiltin) {
+        if(type.name === "anyType") {
+            return "*";
+        }
+        let primitive = facets.primitive(type.name);
+        return isIntegerType(type) ? "bigint" : PRIMITIVE_JS_TYPES[primitive] || "string";
+    }
+    return valueType(type.base, names);
+}
+
+/**
+ * Returns the TypeScript types of the values a property of a type may be set to, which for a simple
+ * type include its lexical string (see simpleTypes.accepts), and notes the modules they come from
+ * @param {model.ComplexType|model.SimpleType} type - the type, or null for any value
+ * @param {naming.Names} names - the names of the classes and files of the model
+ * @param {Set} imported - the types whose modules the types are imported from, added to
+ * @returns {Array<String>} - the types, without duplicates
+ */
+function tsTypes(type, names, imported) {
+    let types;
+
+    if(!type || type.isBuiltin && ANY_TYPE_NAMES.includes(type.name)) {
+        types = ["any"];
+    } else if(type instanceof model.ComplexType || (type.enumeration && names.has(type))) {
+        if(names.has(type)) {
+            imported.add(type);
+            types = [names.get(type)];
+        } else {
+            types = ["$runtime.XsdObject"];
+        }
+    } else if(type.enumeration && !PRIMITIVE_TS_TYPES[primitiveOf(type)]) {
+        types = type.enumeration.map((value) => JSON.stringify(value));
+    } else if(type.variety === "list" && type.itemType) {
+        types = [`Array<${tsTypes(type.itemType, names, imported).join(" | ")}>`, "string"];
+    } else if(type.variety === "union") {
+        types = type.memberTypes.flatMap((memberType) => tsTypes(memberType, names, imported));
+    } else if(type.isBuiltin) {
+        let primitive = primitiveOf(type);
+        types = isIntegerType(type) ? ["number", "bigint", "string"]
+            : PRIMITIVE_TS_TYPES[primitive] ? [...PRIMITIVE_TS_TYPES[primitive], "string"]
+            : ["string"];
+    } else {
+        types = tsTypes(type.base, names, imported);
+    }
+
+    return Array.from(new Set(types));
+}
+
+/**
+ * Returns the built-in primitive type an atomic simple type derives from, or null for a list or union
+ */
+function primitiveOf(type) {
+    let current = type;
+    while(current && !current.isBuiltin) {
+        if(current.variety !== "atomic") {
+            return null;
+        }
+        current = current.base;
+    }
+    return current ? facets.primitive(current.name) : null;
+}
+
+/**
+ * Tells whether a built-in type derives from integer
+ */
+function isIntegerType(type) {
+    for(let current = type; current; current = current.base) {
+        if(current.name === "integer") {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Returns the declaration whose annotation documents a property: its local declaration, or the
+ * global one it refers to if the local one has no documentation
+ */
+function documented(property) {
+    let declaration = property.declaration;
+    return declaration.documentations.length === 0 && declaration.ref ? declaration.ref : declaration;
+}
+
+/**
+ * Returns the xs:documentation entries of a component as the paragraphs of a doc comment, separated
+ * by empty lines. When the entries are in more than one language, each starts with its language.
+ * @param {Object} component - the annotated component
+ * @returns {Array<String>} - the lines of the paragraphs, or none
+ */
+function paragraphs(component) {
+    let entries = component.documentations,
+        multilingual = new Set(entries.map((entry) => entry.lang)).size > 1;
+
+    return entries.flatMap((entry, i) => [
+        ...(i > 0 ? [""] : []),
+        multilingual && entry.lang ? `(${entry.lang}) ${entry.text.trim()}` : entry.text
+    ]);
+}
+
+/**
+ * Notes how many times a property occurs, e.g. "Cardinality: 0..1 (branch 'Quantity' of choice 'value')"
+ * @param {model.Property} property - the property
+ * @returns {String} - the note
+ */
+function cardinality(property) {
+    let note = `Cardinality: ${property.minOccurs}..${property.maxOccurs === Infinity ? "*" : property.maxOccurs}`;
+
+    if(property.kind === "attribute") {
+        note += " (attribute)";
+    } else if(property.choice) {
+        note += ` (branch '${property.branch.name}' of choice '${property.choice.name}')`;
+    }
+    return note;
+}
+
+/**
+ * Returns the @see tag linking to the base type of a type: its generated module, or the
+ * specification of a built-in type
+ * @param {model.ComplexType|model.SimpleType} type - the type
+ * @param {naming.Names} names - the names of the classes and files of the model
+ * @returns {Array<String>} - the tag, or none if the type has no base worth linking to
+ */
+function seeBase(type, names) {
+    let base = type.base;
+
+    if(!base) {
+        return [];
+    }
+    if(names.has(base)) {
+        return [`@see {@link ${names.get(base)}} the base type`];
+    }
+    if(base.isBuiltin && !ANY_TYPE_NAMES.includes(base.name)) {
+        return [`@see {@link ${XSD_DATATYPES_URL}#${base.name} xs:${base.name}} the base type`];
+    }
+    return seeBase(base, names);
+}
+
+/**
+ * Formats a value as JSON indented by four spaces, with the given indentation for the lines after 
+ * the first
+ */
+function indentJSON(value, indent) {
+    return JSON.stringify(value, (key, v) => v === Infinity ? UNBOUNDED_MARKER : v, 4)
+        .split(JSON.stringify(UNBOUNDED_MARKER)).join("Infinity")
+        .replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Returns the xs:enumeration facets of an enumerated simple type, its own or those it inherits (see
+ * model.SimpleType.enumeration), so that a restriction that only adds e.g. a pattern keeps the members
+ * @param {model.SimpleType} simpleType - the simple type
+ * @returns {Array<model.Facet>} - the facets, one per value
+ */
+function enumerationFacets(simpleType) {
+    let facets = simpleType.facets.filter((facet) => facet.name === "enumeration");
+
+    return facets.length > 0 || simpleType.variety !== "atomic" || !(simpleType.base instanceof model.SimpleType)
+        ? facets : enumerationFacets(simpleType.base);
+}
+
+/**
+ * Names the members of an enum after their values, in UPPER_SNAKE_CASE, keeping the names unique
+ * @param {Array<String>} values - the values of the enumeration
+ * @returns {Array<String>} - the name of the member for each value
+ */
+function enumMemberNames(values) {
+    let used = new Set();
+
+    return values.map((value, i) => {
+        let name = value
+            .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+            .replace(/[^A-Za-z0-9]+/g, "_")
+            .replace(/^_+|_+$/g, "")
+            .toUpperCase();
+
+        if(name === "") {
+            let words = Array.from(value).map((c) => SYMBOL_WORDS[c]);
+            name = words.every((word) => word) ? words.join("_") : `VALUE_${i + 1}`;
+        }
+        if(/^[0-9]/.test(name)) {
+            name = `_${name}`;
+        }
+
+        let unique = name;
+        for(let n = 2; used.has(unique); n++) {
+            unique = `${name}_${n}`;
+        }
+        used.add(unique);
+
+        return unique;
+    });
+}
+
+/**
+ * Formats lines of text as a JSDoc comment, on a single line if the text fits on one
+ * @param {Array<String>} lines - the text, each entry of which may itself span several lines
+ * @param {String} indent - the indentation of the comment
+ * @returns {String} - the comment
+ */
+function docComment(lines, indent) {
+    let text = lines
+        .map((line) => line.replace(/\*\//g, "*\\/").trim())
+        .join("\n")
+        .split("\n")
+        .map((line) => line.trim());
+
+    if(text.length === 1) {
+        return `${indent}/** ${text[0]} */`;
+    }
+    return [`${indent}/**`, ...text.map((line) => `${indent} * ${line}`.replace(/\s+$/, "")), `${indent} */`].join("\n");
+}
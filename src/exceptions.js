@@ -1,3 +1,7 @@
+/**
+ * @module exceptions - the exceptions thrown throughout the project
+ */
+
 'use strict';
 
 class Exception {
@@ -16,4 +20,113 @@ class Exception {
     toString() {
         return this._errString;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Thrown when a schema document cannot be read, parsed or merged into a schema set
+ */
+class SchemaLoadException extends Exception {
+    /**
+     * @param {String} errString - description of the problem
+     * @param {String} location - the schema location (file or URL) that caused the problem
+     */
+    constructor(errString, location) {
+        super(location ? `${errString} (${location})` : errString);
+        this._location = location;
+    }
+
+    get location() {
+        return this._location;
+    }
+}
+
+/**
+ * Thrown when the content of a schema is invalid or cannot be modelled
+ */
+class SchemaException extends Exception {
+    /**
+     * @param {String} errString - description of the problem
+     * @param {String} location - the schema document the problem was found in
+     */
+    constructor(errString, location) {
+        super(location ? `${errString} (${location})` : errString);
+        this._location = location;
+    }
+
+    get location() {
+        return this._location;
+    }
+}
+
+/**
+ * Thrown when a QName used in a schema does not resolve to a component
+ */
+class SchemaReferenceException extends SchemaException {
+    /**
+     * @param {String} errString - description of the problem
+     * @param {String} component - description of the referencing component, e.g. 
+     *                             "element 'status' in complexType 'Account'"
+     * @param {String} location - the schema document the referencing component is declared in
+     */
+    constructor(errString, component, location) {
+        super(`${errString} referenced by ${component}`, location);
+        this._component = component;
+    }
+
+    get component() {
+        return this._component;
+    }
+}
+
+/**
+ * Thrown when a value assigned to an instance of a generated class breaks a constraint of the schema
+ */
+class ValidationException extends Exception {
+    /**
+     * @param {String} errString - description of the problem
+     * @param {Object} details - { type, property, constraint, value }: the name of the class and 
+     *                           property the value was assigned to, the constraint it breaks (e.g.
+     *                           "choice") and the value itself
+     */
+    constructor(errString, details) {
+        super(errString);
+        this._details = details || {};
+    }
+
+    get type() {
+        return this._details.type;
+    }
+
+    get property() {
+        return this._details.property;
+    }
+
+    get constraint() {
+        return this._details.constraint;
+    }
+
+    get value() {
+        return this._details.value;
+    }
+}
+
+/**
+ * Thrown when the command line interface is given arguments it can't run with
+ */
+class UsageException extends Exception {
+    /**
+     * @param {String} errString - description of the problem
+     */
+    constructor(errString) {
+        super(errString);
+    }
+}
+
+module.exports = {
+    Exception,
+    SchemaLoadException,
+    SchemaException,
+    SchemaReferenceException,
+    ValidationException,
+    UsageException
+};
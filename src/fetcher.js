@@ -0,0 +1,98 @@
+/**
+ * @module fetcher - the default fetcher used to read schemas from http, https and file URLs
+ */
+
+'use strict';
+
+/**
+ * For http URLs
+ */
+const http  = require('http')
+/**
+ * For https URLs
+ */
+    , https = require('https')
+/**
+ * For file URLs
+ */
+    , fs    = require('fs')
+/**
+ * For converting file URLs to paths
+ */
+    , url   = require('url')
+/**
+ * Exceptions
+ */
+    , exceptions = require('./exceptions');
+
+/**
+ * The maximum number of redirects followed for a single fetch
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * How long, in milliseconds, a server may send nothing before a fetch gives up on it, unless
+ * options.timeout says otherwise
+ */
+const DEFAULT_TIMEOUT = 30000;
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+
+    /**
+     * Fetches the content at a URL. Any function with the same signature can be passed to
+     * processSchema as options.fetcher to replace this one.
+     * @param {String} location - an absolute http, https or file URL
+     * @param {Object} options - optional { timeout }: how long, in milliseconds, the server may send
+     *                           nothing (defaults to DEFAULT_TIMEOUT)
+     * @returns {Promise<String>} - a Promise that will resolve to the content at the URL
+     * @throws {exceptions.SchemaLoadException} - if the server sends nothing for too long
+     */
+    fetch : async function( location, options = {} ) {
+        return fetchURL(location, 0, options.timeout || DEFAULT_TIMEOUT);
+    }
+}
+
+function fetchURL(location, redirects, timeout) {
+    let parsed = new URL(location);
+
+    if(parsed.protocol === 'file:') {
+        return fs.promises.readFile(url.fileURLToPath(parsed), {encoding:'utf8'});
+    }
+
+    let client = { 'http:': http, 'https:': https }[parsed.protocol];
+    if(!client) {
+        return Promise.reject(new Error(`Unsupported protocol ${parsed.protocol}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        let request = client.get(parsed, (res) => {
+            if(res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if(redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects`));
+                } else {
+                    resolve(fetchURL(new URL(res.headers.location, parsed).href, redirects + 1, timeout));
+                }
+                return;
+            }
+
+            if(res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP status ${res.statusCode}`));
+                return;
+            }
+
+            let chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            res.on('error', reject);
+        });
+
+        request.on('error', reject);
+        request.setTimeout(timeout, () => {
+            reject(new exceptions.SchemaLoadException(`Cannot fetch schema: the server sent nothing for ${timeout} ms`, location));
+            request.destroy();
+        });
+    });
+}
@@ -12,21 +12,37 @@ const { start } = require('repl');
  */
 const CONST = require('./const')
 /**
- * Used for XPath queries into the XML XSD schema file
+ * Utilities module
  */
-    , xpath = require('xpath')
+    , util   = require('./util')
 /**
- * Required to parse XML DOC of the XSD
+ * For reading the XSD file(s)
  */
-    , dom   = require('xmldom').DOMParser
+    , loader = require('./loader')
 /**
- * Utilities module
+ * Builds the schema model from the XSD file(s)
  */
-    , util   = require('./util')
+    , builder = require('./builder')
+/**
+ * Links the references in the schema model
+ */
+    , resolver = require('./resolver')
+/**
+ * Lays out the properties of the complex types in the schema model
+ */
+    , properties = require('./properties')
+/**
+ * Generates the modules
+ */
+    , emitter = require('./emitter')
+/**
+ * Exports the model as a JSON Schema document
+ */
+    , jsonSchema = require('./jsonSchema')
 /**
- * For reading an XSD file
+ * Runs the hooks of the plugins
  */
-    , fs     = require('fs')
+    , plugins = require('./plugins')
 /**
  * XSD data types
  */
@@ -42,189 +58,60 @@ const CONST = require('./const')
  * @typedef {Object} processSchema~options
  * @property {string} schemaURL - optional URL to the XSD (cannot be specified with schemaFile - one must be specified)
  * @property {string} schemaFile - optional Filename of the XSD (cannot be specified with schemaURL - one must be specified)
+ * @property {Array<string>} schemas - optional files or URLs of further XSDs to load into the same schema set
  * @property {Object} namespaces - optional Object containing additional namespaces with prefixes to be expected in the XSD
+ * @property {Function} fetcher - optional async function(url, { timeout }) resolving to the content at an http, https 
+ *                                or file URL (defaults to fetcher.fetch)
+ * @property {string|boolean} cacheDir - optional directory in which fetched schemas are cached (true for
+ *                                       ~/.cache/gnm-xsd-to-nodejs-classes); schemas are not cached
+ *                                       unless it is given, nor are file URLs
+ * @property {boolean} offline - optional, when true schemas are only read from the cache and never fetched
+ *                               (requires cacheDir; file URLs are still read)
+ * @property {number} fetchTimeout - optional number of milliseconds a server may send nothing before
+ *                                   fetching a schema from it fails (defaults to 30 seconds)
+ * @property {string} outputDir - optional directory to write the generated modules to
+ * @property {string} runtimeModule - optional module the generated classes import the runtime from 
+ *                                    (defaults to gnm-xsd-to-nodejs-classes/src/runtime, or its
+ *                                    index.js for ES modules)
+ * @property {string} moduleFormat - optional format of the generated modules: "commonjs" (the default)
+ *                                   or "esm" for ES modules
+ * @property {boolean} declarations - optional, when true a TypeScript declarations (.d.ts) file is
+ *                                    written next to each generated module
+ * @property {Array<Object|string>} plugins - optional plugins~Plugin objects, or the names of modules exporting
+ *                                            them, that handle XSD nodes and hook into building the model 
+ *                                            and emitting the modules (see the plugins module)
+ * @property {string} jsonSchemaFile - optional file to write a JSON Schema (draft 2020-12) document to,
+ *                                     describing the JSON of the generated classes
+ * @property {naming~options} naming - optional overrides of the names of the generated classes, files
+ *                                     and properties (see the naming module)
  */
 
 module.exports = {
     /**
-     * Processes one or more XSD files to generate node.js classes
+     * Processes one or more XSD files to generate node.js classes, which are written to 
+     * options.outputDir if it is set
      * @param {processSchema~options} options - configures how the processSchema function operates
-     * @returns {Promise} - a Promise that will resolve to a boolean indicating success
+     * @returns {Promise<model.SchemaModel>} - a Promise that will resolve to the model of the schema set
      */
     processSchema : async function( options ) {
-        // Read the XML schema from either a URL or specified file 
-        let xmlString;
+        // Read the XML schema, and everything it includes or imports, from either a URL or specified file 
+        let schemaSet = await loader.loadSchemaSet(options);
 
-        if(!util.isEmptyString(options['schemaURL'])) {
-            // TODO: read schema from URL
-        }
+        let plugged = plugins.resolvePlugins(options),
+            schemaModel = builder.buildModel(options, schemaSet);
+        plugins.runHook(plugged, "afterBuild", schemaModel, options);
 
-        if(!util.isEmptyString(options['schemaFile'])) {
-            if(!util.isEmptyString(xmlString)) {
-                throw new exceptions.Exception("Cannot specify both schemaURL and schemaFile");
-            }
-            xmlString = fs.readFileSync(options.schemaFile, {encoding:'utf8', flag:'r'});
-        }
+        resolver.resolveModel(schemaModel);
+        properties.collectProperties(schemaModel);
+        plugins.runHook(plugged, "afterLayout", schemaModel, options);
 
-        if(util.isEmptyString(xmlString)) {
-            throw new exceptions.Exception("Must specify either schemaURL or schemaFile");
+        if(options.outputDir) {
+            emitter.writeModules(options.outputDir, emitter.emitModel(schemaModel, options));
         }
-
-        let ns = options.namespaces || {};
-        ns.xs = CONST.XML_SCHEMA_NS;
-
-        let doc = new dom().parseFromString(xmlString);
-
-        let schema = {},
-            schemaNode,
-            result = executeXPathLookup(options, doc, "/xs:schema");
-        schema["elements"] = {};
-        while(schemaNode = result.iterateNext()) {
-            processNode(options, schema.elements, schemaNode);
+        if(options.jsonSchemaFile) {
+            jsonSchema.writeSchema(options.jsonSchemaFile, jsonSchema.exportModel(schemaModel, { naming: options.naming }));
         }
 
-        console.log(JSON.stringify(schema, null, 2));
-
-        return true;
+        return schemaModel;
     }
 }
-
-// TODO: Need to figure out if this is an object or an array
-//       - Maybe use count of siblingNodes?
-function processNode(options, obj, xmlNode, ignoreAttrs) {
-    addAllAttributes(options, obj, xmlNode, ignoreAttrs);
-
-    let preProcessor,
-        postProcessor,
-        nextIgnoreAttrs,
-        newObj,
-        newName = null,
-        node,
-        result = executeXPathLookup(options, xmlNode, "child::*");
-
-    while(node = result.iterateNext()) {
-        let processorFunc = processors[node.localName];
-
-
-        // I have to rethink this processor/postprocessor thing
-        //   More like I have to allow processorFuncs to process into a node
-
-        if(processorFunc) {
-            preProcessor = processorFunc["pre"];
-            postProcessor = processorFunc["post"];
-            nextIgnoreAttrs = processorFunc["ignoreAttrs"];
-        }
-
-        if(preProcessor) 
-            newObj = preProcessor(options, obj, node);
-
-        processNode(options, newObj ? newObj : obj, node, nextIgnoreAttrs);
-
-        if(postProcessor)
-            postProcessor(options, obj, node);
-
-    }
-
-    return obj;
-}
-
-let processors = {
-    /**
-     * pre          :   pre-processor
-     * post         :   post-processor
-     * ignoreAttrs  :   attributes to ignore
-     */
-    "element" : {
-        "pre" : (options, obj, node) => {
-            let name = node.getAttribute("name") || node.getAttribute("ref");
-            obj[name] = {};
-            return obj[name];
-        },
-        "ignoreAttrs" : [
-            "name",
-            "ref"
-        ]
-    },
-    "complexType" : {
-        "pre" : (options, obj, node) => {
-            let name = node.getAttribute("name") || node.getAttribute("ref");
-            obj[name] = {};
-            return obj[name];
-        },
-        "ignoreAttrs" : [
-            "name",
-            "ref"
-        ]
-    },
-    "simpleType" : {
-        "pre" : (options, obj, node) => {
-            let name = node.getAttribute("name") || node.getAttribute("ref");
-            obj[name] = {};
-            return obj[name];
-        },
-        "ignoreAttrs" : [
-            "name",
-            "ref"
-        ]
-    },
-    "extension" : {
-        "pre" : (options, obj, node) => {
-            // I don't think this works here
-            obj["base"] = node.getAttribute("base");
-            obj["properties"] = {};
-            return obj.properties;
-        },
-        "ignoreAttrs" : [
-            "base"
-        ]
-    },
-    "attribute" : {
-        "pre" : (options, obj, node) => {
-            let name = node.getAttribute("ref") || node.getAttribute("name");
-            obj[name] = {};
-            return obj[name];
-        },
-        "ignoreAttrs" : [
-            "name",
-            "ref"
-        ]
-    },
-    "documentation" : {
-        "pre" : (options, obj, node) => {
-            if(node.childNodes.length > 0)
-                obj["comment"] = node.childNodes[0].nodeValue;
-            return obj;
-        }
-    }
-}
-
-function addAllAttributes(options, obj, doc, exceptions) {
-    let result = executeXPathLookup(options, doc, "attribute::*");
-    let node;
-    while(node = result.iterateNext()) {
-        if(!exceptions 
-            || !Array.isArray(exceptions) 
-            || !exceptions.includes(node.localName)) {
-
-                //console.log(node);
-                obj[node.localName] = node.nodeValue;
-        }
-    }
-}
-
-function executeXPathLookup(options, doc, query) {
-    let ns = options.namespaces || {};
-    ns.xs = CONST.XML_SCHEMA_NS;
-
-    return xpath.evaluate(
-        query,
-        doc,
-        {
-            lookupNamespaceURI: (prefix) => {
-                return ns[prefix] || null;
-            }
-        },
-        xpath.XPathResult.ANY_TYPE,
-        null
-    );
-}
\ No newline at end of file
@@ -0,0 +1,507 @@
+/**
+ * @module jsonSchema - exports a schema model as a JSON Schema (draft 2020-12) document describing the
+ * JSON of the generated classes, as the plain mapping of the runtime json module writes it
+ */
+
+'use strict';
+
+/**
+ * The schema model
+ */
+const model = require('./model')
+/**
+ * Describes the types for the runtime
+ */
+    , descriptors = require('./descriptors')
+/**
+ * Names the members after the properties of the generated classes
+ */
+    , naming = require('./naming')
+/**
+ * Facets, for the primitive type of simple types and the translation of patterns
+ */
+    , facets = require('./runtime/facets')
+/**
+ * Converts the values of enumerations the way the plain mapping does
+ */
+    , json = require('./runtime/json')
+/**
+ * XSD data types, for the constraints the built-in types are derived with
+ */
+    , types = require('./dataTypes')
+/**
+ * For writing the document
+ */
+    , fs = require('fs')
+    , path = require('path');
+
+/**
+ * The dialect of the documents
+ */
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * The lexical representations the plain mapping writes numbers with when a JSON number would lose
+ * them (e.g. "1.50", "INF"), by primitive type
+ */
+const NUMBER_PATTERNS = {
+    "decimal"   : "^[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)$",
+    "float"     : "^([+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([Ee][+-]?[0-9]+)?|[+-]?INF|NaN)$",
+    "double"    : "^([+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([Ee][+-]?[0-9]+)?|[+-]?INF|NaN)$"
+};
+
+/**
+ * The built-in types whose values can be anything
+ */
+const ANY_TYPE_NAMES = ["anyType", "anySimpleType"];
+
+module.exports = {
+    /**
+     * Exports a model as a JSON Schema document. Each named type gets a definition in $defs, named
+     * after its XSD name, and the document itself accepts the JSON of the type of any global element:
+     *  - a complex type is an object with a member per property, named as the property of the
+     *    generated class is (see naming.nameModel), and an array for a repeating one; an
+     *    extension or restriction is the allOf of its base type and its own properties; each choice
+     *    is a oneOf of its branches, a branch being set when one of its properties is;
+     *  - a value of a complex type that has derived types is a oneOf of the type and each derived
+     *    type, the latter named by the "$type" member; objects don't take members that match no
+     *    property;
+     *  - a simple type is the JSON type of its values, with its facets as keywords: enumeration to
+     *    enum, pattern to pattern, the length facets to minLength and maxLength (minItems and maxItems
+     *    for a list), the bounds of numbers to minimum, maximum, exclusiveMinimum and
+     *    exclusiveMaximum, and fractionDigits 0 to multipleOf 1; a list is an array and a union the
+     *    anyOf of its member types. The other facets can't be expressed and are left out, and a number
+     *    written as a string, to keep its lexical form, is only checked against the patterns.
+     * @param {model.SchemaModel} schemaModel - a model whose properties are laid out
+     * @param {Object} options - optional options: { id } sets the $id of the document, and naming
+     *                           (see naming~options) the names of the members as for the classes
+     * @returns {Object} - the JSON Schema document
+     */
+    exportModel : function( schemaModel, options = {} ) {
+        let context = {
+            names   : nameDefinitions(schemaModel),
+            members : naming.nameModel(schemaModel, options),
+            derived : derivedTypes(schemaModel)
+        };
+
+        let document = { $schema: JSON_SCHEMA_DIALECT };
+        if(options.id) {
+            document.$id = options.id;
+        }
+
+        let roots = Array.from(schemaModel.elements.values())
+            .filter((element) => element.type instanceof model.ComplexType)
+            .map((element) => valueSchema(element.type, context));
+        if(roots.length > 0) {
+            document.anyOf = uniqueSchemas(roots);
+        }
+
+        document.$defs = {};
+        for(let [type, name] of context.names) {
+            document.$defs[name] = type instanceof model.ComplexType ? complexDefinition(type, context)
+                : simpleDefinition(type, context);
+        }
+
+        return document;
+    },
+
+    /**
+     * Writes a JSON Schema document to a file, creating its directory if needed
+     * @param {String} file - the file
+     * @param {Object} document - the document
+     * @returns {String} - the file
+     */
+    writeSchema : function( file, document ) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(document, null, 4), {encoding:'utf8'});
+        return file;
+    }
+}
+
+/**
+ * Names the definition of each named type after the type, appending a number to a name another
+ * namespace already took
+ * @param {model.SchemaModel} schemaModel - the model
+ * @returns {Map} - the name of the definition of each type
+ */
+function nameDefinitions(schemaModel) {
+    let names = new Map(),
+        taken = new Set();
+
+    for(let type of schemaModel.types.values()) {
+        let name = type.name;
+        for(let n = 2; taken.has(name); n++) {
+            name = `${type.name}${n}`;
+        }
+        taken.add(name);
+        names.set(type, name);
+    }
+    return names;
+}
+
+/**
+ * Lists the named complex types derived, directly or not, from each named complex type
+ * @param {model.SchemaModel} schemaModel - the model
+ * @returns {Map} - the derived types of each type that has some, in the order of the model
+ */
+function derivedTypes(schemaModel) {
+    let derived = new Map();
+
+    for(let type of schemaModel.types.values()) {
+        if(!(type instanceof model.ComplexType)) {
+            continue;
+        }
+        for(let base = type.base; base instanceof model.ComplexType; base = base.base) {
+            if(base.name) {
+                derived.set(base, (derived.get(base) || []).concat(type));
+            }
+        }
+    }
+    return derived;
+}
+
+/**
+ * Returns the reference to the definition of a type
+ */
+function reference(type, context) {
+    return { $ref: `#/$defs/${context.names.get(type).replace(/~/g, "~0").replace(/\//g, "~1")}` };
+}
+
+/**
+ * Returns the schema of a value of a complex type, which may be of a type derived from it named by
+ * its $type member, with no member that matches no property
+ * @param {model.ComplexType} type - the type
+ * @param {Object} context - the names of the definitions and members, and the derived types
+ * @returns {Object} - the schema
+ */
+function valueSchema(type, context) {
+    let schema = (candidate) => context.names.has(candidate) ? reference(candidate, context) : complexDefinition(candidate, context),
+        variants = (context.derived.get(type) || []).filter((derived) => !derived.abstract);
+
+    if(variants.length === 0) {
+        return Object.assign(schema(type), { unevaluatedProperties: false });
+    }
+
+    let typeName = (derived) => derived.targetNamespace === type.targetNamespace ? derived.name
+        : `{${derived.targetNamespace || ""}}${derived.name}`;
+
+    return {
+        oneOf: (type.abstract ? [] : [Object.assign(schema(type), { not: { required: ["$type"] }, unevaluatedProperties: false })])
+            .concat(variants.map((derived) => Object.assign(schema(derived), {
+                properties              : { $type: { const: typeName(derived) } },
+                required                : ["$type"],
+                unevaluatedProperties   : false
+            })))
+    };
+}
+
+/**
+ * Returns the definition of a complex type: its own properties and choices, in an allOf with its
+ * base type if it derives from another complex type
+ * @param {model.ComplexType} type - the type
+ * @param {Object} context - the names of the definitions and members, and the derived types
+ * @returns {Object} - the schema
+ */
+function complexDefinition(type, context) {
+    let own = { type: "object", properties: {} },
+        required = [],
+        constraints = [];
+
+    for(let property of type.properties) {
+        let name = context.members.propertyName(property);
+        if(property.maxOccurs === 0) {
+            own.properties[name] = false;
+            continue;
+        }
+        if(Object.prototype.hasOwnProperty.call(own.properties, name)) {
+            continue;
+        }
+
+        let item = property.type instanceof model.ComplexType ? valueSchema(property.type, context)
+                : simpleSchema(property.type, context),
+            schema = property.isArray ? arraySchema(item, property.minOccurs, property.maxOccurs) : item,
+            documentation = (property.declaration.ref || property.declaration).documentation;
+
+        own.properties[name] = documentation ? Object.assign({ description: documentation }, schema) : schema;
+        if(property.minOccurs > 0 && !property.choice) {
+            required.push(name);
+        }
+    }
+
+    let text = descriptors.describeComplexType(type).properties.find((property) => property.kind === "text");
+    if(text) {
+        own.properties[text.name] = textSchema(type, context);
+    }
+
+    if(required.length > 0) {
+        own.required = required;
+    }
+    for(let choice of type.choices) {
+        let schema = choiceSchema(choice, context);
+        if(schema) {
+            constraints.push(schema);
+        }
+    }
+
+    let definition = type.base instanceof model.ComplexType ? { allOf: [reference(type.base, context), own, ...constraints] }
+        : constraints.length > 0 ? { allOf: [own, ...constraints] }
+        : own;
+
+    return type.documentation ? Object.assign({ description: type.documentation }, definition) : definition;
+}
+
+/**
+ * Returns the schema of a choice that doesn't repeat: a oneOf of its branches, a branch being taken
+ * when one of its properties is set and those of the other branches aren't, plus none of them being
+ * set if the choice is optional. The properties of a branch are all optional in the model, so which
+ * of them a branch requires isn't checked. When branches share properties, setting only those takes
+ * more than one branch, so the schema is an anyOf instead.
+ * @param {model.Choice} choice - the choice
+ * @param {Object} context - the names of the definitions and members, and the derived types
+ * @returns {Object} - the schema, or null if the choice has a single branch or repeats
+ */
+function choiceSchema(choice, context) {
+    if(choice.isRepeating || choice.branches.length < 2) {
+        return null;
+    }
+
+    let present = (properties) => ({ anyOf: properties.map((property) => ({ required: [context.members.propertyName(property)] })) }),
+        all = choice.branches.flatMap((branch) => branch.properties),
+        properties = Array.from(new Set(all)),
+        branches = choice.branches.map((branch) => {
+            let others = properties.filter((property) => !branch.properties.includes(property));
+            return others.length > 0 ? Object.assign(present(branch.properties), { not: present(others) }) : present(branch.properties);
+        });
+
+    if(choice.minOccurs === 0) {
+        branches.unshift({ not: present(properties) });
+    }
+    return properties.length < all.length ? { anyOf: branches } : { oneOf: branches };
+}
+
+/**
+ * Returns the schema of the text of a complex type with simple content that declares it: that of the
+ * simple type it extends, or the facets it restricts the text of its base type with
+ */
+function textSchema(type, context) {
+    if(!(type.base instanceof model.ComplexType)) {
+        return simpleSchema(type.base, context);
+    }
+
+    let simpleType = type.base;
+    while(simpleType instanceof model.ComplexType) {
+        simpleType = simpleType.base;
+    }
+    return facetKeywords(facetValues(type.facets), kindOf(simpleType), null);
+}
+
+/**
+ * Returns the schema of an array of items
+ */
+function arraySchema(items, minOccurs, maxOccurs) {
+    let schema = { type: "array", items: items };
+
+    if(minOccurs > 0) {
+        schema.minItems = minOccurs;
+    }
+    if(maxOccurs !== Infinity) {
+        schema.maxItems = maxOccurs;
+    }
+    return schema;
+}
+
+/**
+ * Returns the schema of a value of a simple type: a reference to the definition of a named type, or
+ * the definition of an anonymous or built-in one
+ * @param {model.SimpleType|model.BuiltinType} type - the type, or null for any value
+ * @param {Object} context - the names of the definitions
+ * @returns {Object} - the schema
+ */
+function simpleSchema(type, context) {
+    if(!type || (type.isBuiltin && ANY_TYPE_NAMES.includes(type.name))) {
+        return {};
+    }
+    if(context.names.has(type)) {
+        return reference(type, context);
+    }
+    return type.isBuiltin ? builtinSchema(type, context) : simpleDefinition(type, context);
+}
+
+/**
+ * Returns the definition of a simple type declared in a schema
+ * @param {model.SimpleType} type - the type
+ * @param {Object} context - the names of the definitions
+ * @returns {Object} - the schema
+ */
+function simpleDefinition(type, context) {
+    let definition;
+
+    if(type.variety === "list") {
+        definition = { type: "array", items: simpleSchema(type.itemType, context) };
+    } else if(type.variety === "union") {
+        definition = { anyOf: type.memberTypes.map((memberType) => simpleSchema(memberType, context)) };
+    } else {
+        definition = simpleSchema(type.base, context);
+    }
+
+    let keywords = facetKeywords(facetValues(type.facets), kindOf(type), descriptors.describeSimpleType(type));
+    if(Object.keys(keywords).length > 0) {
+        definition = conjoin(definition, keywords);
+    }
+
+    return type.documentation ? Object.assign({ description: type.documentation }, definition) : definition;
+}
+
+/**
+ * Returns the schema of a built-in type: the JSON type of its values, with the constraints it and
+ * its base types are derived with. A constraint of a type takes precedence over the same constraint
+ * of its base types, which it narrows.
+ */
+function builtinSchema(type, context) {
+    if(type.variety === "list") {
+        return { type: "array", items: simpleSchema(type.itemType, context) };
+    }
+
+    let primitive = facets.primitive(type.name),
+        kind = kindOf(type),
+        keywords = {};
+
+    for(let current = type.name; current; current = types[current].baseType) {
+        let constraints = Object.assign({}, types[current].constraints);
+        if(constraints.pattern) {
+            constraints.pattern = [constraints.pattern];
+        }
+        keywords = Object.assign(facetKeywords(constraints, kind, null), keywords);
+    }
+
+    if(primitive === "boolean") {
+        return Object.assign({ type: "boolean" }, keywords);
+    }
+    if(NUMBER_PATTERNS[primitive]) {
+        return Object.assign({ type: [isInteger(type.name) ? "integer" : "number", "string"], pattern: NUMBER_PATTERNS[primitive] }, keywords);
+    }
+    if(primitive === "base64Binary") {
+        return Object.assign({ type: "string", contentEncoding: "base64" }, keywords);
+    }
+    return Object.assign({ type: "string" }, keywords);
+}
+
+/**
+ * Groups the facets of a type by name, the values of its pattern and enumeration facets in arrays
+ */
+function facetValues(typeFacets) {
+    let values = {};
+
+    for(let facet of typeFacets) {
+        if(facet.name === "pattern" || facet.name === "enumeration") {
+            values[facet.name] = (values[facet.name] || []).concat(facet.value);
+        } else {
+            values[facet.name] = facet.value;
+        }
+    }
+    return values;
+}
+
+/**
+ * Returns the kind of JSON value a simple type has: "boolean", "number", "string", "list", "binary"
+ * or "other" (dates, durations, unions...)
+ */
+function kindOf(type) {
+    let current = type;
+    while(current && !current.isBuiltin && current.variety === "atomic") {
+        current = current.base;
+    }
+    if(!current || current.variety === "list") {
+        return current ? "list" : "other";
+    }
+    if(!current.isBuiltin) {
+        return "other";
+    }
+
+    let primitive = facets.primitive(current.name);
+    return primitive === "boolean" ? "boolean"
+        : NUMBER_PATTERNS[primitive] ? "number"
+        : primitive === "hexBinary" || primitive === "base64Binary" ? "binary"
+        : ["string", "anyURI", "QName", "NOTATION"].includes(primitive) ? "string"
+        : "other";
+}
+
+/**
+ * Translates the facets of a type into JSON Schema keywords
+ * @param {Object} values - the facet values by facet name, those of pattern and enumeration in arrays
+ * @param {String} kind - the kind of JSON value of the type (see kindOf)
+ * @param {String|Object} descriptor - the description of the type, to convert the values of its
+ *                                     enumeration with, or null to leave them lexical
+ * @returns {Object} - the keywords
+ */
+function facetKeywords(values, kind, descriptor) {
+    let keywords = {};
+
+    if(values.enumeration) {
+        keywords.enum = values.enumeration.map((value) => descriptor ? json.simpleToJSON(value, descriptor) : value);
+    }
+    if(values.pattern && kind !== "list") {
+        keywords.pattern = values.pattern.map((pattern) => facets.regExp(pattern).source).join("|");
+    }
+    if(kind === "string" || kind === "list" || kind === "other") {
+        let [min, max] = kind === "list" ? ["minItems", "maxItems"] : ["minLength", "maxLength"];
+        if(values.length !== undefined) {
+            keywords[min] = keywords[max] = Number(values.length);
+        }
+        if(values.minLength !== undefined) {
+            keywords[min] = Number(values.minLength);
+        }
+        if(values.maxLength !== undefined) {
+            keywords[max] = Number(values.maxLength);
+        }
+    }
+    if(kind === "number") {
+        let bounds = { minInclusive: "minimum", maxInclusive: "maximum", minExclusive: "exclusiveMinimum", maxExclusive: "exclusiveMaximum" };
+        for(let facet of Object.keys(bounds)) {
+            if(values[facet] !== undefined && isFinite(Number(values[facet]))) {
+                keywords[bounds[facet]] = Number(values[facet]);
+            }
+        }
+        if(values.fractionDigits !== undefined && Number(values.fractionDigits) === 0) {
+            keywords.multipleOf = 1;
+        }
+    }
+    return keywords;
+}
+
+/**
+ * Tells whether a built-in type derives from integer
+ */
+function isInteger(name) {
+    for(let current = name; current; current = types[current].baseType) {
+        if(current === "integer") {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Returns a schema both schemas apply in: their keywords merged if they have none in common, or
+ * else their allOf
+ */
+function conjoin(a, b) {
+    let shared = Object.keys(b).some((keyword) => Object.prototype.hasOwnProperty.call(a, keyword));
+    return shared || a.$ref ? { allOf: [a, b] } : Object.assign({}, a, b);
+}
+
+/**
+ * Removes the duplicates from a list of schemas
+ */
+function uniqueSchemas(schemas) {
+    let seen = new Set();
+
+    return schemas.filter((schema) => {
+        let key = JSON.stringify(schema);
+        if(seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
@@ -0,0 +1,361 @@
+/**
+ * @module loader - reads XSD documents and follows their xs:include / xs:import
+ * schemaLocations to build one merged schema set
+ */
+
+'use strict';
+
+/**
+ * Reference to the CONSTANTS module
+ */
+const CONST = require('./const')
+/**
+ * Required to parse XML DOC of the XSD
+ */
+    , dom   = require('xmldom').DOMParser
+/**
+ * Utilities module
+ */
+    , util   = require('./util')
+/**
+ * For reading XSD files
+ */
+    , fs     = require('fs')
+/**
+ * For resolving schemaLocations relative to the including file
+ */
+    , path   = require('path')
+/**
+ * For the default cache directory
+ */
+    , os     = require('os')
+/**
+ * The default fetcher for schemaURLs
+ */
+    , fetcher = require('./fetcher')
+/**
+ * The local cache of fetched schemas
+ */
+    , cache  = require('./cache')
+/**
+ * Exceptions
+ */
+    , exceptions  = require('./exceptions');
+
+/**
+ * Top level schema children that define named components
+ */
+const COMPONENT_KINDS = [
+    "element",
+    "complexType",
+    "simpleType",
+    "attribute",
+    "attributeGroup",
+    "group",
+    "notation"
+];
+
+/**
+ * Where fetched schemas are cached when options.cacheDir is true, and read from offline when it is
+ * not given
+ */
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'gnm-xsd-to-nodejs-classes');
+
+/**
+ * @typedef {Object} loader~SchemaDocument
+ * @property {String} location - absolute location of the document (a file path, or a URL if the document 
+ *                               was fetched)
+ * @property {Document} doc - the parsed XML document
+ * @property {Element} root - the xs:schema element of the document
+ * @property {String} targetNamespace - the effective target namespace of the document (a document without 
+ *                                      one that is included takes the namespace of the including document)
+ * @property {boolean} chameleon - true if the document has no targetNamespace and is included into one, so
+ *                                 that the names it references without a namespace are in that one
+ * @property {String} elementFormDefault - "qualified" or "unqualified"
+ * @property {String} attributeFormDefault - "qualified" or "unqualified"
+ * @property {Array<String>} includes - locations of the documents this one includes
+ * @property {Array<Object>} imports - { namespace, location } of each xs:import in this document
+ */
+
+/**
+ * @typedef {Object} loader~SchemaComponent
+ * @property {String} kind - the local name of the defining node (element, complexType, ...)
+ * @property {String} name - the name of the component
+ * @property {String} targetNamespace - the namespace the component belongs to
+ * @property {loader~SchemaDocument} document - the document the component was defined in
+ * @property {Element} node - the defining node
+ */
+
+/**
+ * @typedef {Object} loader~SchemaSet
+ * @property {Array<loader~SchemaDocument>} documents - every document loaded, in load order (a document
+ *                                                      without a targetNamespace once for each namespace
+ *                                                      it is included into)
+ * @property {Array<loader~SchemaComponent>} components - every top level named component of every document
+ * @property {Array<Array<String>>} cycles - include/import cycles found while loading, each one a list of 
+ *                                          locations that starts and ends with the same location
+ */
+
+module.exports = {
+    /**
+     * Loads the schema named in the options along with everything it includes or imports. Several
+     * schemas may be loaded into one set by listing their files or URLs in options.schemas.
+     * @param {processSchema~options} options - the options passed to processSchema
+     * @returns {Promise<loader~SchemaSet>} - a Promise that will resolve to the merged schema set
+     */
+    loadSchemaSet : async function( options ) {
+        let location,
+            locations = [];
+
+        if(!util.isEmptyString(options['schemaURL'])) {
+            if(!isURL(options.schemaURL)) {
+                throw new exceptions.Exception(`schemaURL must be an absolute URL: ${options.schemaURL}`);
+            }
+            location = new URL(options.schemaURL).href;
+        }
+
+        if(!util.isEmptyString(options['schemaFile'])) {
+            if(!util.isEmptyString(location)) {
+                throw new exceptions.Exception("Cannot specify both schemaURL and schemaFile");
+            }
+            location = path.resolve(options.schemaFile);
+        }
+
+        if(!util.isEmptyString(location)) {
+            locations.push(location);
+        }
+        for(let schema of options.schemas || []) {
+            locations.push(isURL(schema) ? new URL(schema).href : path.resolve(schema));
+        }
+
+        if(locations.length === 0) {
+            throw new exceptions.Exception("Must specify schemaURL, schemaFile or schemas");
+        }
+
+        let context = {
+            options     : options,
+            documents   : new Map(),
+            chameleons  : new Map(),
+            stack       : [],
+            schemaSet   : {
+                documents   : [],
+                components  : [],
+                cycles      : []
+            }
+        };
+
+        for(let location of locations) {
+            await loadDocument(context, location, null);
+        }
+
+        return context.schemaSet;
+    }
+}
+
+/**
+ * Loads a single document and, depth first, everything it includes or imports. A document that is
+ * already loaded is not loaded again; one that is still being loaded further up the chain is a cycle.
+ * A document without a targetNamespace is loaded again for each namespace it is included into, as
+ * its components belong to each (a "chameleon" include).
+ * @param {Object} context - the state of the current load
+ * @param {String} location - absolute location of the document to load
+ * @param {String} includingNamespace - the target namespace of the including document, or null if 
+ *                                      the document is the root or is imported
+ * @returns {Promise<loader~SchemaDocument>} - the loaded document
+ */
+async function loadDocument(context, location, includingNamespace) {
+    let key = documentKey(context, location, includingNamespace),
+        cycleStart = context.stack.indexOf(key);
+    if(cycleStart >= 0) {
+        context.schemaSet.cycles.push(context.stack.slice(cycleStart).concat(key)
+            .map((k) => context.documents.get(k).location));
+        return context.documents.get(key);
+    }
+
+    if(context.documents.has(key)) {
+        return context.documents.get(key);
+    }
+
+    let text = context.chameleons.has(location) ? context.chameleons.get(location) : await readDocument(context.options, location),
+        schemaDocument = parseDocument(context.options, location, text);
+    if(schemaDocument.targetNamespace === null) {
+        schemaDocument.targetNamespace = includingNamespace;
+        schemaDocument.chameleon = includingNamespace !== null;
+        context.chameleons.set(location, text);
+        key = documentKey(context, location, includingNamespace);
+    }
+
+    context.documents.set(key, schemaDocument);
+    context.schemaSet.documents.push(schemaDocument);
+    context.stack.push(key);
+
+    let node,
+        result = util.executeXPathLookup(context.options, schemaDocument.root, "child::*");
+    while(node = result.iterateNext()) {
+        if(node.namespaceURI !== CONST.XML_SCHEMA_NS) {
+            continue;
+        }
+
+        if(node.localName === "include") {
+            let includeLocation = resolveLocation(location, node.getAttribute("schemaLocation"));
+            schemaDocument.includes.push(includeLocation);
+
+            let included = await loadDocument(context, includeLocation, schemaDocument.targetNamespace);
+            if(included.targetNamespace !== schemaDocument.targetNamespace) {
+                throw new exceptions.SchemaLoadException(
+                    `Included schema has targetNamespace '${included.targetNamespace}' but the including `
+                    + `schema has '${schemaDocument.targetNamespace}'`, includeLocation);
+            }
+        } else if(node.localName === "import") {
+            let namespace = node.getAttribute("namespace") || null,
+                importLocation = null;
+
+            if(!util.isEmptyString(node.getAttribute("schemaLocation"))) {
+                importLocation = resolveLocation(location, node.getAttribute("schemaLocation"));
+
+                let imported = await loadDocument(context, importLocation, null);
+                if(imported.targetNamespace !== namespace) {
+                    throw new exceptions.SchemaLoadException(
+                        `Imported schema has targetNamespace '${imported.targetNamespace}' but was imported `
+                        + `as '${namespace}'`, importLocation);
+                }
+            }
+            schemaDocument.imports.push({ namespace: namespace, location: importLocation });
+        } else if(COMPONENT_KINDS.includes(node.localName)) {
+            context.schemaSet.components.push({
+                kind            : node.localName,
+                name            : node.getAttribute("name"),
+                targetNamespace : schemaDocument.targetNamespace,
+                document        : schemaDocument,
+                node            : node
+            });
+        }
+    }
+
+    context.stack.pop();
+
+    return schemaDocument;
+}
+
+/**
+ * Returns the key a document is loaded under: its location, along with the namespace it is included
+ * into if it has no targetNamespace of its own
+ * @param {Object} context - the state of the current load, whose chameleons are the texts of the
+ *                           documents without a targetNamespace, by location
+ * @param {String} location - absolute location of the document
+ * @param {String} includingNamespace - the target namespace of the including document, or null
+ * @returns {String} - the key
+ */
+function documentKey(context, location, includingNamespace) {
+    return context.chameleons.has(location) ? JSON.stringify([location, includingNamespace]) : location;
+}
+
+/**
+ * Reads the text of a schema document. URLs are fetched through options.fetcher, and stored in the
+ * cache if there is one; offline, they are only read from the cache, which must then be given. File URLs
+ * are never cached, and anything else is read as a file.
+ * @param {processSchema~options} options - the options passed to processSchema
+ * @param {String} location - absolute location of the document
+ * @returns {Promise<String>} - the text of the document
+ */
+async function readDocument(options, location) {
+    if(!isURL(location)) {
+        try {
+            return fs.readFileSync(location, {encoding:'utf8', flag:'r'});
+        } catch(err) {
+            throw new exceptions.SchemaLoadException(`Cannot read schema: ${err.message}`, location);
+        }
+    }
+
+    let cached = new URL(location).protocol !== "file:",
+        cacheDir = options.cacheDir === true ? DEFAULT_CACHE_DIR : options.cacheDir || null,
+        content;
+
+    if(options.offline && cached) {
+        if(!cacheDir) {
+            throw new exceptions.SchemaLoadException("options.offline is set but there is no options.cacheDir to read the schema from", location);
+        }
+        content = cache.read(cacheDir, location);
+        if(content === null) {
+            throw new exceptions.SchemaLoadException("Schema is not in the cache and options.offline is set", location);
+        }
+        return content;
+    }
+
+    try {
+        content = await (options.fetcher || fetcher.fetch)(location, { timeout: options.fetchTimeout });
+    } catch(err) {
+        throw err instanceof exceptions.SchemaLoadException ? err
+            : new exceptions.SchemaLoadException(`Cannot fetch schema: ${err.message}`, location);
+    }
+    content = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+
+    if(cacheDir && cached) {
+        cache.write(cacheDir, location, content);
+    }
+
+    return content;
+}
+
+/**
+ * Parses the text of a schema document
+ * @param {processSchema~options} options - the options passed to processSchema
+ * @param {String} location - absolute location of the document
+ * @param {String} xmlString - the text of the document
+ * @returns {loader~SchemaDocument} - the parsed document, without its includes and imports resolved
+ */
+function parseDocument(options, location, xmlString) {
+    let errors = [],
+        doc = new dom({
+            errorHandler : {
+                warning     : () => {},
+                error       : (msg) => errors.push(msg),
+                fatalError  : (msg) => errors.push(msg)
+            }
+        }).parseFromString(xmlString.replace(/^\uFEFF/, ""));
+
+    let root = util.executeXPathLookup(options, doc, "/xs:schema").iterateNext();
+    if(errors.length > 0 || !root) {
+        throw new exceptions.SchemaLoadException(
+            `Not an XML schema document${errors.length > 0 ? ": " + errors[0] : ""}`, location);
+    }
+
+    return {
+        location                : location,
+        doc                     : doc,
+        root                    : root,
+        targetNamespace         : root.getAttribute("targetNamespace") || null,
+        elementFormDefault      : root.getAttribute("elementFormDefault") || "unqualified",
+        attributeFormDefault    : root.getAttribute("attributeFormDefault") || "unqualified",
+        chameleon               : false,
+        includes                : [],
+        imports                 : []
+    };
+}
+
+/**
+ * Resolves a schemaLocation relative to the document it appears in
+ * @param {String} baseLocation - absolute location of the referencing document
+ * @param {String} schemaLocation - the (possibly relative) schemaLocation
+ * @returns {String} - the absolute location
+ */
+function resolveLocation(baseLocation, schemaLocation) {
+    if(isURL(schemaLocation)) {
+        return new URL(schemaLocation).href;
+    }
+
+    if(isURL(baseLocation)) {
+        return new URL(schemaLocation, baseLocation).href;
+    }
+
+    return path.resolve(path.dirname(baseLocation), schemaLocation);
+}
+
+/**
+ * Returns true if a location is an absolute URL rather than a file path
+ * @param {String} location - a schema location
+ * @returns {Boolean} - true if location starts with a URL scheme
+ */
+function isURL(location) {
+    return /^[a-z][a-z0-9+.-]+:\/\//i.test(location);
+}
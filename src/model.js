@@ -0,0 +1,700 @@
+/**
+ * @module model - the intermediate representation of a schema set
+ *
+ * processSchema builds one SchemaModel from every document in the schema set. The model mirrors the
+ * structure of the XSD: named components are filed by qualified name on the SchemaModel, and anonymous
+ * types, model groups, particles, attributes and facets hang off the component that declares them.
+ *
+ * References to other components are kept as QNames in the properties ending in "Name" (typeName, 
+ * baseName, refName, itemTypeName, memberTypeNames, substitutionGroupName). Types declared inline are 
+ * kept as definitions in the matching property without the suffix (type, base, itemType, memberTypes).
+ * Once the model is resolved, those properties also link to the definitions of the referenced 
+ * components, which for the XSD built-in types are the shared BuiltinType instances in builtinTypes.
+ */
+
+'use strict';
+
+/**
+ * Reference to the CONSTANTS module
+ */
+const CONST = require('./const')
+/**
+ * Utilities module
+ */
+    , util = require('./util')
+/**
+ * XSD data types
+ */
+    , types = require('./dataTypes')
+/**
+ * Exceptions
+ */
+    , exceptions = require('./exceptions');
+
+/**
+ * A qualified name used to refer to a component
+ */
+class QName {
+    /**
+     * @param {String} namespaceURI - the namespace the prefix is bound to, or null
+     * @param {String} localName - the local part of the name
+     * @param {String} prefix - the prefix the name was written with, or null
+     */
+    constructor(namespaceURI, localName, prefix) {
+        this.namespaceURI = namespaceURI;
+        this.localName = localName;
+        this.prefix = prefix;
+    }
+
+    /**
+     * The name in {namespace}name form, as used to file components on the SchemaModel
+     */
+    get qualifiedName() {
+        return util.qualifiedName(this.namespaceURI, this.localName);
+    }
+
+    /**
+     * Returns the name as it was written in the schema
+     * @returns {String} - prefix:localName, or just localName
+     */
+    toString() {
+        return this.prefix ? `${this.prefix}:${this.localName}` : this.localName;
+    }
+}
+
+/**
+ * An xs:documentation entry of the annotation of a component
+ */
+class Documentation {
+    /**
+     * @param {String} text - the text of the entry
+     * @param {String} lang - its language, from the xml:lang in scope, or null
+     * @param {String} source - the source attribute of the entry, or null
+     */
+    constructor(text, lang, source) {
+        this.text = text;
+        this.lang = lang;
+        this.source = source;
+    }
+}
+
+/**
+ * Base class of every named schema component
+ */
+class Component {
+    /**
+     * @param {String} kind - the kind of component (the local name of the XSD element that declares it)
+     * @param {String} name - the name of the component, or null if it is anonymous
+     * @param {String} targetNamespace - the namespace the component belongs to, or null
+     * @param {String} location - the location of the schema document that declares the component
+     */
+    constructor(kind, name, targetNamespace, location) {
+        this.kind = kind;
+        this.name = name;
+        this.targetNamespace = targetNamespace;
+        this.location = location;
+        /** the text of the xs:documentation entries of the annotation, joined by blank lines, or null */
+        this.documentation = null;
+        /** the Documentation entries of the annotation, in document order */
+        this.documentations = [];
+    }
+
+    /**
+     * The name of the component qualified with its namespace, in {namespace}name form
+     */
+    get qualifiedName() {
+        return util.qualifiedName(this.targetNamespace, this.name);
+    }
+}
+
+/**
+ * An xs:complexType
+ */
+class ComplexType extends Component {
+    constructor(name, targetNamespace, location) {
+        super("complexType", name, targetNamespace, location);
+        /** true if the type is declared abstract */
+        this.abstract = false;
+        /** true if character data may appear between the child elements */
+        this.mixed = false;
+        /** true if the type has xs:simpleContent (a text value plus attributes) */
+        this.simpleContent = false;
+        /** "extension", "restriction" or null if the type is not derived */
+        this.derivation = null;
+        /** QName of the base type */
+        this.baseName = null;
+        /** the base type, once resolved */
+        this.base = null;
+        /** the ModelGroup (or GroupReference) holding the child elements declared by this type */
+        this.content = null;
+        /** the Attributes declared by this type */
+        this.attributes = [];
+        /** the AttributeGroupReferences used by this type */
+        this.attributeGroups = [];
+        /** the xs:anyAttribute Wildcard, if any */
+        this.anyAttribute = null;
+        /** the Facets of a xs:simpleContent restriction */
+        this.facets = [];
+        /** the Properties declared by this type (not those it inherits), in XSD order. Those of a 
+         *  restriction narrow the inherited properties they restrict. */
+        this.properties = [];
+        /** the Choices among the properties declared by this type, in XSD order */
+        this.choices = [];
+        /** the global Elements declared with this type, once resolved */
+        this.elements = [];
+    }
+
+    /**
+     * The properties of the type, inherited ones included: the elements, those of the base type 
+     * first, followed by the attributes. A restriction replaces each inherited property by the one 
+     * narrowing it, and leaves out those it prohibits.
+     */
+    get allProperties() {
+        let inherited = this.base instanceof ComplexType ? this.base.allProperties : [];
+
+        if(this.derivation === "restriction") {
+            return inherited
+                .map((property) => this.properties.find((own) => own.restricts === property) || property)
+                .concat(this.properties.filter((own) => !own.restricts))
+                .filter((property) => property.maxOccurs > 0);
+        }
+
+        let all = inherited.concat(this.properties);
+        return all.filter((property) => property.kind === "element")
+            .concat(all.filter((property) => property.kind !== "element"));
+    }
+
+    /**
+     * The choices of the type, inherited ones included, those of the base type first. A choice a 
+     * restriction restates replaces the inherited one of the same name.
+     */
+    get allChoices() {
+        let inherited = this.base instanceof ComplexType ? this.base.allChoices : [];
+
+        return inherited
+            .filter((choice) => !this.choices.some((own) => own.name === choice.name))
+            .concat(this.choices);
+    }
+}
+
+/**
+ * The facets that may be applied to a restriction of a list or union type
+ */
+const LIST_FACETS = ["length", "minLength", "maxLength", "pattern", "enumeration", "whiteSpace"];
+const UNION_FACETS = ["pattern", "enumeration"];
+
+/**
+ * An xs:simpleType
+ */
+class SimpleType extends Component {
+    constructor(name, targetNamespace, location) {
+        super("simpleType", name, targetNamespace, location);
+        /** "atomic" (xs:restriction), "list" (xs:list) or "union" (xs:union) */
+        this.variety = null;
+        /** QName of the base type of a restriction */
+        this.baseName = null;
+        /** the base type of a restriction (either anonymous, or the type baseName resolves to) */
+        this.base = null;
+        /** the Facets of a restriction */
+        this.facets = [];
+        /** QName of the item type of a list */
+        this.itemTypeName = null;
+        /** the item type of a list (either anonymous, or the type itemTypeName resolves to) */
+        this.itemType = null;
+        /** QNames of the member types of a union */
+        this.memberTypeNames = [];
+        /** the member types of a union (the anonymous ones, preceded by those memberTypeNames resolve 
+         *  to once the model is resolved) */
+        this.memberTypes = [];
+    }
+
+    /**
+     * The values the type is restricted to by xs:enumeration facets, its own or those it inherits
+     * from its base types, or null if it isn't an enumeration
+     */
+    get enumeration() {
+        let facets = this.facets.filter((facet) => facet.name === "enumeration");
+
+        if(facets.length > 0) {
+            return facets.map((facet) => facet.value);
+        }
+        return this.variety === "atomic" && this.base instanceof SimpleType ? this.base.enumeration : null;
+    }
+
+    /**
+     * The facets a restriction of the type may apply: those that apply to lists or unions, or for an
+     * atomic type those allowed by the built-in type it derives from
+     */
+    get allowedFacets() {
+        if(this.variety === "list") {
+            return LIST_FACETS;
+        }
+        if(this.variety === "union") {
+            return UNION_FACETS;
+        }
+        return this.base ? this.base.allowedFacets : [];
+    }
+}
+
+/**
+ * An xs:element, either global or local to a ModelGroup
+ */
+class Element extends Component {
+    constructor(name, targetNamespace, location) {
+        super("element", name, targetNamespace, location);
+        /** QName of the element's type */
+        this.typeName = null;
+        /** the type of the element (either anonymous, or the type typeName resolves to) */
+        this.type = null;
+        /** QName of the global element this one refers to */
+        this.refName = null;
+        /** the global Element refName resolves to */
+        this.ref = null;
+        /** QName of the head of the substitution group this element belongs to */
+        this.substitutionGroupName = null;
+        /** the global Element substitutionGroupName resolves to */
+        this.substitutionGroup = null;
+        this.abstract = false;
+        this.nillable = false;
+        this.default = null;
+        this.fixed = null;
+        /** "qualified" or "unqualified" */
+        this.form = null;
+        /** the minimum number of times a local element occurs */
+        this.minOccurs = 1;
+        /** the maximum number of times a local element occurs (CONST.UNBOUNDED for "unbounded") */
+        this.maxOccurs = 1;
+    }
+}
+
+/**
+ * An xs:attribute, either global or local to a ComplexType or AttributeGroup
+ */
+class Attribute extends Component {
+    constructor(name, targetNamespace, location) {
+        super("attribute", name, targetNamespace, location);
+        /** QName of the attribute's type */
+        this.typeName = null;
+        /** the type of the attribute (either anonymous, or the type typeName resolves to) */
+        this.type = null;
+        /** QName of the global attribute this one refers to */
+        this.refName = null;
+        /** the global Attribute refName resolves to */
+        this.ref = null;
+        /** "optional", "required" or "prohibited" */
+        this.use = "optional";
+        this.default = null;
+        this.fixed = null;
+        /** "qualified" or "unqualified" */
+        this.form = null;
+    }
+}
+
+/**
+ * A named xs:group
+ */
+class Group extends Component {
+    constructor(name, targetNamespace, location) {
+        super("group", name, targetNamespace, location);
+        /** the ModelGroup defined by the group */
+        this.content = null;
+    }
+}
+
+/**
+ * A named xs:attributeGroup
+ */
+class AttributeGroup extends Component {
+    constructor(name, targetNamespace, location) {
+        super("attributeGroup", name, targetNamespace, location);
+        this.attributes = [];
+        this.attributeGroups = [];
+        this.anyAttribute = null;
+    }
+}
+
+/**
+ * An xs:sequence, xs:choice or xs:all
+ */
+class ModelGroup {
+    /**
+     * @param {String} compositor - "sequence", "choice" or "all"
+     */
+    constructor(compositor) {
+        this.kind = "modelGroup";
+        this.compositor = compositor;
+        /** the Elements, ModelGroups, GroupReferences and Wildcards in the group, in XSD order */
+        this.particles = [];
+        this.minOccurs = 1;
+        /** CONST.UNBOUNDED for "unbounded" */
+        this.maxOccurs = 1;
+        /** the text of the xs:documentation entries of the annotation, joined by blank lines, or null */
+        this.documentation = null;
+        /** the Documentation entries of the annotation, in document order */
+        this.documentations = [];
+    }
+}
+
+/**
+ * An xs:group ref="..." used as a particle
+ */
+class GroupReference {
+    constructor(refName) {
+        this.kind = "groupReference";
+        /** QName of the referenced Group */
+        this.refName = refName;
+        /** the Group refName resolves to */
+        this.group = null;
+        this.minOccurs = 1;
+        /** CONST.UNBOUNDED for "unbounded" */
+        this.maxOccurs = 1;
+        /** the text of the xs:documentation entries of the annotation, joined by blank lines, or null */
+        this.documentation = null;
+        /** the Documentation entries of the annotation, in document order */
+        this.documentations = [];
+    }
+}
+
+/**
+ * An xs:attributeGroup ref="..." used by a ComplexType or AttributeGroup
+ */
+class AttributeGroupReference {
+    constructor(refName) {
+        this.kind = "attributeGroupReference";
+        /** QName of the referenced AttributeGroup */
+        this.refName = refName;
+        /** the AttributeGroup refName resolves to */
+        this.attributeGroup = null;
+        /** the text of the xs:documentation entries of the annotation, joined by blank lines, or null */
+        this.documentation = null;
+        /** the Documentation entries of the annotation, in document order */
+        this.documentations = [];
+    }
+}
+
+/**
+ * An xs:any or xs:anyAttribute
+ */
+class Wildcard {
+    /**
+     * @param {String} kind - "any" or "anyAttribute"
+     */
+    constructor(kind) {
+        this.kind = kind;
+        this.namespace = "##any";
+        this.processContents = "strict";
+        this.minOccurs = 1;
+        /** CONST.UNBOUNDED for "unbounded" */
+        this.maxOccurs = 1;
+        /** the text of the xs:documentation entries of the annotation, joined by blank lines, or null */
+        this.documentation = null;
+        /** the Documentation entries of the annotation, in document order */
+        this.documentations = [];
+    }
+}
+
+/**
+ * A constraining facet of a restriction (xs:enumeration, xs:pattern, xs:minLength, ...)
+ */
+class Facet {
+    /**
+     * @param {String} name - the facet (the local name of the XSD element that declares it)
+     * @param {String} value - the value of the facet
+     * @param {Boolean} fixed - true if derived types cannot change the facet
+     */
+    constructor(name, value, fixed) {
+        this.kind = "facet";
+        this.name = name;
+        this.value = value;
+        this.fixed = fixed;
+        /** the text of the xs:documentation entries of the annotation, joined by blank lines, or null */
+        this.documentation = null;
+        /** the Documentation entries of the annotation, in document order */
+        this.documentations = [];
+    }
+}
+
+/**
+ * A member of a complex type: a child element or an attribute, with the number of times it occurs
+ * once the occurrence constraints of the model groups enclosing it are taken into account
+ */
+class Property {
+    /**
+     * @param {String} kind - "element" or "attribute"
+     * @param {Element|Attribute} declaration - the local declaration of the member (which may be a ref)
+     */
+    constructor(kind, declaration) {
+        let target = declaration.ref || declaration;
+
+        this.kind = kind;
+        this.name = target.name;
+        this.targetNamespace = target.targetNamespace;
+        this.declaration = declaration;
+        /** the type of the member's value */
+        this.type = target.type;
+        this.minOccurs = 1;
+        /** CONST.UNBOUNDED if the member may repeat without limit */
+        this.maxOccurs = 1;
+        /** the innermost Choice the member is a branch (or part of a branch) of, or null */
+        this.choice = null;
+        /** the ChoiceBranch of that Choice the member belongs to, or null */
+        this.branch = null;
+        /** the Group or AttributeGroup the member was expanded from, or null if the complex type 
+         *  declares it directly */
+        this.group = null;
+        /** the inherited Property this one narrows, in a complex type derived by restriction */
+        this.restricts = null;
+    }
+
+    /**
+     * True if the member may occur more than once, and so holds an array of values
+     */
+    get isArray() {
+        return this.maxOccurs > 1;
+    }
+
+    /**
+     * True if the member may be left out
+     */
+    get isOptional() {
+        return this.minOccurs === 0;
+    }
+}
+
+/**
+ * An xs:choice among the properties of a complex type. Unless the choice repeats, at most one of its
+ * branches may be set at a time.
+ */
+class Choice {
+    /**
+     * @param {String} name - the name of the choice
+     * @param {ModelGroup} group - the xs:choice ModelGroup
+     */
+    constructor(name, group) {
+        this.kind = "choice";
+        this.name = name;
+        this.group = group;
+        /** the ChoiceBranches, one per particle of the xs:choice, in XSD order */
+        this.branches = [];
+        /** true for a FHIR-style value[x] choice: each branch is a single element named after the
+         *  choice and the branch's type (valueQuantity, valueString, ...) and each branch is named 
+         *  after its type (Quantity, String, ...) */
+        this.isPolymorphic = false;
+        /** the number of times the choice is made, taking enclosing groups into account */
+        this.minOccurs = 1;
+        /** CONST.UNBOUNDED if the choice may be made without limit */
+        this.maxOccurs = 1;
+        /** the Choice this one is nested in, or null */
+        this.parent = null;
+        /** the ChoiceBranch of the parent this one is nested in, or null */
+        this.parentBranch = null;
+        this.documentation = group.documentation;
+        this.documentations = group.documentations;
+    }
+
+    /**
+     * True if the choice may be made more than once, so that several branches may be set together
+     */
+    get isRepeating() {
+        return this.maxOccurs > 1;
+    }
+}
+
+/**
+ * One alternative of a Choice
+ */
+class ChoiceBranch {
+    /**
+     * @param {String} name - the name of the branch
+     */
+    constructor(name) {
+        this.kind = "choiceBranch";
+        this.name = name;
+        /** the Properties making up the branch, including those of choices nested in it */
+        this.properties = [];
+    }
+}
+
+/**
+ * One of the XSD built-in types described in dataTypes.js
+ */
+class BuiltinType extends Component {
+    /**
+     * @param {String} name - the name of the type in dataTypes.js
+     */
+    constructor(name) {
+        super("builtinType", name, CONST.XML_SCHEMA_NS, null);
+        let definition = types[name];
+        /** always true, to tell built-in types from the types declared in a schema */
+        this.isBuiltin = true;
+        /** the facets that may be applied to the type */
+        this.allowedFacets = definition.facets || [];
+        /** the only literals allowed for the type, or null if there is no such list */
+        this.legalLiterals = definition.legalLiterals || null;
+        /** "atomic" or "list" */
+        this.variety = definition.itemType ? "list" : "atomic";
+        /** the base BuiltinType, or null for anyType */
+        this.base = null;
+        /** the item BuiltinType of a list type */
+        this.itemType = null;
+    }
+}
+
+/**
+ * The BuiltinTypes, by name
+ */
+const builtinTypes = new Map();
+for(let name of Object.keys(types)) {
+    builtinTypes.set(name, new BuiltinType(name));
+}
+for(let builtinType of builtinTypes.values()) {
+    let definition = types[builtinType.name];
+    if(builtinType.name !== "anyType") {
+        builtinType.base = builtinTypes.get(definition.baseType || "anySimpleType");
+    }
+    if(definition.itemType) {
+        builtinType.itemType = builtinTypes.get(definition.itemType);
+    }
+}
+
+/**
+ * The model of an entire schema set
+ */
+class SchemaModel {
+    constructor() {
+        this.kind = "schema";
+        /** the ComplexTypes and SimpleTypes, by qualified name */
+        this.types = new Map();
+        /** the global Elements, by qualified name */
+        this.elements = new Map();
+        /** the global Attributes, by qualified name */
+        this.attributes = new Map();
+        /** the Groups, by qualified name */
+        this.groups = new Map();
+        /** the AttributeGroups, by qualified name */
+        this.attributeGroups = new Map();
+        /** { location, targetNamespace } of every document the model was built from */
+        this.documents = [];
+    }
+
+    /**
+     * Files a named component under its qualified name
+     * @param {Component} component - a global component
+     */
+    addComponent(component) {
+        let components = this.componentsOfKind(component.kind);
+
+        if(components.has(component.qualifiedName)) {
+            throw new exceptions.SchemaException(
+                `Duplicate ${component.kind} '${component.qualifiedName}'`, component.location);
+        }
+        components.set(component.qualifiedName, component);
+    }
+
+    /**
+     * Returns the map that holds global components of a kind
+     * @param {String} kind - complexType, simpleType, element, attribute, group or attributeGroup
+     * @returns {Map} - the components of that kind, by qualified name
+     */
+    componentsOfKind(kind) {
+        switch(kind) {
+            case "complexType":
+            case "simpleType":
+                return this.types;
+            case "element":
+                return this.elements;
+            case "attribute":
+                return this.attributes;
+            case "group":
+                return this.groups;
+            case "attributeGroup":
+                return this.attributeGroups;
+        }
+        throw new exceptions.Exception(`Not a global component kind: ${kind}`);
+    }
+
+    /**
+     * Returns every ComplexType and SimpleType in the model, named or anonymous
+     * @returns {Array<ComplexType|SimpleType>} - the global types in the order they were declared, 
+     *                                            each followed by the anonymous types declared inside it
+     */
+    allTypes() {
+        let found = [];
+
+        let visit = (obj) => {
+            if(!obj) {
+                return;
+            }
+            switch(obj.kind) {
+                case "complexType":
+                    found.push(obj);
+                    visit(obj.content);
+                    obj.attributes.forEach(visit);
+                    break;
+                case "simpleType":
+                    found.push(obj);
+                    if(!obj.baseName) visit(obj.base);
+                    if(!obj.itemTypeName) visit(obj.itemType);
+                    obj.memberTypes.filter((t) => !t.name).forEach(visit);
+                    break;
+                case "element":
+                case "attribute":
+                    if(!obj.typeName && !obj.refName) visit(obj.type);
+                    break;
+                case "group":
+                    visit(obj.content);
+                    break;
+                case "attributeGroup":
+                    obj.attributes.forEach(visit);
+                    break;
+                case "modelGroup":
+                    obj.particles.forEach(visit);
+                    break;
+            }
+        };
+
+        for(let kind of ["types", "elements", "attributes", "groups", "attributeGroups"]) {
+            for(let component of this[kind].values()) {
+                visit(component);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Looks up a type, including the XSD built-in types
+     * @param {String} namespace - the namespace of the type, or null
+     * @param {String} name - the local name of the type
+     * @returns {ComplexType|SimpleType|BuiltinType} - the type, or undefined if there is none
+     */
+    getType(namespace, name) {
+        if(namespace === CONST.XML_SCHEMA_NS) {
+            return builtinTypes.get(name);
+        }
+        return this.types.get(util.qualifiedName(namespace, name));
+    }
+}
+
+module.exports = {
+    QName,
+    Documentation,
+    Component,
+    ComplexType,
+    SimpleType,
+    Element,
+    Attribute,
+    Group,
+    AttributeGroup,
+    ModelGroup,
+    GroupReference,
+    AttributeGroupReference,
+    Wildcard,
+    Facet,
+    Property,
+    Choice,
+    ChoiceBranch,
+    BuiltinType,
+    SchemaModel,
+    builtinTypes
+};
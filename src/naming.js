@@ -0,0 +1,355 @@
+/**
+ * @module naming - names the classes, files and properties generated for the types of a schema model
+ */
+
+'use strict';
+
+/**
+ * Reference to the CONSTANTS module
+ */
+const CONST = require('./const')
+/**
+ * The schema model
+ */
+    , model = require('./model')
+/**
+ * The base class of the generated classes, whose members the properties must not hide
+ */
+    , XsdObject = require('./runtime/xsdObject')
+/**
+ * Exceptions
+ */
+    , exceptions = require('./exceptions');
+
+/**
+ * The reserved words of JavaScript, which name neither classes nor properties. A name that is one of
+ * them gets a "$" appended.
+ */
+const RESERVED_WORDS = new Set([
+    "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete",
+    "do", "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "implements",
+    "import", "in", "instanceof", "interface", "let", "new", "null", "package", "private", "protected",
+    "public", "return", "static", "super", "switch", "this", "throw", "true", "try", "typeof", "var",
+    "void", "while", "with", "yield", "arguments", "eval", "undefined", "NaN", "Infinity"
+]);
+
+/**
+ * The names that can't name a class besides the reserved words: the predefined types of TypeScript,
+ * the globals the generated modules and their declarations refer to, and the common globals a module
+ * would shadow by binding a class under their name (e.g. const String = require("./string"))
+ */
+const RESERVED_CLASS_NAMES = new Set([
+    "any", "bigint", "boolean", "never", "number", "object", "string", "symbol", "unknown",
+    "require", "module", "exports", "XsdObject", "Object", "Array", "Date", "Buffer", "Readonly", "JSON",
+    "String", "Number", "Boolean", "Symbol", "Error", "Map", "Set", "Promise"
+]);
+
+/**
+ * The members of the instances of the generated classes, which no property may be named after
+ */
+const RUNTIME_MEMBERS = new Set(Object.getOwnPropertyNames(XsdObject.prototype)
+    .concat(Object.getOwnPropertyNames(Object.prototype))
+    .concat(["_values", "_validation", "_violations", "$value"]));
+
+/**
+ * The file names of the modules generated besides those of the types, which no type may take: the
+ * barrel (the modules of the cycles of types of ES modules have a dot in their names, which those of
+ * the types don't)
+ */
+const RESERVED_FILE_NAMES = ["index"];
+
+/**
+ * A JavaScript identifier, with letters and digits of any script
+ */
+const IDENTIFIER = /^[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*$/u;
+
+/**
+ * @typedef {Object} naming~options
+ * @property {Object} types - optional overrides of the names of particular types, by type name ({namespace}name
+ *                            to tell apart types of the same name, or the default class name of an
+ *                            anonymous type): { className, fileName, properties } where properties
+ *                            maps the XSD names of properties to their names. An override that
+ *                            clashes with another name is an error.
+ * @property {Function} className - optional function(type, name) returning the class name of a type,
+ *                                  given its default PascalCase name
+ * @property {Function} fileName - optional function(type, name) returning the file name (without
+ *                                 extension) of the module of a type, given its default kebab-case name
+ * @property {Function} propertyName - optional function(property, complexType, name) returning the name
+ *                                     of a property, given its default camelCase name
+ */
+
+/**
+ * The names of the types of a model, as a Map from each type that gets a module to its class name,
+ * with the file name of each module and the name of each property of the complex types
+ */
+class Names extends Map {
+    constructor() {
+        super();
+        /** the file name (without extension) of the module of each type */
+        this.files = new Map();
+        /** the name of each Property of the complex types, unique within its class and its ancestors */
+        this.properties = new Map();
+    }
+
+    /**
+     * Returns the name of a property
+     * @param {model.Property} property - a property of a named complex type
+     * @returns {String} - the name
+     */
+    propertyName(property) {
+        return this.properties.get(property);
+    }
+}
+
+module.exports = {
+    Names,
+    RESERVED_WORDS,
+
+    /**
+     * Names the classes, files and properties of a model. A named type is named after its XSD name, an
+     * anonymous complex type of a global element after the element, and one of a local element after
+     * the class of the type declaring the element followed by the element's name. Classes are in
+     * PascalCase, files in kebab-case and properties in camelCase, reserved words are escaped, and a
+     * name that is taken gets a number appended (a property first tries its namespace or its kind,
+     * e.g. xmlLang or citeAttribute).
+     * @param {model.SchemaModel} schemaModel - a model whose properties are laid out
+     * @param {processSchema~options} options - the naming option (see naming~options) overrides names
+     * @returns {Names} - the names
+     * @throws {exceptions.Exception} - if an overridden name is taken
+     * @throws {exceptions.SchemaException} - if a name, overridden or not, is empty or can't name a
+     *                                        class, property or file
+     */
+    nameModel : function( schemaModel, options = {} ) {
+        let strategy = options.naming || {},
+            names = new Names(),
+            classNames = new Set(),
+            fileNames = new Set(RESERVED_FILE_NAMES);
+
+        let claim = (type, defaultName) => {
+            let override = overrideOf(strategy, type, defaultName),
+                className = checked(override.className || escape(strategy.className ? strategy.className(type, defaultName) : defaultName, true),
+                    "class", `class name of ${describe(type)}`, type),
+                fileName = checked(override.fileName || toKebabCase(strategy.fileName ? strategy.fileName(type, toKebabCase(className)) : className),
+                    "file", `file name of ${describe(type)}`, type);
+
+            names.set(type, take(className, classNames, !!override.className, `class name of ${describe(type)}`));
+            names.files.set(type, take(fileName, fileNames, !!override.fileName, `file name of ${describe(type)}`, true));
+        };
+
+        let claimLocalTypes = (complexType) => {
+            for(let property of complexType.properties) {
+                let type = property.type;
+                if(type instanceof model.ComplexType && !type.name && !names.has(type)) {
+                    claim(type, names.get(complexType) + toPascalCase(property.name));
+                    claimLocalTypes(type);
+                }
+            }
+        };
+
+        for(let type of schemaModel.types.values()) {
+            claim(type, toPascalCase(type.name));
+        }
+        for(let element of schemaModel.elements.values()) {
+            if(element.type instanceof model.ComplexType && !element.type.name && !names.has(element.type)) {
+                claim(element.type, toPascalCase(element.name));
+            }
+        }
+        for(let type of Array.from(names.keys())) {
+            if(type instanceof model.ComplexType) {
+                claimLocalTypes(type);
+            }
+        }
+
+        let taken = new Map();
+        for(let type of names.keys()) {
+            if(type instanceof model.ComplexType) {
+                nameProperties(names, taken, strategy, type);
+            }
+        }
+
+        return names;
+    },
+
+    /**
+     * Turns an XSD name into PascalCase ("dateTime-primitive" becomes "DateTimePrimitive")
+     */
+    toPascalCase : function( name ) {
+        return toPascalCase(name);
+    },
+
+    /**
+     * Turns an XSD name into camelCase ("Account.Coverage" becomes "accountCoverage")
+     */
+    toCamelCase : function( name ) {
+        return toCamelCase(name);
+    },
+
+    /**
+     * Turns an XSD name into kebab-case ("AccountStatus-list" becomes "account-status-list")
+     */
+    toKebabCase : function( name ) {
+        return toKebabCase(name);
+    },
+
+    /**
+     * Escapes a name that is a reserved word by appending a "$"
+     * @param {String} name - the name
+     * @param {boolean} isClass - true if the name is that of a class, which can't be a predefined type
+     *                            of TypeScript or a global either
+     * @returns {String} - the name, escaped if need be
+     */
+    escape : function( name, isClass = false ) {
+        return escape(name, isClass);
+    }
+}
+
+/**
+ * Names the properties of a complex type, and first those of its base types. A property that
+ * restricts an inherited one takes its name.
+ * @param {Names} names - the names
+ * @param {Map} taken - the names taken in each complex type named so far, its ancestors' included
+ * @param {naming~options} strategy - the naming option
+ * @param {model.ComplexType} complexType - the complex type
+ * @returns {Set} - the names taken in the complex type
+ */
+function nameProperties(names, taken, strategy, complexType) {
+    if(taken.has(complexType)) {
+        return taken.get(complexType);
+    }
+
+    let base = complexType.base instanceof model.ComplexType ? nameProperties(names, taken, strategy, complexType.base) : RUNTIME_MEMBERS,
+        used = new Set(base),
+        overrides = overrideOf(strategy, complexType, names.get(complexType)).properties || {};
+    taken.set(complexType, used);
+
+    for(let property of complexType.properties) {
+        if(property.restricts && names.properties.has(property.restricts)) {
+            names.properties.set(property, names.properties.get(property.restricts));
+            continue;
+        }
+
+        let description = `property '${property.name}' of ${describe(complexType)}`;
+        if(overrides[property.name]) {
+            let name = checked(overrides[property.name], "property", `name of ${description}`, complexType);
+            names.properties.set(property, take(name, used, true, `name of ${description}`));
+            continue;
+        }
+
+        let defaultName = toCamelCase(property.name),
+            name = checked(escape(strategy.propertyName ? strategy.propertyName(property, complexType, defaultName) : defaultName),
+                "property", `name of ${description}`, complexType),
+            candidates = [name];
+
+        if(property.targetNamespace === CONST.XML_NS) {
+            candidates.push(`xml${toPascalCase(name)}`);
+        }
+        if(property.kind === "attribute") {
+            candidates.push(`${name}Attribute`);
+        }
+        names.properties.set(property, take(candidates.find((candidate) => !used.has(candidate)) || name, used, false, `name of ${description}`));
+    }
+    return used;
+}
+
+/**
+ * Takes a name, appending a number to it if it is taken
+ * @param {String} name - the name
+ * @param {Set} used - the names taken, to which the name is added
+ * @param {boolean} required - true if the name was asked for and can't be changed
+ * @param {String} description - what the name is of, for the error
+ * @param {boolean} ignoreCase - true to compare names regardless of case, as file systems may not
+ *                               tell file names apart otherwise (used then holds lower-case names)
+ * @returns {String} - the name taken
+ * @throws {exceptions.Exception} - if a name that was asked for is taken
+ */
+function take(name, used, required, description, ignoreCase = false) {
+    let key = (candidate) => ignoreCase ? candidate.toLowerCase() : candidate,
+        unique = name;
+
+    if(required && used.has(key(name))) {
+        throw new exceptions.Exception(`The ${description} can't be '${name}': the name is taken`);
+    }
+    for(let n = 2; used.has(key(unique)); n++) {
+        unique = `${name}${n}`;
+    }
+    used.add(key(unique));
+    return unique;
+}
+
+/**
+ * Checks that a name can name a class or property, as an identifier that isn't a reserved word, or a
+ * module, as a file name without separators or dots
+ * @param {String} name - the name
+ * @param {String} kind - "class", "property" or "file"
+ * @param {String} description - what the name is of, for the error
+ * @param {model.Type} type - the type the name is of, or declaring the property, for the error
+ * @returns {String} - the name
+ * @throws {exceptions.SchemaException} - if the name can't be used
+ */
+function checked(name, kind, description, type) {
+    let valid = typeof name === "string" && (kind === "file"
+        ? /^[^./\\\s]+$/.test(name)
+        : IDENTIFIER.test(name) && !RESERVED_WORDS.has(name) && (kind !== "class" || !RESERVED_CLASS_NAMES.has(name)));
+
+    if(!valid) {
+        throw new exceptions.SchemaException(name ? `The ${description} can't be '${name}': it isn't a valid ${kind} name`
+            : `The ${description} is empty`, type.location);
+    }
+    return name;
+}
+
+/**
+ * Returns the overrides of the names of a type: those listed under its name in {namespace}name or
+ * plain form, or for an anonymous type under its default class name
+ */
+function overrideOf(strategy, type, defaultName) {
+    let overrides = strategy.types || {},
+        keys = type.name ? [`{${type.targetNamespace || ""}}${type.name}`, type.name] : [defaultName];
+
+    return overrides[keys.find((key) => overrides[key])] || {};
+}
+
+/**
+ * Describes a type for error messages
+ */
+function describe(type) {
+    return type.name ? `type '${type.name}'` : "an anonymous type";
+}
+
+/**
+ * Splits an XSD name into words, at the characters other than the letters (of any script), digits and
+ * combining marks, and where the case of its letters changes ("HTTPVerb-list" becomes HTTP, Verb and
+ * list)
+ */
+function words(name) {
+    return name
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, "$1 $2")
+        .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, "$1 $2")
+        .split(/[^\p{L}\p{N}\p{M}]+/u)
+        .filter((word) => word);
+}
+
+function toPascalCase(name) {
+    return leadingDigit(words(name).map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(""));
+}
+
+function toCamelCase(name) {
+    return leadingDigit(words(name).map((word, i) => i > 0 ? word.charAt(0).toUpperCase() + word.slice(1)
+        : word === word.toUpperCase() ? word.toLowerCase()
+        : word.charAt(0).toLowerCase() + word.slice(1)).join(""));
+}
+
+function toKebabCase(name) {
+    return words(name).map((word) => word.toLowerCase()).join("-");
+}
+
+/**
+ * Prefixes an identifier that would start with a digit with an underscore
+ */
+function leadingDigit(identifier) {
+    return /^\p{N}/u.test(identifier) ? `_${identifier}` : identifier;
+}
+
+function escape(name, isClass) {
+    return RESERVED_WORDS.has(name) || (isClass && RESERVED_CLASS_NAMES.has(name)) ? `${name}$` : name;
+}
@@ -0,0 +1,167 @@
+/**
+ * @module plugins - loads the plugins listed in the processSchema options and runs their hooks
+ */
+
+'use strict';
+
+/**
+ * Reference to the CONSTANTS module
+ */
+const CONST = require('./const')
+/**
+ * Exceptions
+ */
+    , exceptions  = require('./exceptions');
+
+/**
+ * The hooks a plugin can have, in the order processSchema runs them
+ */
+const HOOKS = [
+    "afterBuild",
+    "afterLayout",
+    "emitModule",
+    "afterEmit"
+];
+
+/**
+ * @typedef {Object} plugins~Processor
+ * @property {Function} pre - optional function(context, parent, node) returning the model object the
+ *                            children of the node are processed into, or null to skip them (the
+ *                            children are processed into parent when there is no pre-processor)
+ * @property {Function} post - optional function(context, parent, node, obj) called with the object the
+ *                             pre-processor returned once the children have been processed
+ */
+
+/**
+ * @typedef {Object} plugins~Plugin
+ * @property {string} name - optional name of the plugin, for error messages
+ * @property {Object} processors - optional plugins~Processor of each XSD node the plugin handles, by
+ *                                 the local name of a node of the XML Schema namespace, or by
+ *                                 {namespace}localName for a node of another namespace (such as a
+ *                                 vendor extension in xs:appinfo, which is processed into the
+ *                                 component the annotation belongs to). A processor replaces the one
+ *                                 registered before it for the node; null removes it, so that the
+ *                                 node and its children are skipped.
+ * @property {Function} afterBuild - optional function(schemaModel, options) called once the model is
+ *                                   built, before its references are resolved
+ * @property {Function} afterLayout - optional function(schemaModel, options) called once the
+ *                                    references are resolved and the properties laid out, before
+ *                                    anything is emitted
+ * @property {Function} emitModule - optional function(module, type, options) called with the
+ *                                   { fileName, source } of each generated module and the type it is
+ *                                   generated for (null for the index, and for the modules of
+ *                                   the cycles of types and the package.json of ES modules),
+ *                                   returning the module to write instead, or nothing to keep it
+ * @property {Function} afterEmit - optional function(modules, schemaModel, options) called with every
+ *                                  generated module, returning the modules to write instead, or
+ *                                  nothing to keep them
+ */
+
+module.exports = {
+    HOOKS,
+
+    /**
+     * Returns the plugins listed in the options, requiring those given as module names
+     * @param {processSchema~options} options - the options passed to processSchema
+     * @returns {Array<plugins~Plugin>} - the plugins, in the order they are listed
+     * @throws {exceptions.Exception} - if a plugin can't be loaded or isn't valid
+     */
+    resolvePlugins : function( options ) {
+        return (options.plugins || []).map((plugin) => validate(typeof plugin === "string" ? load(plugin) : plugin));
+    },
+
+    /**
+     * Registers the processors of plugins over a table of processors
+     * @param {Object} processors - the plugins~Processor of each XSD node, keyed as in plugins~Plugin
+     * @param {Array<plugins~Plugin>} plugins - the plugins, the processors of the later ones replacing
+     *                                          those of the earlier ones
+     * @returns {Object} - a new table of processors
+     */
+    registerProcessors : function( processors, plugins ) {
+        let registered = Object.assign({}, processors);
+
+        for(let plugin of plugins) {
+            for(let [key, processor] of Object.entries(plugin.processors || {})) {
+                if(processor === null) {
+                    delete registered[key];
+                } else {
+                    registered[key] = processor;
+                }
+            }
+        }
+        return registered;
+    },
+
+    /**
+     * Returns the key of the processor of an XSD node
+     * @param {Element} node - the node
+     * @returns {String} - the local name of a node of the XML Schema namespace, or {namespace}localName
+     */
+    processorKey : function( node ) {
+        return node.namespaceURI === CONST.XML_SCHEMA_NS ? node.localName : `{${node.namespaceURI || ""}}${node.localName}`;
+    },
+
+    /**
+     * Runs a hook of each plugin in turn. The value the hook of a plugin returns, unless undefined,
+     * replaces the first argument the hooks of the next plugins are called with.
+     * @param {Array<plugins~Plugin>} plugins - the plugins
+     * @param {String} hook - the name of the hook
+     * @param {...*} args - the arguments of the hook
+     * @returns {*} - the first argument, as replaced by the hooks
+     */
+    runHook : function( plugins, hook, ...args ) {
+        for(let plugin of plugins) {
+            if(plugin[hook]) {
+                let result = plugin[hook](...args);
+                if(result !== undefined) {
+                    args[0] = result;
+                }
+            }
+        }
+        return args[0];
+    }
+}
+
+/**
+ * Requires a plugin given by module name, resolving it from the current directory
+ * @throws {exceptions.Exception} - if the module can't be found
+ */
+function load(name) {
+    let file;
+    try {
+        file = require.resolve(name, { paths: [process.cwd()] });
+    } catch(err) {
+        throw new exceptions.Exception(`Cannot find plugin '${name}'`);
+    }
+
+    let plugin = require(file);
+    return plugin.name ? plugin : Object.assign({ name: name }, plugin);
+}
+
+/**
+ * Checks that a plugin only has the hooks and processors it may have
+ * @returns {plugins~Plugin} - the plugin
+ * @throws {exceptions.Exception} - if it doesn't
+ */
+function validate(plugin) {
+    let name = plugin && plugin.name ? `Plugin '${plugin.name}'` : "A plugin";
+
+    if(!plugin || typeof plugin !== "object") {
+        throw new exceptions.Exception(`${name} must be an object`);
+    }
+    for(let key of Object.keys(plugin)) {
+        if(key !== "name" && key !== "processors" && !HOOKS.includes(key)) {
+            throw new exceptions.Exception(`${name} has an unknown hook '${key}' (expected ${HOOKS.join(", ")})`);
+        }
+        if(HOOKS.includes(key) && typeof plugin[key] !== "function") {
+            throw new exceptions.Exception(`${name} has a hook '${key}' that isn't a function`);
+        }
+    }
+    for(let [key, processor] of Object.entries(plugin.processors || {})) {
+        if(processor !== null && (typeof processor !== "object"
+            || Object.keys(processor).some((phase) => !["pre", "post"].includes(phase) || typeof processor[phase] !== "function"))) {
+            throw new exceptions.Exception(`${name} has an invalid processor for '${key}' (expected { pre, post } functions)`);
+        }
+    }
+    return plugin;
+}
@@ -0,0 +1,415 @@
+/**
+ * @module properties - lays out the members of each complex type as Properties with their cardinality,
+ * and derives them from those of its base type
+ */
+
+'use strict';
+
+/**
+ * The schema model
+ */
+const model = require('./model')
+/**
+ * Exceptions
+ */
+    , exceptions  = require('./exceptions');
+
+module.exports = {
+    /**
+     * Sets the properties of every complex type in a resolved model. The occurrence constraints of
+     * each element are combined with those of the sequences and choices that enclose it, so an element
+     * inside a repeating sequence repeats, and an element that is one branch of a choice is optional.
+     * Each xs:choice becomes a Choice whose branches list the properties they are made of, an element 
+     * in several branches being listed in each. References to named groups and attribute groups are 
+     * expanded in place, each property remembering the group it came from. A type derived from another
+     * complex type inherits its properties: an extension adds its own after them, while each property a
+     * restriction declares narrows the inherited one.
+     * @param {model.SchemaModel} schemaModel - a resolved model
+     * @returns {model.SchemaModel} - schemaModel, with the properties and choices of its complex types set
+     * @throws {exceptions.SchemaException} - if a type derives from itself, a restriction widens 
+     *                                        what it inherits, or an element is in two choices
+     *                                        neither of which encloses the other
+     */
+    collectProperties : function( schemaModel ) {
+        let complexTypes = schemaModel.allTypes().filter((type) => type instanceof model.ComplexType),
+            derived = new Set();
+
+        for(let complexType of complexTypes) {
+            layOut(complexType);
+        }
+        for(let complexType of complexTypes) {
+            derive(complexType, derived, []);
+        }
+
+        return schemaModel;
+    }
+}
+
+/**
+ * Lays out the properties and choices a complex type declares
+ * @param {model.ComplexType} complexType - the complex type, whose properties are set to the child 
+ *                                          elements in XSD order followed by the attributes
+ */
+function layOut(complexType) {
+    let layout = {
+        complexType : complexType,
+        properties  : [],
+        choices     : [],
+        choice      : null,
+        branches    : [],
+        group       : null,
+        groups      : []
+    };
+
+    if(complexType.content) {
+        addParticle(layout, complexType.content, 1, 1);
+    }
+
+    addAttributes(layout, complexType);
+
+    complexType.properties = layout.properties;
+    complexType.choices = layout.choices;
+}
+
+/**
+ * Derives a complex type from its base type, once the base type is derived: names its choices after
+ * the inherited ones and, for a restriction, narrows the inherited properties
+ * @param {model.ComplexType} complexType - the complex type
+ * @param {Set<model.ComplexType>} derived - the complex types already derived
+ * @param {Array<model.ComplexType>} deriving - the complex types being derived from complexType
+ * @throws {exceptions.SchemaException} - if complexType derives from itself
+ */
+function derive(complexType, derived, deriving) {
+    if(derived.has(complexType)) {
+        return;
+    }
+    if(deriving.includes(complexType)) {
+        throw new exceptions.SchemaException(
+            `Circular derivation of complexType '${complexType.name}' from itself`, complexType.location);
+    }
+
+    let base = complexType.base instanceof model.ComplexType ? complexType.base : null,
+        named = [];
+
+    if(base) {
+        derive(base, derived, deriving.concat(complexType));
+        if(complexType.derivation === "restriction") {
+            narrow(complexType, base);
+        } else {
+            named = base.allChoices;
+        }
+    }
+
+    complexType.choices.forEach((choice, i) => nameChoice(named.concat(complexType.choices.slice(0, i)), choice));
+    derived.add(complexType);
+}
+
+/**
+ * Narrows the properties a complex type inherits by restriction. Each property the restriction 
+ * declares restricts the inherited one of the same name, and may only narrow its occurrences; an 
+ * inherited element the restriction leaves out, or an attribute it prohibits, is kept as a property 
+ * that may not occur.
+ * @param {model.ComplexType} complexType - the restriction
+ * @param {model.ComplexType} base - its base type, already derived
+ * @throws {exceptions.SchemaException} - if the restriction widens an inherited property, omits a 
+ *                                        required one, or declares one the base type has no room for
+ */
+function narrow(complexType, base) {
+    let inherited = base.allProperties;
+
+    for(let property of complexType.properties) {
+        let original = inherited.find((p) => p.kind === property.kind
+            && p.name === property.name
+            && p.targetNamespace === property.targetNamespace);
+
+        if(!original) {
+            if(allowsWildcard(base, property.kind)) {
+                continue;
+            }
+            throw new exceptions.SchemaException(
+                `complexType '${complexType.name}' restricts '${base.name}' with ${property.kind} `
+                + `'${property.name}', which '${base.name}' doesn't declare`, complexType.location);
+        }
+        if(property.minOccurs < original.minOccurs || property.maxOccurs > original.maxOccurs) {
+            throw new exceptions.SchemaException(
+                `complexType '${complexType.name}' widens the occurrences of ${property.kind} `
+                + `'${property.name}' inherited from '${base.name}'`, complexType.location);
+        }
+        property.restricts = original;
+    }
+
+    let prohibited = complexType.attributes.filter((attribute) => attribute.use === "prohibited");
+
+    for(let original of inherited) {
+        if(complexType.properties.some((property) => property.restricts === original)) {
+            continue;
+        }
+        if(original.kind === "element" || prohibited.some((attribute) => 
+            (attribute.ref || attribute).name === original.name)) {
+            if(original.minOccurs > 0) {
+                throw new exceptions.SchemaException(
+                    `complexType '${complexType.name}' omits the required ${original.kind} `
+                    + `'${original.name}' inherited from '${base.name}'`, complexType.location);
+            }
+
+            let property = new model.Property(original.kind, original.declaration);
+            property.minOccurs = 0;
+            property.maxOccurs = 0;
+            property.restricts = original;
+            complexType.properties.push(property);
+        }
+    }
+}
+
+/**
+ * Tells whether a complex type, or one it derives from, has a wildcard for elements or attributes
+ * @param {model.ComplexType} complexType - the complex type
+ * @param {String} kind - "element" or "attribute"
+ */
+function allowsWildcard(complexType, kind) {
+    function hasAny(particle) {
+        return particle.kind === "any" || (particle.particles || []).some(hasAny);
+    }
+
+    for(let type = complexType; type instanceof model.ComplexType; type = type.base) {
+        if(kind === "attribute" ? type.anyAttribute : type.content && hasAny(type.content)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Adds the properties of a particle
+ * @param {Object} layout - the properties and choices laid out so far, the choice and branches 
+ *                          (outermost first) the particle is inside of, and the groups (outermost 
+ *                          first, the innermost also as group) it was expanded from
+ * @param {Object} particle - an Element, ModelGroup, GroupReference or Wildcard
+ * @param {number} minOccurs - the minimum number of times the enclosing groups occur
+ * @param {number} maxOccurs - the maximum number of times the enclosing groups occur
+ * @throws {exceptions.SchemaException} - if an element is in two choices neither of which encloses
+ *                                        the other
+ */
+function addParticle(layout, particle, minOccurs, maxOccurs) {
+    let min = multiply(particle.minOccurs, minOccurs),
+        max = multiply(particle.maxOccurs, maxOccurs);
+
+    if(max === 0) {
+        return;
+    }
+
+    switch(particle.kind) {
+        case "element": {
+            let property = addElement(layout, new model.Property("element", particle), min, max);
+            property.group = property.group || layout.group;
+            if(layout.choice) {
+                if(!property.choice) {
+                    property.choice = layout.choice;
+                    property.branch = layout.branches[layout.branches.length - 1];
+                }
+                // An element in several branches of a choice is a property of each of them
+                layout.branches.filter((branch) => !branch.properties.includes(property))
+                    .forEach((branch) => branch.properties.push(property));
+            }
+            break;
+        }
+
+        case "modelGroup":
+            if(particle.compositor === "choice") {
+                addChoice(layout, particle, min, max);
+            } else {
+                for(let child of particle.particles) {
+                    addParticle(layout, child, min, max);
+                }
+            }
+            break;
+
+        case "groupReference":
+            if(particle.group.content) {
+                addParticle(enterGroup(layout, particle.group), particle.group.content, min, max);
+            }
+            break;
+    }
+}
+
+/**
+ * Returns the branch of a choice that a layout is inside of
+ * @param {Object} layout - the layout
+ * @param {model.Choice} choice - the choice
+ * @returns {model.ChoiceBranch} - the branch, or null if the layout isn't inside the choice
+ */
+function branchOf(layout, choice) {
+    let branch = layout.branches[layout.branches.length - 1];
+    for(let current = layout.choice; current; branch = current.parentBranch, current = current.parent) {
+        if(current === choice) {
+            return branch;
+        }
+    }
+    return null;
+}
+
+/**
+ * Adds the attribute properties of a complex type or attribute group, expanding the attribute groups
+ * it references. An attribute already laid out is not added again.
+ * @param {Object} layout - the properties and choices laid out so far
+ * @param {model.ComplexType|model.AttributeGroup} owner - the complex type or attribute group
+ */
+function addAttributes(layout, owner) {
+    for(let attribute of owner.attributes) {
+        let property = new model.Property("attribute", attribute);
+        if(attribute.use === "prohibited" || layout.properties.some((p) => p.kind === "attribute"
+            && p.name === property.name
+            && p.targetNamespace === property.targetNamespace)) {
+            continue;
+        }
+
+        property.minOccurs = attribute.use === "required" ? 1 : 0;
+        property.group = layout.group;
+        layout.properties.push(property);
+    }
+
+    for(let reference of owner.attributeGroups) {
+        addAttributes(enterGroup(layout, reference.attributeGroup), reference.attributeGroup);
+    }
+}
+
+/**
+ * Returns the layout to expand a group or attribute group with
+ * @param {Object} layout - the layout the group is referenced from
+ * @param {model.Group|model.AttributeGroup} group - the referenced group
+ * @returns {Object} - a layout whose group is the referenced group
+ * @throws {exceptions.SchemaException} - if the group references itself, directly or not
+ */
+function enterGroup(layout, group) {
+    if(layout.groups.includes(group)) {
+        throw new exceptions.SchemaException(
+            `Circular reference to ${group.kind} '${group.name}' from complexType '${layout.complexType.name}'`,
+            group.location);
+    }
+
+    return Object.assign({}, layout, {
+        group   : group,
+        groups  : layout.groups.concat(group)
+    });
+}
+
+/**
+ * Adds a Choice and the properties of each of its branches
+ * @param {Object} layout - the properties and choices laid out so far
+ * @param {model.ModelGroup} group - the xs:choice
+ * @param {number} minOccurs - the minimum number of times the choice is made
+ * @param {number} maxOccurs - the maximum number of times the choice is made
+ */
+function addChoice(layout, group, minOccurs, maxOccurs) {
+    let choice = new model.Choice(null, group),
+        // Any one branch of a choice between several can be absent
+        branchMin = group.particles.length > 1 ? 0 : minOccurs;
+
+    choice.minOccurs = minOccurs;
+    choice.maxOccurs = maxOccurs;
+    choice.parent = layout.choice;
+    choice.parentBranch = layout.branches.length > 0 ? layout.branches[layout.branches.length - 1] : null;
+    layout.choices.push(choice);
+
+    for(let particle of group.particles) {
+        let branch = new model.ChoiceBranch(null);
+        choice.branches.push(branch);
+
+        addParticle(Object.assign({}, layout, {
+            choice      : choice,
+            branches    : layout.branches.concat(branch)
+        }), particle, branchMin, maxOccurs);
+    }
+}
+
+/**
+ * Names a choice and its branches. A FHIR-style value[x] choice, where every branch is a single 
+ * element named after a common prefix and the element's type, is named after the prefix and its 
+ * branches after the types. Other choices are named choice, choice2, ... and their branches after 
+ * their first property.
+ * @param {Array<model.Choice>} named - the choices of the same type that come before choice, already named
+ * @param {model.Choice} choice - the choice to name
+ */
+function nameChoice(named, choice) {
+    let prefix = null;
+
+    choice.isPolymorphic = choice.branches.length > 1 && choice.branches.every((branch) => {
+        if(branch.properties.length !== 1 || branch.properties[0].choice !== choice
+            || !branch.properties[0].type || !branch.properties[0].type.name) {
+            return false;
+        }
+
+        let name = branch.properties[0].name,
+            suffix = upperFirst(branch.properties[0].type.name);
+
+        if(name.length <= suffix.length || !name.endsWith(suffix)) {
+            return false;
+        }
+
+        prefix = prefix === null ? name.slice(0, -suffix.length) : prefix;
+        return name === prefix + suffix;
+    });
+
+    if(choice.isPolymorphic) {
+        choice.name = prefix;
+        choice.branches.forEach((branch) => branch.name = upperFirst(branch.properties[0].type.name));
+        return;
+    }
+
+    let count = named.filter((c) => !c.isPolymorphic).length + 1;
+    choice.name = count > 1 ? `choice${count}` : "choice";
+    choice.branches.forEach((branch, i) => {
+        branch.name = branch.properties.length > 0 ? branch.properties[0].name : `branch${i + 1}`;
+    });
+}
+
+/**
+ * Adds an element property. An element that appears more than once in a content model is a single
+ * property whose occurrences are the sum of those of each appearance, but for appearances in 
+ * different branches of a choice, only one of which occurs.
+ * @returns {model.Property} - the property added, or the existing one it was merged into
+ * @throws {exceptions.SchemaException} - if the element is in two choices neither of which encloses
+ *                                        the other
+ */
+function addElement(layout, property, minOccurs, maxOccurs) {
+    let existing = layout.properties.find((p) => p.kind === "element"
+        && p.name === property.name
+        && p.targetNamespace === property.targetNamespace);
+
+    if(existing) {
+        let branch = existing.choice ? branchOf(layout, existing.choice) : null;
+
+        if(existing.choice && layout.choice && !branch) {
+            throw new exceptions.SchemaException(
+                `Element '${property.name}' appears in two unrelated choices of complexType '${layout.complexType.name}'`,
+                layout.complexType.location);
+        }
+        if(branch && !branch.properties.includes(existing)) {
+            existing.minOccurs = Math.min(existing.minOccurs, minOccurs);
+            existing.maxOccurs = Math.max(existing.maxOccurs, maxOccurs);
+        } else {
+            existing.minOccurs += minOccurs;
+            existing.maxOccurs += maxOccurs;
+        }
+        return existing;
+    }
+
+    property.minOccurs = minOccurs;
+    property.maxOccurs = maxOccurs;
+    layout.properties.push(property);
+    return property;
+}
+
+/**
+ * Multiplies two occurrence counts, where a count may be CONST.UNBOUNDED (Infinity)
+ */
+function multiply(a, b) {
+    return a === 0 || b === 0 ? 0 : a * b;
+}
+
+/**
+ * Upper-cases the first character of a string
+ */
+function upperFirst(x) {
+    return x.charAt(0).toUpperCase() + x.slice(1);
+}
@@ -0,0 +1,220 @@
+/**
+ * @module resolver - links the QName references in a SchemaModel to the components they name
+ */
+
+'use strict';
+
+/**
+ * The schema model
+ */
+const model = require('./model')
+/**
+ * Exceptions
+ */
+    , exceptions  = require('./exceptions');
+
+module.exports = {
+    /**
+     * Resolves every reference in a model: element and attribute types, base types, list item types,
+     * union member types, element, attribute, group and attributeGroup refs and substitution groups.
+     * Each restriction of a simple type is then checked to only apply facets its base type allows,
+     * and each complex type is linked to the global elements declared with it.
+     * @param {model.SchemaModel} schemaModel - the model built from a schema set
+     * @returns {model.SchemaModel} - schemaModel, with its references linked
+     * @throws {exceptions.SchemaReferenceException} - if a reference doesn't resolve
+     * @throws {exceptions.SchemaException} - if a restriction applies a facet its base type doesn't allow
+     */
+    resolveModel : function( schemaModel ) {
+        if(schemaModel.resolved) {
+            return schemaModel;
+        }
+
+        for(let kind of ["types", "elements", "attributes", "groups", "attributeGroups"]) {
+            for(let component of schemaModel[kind].values()) {
+                resolve(schemaModel, component, [], component.location);
+            }
+        }
+        for(let type of schemaModel.allTypes()) {
+            if(type instanceof model.SimpleType) {
+                checkFacets(type);
+            }
+        }
+        for(let element of schemaModel.elements.values()) {
+            if(element.type instanceof model.ComplexType) {
+                element.type.elements.push(element);
+            }
+        }
+        schemaModel.resolved = true;
+
+        return schemaModel;
+    }
+}
+
+/**
+ * Resolves the references of a model object and of everything it declares
+ * @param {model.SchemaModel} schemaModel - the model being resolved
+ * @param {Object} obj - a component, model group or reference
+ * @param {Array<String>} path - descriptions of the components enclosing obj, innermost last
+ * @param {String} location - the document obj was declared in
+ */
+function resolve(schemaModel, obj, path, location) {
+    path = describe(obj) ? path.concat(describe(obj)) : path;
+
+    switch(obj.kind) {
+        case "complexType":
+            if(obj.baseName) {
+                obj.base = lookup(schemaModel, "type", obj.baseName, path, location);
+            }
+            if(obj.content) {
+                resolve(schemaModel, obj.content, path, location);
+            }
+            resolveAttributes(schemaModel, obj, path, location);
+            break;
+
+        case "simpleType":
+            if(obj.baseName) {
+                obj.base = lookup(schemaModel, "type", obj.baseName, path, location);
+            } else if(obj.base) {
+                resolve(schemaModel, obj.base, path, location);
+            }
+            if(obj.itemTypeName) {
+                obj.itemType = lookup(schemaModel, "type", obj.itemTypeName, path, location);
+            } else if(obj.itemType) {
+                resolve(schemaModel, obj.itemType, path, location);
+            }
+            for(let memberType of obj.memberTypes) {
+                resolve(schemaModel, memberType, path, location);
+            }
+            obj.memberTypes = obj.memberTypeNames
+                .map((name) => lookup(schemaModel, "type", name, path, location))
+                .concat(obj.memberTypes);
+            break;
+
+        case "element":
+            if(obj.refName) {
+                obj.ref = lookup(schemaModel, "element", obj.refName, path, location);
+                break;
+            }
+            if(obj.substitutionGroupName) {
+                obj.substitutionGroup = lookup(schemaModel, "element", obj.substitutionGroupName, path, location);
+            }
+            if(obj.typeName) {
+                obj.type = lookup(schemaModel, "type", obj.typeName, path, location);
+            } else if(obj.type) {
+                resolve(schemaModel, obj.type, path, location);
+            } else if(obj.substitutionGroup && obj.substitutionGroup.typeName) {
+                obj.type = lookup(schemaModel, "type", obj.substitutionGroup.typeName, path, location);
+            } else {
+                obj.type = model.builtinTypes.get("anyType");
+            }
+            break;
+
+        case "attribute":
+            if(obj.refName) {
+                obj.ref = lookup(schemaModel, "attribute", obj.refName, path, location);
+                break;
+            }
+            if(obj.typeName) {
+                obj.type = lookup(schemaModel, "type", obj.typeName, path, location);
+            } else if(obj.type) {
+                resolve(schemaModel, obj.type, path, location);
+            } else {
+                obj.type = model.builtinTypes.get("anySimpleType");
+            }
+            break;
+
+        case "group":
+            if(obj.content) {
+                resolve(schemaModel, obj.content, path, location);
+            }
+            break;
+
+        case "attributeGroup":
+            resolveAttributes(schemaModel, obj, path, location);
+            break;
+
+        case "modelGroup":
+            for(let particle of obj.particles) {
+                resolve(schemaModel, particle, path, location);
+            }
+            break;
+
+        case "groupReference":
+            obj.group = lookup(schemaModel, "group", obj.refName, path, location);
+            break;
+
+        case "attributeGroupReference":
+            obj.attributeGroup = lookup(schemaModel, "attributeGroup", obj.refName, path, location);
+            break;
+    }
+}
+
+/**
+ * Resolves the attributes and attribute group references of a complex type or attribute group
+ */
+function resolveAttributes(schemaModel, obj, path, location) {
+    for(let attribute of obj.attributes) {
+        resolve(schemaModel, attribute, path, location);
+    }
+    for(let reference of obj.attributeGroups) {
+        resolve(schemaModel, reference, path, location);
+    }
+}
+
+/**
+ * Checks that a restriction of a simple type only applies the facets its base type allows, as listed
+ * for each built-in type in dataTypes.js
+ * @param {model.SimpleType} simpleType - a resolved simple type
+ * @throws {exceptions.SchemaException} - if it applies any other facet
+ */
+function checkFacets(simpleType) {
+    if(simpleType.variety !== "atomic" || !simpleType.base) {
+        return;
+    }
+
+    for(let facet of simpleType.facets) {
+        if(!simpleType.base.allowedFacets.includes(facet.name)) {
+            throw new exceptions.SchemaException(
+                `Facet '${facet.name}' is not allowed on ${describe(simpleType)}, derived from `
+                + `${simpleType.base.name ? `'${simpleType.base.name}'` : `an anonymous ${simpleType.base.variety} type`}`,
+                simpleType.location);
+        }
+    }
+}
+
+/**
+ * Looks up the component a QName refers to
+ * @param {model.SchemaModel} schemaModel - the model being resolved
+ * @param {String} kind - "type", "element", "attribute", "group" or "attributeGroup"
+ * @param {model.QName} name - the QName
+ * @param {Array<String>} path - descriptions of the referencing component and those enclosing it
+ * @param {String} location - the document the referencing component was declared in
+ * @returns {Object} - the component
+ * @throws {exceptions.SchemaReferenceException} - if there is no such component
+ */
+function lookup(schemaModel, kind, name, path, location) {
+    let component = kind === "type"
+        ? schemaModel.getType(name.namespaceURI, name.localName)
+        : schemaModel.componentsOfKind(kind).get(name.qualifiedName);
+
+    if(!component) {
+        throw new exceptions.SchemaReferenceException(
+            `Cannot resolve ${kind} '${name}' (${name.qualifiedName})`,
+            path.slice().reverse().join(" in "),
+            location);
+    }
+
+    return component;
+}
+
+/**
+ * Describes a model object for error messages
+ * @param {Object} obj - a component, model group or reference
+ * @returns {String} - e.g. "complexType 'Account'", or null for objects that are not components
+ */
+function describe(obj) {
+    if(!(obj instanceof model.Component)) {
+        return null;
+    }
+    return obj.name ? `${obj.kind} '${obj.name}'` : `anonymous ${obj.kind}`;
+}
@@ -0,0 +1,133 @@
+/**
+ * @module classes - looks up the generated classes and their properties, for the serializers
+ */
+
+'use strict';
+
+/**
+ * Exceptions
+ */
+const exceptions = require('../exceptions');
+
+/**
+ * The properties of each class, inherited ones included, in the order they are serialized
+ */
+const propertiesCache = new Map();
+
+/**
+ * The classes of the complex-typed properties each class declares, once its propertyClasses is called
+ */
+const classesCache = new Map();
+
+/**
+ * The registered classes of the named complex types, by qualified name
+ */
+const registry = new Map();
+
+module.exports = {
+    /**
+     * Returns the descriptors of the properties of a class, inherited ones included: the elements,
+     * those of the base classes first, followed by the attributes and the text. A restriction
+     * replaces each inherited property by the one narrowing it, and leaves out those it prohibits.
+     * @param {Function} type - a generated class
+     * @returns {Array<Object>} - the property descriptors
+     */
+    propertiesOf : function( type ) {
+        return propertiesOf(type);
+    },
+
+    /**
+     * Returns the class of the values of a complex-typed property, from the propertyClasses of the
+     * class that declares the property
+     * @param {Function} type - a generated class
+     * @param {Object} property - the descriptor of one of its properties, as returned by propertiesOf
+     * @returns {Function} - the class
+     * @throws {exceptions.Exception} - if the class that declares the property doesn't know it
+     */
+    classOf : function( type, property ) {
+        for(let declaring = type; declaring && declaring.xsd; declaring = Object.getPrototypeOf(declaring)) {
+            if(Object.prototype.hasOwnProperty.call(declaring, "xsd") && declaring.xsd.properties.includes(property)) {
+                if(!classesCache.has(declaring)) {
+                    classesCache.set(declaring,
+                        Object.prototype.hasOwnProperty.call(declaring, "propertyClasses") ? declaring.propertyClasses() : {});
+                }
+                if(classesCache.get(declaring)[property.name]) {
+                    return classesCache.get(declaring)[property.name];
+                }
+                break;
+            }
+        }
+        throw new exceptions.Exception(`The class of property '${property.name}' of ${type.xsd.name} is unknown`);
+    },
+
+    /**
+     * Registers a class generated for a named complex type, so that serialized data can name it (with
+     * xsi:type, for instance). The class replaces any other registered for the same type.
+     * @param {Function} type - the generated class
+     */
+    register : function( type ) {
+        if(type.xsd.name) {
+            registry.set(qualifiedName(type.xsd.namespace, type.xsd.name), type);
+        }
+    },
+
+    /**
+     * Returns the registered class of a named complex type
+     * @param {String} namespace - the namespace of the type, or null
+     * @param {String} name - the name of the type
+     * @returns {Function} - the class, or undefined if none is registered
+     */
+    forName : function( namespace, name ) {
+        return registry.get(qualifiedName(namespace, name));
+    },
+
+    /**
+     * Tells whether a class is, or derives from, another
+     * @param {Function} type - the class
+     * @param {Function} base - the other class
+     * @returns {boolean} - true if type is base or extends it
+     */
+    derivesFrom : function( type, base ) {
+        return type === base || type.prototype instanceof base;
+    }
+}
+
+/**
+ * Returns the qualified name of a type in Clark notation, the key of the registry
+ */
+function qualifiedName(namespace, name) {
+    return namespace ? `{${namespace}}${name}` : name;
+}
+
+/**
+ * Returns the properties of a class, inherited ones included (see propertiesOf in the exports)
+ */
+function propertiesOf(type) {
+    if(propertiesCache.has(type)) {
+        return propertiesCache.get(type);
+    }
+
+    let parent = Object.getPrototypeOf(type),
+        inherited = parent && parent.xsd ? propertiesOf(parent) : [],
+        properties = inherited;
+
+    if(Object.prototype.hasOwnProperty.call(type, "xsd")) {
+        let own = type.xsd.properties;
+
+        if(type.xsd.derivation === "restriction") {
+            let same = (a, b) => a.kind === b.kind && a.name === b.name && a.namespace === b.namespace;
+            properties = inherited
+                .map((property) => own.find((narrowing) => same(narrowing, property)) || property)
+                .concat(own.filter((property) => !inherited.some((narrowed) => same(narrowed, property))))
+                .filter((property) => property.maxOccurs > 0);
+        } else {
+            let all = inherited.concat(own);
+            properties = all.filter((property) => property.kind === "element")
+                .concat(all.filter((property) => property.kind === "attribute"))
+                .concat(all.filter((property) => property.kind === "text"));
+        }
+    }
+
+    propertiesCache.set(type, properties);
+    return properties;
+}
@@ -0,0 +1,521 @@
+/**
+ * @module facets - applies the constraining facets of XSD simple types to lexical values
+ *
+ * The built-in types take the facet values they are derived with from the constraints listed in
+ * dataTypes.js, and each of them is also constrained by those of the types in its baseType chain,
+ * so that for example unsignedByte inherits the lower bound of nonNegativeInteger.
+ */
+
+'use strict';
+
+/**
+ * XSD data types
+ */
+const types = require('../dataTypes')
+/**
+ * Exceptions
+ */
+    , exceptions = require('../exceptions');
+
+/**
+ * The facets that constrain the number of characters, bytes or list items of a value
+ */
+const LENGTH_FACETS = ["length", "minLength", "maxLength"];
+
+/**
+ * The facets that bound an ordered value, with the comparison results each of them allows
+ */
+const BOUND_FACETS = {
+    "minInclusive"  : [0, 1],
+    "minExclusive"  : [1],
+    "maxInclusive"  : [-1, 0],
+    "maxExclusive"  : [-1]
+};
+
+/**
+ * The primitive types ordered as dates and times, with the template that completes a value of each
+ * into a dateTime (the value, without the leading dashes of a gMonthDay, gDay or gMonth, replaces the X)
+ */
+const DATE_TEMPLATES = {
+    "dateTime"      : "X",
+    "date"          : "XT00:00:00",
+    "time"          : "1972-01-01TX",
+    "gYearMonth"    : "X-01T00:00:00",
+    "gYear"         : "X-01-01T00:00:00",
+    "gMonthDay"     : "1972-XT00:00:00",
+    "gDay"          : "1972-01-XT00:00:00",
+    "gMonth"        : "1972-X-01T00:00:00"
+};
+
+/**
+ * The dateTimes two durations are added to in order to compare them
+ * (https://www.w3.org/TR/xmlschema-2/#duration-order)
+ */
+const DURATION_REFERENCES = ["1696-09-01T00:00:00Z", "1697-02-01T00:00:00Z", "1903-03-01T00:00:00Z", "1903-07-01T00:00:00Z"];
+
+/**
+ * The characters \i and \c stand for in a pattern: the first character of an XML name, and any
+ * character of a name
+ */
+const NAME_START_CHARS = ":A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF"
+    + "\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD";
+const NAME_CHARS = NAME_START_CHARS + "\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040";
+
+/**
+ * The characters the multi-character escapes of a pattern stand for, inside a character class, 
+ * unlike their ASCII-only JavaScript namesakes: \d any decimal digit, \s the four XML white space
+ * characters, \w any character but punctuation, separators and others (thus letters, marks, numbers
+ * and symbols), and their complements
+ */
+const MULTI_CHARACTER_ESCAPES = {
+    "d" : "\\p{Nd}",
+    "D" : "\\P{Nd}",
+    "s" : "\\x20\\t\\n\\r",
+    "S" : "\\0-\\x08\\x0B\\x0C\\x0E-\\x1F\\x21-\\u{10FFFF}",
+    "w" : "\\p{L}\\p{M}\\p{N}\\p{S}",
+    "W" : "\\p{P}\\p{Z}\\p{C}"
+};
+
+/**
+ * The JavaScript regular expressions XSD patterns translate to, by pattern
+ */
+const patterns = new Map();
+
+module.exports = {
+    /**
+     * Checks a lexical value against a set of facets
+     * @param {String} lexical - the value, its white space already normalized
+     * @param {Object} facets - the facet values by facet name (pattern and enumeration as arrays)
+     * @param {Object} context - { type, primitive, items }: the name of the type the value is checked
+     *                           against (for error messages), the name of the built-in primitive type
+     *                           it derives from, and the items of the value if the type is a list
+     * @throws {exceptions.ValidationException} - naming the facet the value violates
+     */
+    check : function( lexical, facets, context ) {
+        for(let name of Object.keys(facets)) {
+            let value = facets[name];
+
+            if(LENGTH_FACETS.includes(name)) {
+                let length = lengthOf(lexical, context),
+                    limit = Number(value);
+
+                if(name === "length" ? length !== limit : name === "minLength" ? length < limit : length > limit) {
+                    throw violation(lexical, context, name, value);
+                }
+            } else if(BOUND_FACETS[name]) {
+                let order = compare(context.primitive, lexical, value);
+
+                if(!BOUND_FACETS[name].includes(order)) {
+                    throw violation(lexical, context, name, value);
+                }
+            } else if(name === "totalDigits" || name === "fractionDigits") {
+                let digits = digitsOf(lexical);
+
+                if((name === "totalDigits" ? digits.total : digits.fraction) > Number(value)) {
+                    throw violation(lexical, context, name, value);
+                }
+            } else if(name === "pattern") {
+                // The patterns of one type are alternatives; those of its base types apply as well
+                let values = [].concat(value);
+                if(!values.some((pattern) => toRegExp(pattern).test(lexical))) {
+                    throw violation(lexical, context, name, values.length === 1 ? values[0] : values);
+                }
+            } else if(name === "enumeration") {
+                if(!value.some((literal) => equals(context.primitive, lexical, literal))) {
+                    throw violation(lexical, context, name, value);
+                }
+            }
+        }
+    },
+
+    /**
+     * Checks a lexical value against the facet values a built-in type and each type in its baseType
+     * chain are derived with, and against the legal literals of the type
+     * @param {String} lexical - the value, its white space already normalized
+     * @param {String} name - the name of the built-in type
+     * @throws {exceptions.ValidationException} - naming the facet the value violates
+     */
+    checkBuiltin : function( lexical, name ) {
+        let context = { type: name, primitive: module.exports.primitive(name), items: null };
+
+        for(let current = name; current; current = types[current].baseType) {
+            let definition = types[current];
+
+            if(definition.constraints) {
+                module.exports.check(lexical, definition.constraints, context);
+            }
+            if(definition.legalLiterals && !definition.legalLiterals.includes(lexical)) {
+                throw violation(lexical, context, "enumeration", definition.legalLiterals);
+            }
+        }
+    },
+
+    /**
+     * Returns the built-in primitive type a built-in type derives from
+     * @param {String} name - the name of the built-in type
+     * @returns {String} - the name of the primitive type, or null for the ur-types and list types
+     */
+    primitive : function( name ) {
+        if(!types[name] || types[name].itemType || name === "anyType" || name === "anySimpleType") {
+            return null;
+        }
+
+        let current = name;
+        while(types[current].baseType) {
+            current = types[current].baseType;
+        }
+        return current;
+    },
+
+    /**
+     * Translates an XSD pattern into the anchored JavaScript regular expression facets are checked
+     * with, which needs the "u" flag
+     * @param {String} pattern - the pattern, in the syntax of https://www.w3.org/TR/xmlschema-2/#regexs
+     * @returns {RegExp} - the regular expression
+     * @throws {exceptions.Exception} - if the pattern can't be translated
+     */
+    regExp : function( pattern ) {
+        return toRegExp(pattern);
+    },
+
+    /**
+     * Returns how a built-in type normalizes the white space of its values
+     * @param {String} name - the name of the built-in type
+     * @returns {String} - "preserve", "replace" or "collapse"
+     */
+    whiteSpace : function( name ) {
+        for(let current = name; current && types[current]; current = types[current].baseType) {
+            if(types[current].constraints && types[current].constraints.whiteSpace) {
+                return types[current].constraints.whiteSpace;
+            }
+        }
+        return name === "anySimpleType" ? "preserve" : "collapse";
+    },
+
+    /**
+     * Normalizes the white space of a lexical value
+     * @param {String} lexical - the value
+     * @param {String} whiteSpace - "preserve", "replace" or "collapse"
+     * @returns {String} - the normalized value
+     */
+    normalize : function( lexical, whiteSpace ) {
+        if(whiteSpace === "preserve") {
+            return lexical;
+        }
+
+        let replaced = lexical.replace(/[\t\n\r]/g, " ");
+        return whiteSpace === "collapse" ? replaced.replace(/ +/g, " ").trim() : replaced;
+    },
+
+    /**
+     * Compares two lexical values of an ordered primitive type
+     * @param {String} primitive - the name of the primitive type
+     * @param {String} a - the first value
+     * @param {String} b - the second value
+     * @returns {number} - -1, 0 or 1 as a is less than, equal to or greater than b, or NaN if they
+     *                     are not comparable
+     */
+    compare : function( primitive, a, b ) {
+        return compare(primitive, a, b);
+    }
+}
+
+/**
+ * Compares two lexical values of an ordered primitive type (see compare above)
+ */
+function compare(primitive, a, b) {
+    if(primitive === "decimal") {
+        return compareDecimals(a, b);
+    }
+    if(primitive === "float" || primitive === "double") {
+        return compareNumbers(toNumber(a), toNumber(b));
+    }
+    if(DATE_TEMPLATES[primitive]) {
+        return compareNumbers(toTime(primitive, a), toTime(primitive, b));
+    }
+    if(primitive === "duration") {
+        let orders = DURATION_REFERENCES.map((reference) => compareNumbers(
+            addDuration(reference, a), addDuration(reference, b)));
+        return orders.every((order) => order === orders[0]) ? orders[0] : NaN;
+    }
+    return NaN;
+}
+
+/**
+ * Tells whether two lexical values of a primitive type stand for the same value
+ */
+function equals(primitive, a, b) {
+    let order = compare(primitive, a, b);
+    return isNaN(order) ? a === b : order === 0;
+}
+
+/**
+ * Compares two decimal numbers digit by digit, so that values beyond the precision of a double
+ * (such as the bounds of unsignedLong) compare exactly
+ */
+function compareDecimals(a, b) {
+    let x = splitDecimal(a),
+        y = splitDecimal(b);
+
+    let signX = x.zero ? 0 : x.negative ? -1 : 1,
+        signY = y.zero ? 0 : y.negative ? -1 : 1;
+
+    if(signX !== signY || signX === 0) {
+        return Math.sign(signX - signY);
+    }
+
+    let order = x.integer.length !== y.integer.length
+        ? Math.sign(x.integer.length - y.integer.length)
+        : compareDigits(x.integer + x.fraction, y.integer + y.fraction);
+
+    return signX * order;
+}
+
+/**
+ * Compares two strings of digits of which the shorter is padded with trailing zeros
+ */
+function compareDigits(a, b) {
+    let length = Math.max(a.length, b.length);
+    a = a.padEnd(length, "0");
+    b = b.padEnd(length, "0");
+    return a === b ? 0 : a < b ? -1 : 1;
+}
+
+/**
+ * Splits a decimal number into its sign, and its integer and fraction digits without insignificant
+ * zeros
+ */
+function splitDecimal(lexical) {
+    let match = /^([+-]?)([0-9]*)(?:\.([0-9]*))?$/.exec(lexical.trim()) || [null, "", "", ""],
+        integer = match[2].replace(/^0+/, ""),
+        fraction = (match[3] || "").replace(/0+$/, "");
+
+    return {
+        negative    : match[1] === "-",
+        integer     : integer,
+        fraction    : fraction,
+        zero        : integer === "" && fraction === ""
+    };
+}
+
+/**
+ * Counts the significant digits of a decimal number, in total and after the decimal point
+ */
+function digitsOf(lexical) {
+    let decimal = splitDecimal(lexical);
+
+    return {
+        total       : Math.max(decimal.integer.length + decimal.fraction.length, 1),
+        fraction    : decimal.fraction.length
+    };
+}
+
+/**
+ * Compares two numbers, NaN being comparable to nothing
+ */
+function compareNumbers(a, b) {
+    return isNaN(a) || isNaN(b) ? NaN : Math.sign(a - b) || 0;
+}
+
+/**
+ * Converts a float or double lexical value into a number
+ */
+function toNumber(lexical) {
+    return lexical === "INF" ? Infinity : lexical === "-INF" ? -Infinity : Number(lexical);
+}
+
+/**
+ * Converts a date or time lexical value into milliseconds since the epoch, by completing it into a
+ * dateTime. A value without a timezone is taken to be in UTC. The components are read one by one, as
+ * Date.parse only reads years from 0000 to 9999 (the year before 0001 is taken to be 0000, as in 
+ * XSD 1.1).
+ */
+function toTime(primitive, lexical) {
+    let match = /^(.*?)(?:(Z)|([+-])([0-9]{2}):([0-9]{2}))?$/.exec(lexical),
+        dateTime = DATE_TEMPLATES[primitive].replace("X", match[1].replace(/^--+/, "")),
+        parts = /^(-?[0-9]{4,})-([0-9]{2})-([0-9]{2})T([0-9]{2}):([0-9]{2}):([0-9]{2}(?:\.[0-9]*)?)$/.exec(dateTime);
+
+    if(!parts) {
+        return NaN;
+    }
+
+    let [year, month, day, hour, minute, second] = parts.slice(1).map(Number),
+        offset = match[3] ? (match[3] === "-" ? -1 : 1) * (Number(match[4]) * 60 + Number(match[5])) : 0;
+
+    return ((daysFromCivil(year, month, day) * 24 + hour) * 60 + minute - offset) * 60000 + second * 1000;
+}
+
+/**
+ * Counts the days from 1970-01-01 to a date of the proleptic Gregorian calendar, for any year
+ * (https://howardhinnant.github.io/date_algorithms.html#days_from_civil)
+ */
+function daysFromCivil(year, month, day) {
+    let y = month <= 2 ? year - 1 : year,
+        era = Math.floor(y / 400),
+        yearOfEra = y - era * 400,
+        dayOfYear = Math.floor((153 * (month > 2 ? month - 3 : month + 9) + 2) / 5) + day - 1,
+        dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+
+    return era * 146097 + dayOfEra - 719468;
+}
+
+/**
+ * Adds a duration to a dateTime
+ * @returns {number} - the resulting time in milliseconds since the epoch
+ */
+function addDuration(dateTime, lexical) {
+    let match = /^(-)?P(?:([0-9]+)Y)?(?:([0-9]+)M)?(?:([0-9]+)D)?(?:T(?:([0-9]+)H)?(?:([0-9]+)M)?(?:([0-9.]+)S)?)?$/
+            .exec(lexical);
+
+    if(!match) {
+        return NaN;
+    }
+
+    let sign = match[1] ? -1 : 1,
+        date = new Date(dateTime),
+        part = (i) => sign * Number(match[i] || 0);
+
+    date.setUTCFullYear(date.getUTCFullYear() + part(2), date.getUTCMonth() + part(3), date.getUTCDate() + part(4));
+    return date.getTime() + ((part(5) * 60 + part(6)) * 60 + part(7)) * 1000;
+}
+
+/**
+ * Returns the length of a value: the number of items of a list, the number of bytes of binary data,
+ * or else the number of characters
+ */
+function lengthOf(lexical, context) {
+    if(context.items) {
+        return context.items.length;
+    }
+    if(context.primitive === "hexBinary") {
+        return lexical.length / 2;
+    }
+    if(context.primitive === "base64Binary") {
+        let data = lexical.replace(/\s/g, "");
+        return data.length * 3 / 4 - (data.match(/=*$/)[0].length);
+    }
+    return [...lexical].length;
+}
+
+/**
+ * Translates an XSD pattern into an anchored JavaScript regular expression
+ * @param {String} pattern - the pattern, in the syntax of https://www.w3.org/TR/xmlschema-2/#regexs
+ * @returns {RegExp} - the regular expression
+ * @throws {exceptions.Exception} - if the pattern can't be translated
+ */
+function toRegExp(pattern) {
+    if(!patterns.has(pattern)) {
+        try {
+            let state = { pattern: pattern, i: 0 },
+                source = "";
+
+            while(state.i < pattern.length) {
+                let c = pattern[state.i++];
+                if(c === "\\") {
+                    source += translateEscape(state, false);
+                } else if(c === "[") {
+                    source += translateClass(state);
+                } else if(c === "^" || c === "$") {
+                    source += "\\" + c;
+                } else if(c === ".") {
+                    source += "[^\\n\\r]";
+                } else {
+                    source += c;
+                }
+            }
+            patterns.set(pattern, new RegExp(`^(?:${source})$`, "u"));
+        } catch(err) {
+            throw new exceptions.Exception(`Cannot translate pattern '${pattern}': ${err.message}`);
+        }
+    }
+    return patterns.get(pattern);
+}
+
+/**
+ * Translates a character class expression, after its opening bracket, handling subtractions
+ * ([a-z-[aeiou]]) with a negative lookahead
+ */
+function translateClass(state) {
+    let negated = state.pattern[state.i] === "^",
+        source = "",
+        subtraction = null;
+
+    state.i += negated ? 1 : 0;
+
+    while(state.i < state.pattern.length) {
+        let c = state.pattern[state.i++];
+
+        if(c === "]") {
+            let set = `[${negated ? "^" : ""}${source}]`;
+            return subtraction ? `(?:(?!${subtraction})${set})` : set;
+        }
+        if(c === "-" && state.pattern[state.i] === "[") {
+            state.i++;
+            subtraction = translateClass(state);
+        } else if(c === "\\") {
+            source += translateEscape(state, true);
+        } else if(c === "[" || c === "/") {
+            source += "\\" + c;
+        } else {
+            source += c;
+        }
+    }
+    throw new Error("unterminated character class");
+}
+
+/**
+ * Translates an escape, after its backslash, inside or outside of a character class
+ */
+function translateEscape(state, inClass) {
+    let c = state.pattern[state.i++];
+
+    switch(c) {
+        case "i":
+            return inClass ? NAME_START_CHARS : `[${NAME_START_CHARS}]`;
+        case "c":
+            return inClass ? NAME_CHARS : `[${NAME_CHARS}]`;
+        case "I":
+        case "C":
+            if(inClass) {
+                throw new Error(`\\${c} inside a character class`);
+            }
+            return `[^${c === "I" ? NAME_START_CHARS : NAME_CHARS}]`;
+        case "p":
+        case "P": {
+            let end = state.pattern.indexOf("}", state.i),
+                property = state.pattern.slice(state.i + 1, end);
+
+            state.i = end + 1;
+            if(property.startsWith("Is")) {
+                // Unicode blocks have no JavaScript equivalent
+                throw new Error(`unsupported block escape \\${c}{${property}}`);
+            }
+            return `\\${c}{${property}}`;
+        }
+        case "-":
+            return inClass ? "\\-" : "-";
+        case "d":
+        case "D":
+        case "s":
+        case "S":
+        case "w":
+        case "W":
+            return inClass ? MULTI_CHARACTER_ESCAPES[c] : `[${MULTI_CHARACTER_ESCAPES[c]}]`;
+        default:
+            // Single character escapes (\n, \.) mean the same in JavaScript, but escaping any other
+            // character is an error in unicode mode
+            return /[nrt\\|.?*+(){}\[\]^$\/]/.test(c) ? "\\" + c : c;
+    }
+}
+
+/**
+ * Creates the ValidationException for a value that violates a facet
+ */
+function violation(lexical, context, facet, value) {
+    return new exceptions.ValidationException(
+        `${JSON.stringify(lexical)} is not a valid ${context.type} (${facet} ${JSON.stringify(value)})`, {
+            type        : context.type,
+            constraint  : facet,
+            value       : lexical
+        });
+}
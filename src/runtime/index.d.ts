@@ -0,0 +1,208 @@
+/**
+ * TypeScript declarations of the runtime, which the declarations of the generated classes import
+ */
+
+/**
+ * The options of an instance of a generated class
+ */
+export interface Options {
+    /** "throw" (the default) to throw a ValidationException when an assigned value breaks a constraint,
+     *  or "collect" to store the value and collect the exception instead */
+    validation?: "throw" | "collect";
+}
+
+/**
+ * The options of toXML
+ */
+export interface XMLOptions {
+    /** the element to serialize the instance as, by default the first global element declared with its type */
+    element?: { name: string, namespace: string | null };
+    /** the prefix to use for each namespace URI, "" making it the default namespace */
+    prefixes?: { [namespace: string]: string };
+    /** true to start the XML with an XML declaration */
+    declaration?: boolean;
+}
+
+/**
+ * A mapping of instances to JSON and back (see json.mappings)
+ */
+export interface JSONMapping {
+    write(object: XsdObject, options: JSONOptions): any;
+    read(type: Function, json: any, options: JSONOptions): XsdObject;
+}
+
+/**
+ * The options of toJSON and fromJSON
+ */
+export interface JSONOptions extends Options {
+    /** the name of a mapping in json.mappings ("plain" by default), or a mapping */
+    mapping?: "plain" | "fhir" | string | JSONMapping;
+}
+
+/**
+ * The values a generated class can be created with, by property name
+ */
+export type Values<T> = Partial<Omit<T, keyof XsdObject>>;
+
+/**
+ * The descriptor of a property, read by the runtime
+ */
+export interface PropertyDescriptor {
+    /** the name of the property in JavaScript */
+    name: string;
+    /** the XSD name of the element or attribute, null for the text of a simple content */
+    localName: string | null;
+    kind: "element" | "attribute" | "text";
+    namespace: string | null;
+    minOccurs: number;
+    maxOccurs: number;
+    choice: string | null;
+    branch: string | null;
+    type: { name: string | null, namespace: string | null } | null;
+    simpleType: string | SimpleTypeDescriptor | null;
+}
+
+/**
+ * The descriptor of a complex type, the static xsd property of its class
+ */
+export interface ComplexTypeDescriptor {
+    name: string | null;
+    namespace: string | null;
+    base: { name: string, namespace: string | null } | null;
+    derivation: "extension" | "restriction" | null;
+    element: { name: string, namespace: string | null } | null;
+    properties: Array<PropertyDescriptor>;
+    choices: Array<{
+        name: string,
+        minOccurs: number,
+        maxOccurs: number,
+        parent: { choice: string, branch: string } | null,
+        branches: Array<{ name: string, properties: Array<string> }>
+    }>;
+}
+
+/**
+ * The descriptor of a simple type, checked against by the simpleTypes module
+ */
+export interface SimpleTypeDescriptor {
+    name: string | null;
+    namespace: string | null;
+    variety: "atomic" | "list" | "union";
+    base: string | SimpleTypeDescriptor | null;
+    facets: { [name: string]: any };
+    itemType: string | SimpleTypeDescriptor | null;
+    memberTypes: Array<string | SimpleTypeDescriptor>;
+}
+
+/**
+ * Thrown, or collected, when a value breaks a constraint of the schema
+ */
+export interface ValidationException {
+    readonly errString: string;
+    readonly type: string;
+    readonly property: string;
+    readonly constraint: string;
+    readonly value: any;
+    toString(): string;
+}
+
+/**
+ * The base class of the generated classes
+ */
+export class XsdObject {
+    constructor(values?: { [name: string]: any }, options?: Options);
+    /** the descriptor of the complex type of the class */
+    static xsd: ComplexTypeDescriptor;
+    violations(): Array<ValidationException>;
+    validate(): void;
+    toXML(options?: XMLOptions): string;
+    static fromXML<T extends XsdObject>(this: new (...args: any[]) => T, source: string | object, options?: Options): T;
+    toJSON(options?: JSONOptions | string): any;
+    static fromJSON<T extends XsdObject>(this: new (...args: any[]) => T, source: string | object, options?: JSONOptions): T;
+    static register(): void;
+    activeBranches(choiceName: string): Array<string>;
+    activeBranch(choiceName: string): string | null;
+    _get(name: string): any;
+    _set(name: string, value: any): void;
+}
+
+export namespace primitives {
+    /** A decimal number, kept digit by digit so that no precision is lost */
+    class Decimal {
+        constructor(negative: boolean, integer: string, fraction: string);
+        negative: boolean;
+        integer: string;
+        fraction: string;
+        toNumber(): number;
+    }
+
+    /** A duration, as its years, months, days, hours, minutes and seconds */
+    class Duration {
+        constructor(negative: boolean, years: number, months: number, days: number, hours: number, minutes: number, seconds: number);
+        negative: boolean;
+        years: number;
+        months: number;
+        days: number;
+        hours: number;
+        minutes: number;
+        seconds: number;
+    }
+
+    /** A value of one of the date and time types: the fields the type doesn't have are null */
+    class DateTime {
+        constructor(type: string, fields: object);
+        type: string;
+        year: number | null;
+        month: number | null;
+        day: number | null;
+        hour: number | null;
+        minute: number | null;
+        second: number | null;
+        timezone: number | null;
+        toDate(): Date;
+    }
+
+    /** A qualified name */
+    class QualifiedName {
+        constructor(namespaceURI: string | null, localName: string, prefix?: string | null);
+        namespaceURI: string | null;
+        localName: string;
+        prefix: string | null;
+    }
+
+    function parse(lexical: string, name: string, options?: object): any;
+    function isValid(lexical: string, name: string, options?: object): boolean;
+}
+
+export const simpleTypes: {
+    check(lexical: string, type: string | SimpleTypeDescriptor): { value: any, memberType: string | SimpleTypeDescriptor | null };
+    parse(lexical: string, type: string | SimpleTypeDescriptor, options?: object): any;
+    toValue(lexical: string, type: string | SimpleTypeDescriptor, options?: object): any;
+    serialize(value: any, type: string | SimpleTypeDescriptor): string;
+    accepts(value: any, type: string | SimpleTypeDescriptor): boolean;
+    variety(type: string | SimpleTypeDescriptor): "atomic" | "list" | "union";
+    primitive(type: string | SimpleTypeDescriptor): string | null;
+    itemType(type: string | SimpleTypeDescriptor): string | SimpleTypeDescriptor;
+};
+
+export const xml: {
+    toDocument(object: XsdObject, options?: XMLOptions): object;
+    toXML(object: XsdObject, options?: XMLOptions): string;
+    fromXML<T extends XsdObject>(type: new (...args: any[]) => T, source: string | object, options?: Options): T;
+};
+
+export const json: {
+    toJSON(object: XsdObject, options?: JSONOptions): any;
+    fromJSON<T extends XsdObject>(type: new (...args: any[]) => T, json: string | object, options?: JSONOptions): T;
+    simpleToJSON(value: any, simpleType: string | SimpleTypeDescriptor | null, alwaysNumbers?: boolean): any;
+    simpleFromJSON(json: any, property: PropertyDescriptor): any;
+    mappings: { [name: string]: JSONMapping };
+};
+
+export const classes: {
+    propertiesOf(type: typeof XsdObject): Array<PropertyDescriptor>;
+    classOf(type: typeof XsdObject, property: PropertyDescriptor): typeof XsdObject;
+    register(type: typeof XsdObject): void;
+    forName(namespace: string | null, name: string): typeof XsdObject | undefined;
+    derivesFrom(type: Function, base: Function): boolean;
+};
@@ -0,0 +1,14 @@
+/**
+ * @module runtime - the support library the generated classes are built on
+ */
+
+'use strict';
+
+module.exports = {
+    XsdObject   : require('./xsdObject'),
+    simpleTypes : require('./simpleTypes'),
+    primitives  : require('./primitives'),
+    xml         : require('./xml'),
+    classes     : require('./classes'),
+    json        : require('./json')
+};
@@ -0,0 +1,450 @@
+/**
+ * @module json - converts instances of the generated classes to JSON and back, following a mapping:
+ * the plain mapping of properties to members, the FHIR JSON mapping, or one of your own
+ */
+
+'use strict';
+
+/**
+ * XML serializer, for the content of xs:anyType elements
+ */
+const { XMLSerializer } = require('xmldom')
+
+/**
+ * Checks values against simple types
+ */
+    , simpleTypes = require('./simpleTypes')
+
+/**
+ * The generated classes and their properties
+ */
+    , classes = require('./classes')
+
+/**
+ * Exceptions
+ */
+    , exceptions = require('../exceptions');
+
+const ELEMENT_NODE = 1;
+
+module.exports = {
+    /**
+     * Converts an instance of a generated class to JSON, following a mapping
+     * @param {XsdObject} object - the instance
+     * @param {module:json~options} options - optional options
+     * @returns {Object} - the JSON value, ready for JSON.stringify
+     */
+    toJSON : function( object, options = {} ) {
+        return mappingOf(options).write(object, options);
+    },
+
+    /**
+     * Converts JSON back into an instance of a generated class, following a mapping. Each value is
+     * checked as it is set (see XsdObject._set), and members that match no property are reported as
+     * ValidationExceptions with the "unknown" constraint.
+     * @param {Function} type - the generated class
+     * @param {String|Object} json - the JSON, parsed or not
+     * @param {module:json~options} options - optional options, those of the instances included
+     * @returns {XsdObject} - the instance
+     * @throws {exceptions.Exception} - if the JSON can't be parsed
+     * @throws {exceptions.ValidationException} - unless violations are collected: if the JSON breaks
+     *                                            a constraint of the schema
+     */
+    fromJSON : function( type, json, options = {} ) {
+        if(typeof json === "string") {
+            try {
+                json = JSON.parse(json);
+            } catch(err) {
+                throw new exceptions.Exception(`Cannot parse the JSON of a ${type.xsd.name}: ${err.message}`);
+            }
+        }
+        if(!isObject(json)) {
+            throw new exceptions.ValidationException(`Cannot read a ${type.xsd.name} from ${JSON.stringify(json)}`, {
+                type        : type.xsd.name,
+                constraint  : "type",
+                value       : json
+            });
+        }
+        return mappingOf(options).read(type, json, options);
+    },
+
+    /**
+     * Converts a simple value to JSON: a boolean to a boolean, a number to a number (when the number
+     * reads back as the same lexical value, unless numbers are always wanted), a list to an array
+     * and anything else to its lexical value. The value of a union is converted as a value of the 
+     * member type that accepts it.
+     * @param {*} value - the value
+     * @param {String|Object} simpleType - its simple type, or null for an xs:anyType value
+     * @param {boolean} alwaysNumbers - true to convert every finite number to a JSON number, even if
+     *                                  its lexical value is lost (e.g. the trailing zeros of "1.50")
+     * @returns {*} - the JSON value
+     */
+    simpleToJSON : function( value, simpleType, alwaysNumbers = false ) {
+        if(!simpleType) {
+            if(value !== null && typeof value === "object" && value.nodeType === ELEMENT_NODE) {
+                return new XMLSerializer().serializeToString(value);
+            }
+            return ["string", "number", "boolean"].includes(typeof value) ? value : String(value);
+        }
+        if(simpleTypes.variety(simpleType) === "list") {
+            let itemType = simpleTypes.itemType(simpleType),
+                items = Array.isArray(value) ? value : simpleTypes.parse(String(value), simpleType);
+            return items.map((item) => module.exports.simpleToJSON(item, itemType, alwaysNumbers));
+        }
+
+        let lexical = simpleTypes.serialize(value, simpleType);
+        if(simpleTypes.variety(simpleType) === "union") {
+            let memberType;
+            try {
+                memberType = simpleTypes.check(lexical, simpleType).memberType;
+            } catch(err) {
+                return lexical;
+            }
+            return module.exports.simpleToJSON(lexical, memberType, alwaysNumbers);
+        }
+
+        switch(simpleTypes.primitive(simpleType)) {
+            case "boolean":
+                return lexical === "true" || lexical === "1" ? true : lexical === "false" || lexical === "0" ? false : lexical;
+            case "decimal":
+            case "float":
+            case "double": {
+                let number = Number(lexical);
+                return isFinite(number) && lexical.trim() !== "" && (alwaysNumbers || String(number) === lexical) ? number : lexical;
+            }
+            default:
+                return lexical;
+        }
+    },
+
+    /**
+     * Converts a JSON value back into a simple value of a property, with simpleTypes.toValue. A value
+     * that is not valid is returned as it is, for XsdObject._set to report.
+     * @param {*} json - the JSON value
+     * @param {Object} property - the descriptor of the property
+     * @returns {*} - the value
+     */
+    simpleFromJSON : function( json, property ) {
+        let isList = Array.isArray(json) && property.simpleType && simpleTypes.variety(property.simpleType) === "list";
+        if(!property.simpleType || !["string", "number", "boolean"].includes(typeof json) && !isList) {
+            return json;
+        }
+
+        let lexical = isList ? json.map(String).join(" ") : String(json);
+        try {
+            return simpleTypes.toValue(lexical, property.simpleType);
+        } catch(err) {
+            return json;
+        }
+    },
+
+    /**
+     * The mappings, by name. A mapping is an object with a write(object, options) function returning
+     * the JSON of an instance, and a read(type, json, options) function returning the instance of a
+     * class read from JSON; more can be added here, or passed as the mapping option.
+     */
+    mappings : {
+        /**
+         * Each property set becomes a member named after it: an array for a repeating property, an
+         * object for an instance of a generated class, and a JSON value for a simple value (see
+         * simpleToJSON). An instance of a class derived from the type of its property names its type
+         * in a "$type" member, qualified in Clark notation if it is in another namespace.
+         */
+        plain : {
+            write : function( object, options ) {
+                return writePlain(object, null);
+            },
+            read : function( type, json, options ) {
+                return readPlain(type, json, options);
+            }
+        },
+
+        /**
+         * The FHIR JSON representation: members are named after the XSD names of the elements and
+         * attributes rather than the names of their properties, a resource names its type in a
+         * "resourceType" member, a contained resource replaces the container element, the value
+         * attribute of a primitive type is flattened into the member of its property and its id and
+         * extensions go into a sibling member named after the property with a leading underscore. FHIR
+         * represents decimals as numbers, which keeps their value but not their trailing zeros.
+         */
+        fhir : {
+            write : function( object, options ) {
+                return writeFhir(object);
+            },
+            read : function( type, json, options ) {
+                return readFhir(type, json, options);
+            }
+        }
+    }
+}
+
+/**
+ * @typedef {Object} module:json~options
+ * @property {String|Object} mapping - the name of a mapping in mappings ("plain" by default), or a
+ *                                     mapping
+ * @property {String} validation - for fromJSON, the validation option of the instances
+ */
+
+/**
+ * Returns the mapping the options ask for
+ */
+function mappingOf(options) {
+    let mapping = options.mapping || "plain";
+    if(typeof mapping === "string") {
+        if(!module.exports.mappings[mapping]) {
+            throw new exceptions.Exception(`Unknown JSON mapping '${mapping}'`);
+        }
+        return module.exports.mappings[mapping];
+    }
+    return mapping;
+}
+
+/**
+ * Tells whether a JSON value is an object, as opposed to an array or a simple value
+ */
+function isObject(json) {
+    return json !== null && typeof json === "object" && !Array.isArray(json);
+}
+
+/**
+ * Tells whether a value is an instance of a generated class
+ */
+function isInstance(value) {
+    return value !== null && typeof value === "object" && Boolean(value.constructor.xsd);
+}
+
+/**
+ * Creates the ValidationException for a member of a JSON object that matches no property
+ */
+function unknown(type, name, value) {
+    return new exceptions.ValidationException(`${type.xsd.name} has no property '${name}'`, {
+        type        : type.xsd.name,
+        property    : name,
+        constraint  : "unknown",
+        value       : value
+    });
+}
+
+/**
+ * Writes an instance with the plain mapping
+ * @param {XsdObject} object - the instance
+ * @param {Object} expected - the { name, namespace } of the type of its property, or null
+ */
+function writePlain(object, expected) {
+    let type = object.constructor.xsd,
+        json = {};
+
+    object.validate();
+    if(expected && expected.name && type.name && (expected.name !== type.name || expected.namespace !== type.namespace)) {
+        json.$type = type.namespace === expected.namespace ? type.name : `{${type.namespace || ""}}${type.name}`;
+    }
+
+    for(let property of classes.propertiesOf(object.constructor)) {
+        let value = object._values[property.name];
+        if(value === undefined) {
+            continue;
+        }
+
+        let write = (item) => isInstance(item) ? writePlain(item, property.type)
+            : module.exports.simpleToJSON(item, property.simpleType);
+        json[property.name] = property.maxOccurs > 1 ? value.map(write) : write(value);
+    }
+    return json;
+}
+
+/**
+ * Reads an instance with the plain mapping
+ * @param {Function} type - the class of the type of the instance's property
+ * @param {Object} json - the JSON object
+ * @param {Object} options - the options of the instance
+ */
+function readPlain(type, json, options) {
+    let concrete = type;
+
+    if(json.$type !== undefined) {
+        let match = /^\{(.*)\}(.+)$/.exec(json.$type);
+        concrete = match ? classes.forName(match[1] || null, match[2]) : classes.forName(type.xsd.namespace, json.$type);
+        if(!concrete || !classes.derivesFrom(concrete, type)) {
+            throw new exceptions.ValidationException(
+                `Cannot read a ${type.xsd.name}: $type '${json.$type}' `
+                + `${concrete ? `doesn't derive from ${type.xsd.name}` : "names no registered class"}`, {
+                    type        : type.xsd.name,
+                    constraint  : "$type",
+                    value       : json.$type
+                });
+        }
+    }
+
+    let object = new concrete(undefined, options),
+        properties = classes.propertiesOf(concrete);
+
+    for(let name of Object.keys(json).filter((name) => name !== "$type")) {
+        let property = properties.find((p) => p.name === name);
+        if(!property) {
+            object._report(unknown(concrete, name, json[name]));
+            continue;
+        }
+
+        let read = (item) => !property.type ? module.exports.simpleFromJSON(item, property)
+            : isObject(item) ? readPlain(classes.classOf(concrete, property), item, options)
+            : item;
+        object._set(name, property.maxOccurs > 1 && Array.isArray(json[name]) ? json[name].map(read) : read(json[name]));
+    }
+    object._checkRequired();
+    return object;
+}
+
+/**
+ * Tells whether a class is, or derives from, the class of the FHIR Resource type
+ */
+function isResource(type) {
+    for(let current = type; current && current.xsd; current = Object.getPrototypeOf(current)) {
+        if(current.xsd.name === "Resource") {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Returns the value attribute of a FHIR primitive type (a type whose value is held by its value
+ * attribute, like boolean or dateTime), or undefined if the class is not one of a primitive type
+ */
+function valueAttributeOf(type) {
+    return classes.propertiesOf(type).find((property) => property.kind === "attribute" && property.localName === "value");
+}
+
+/**
+ * Writes an instance with the FHIR mapping
+ * @param {XsdObject} object - the instance
+ */
+function writeFhir(object) {
+    let json = isResource(object.constructor) ? { resourceType: object.constructor.xsd.name } : {};
+
+    object.validate();
+    for(let property of classes.propertiesOf(object.constructor)) {
+        let value = object._values[property.name];
+        if(value === undefined) {
+            continue;
+        }
+
+        let repeats = property.maxOccurs > 1,
+            items = repeats ? value : [value],
+            itemClass = property.type ? classes.classOf(object.constructor, property) : null,
+            valueAttribute = itemClass ? valueAttributeOf(itemClass) : null;
+
+        if(valueAttribute) {
+            let values = items.map((item) => item._values[valueAttribute.name] === undefined ? null
+                    : module.exports.simpleToJSON(item._values[valueAttribute.name], valueAttribute.simpleType, true)),
+                extras = items.map((item) => {
+                    let extra = writeFhir(item);
+                    delete extra[valueAttribute.localName];
+                    return Object.keys(extra).length > 0 ? extra : null;
+                });
+
+            if(values.some((v) => v !== null)) {
+                json[property.localName] = repeats ? values : values[0];
+            }
+            if(extras.some((extra) => extra !== null)) {
+                json[`_${property.localName}`] = repeats ? extras : extras[0];
+            }
+            continue;
+        }
+
+        let write = (item) => {
+            if(!isInstance(item)) {
+                return module.exports.simpleToJSON(item, property.simpleType, true);
+            }
+            if(itemClass && itemClass.xsd.name === "ResourceContainer") {
+                let resource = Object.keys(item._values).map((name) => item._values[name])[0];
+                return resource ? writeFhir(resource) : {};
+            }
+            return writeFhir(item);
+        };
+        json[property.localName] = repeats ? items.map(write) : write(value);
+    }
+    return json;
+}
+
+/**
+ * Reads an instance with the FHIR mapping
+ * @param {Function} type - the class of the type of the instance's property
+ * @param {Object} json - the JSON object
+ * @param {Object} options - the options of the instance
+ */
+function readFhir(type, json, options) {
+    let concrete = type;
+
+    if(json.resourceType !== undefined) {
+        concrete = classes.forName(type.xsd.namespace, json.resourceType);
+        if(!concrete || !classes.derivesFrom(concrete, type)) {
+            throw new exceptions.ValidationException(
+                `Cannot read a ${type.xsd.name}: resourceType '${json.resourceType}' `
+                + `${concrete ? `doesn't derive from ${type.xsd.name}` : "names no registered class"}`, {
+                    type        : type.xsd.name,
+                    constraint  : "resourceType",
+                    value       : json.resourceType
+                });
+        }
+    }
+
+    let object = new concrete(undefined, options),
+        properties = classes.propertiesOf(concrete),
+        names = new Set(Object.keys(json)
+            .filter((name) => name !== "resourceType" && name !== "fhir_comments")
+            .map((name) => name.startsWith("_") ? name.slice(1) : name));
+
+    for(let name of names) {
+        let property = properties.find((p) => p.localName === name && p.kind !== "text");
+        if(!property) {
+            object._report(unknown(concrete, json[name] === undefined ? `_${name}` : name, json[name]));
+            continue;
+        }
+
+        let value = json[name],
+            extra = json[`_${name}`],
+            repeats = property.maxOccurs > 1,
+            itemClass = property.type ? classes.classOf(concrete, property) : null,
+            valueAttribute = itemClass ? valueAttributeOf(itemClass) : null;
+
+        if(valueAttribute) {
+            let read = (v, e) => {
+                let item = isObject(e) ? readFhir(itemClass, e, options) : new itemClass(undefined, options);
+                if(v !== null && v !== undefined) {
+                    item._set(valueAttribute.name, module.exports.simpleFromJSON(v, valueAttribute));
+                }
+                return item;
+            };
+
+            if(repeats) {
+                let values = Array.isArray(value) ? value : [],
+                    extras = Array.isArray(extra) ? extra : [];
+                value = Array.from({ length: Math.max(values.length, extras.length) }, (v, i) => read(values[i], extras[i]));
+            } else {
+                value = read(value, extra);
+            }
+            object._set(property.name, value);
+            continue;
+        }
+
+        let read = (item) => {
+            if(!itemClass) {
+                return module.exports.simpleFromJSON(item, property);
+            }
+            if(!isObject(item)) {
+                return item;
+            }
+            if(itemClass.xsd.name === "ResourceContainer") {
+                let container = new itemClass(undefined, options),
+                    resource = readFhir(classes.forName(itemClass.xsd.namespace, "Resource"), item, options),
+                    member = classes.propertiesOf(itemClass).find((p) => p.localName === resource.constructor.xsd.name);
+                container._set(member ? member.name : resource.constructor.xsd.name, resource);
+                return container;
+            }
+            return readFhir(itemClass, item, options);
+        };
+        object._set(property.name, repeats && Array.isArray(value) ? value.map(read) : read(value));
+    }
+    object._checkRequired();
+    return object;
+}
@@ -0,0 +1,507 @@
+/**
+ * @module primitives - parses the lexical values of the XSD built-in types into value-space objects
+ *
+ * Each built-in type accepts exactly its lexical space from https://www.w3.org/TR/xmlschema-2/, as
+ * narrowed by the facet values it and its base types are derived with in dataTypes.js. The module
+ * doesn't depend on a schema, so it can validate individual values without generating any classes:
+ *
+ *     primitives.parse("2021-03-14T09:30:00Z", "dateTime")   // DateTime
+ *     primitives.parse("65535", "unsignedShort")             // 65535n
+ *     primitives.isValid("2021-02-30", "date")               // false
+ */
+
+'use strict';
+
+/**
+ * XSD data types
+ */
+const types = require('../dataTypes')
+/**
+ * Facets
+ */
+    , facets = require('./facets')
+/**
+ * Exceptions
+ */
+    , exceptions = require('../exceptions');
+
+/**
+ * The number of days of each month of a non-leap year
+ */
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * The date and time fields each of the date and time primitive types has, in lexical order
+ */
+const DATE_TIME_FIELDS = {
+    "dateTime"      : ["year", "month", "day", "hour", "minute", "second"],
+    "time"          : ["hour", "minute", "second"],
+    "date"          : ["year", "month", "day"],
+    "gYearMonth"    : ["year", "month"],
+    "gYear"         : ["year"],
+    "gMonthDay"     : ["month", "day"],
+    "gDay"          : ["day"],
+    "gMonth"        : ["month"]
+};
+
+/**
+ * The lexical form of each of the date and time primitive types, without its timezone
+ */
+const YEAR = "(-?[0-9]{4,})", MONTH = "([0-9]{2})", DAY = "([0-9]{2})", TIME = "([0-9]{2}):([0-9]{2}):([0-9]{2}(?:\\.[0-9]+)?)";
+const DATE_TIME_FORMS = {
+    "dateTime"      : `${YEAR}-${MONTH}-${DAY}T${TIME}`,
+    "time"          : TIME,
+    "date"          : `${YEAR}-${MONTH}-${DAY}`,
+    "gYearMonth"    : `${YEAR}-${MONTH}`,
+    "gYear"         : YEAR,
+    "gMonthDay"     : `--${MONTH}-${DAY}`,
+    "gDay"          : `---${DAY}`,
+    "gMonth"        : `--${MONTH}`
+};
+
+/**
+ * How the lexical form of each of the date and time primitive types is written, for error messages
+ */
+const DATE_TIME_PICTURES = {
+    "dateTime"      : "YYYY-MM-DDThh:mm:ss",
+    "time"          : "hh:mm:ss",
+    "date"          : "YYYY-MM-DD",
+    "gYearMonth"    : "YYYY-MM",
+    "gYear"         : "YYYY",
+    "gMonthDay"     : "--MM-DD",
+    "gDay"          : "---DD",
+    "gMonth"        : "--MM"
+};
+
+/**
+ * A decimal number, kept digit by digit so that no precision is lost
+ */
+class Decimal {
+    /**
+     * @param {boolean} negative - true if the number is less than zero
+     * @param {String} integer - the digits before the decimal point, without leading zeros
+     * @param {String} fraction - the digits after the decimal point, without trailing zeros
+     */
+    constructor(negative, integer, fraction) {
+        this.negative = negative && (integer !== "" || fraction !== "");
+        this.integer = integer;
+        this.fraction = fraction;
+    }
+
+    /**
+     * The canonical representation, e.g. "-1.5" or "3.0"
+     */
+    toString() {
+        return `${this.negative ? "-" : ""}${this.integer || "0"}.${this.fraction || "0"}`;
+    }
+
+    /**
+     * The closest JavaScript number
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+}
+
+/**
+ * A duration, as its years, months, days, hours, minutes and seconds
+ */
+class Duration {
+    constructor(negative, years, months, days, hours, minutes, seconds) {
+        this.negative = negative;
+        this.years = years;
+        this.months = months;
+        this.days = days;
+        this.hours = hours;
+        this.minutes = minutes;
+        this.seconds = seconds;
+    }
+
+    /**
+     * The lexical representation, e.g. "P1Y2MT3.5S"
+     */
+    toString() {
+        let date = [[this.years, "Y"], [this.months, "M"], [this.days, "D"]],
+            time = [[this.hours, "H"], [this.minutes, "M"], [this.seconds, "S"]],
+            format = (parts) => parts.filter(([n]) => n).map(([n, unit]) => n + unit).join("");
+
+        let result = `${this.negative ? "-" : ""}P${format(date)}${time.some(([n]) => n) ? "T" + format(time) : ""}`;
+        return result.endsWith("P") ? result + "T0S" : result;
+    }
+}
+
+/**
+ * A value of one of the date and time types: only the fields the type has are set, the others being
+ * null. The timezone is the offset from UTC in minutes, or null if the value has none.
+ */
+class DateTime {
+    /**
+     * @param {String} type - the name of the primitive type, e.g. "gYearMonth"
+     * @param {Object} fields - the year, month, day, hour, minute, second and timezone of the value
+     */
+    constructor(type, fields) {
+        this.type = type;
+        this.year = null;
+        this.month = null;
+        this.day = null;
+        this.hour = null;
+        this.minute = null;
+        this.second = null;
+        this.timezone = null;
+        Object.assign(this, fields);
+    }
+
+    /**
+     * The lexical representation of the value
+     */
+    toString() {
+        let pad = (n, length = 2) => String(Math.abs(n)).padStart(length, "0"),
+            date = [],
+            result;
+
+        if(this.year !== null) date.push(`${this.year < 0 ? "-" : ""}${pad(this.year, 4)}`);
+        if(this.month !== null) date.push(pad(this.month));
+        if(this.day !== null) date.push(pad(this.day));
+
+        result = this.type === "gMonthDay" || this.type === "gMonth" ? "--" + date.join("-")
+            : this.type === "gDay" ? "---" + date.join("-")
+            : date.join("-");
+
+        if(this.hour !== null) {
+            let seconds = String(this.second).split(".");
+            result += `${this.type === "dateTime" ? "T" : ""}${pad(this.hour)}:${pad(this.minute)}:`
+                + `${pad(seconds[0])}${seconds[1] ? "." + seconds[1] : ""}`;
+        }
+
+        if(this.timezone !== null) {
+            result += this.timezone === 0 ? "Z"
+                : `${this.timezone < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(this.timezone) / 60))}:${pad(Math.abs(this.timezone) % 60)}`;
+        }
+        return result;
+    }
+
+    /**
+     * The instant the value starts at, taking a value without a timezone to be in UTC. The fields
+     * the type doesn't have are taken from 1972-01-01T00:00:00.
+     * @returns {Date} - the instant
+     */
+    toDate() {
+        let field = (name, fallback) => this[name] === null ? fallback : this[name],
+            date = new Date(0);
+
+        date.setUTCFullYear(field("year", 1972), field("month", 1) - 1, field("day", 1));
+        date.setUTCHours(field("hour", 0), field("minute", 0), 0, Math.round(field("second", 0) * 1000));
+        return new Date(date.getTime() - (this.timezone || 0) * 60000);
+    }
+}
+
+/**
+ * A qualified name, its prefix resolved to a namespace when namespaces are given to parse it with
+ */
+class QualifiedName {
+    constructor(namespaceURI, localName, prefix) {
+        this.namespaceURI = namespaceURI;
+        this.localName = localName;
+        this.prefix = prefix;
+    }
+
+    toString() {
+        return this.prefix ? `${this.prefix}:${this.localName}` : this.localName;
+    }
+}
+
+/**
+ * The parsers of the primitive types, by name. Each is given the lexical value, its white space
+ * normalized, and the parse options, and returns the value or calls fail with the reason it isn't
+ * valid.
+ */
+const PARSERS = {
+    "anySimpleType" : (lexical) => lexical,
+
+    "string" : (lexical) => lexical,
+
+    "boolean" : (lexical, options, fail) => {
+        if(!/^(true|false|1|0)$/.test(lexical)) {
+            fail("expected true, false, 1 or 0");
+        }
+        return lexical === "true" || lexical === "1";
+    },
+
+    "decimal" : (lexical, options, fail) => {
+        let match = /^([+-]?)([0-9]*)(?:\.([0-9]*))?$/.exec(lexical);
+        if(!match || (match[2] === "" && !match[3])) {
+            fail("expected digits with an optional sign and decimal point");
+        }
+        return new Decimal(match[1] === "-", match[2].replace(/^0+/, ""), (match[3] || "").replace(/0+$/, ""));
+    },
+
+    "float" : (lexical, options, fail) => Math.fround(parseFloatingPoint(lexical, fail)),
+
+    "double" : (lexical, options, fail) => parseFloatingPoint(lexical, fail),
+
+    "duration" : (lexical, options, fail) => {
+        let match = /^(-)?P(?:([0-9]+)Y)?(?:([0-9]+)M)?(?:([0-9]+)D)?(T(?:([0-9]+)H)?(?:([0-9]+)M)?(?:([0-9]+(?:\.[0-9]+)?)S)?)?$/
+            .exec(lexical);
+
+        if(!match) {
+            fail("expected PnYnMnDTnHnMnS");
+        }
+        if(match[5] === "T") {
+            fail("'T' must be followed by hours, minutes or seconds");
+        }
+        if(![2, 3, 4, 6, 7, 8].some((i) => match[i] !== undefined)) {
+            fail("expected at least one of years, months, days, hours, minutes or seconds");
+        }
+
+        let number = (i) => Number(match[i] || 0);
+        return new Duration(match[1] === "-", number(2), number(3), number(4), number(6), number(7), number(8));
+    },
+
+    "hexBinary" : (lexical, options, fail) => {
+        if(!/^[0-9a-fA-F]*$/.test(lexical)) {
+            fail("expected hexadecimal digits");
+        }
+        if(lexical.length % 2 !== 0) {
+            fail("expected an even number of hexadecimal digits");
+        }
+        return Buffer.from(lexical, "hex");
+    },
+
+    "base64Binary" : (lexical, options, fail) => {
+        let data = lexical.replace(/ /g, "");
+        if(!/^[A-Za-z0-9+/]*={0,2}$/.test(data) || data.length % 4 !== 0) {
+            fail("expected groups of four base64 characters");
+        }
+        if(/[^AQgw]==$/.test(data) || /[^AEIMQUYcgkosw048]=$/.test(data.replace(/==$/, ""))) {
+            fail("the bits before the padding must be zero");
+        }
+        return Buffer.from(data, "base64");
+    },
+
+    "anyURI" : (lexical, options, fail) => {
+        if(/%(?![0-9a-fA-F]{2})/.test(lexical)) {
+            fail("'%' must be followed by two hexadecimal digits");
+        }
+        return lexical;
+    },
+
+    "QName" : (lexical, options, fail) => parseQName(lexical, options, fail),
+
+    "NOTATION" : (lexical, options, fail) => parseQName(lexical, options, fail)
+};
+
+for(let primitive of Object.keys(DATE_TIME_FORMS)) {
+    PARSERS[primitive] = (lexical, options, fail) => parseDateTime(primitive, lexical, fail);
+}
+
+module.exports = {
+    Decimal         : Decimal,
+    Duration        : Duration,
+    DateTime        : DateTime,
+    QualifiedName   : QualifiedName,
+
+    /**
+     * Parses a lexical value of a built-in type
+     * @param {String} lexical - the lexical value
+     * @param {String} name - the name of the built-in type, e.g. "dateTime" or "NMTOKENS"
+     * @param {Object} options - optional { namespaces }: the namespace URIs by prefix (or a function
+     *                           returning the URI of a prefix) that QName values are resolved with
+     * @returns {*} - the value: a string for the string types, a boolean, a Decimal, a BigInt for the
+     *                integer types, a number for float and double, a Duration, a DateTime for the date
+     *                and time types, a Buffer for the binary types, a QualifiedName, or an array of
+     *                the item values for the list types
+     * @throws {exceptions.ValidationException} - if the value is not in the lexical space of the type,
+     *                                            stating why
+     */
+    parse : function( lexical, name, options = {} ) {
+        if(!types[name] || name === "anyType") {
+            throw new exceptions.Exception(`Unknown built-in type '${name}'`);
+        }
+
+        lexical = facets.normalize(String(lexical), types[name].itemType ? "collapse" : facets.whiteSpace(name));
+
+        if(types[name].itemType) {
+            let items = lexical === "" ? [] : lexical.split(" ");
+            if(items.length === 0) {
+                throw invalid(lexical, name, "expected at least one item");
+            }
+            return items.map((item) => module.exports.parse(item, types[name].itemType, options));
+        }
+
+        let primitive = facets.primitive(name) || "anySimpleType",
+            value = PARSERS[primitive](lexical, options, (reason) => {
+                throw invalid(lexical, name, reason);
+            });
+
+        facets.checkBuiltin(lexical, name);
+
+        return isIntegerType(name) ? BigInt(lexical) : value;
+    },
+
+    /**
+     * Tells whether a lexical value is in the lexical space of a built-in type
+     * @param {String} lexical - the lexical value
+     * @param {String} name - the name of the built-in type
+     * @param {Object} options - as for parse
+     * @returns {boolean} - true if parse accepts the value
+     */
+    isValid : function( lexical, name, options ) {
+        try {
+            module.exports.parse(lexical, name, options);
+            return true;
+        } catch(err) {
+            if(err instanceof exceptions.ValidationException) {
+                return false;
+            }
+            throw err;
+        }
+    }
+}
+
+/**
+ * Parses a float or double
+ */
+function parseFloatingPoint(lexical, fail) {
+    if(lexical === "INF") {
+        return Infinity;
+    }
+    if(lexical === "-INF") {
+        return -Infinity;
+    }
+    if(lexical === "NaN") {
+        return NaN;
+    }
+    if(!/^[+-]?([0-9]+(\.[0-9]*)?|\.[0-9]+)([Ee][+-]?[0-9]+)?$/.test(lexical)) {
+        fail("expected a decimal number with an optional exponent, INF, -INF or NaN");
+    }
+    return Number(lexical);
+}
+
+/**
+ * Parses a value of one of the date and time types, checking the range of each of its fields
+ */
+function parseDateTime(primitive, lexical, fail) {
+    let match = new RegExp(`^${DATE_TIME_FORMS[primitive]}(Z|[+-][0-9]{2}:[0-9]{2})?$`).exec(lexical);
+
+    if(!match) {
+        fail(`expected ${DATE_TIME_PICTURES[primitive]} with an optional timezone`);
+    }
+
+    let fields = {};
+    DATE_TIME_FIELDS[primitive].forEach((field, i) => fields[field] = Number(match[i + 1]));
+
+    if(fields.year !== undefined) {
+        let digits = match[1].replace(/^-/, "");
+        if(digits.length > 4 && digits.startsWith("0")) {
+            fail("a year of more than four digits can't start with zero");
+        }
+        if(fields.year === 0) {
+            fail("there is no year 0000");
+        }
+    }
+    if(fields.month !== undefined && (fields.month < 1 || fields.month > 12)) {
+        fail(`month ${match[DATE_TIME_FIELDS[primitive].indexOf("month") + 1]} is out of range`);
+    }
+    if(fields.day !== undefined) {
+        let max = fields.month === undefined ? 31
+            : fields.month === 2 && (fields.year === undefined || isLeapYear(fields.year)) ? 29
+            : DAYS_IN_MONTH[fields.month - 1];
+
+        if(fields.day < 1 || fields.day > max) {
+            fail(`day ${match[DATE_TIME_FIELDS[primitive].indexOf("day") + 1]} is out of range`
+                + (fields.month !== undefined ? ` for month ${String(fields.month).padStart(2, "0")}` : ""));
+        }
+    }
+    if(fields.hour !== undefined) {
+        if(fields.hour > 24 || (fields.hour === 24 && (fields.minute !== 0 || fields.second !== 0))) {
+            fail("hour is out of range (24 is only allowed for 24:00:00)");
+        }
+        if(fields.minute > 59) {
+            fail("minute is out of range");
+        }
+        if(fields.second >= 60) {
+            fail("second is out of range");
+        }
+    }
+
+    let timezone = match[DATE_TIME_FIELDS[primitive].length + 1];
+    fields.timezone = null;
+    if(timezone) {
+        let offset = /^([+-])([0-9]{2}):([0-9]{2})$/.exec(timezone);
+        if(offset) {
+            let hours = Number(offset[2]),
+                minutes = Number(offset[3]);
+
+            if(minutes > 59 || hours > 14 || (hours === 14 && minutes > 0)) {
+                fail(`timezone ${timezone} is out of range`);
+            }
+            fields.timezone = (offset[1] === "-" ? -1 : 1) * (hours * 60 + minutes);
+        } else {
+            fields.timezone = 0;
+        }
+    }
+
+    return new DateTime(primitive, fields);
+}
+
+/**
+ * Parses a QName, resolving its prefix when namespaces are given
+ */
+function parseQName(lexical, options, fail) {
+    let parts = lexical.split(":");
+
+    if(parts.length > 2 || !parts.every((part) => module.exports.isValid(part, "NCName"))) {
+        fail("expected an NCName with an optional NCName prefix");
+    }
+
+    let prefix = parts.length === 2 ? parts[0] : null,
+        localName = parts[parts.length - 1],
+        namespaceURI = null;
+
+    if(options.namespaces) {
+        namespaceURI = typeof options.namespaces === "function"
+            ? options.namespaces(prefix || "")
+            : options.namespaces[prefix || ""];
+
+        if(namespaceURI === undefined || (namespaceURI === null && prefix)) {
+            if(prefix) {
+                fail(`prefix '${prefix}' is not bound to a namespace`);
+            }
+            namespaceURI = null;
+        }
+    }
+
+    return new QualifiedName(namespaceURI, localName, prefix);
+}
+
+/**
+ * Tells whether a built-in type derives from integer
+ */
+function isIntegerType(name) {
+    for(let current = name; current; current = types[current].baseType) {
+        if(current === "integer") {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Tells whether a year of the proleptic Gregorian calendar is a leap year, year -1 being 1 BCE
+ */
+function isLeapYear(year) {
+    let y = year < 0 ? year + 1 : year;
+    return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+}
+
+/**
+ * Creates the ValidationException for a value outside the lexical space of a type
+ */
+function invalid(lexical, name, reason) {
+    return new exceptions.ValidationException(
+        `${JSON.stringify(lexical)} is not a valid ${name}: ${reason}`, {
+            type        : name,
+            constraint  : "lexical",
+            value       : lexical
+        });
+}
@@ -0,0 +1,350 @@
+/**
+ * @module simpleTypes - checks, parses and serializes the lexical values of simple types
+ *
+ * A simple type is either the name of an XSD built-in type (e.g. "gYear") or a descriptor object
+ * (see descriptors.describeSimpleType): { name, namespace, variety, base, facets, itemType, memberTypes }
+ * where variety is "atomic", "list" or "union", base, itemType and each of memberTypes is itself a 
+ * simple type, and facets holds the facet values by facet name (pattern and enumeration as arrays).
+ */
+
+'use strict';
+
+/**
+ * XSD data types
+ */
+const types = require('../dataTypes')
+/**
+ * Facets
+ */
+    , facets = require('./facets')
+/**
+ * Parsers of the built-in types
+ */
+    , primitives = require('./primitives')
+/**
+ * Exceptions
+ */
+    , exceptions = require('../exceptions');
+
+/**
+ * The kinds of value, besides lexical strings, that stand for values of each primitive type
+ */
+const isNumber = (value) => typeof value === "number" || typeof value === "bigint" || value instanceof primitives.Decimal;
+const JS_TYPES = {
+    "boolean"       : (value) => typeof value === "boolean",
+    "decimal"       : isNumber,
+    "float"         : isNumber,
+    "double"        : isNumber,
+    "duration"      : (value) => value instanceof primitives.Duration,
+    "dateTime"      : (value) => value instanceof primitives.DateTime || value instanceof Date,
+    "date"          : (value) => value instanceof primitives.DateTime || value instanceof Date,
+    "time"          : (value) => value instanceof primitives.DateTime,
+    "gYearMonth"    : (value) => value instanceof primitives.DateTime,
+    "gYear"         : (value) => value instanceof primitives.DateTime,
+    "gMonthDay"     : (value) => value instanceof primitives.DateTime,
+    "gDay"          : (value) => value instanceof primitives.DateTime,
+    "gMonth"        : (value) => value instanceof primitives.DateTime,
+    "hexBinary"     : (value) => Buffer.isBuffer(value),
+    "base64Binary"  : (value) => Buffer.isBuffer(value),
+    "QName"         : (value) => value instanceof primitives.QualifiedName,
+    "NOTATION"      : (value) => value instanceof primitives.QualifiedName
+};
+
+module.exports = {
+    /**
+     * Checks a lexical value against a simple type. A union is checked against each of its member 
+     * types in order until one of them accepts the value.
+     * @param {String} lexical - the lexical value
+     * @param {String|Object} type - the simple type
+     * @returns {Object} - { value, memberType }: the value, as parsed by parse, and the member type of
+     *                     the (innermost) union that accepted it, or null if no union is involved
+     * @throws {exceptions.ValidationException} - if the type doesn't accept the value
+     */
+    check : function( lexical, type ) {
+        return check(lexical, type);
+    },
+
+    /**
+     * Parses a lexical value of a simple type: a list into an array of its items, anything else into
+     * the lexical value itself
+     * @param {String} lexical - the lexical value
+     * @param {String|Object} type - the simple type
+     * @returns {*} - the value
+     * @throws {exceptions.ValidationException} - if the type doesn't accept the value
+     */
+    parse : function( lexical, type ) {
+        return check(lexical, type).value;
+    },
+
+    /**
+     * Converts a lexical value of a simple type into its value, with the parsers of the primitives
+     * module for the built-in type it derives from (or, for a union, the one its member type that 
+     * accepts the value derives from): a list into an array of item values
+     * @param {String} lexical - the lexical value
+     * @param {String|Object} type - the simple type
+     * @param {Object} options - as for primitives.parse, e.g. the namespaces to resolve QNames with
+     * @returns {*} - the value
+     * @throws {exceptions.ValidationException} - if the type doesn't accept the value
+     */
+    toValue : function( lexical, type, options = {} ) {
+        let checked = check(lexical, type);
+        return toValue(checked.value, checked.memberType || type, options);
+    },
+
+    /**
+     * Serializes a value of a simple type back into its lexical form: a string as it is, the items of
+     * a list separated by single spaces, a number with INF for infinity, a Buffer in hexadecimal or 
+     * base64 as the type requires, a Date as a dateTime (or date) in UTC, and anything else (e.g. the
+     * value-space objects of the primitives module, or a bigint) as a string
+     * @param {*} value - the value
+     * @param {String|Object} type - the simple type
+     * @returns {String} - the lexical value
+     */
+    serialize : function( value, type ) {
+        if(variety(type) === "list") {
+            let itemType = resolveItemType(type);
+            return (Array.isArray(value) ? value : [value])
+                .map((item) => module.exports.serialize(item, itemType))
+                .join(" ");
+        }
+        if(typeof value === "number") {
+            return value === Infinity ? "INF" : value === -Infinity ? "-INF" : String(value);
+        }
+        if(Buffer.isBuffer(value)) {
+            return primitive(type) === "hexBinary" ? value.toString("hex").toUpperCase() : value.toString("base64");
+        }
+        if(value instanceof Date) {
+            return primitive(type) === "date" ? value.toISOString().slice(0, 10) : value.toISOString();
+        }
+        return String(value);
+    },
+
+    /**
+     * Tells whether a JavaScript value is of a kind that can stand for a value of a simple type: a 
+     * lexical string for any type, or else a value of the kind the primitives module parses the type
+     * into (a Date will do for a dateTime or date, and a number for any numeric type)
+     * @param {*} value - the value
+     * @param {String|Object} type - the simple type
+     * @returns {boolean} - false if the value can't be of the type whatever it is
+     */
+    accepts : function( value, type ) {
+        if(typeof value === "string") {
+            return true;
+        }
+
+        switch(variety(type)) {
+            case "list":
+                return Array.isArray(value) && value.every((item) => module.exports.accepts(item, resolveItemType(type)));
+            case "union":
+                return memberTypesOf(type).some((memberType) => module.exports.accepts(value, memberType));
+            default: {
+                let accepts = JS_TYPES[primitive(type)];
+                return accepts ? accepts(value) : false;
+            }
+        }
+    },
+
+    /**
+     * Returns the variety of a simple type
+     * @param {String|Object} type - the simple type
+     * @returns {String} - "atomic", "list" or "union"
+     */
+    variety : function( type ) {
+        return variety(type);
+    },
+
+    /**
+     * Returns the built-in primitive type an atomic simple type derives from
+     * @param {String|Object} type - the simple type
+     * @returns {String} - e.g. "decimal" for an int, or null for a list or union
+     */
+    primitive : function( type ) {
+        return primitive(type);
+    },
+
+    /**
+     * Returns the item type of a list type
+     * @param {String|Object} type - the list type, or a restriction of one
+     * @returns {String|Object} - the item type
+     */
+    itemType : function( type ) {
+        return resolveItemType(type);
+    }
+}
+
+/**
+ * Checks a lexical value against a simple type: a restriction against its base type and then its own
+ * facets, a list item by item, and a union against each member type in turn. The white space of the
+ * value is normalized first, as the type prescribes.
+ */
+function check(lexical, type) {
+    lexical = facets.normalize(lexical, whiteSpace(type));
+
+    if(typeof type === "string") {
+        return types[type] && types[type].itemType
+            ? checkList(lexical, type, types[type].itemType)
+            : checkBuiltin(lexical, type);
+    }
+
+    switch(type.variety) {
+        case "list":
+            return checkList(lexical, type, type.itemType);
+
+        case "union":
+            for(let memberType of type.memberTypes) {
+                try {
+                    let result = check(lexical, memberType);
+                    checkFacets(lexical, type, null);
+                    return { value: result.value, memberType: result.memberType || memberType };
+                } catch(err) {
+                    if(!(err instanceof exceptions.ValidationException)) {
+                        throw err;
+                    }
+                }
+            }
+            throw invalid(lexical, type, "union");
+
+        default: {
+            let result = type.base ? check(lexical, type.base) : { value: lexical, memberType: null };
+            checkFacets(lexical, type, Array.isArray(result.value) ? result.value : null);
+            return result;
+        }
+    }
+}
+
+/**
+ * Checks each of the whitespace-separated items of a lexical value against the item type of a list
+ */
+function checkList(lexical, type, itemType) {
+    let items = lexical === "" ? [] : lexical.split(" ");
+
+    let value = items.map((item) => check(item, itemType).value);
+    checkFacets(lexical, type, value);
+    return { value: value, memberType: null };
+}
+
+/**
+ * Checks a lexical value against a built-in type, with its parser
+ */
+function checkBuiltin(lexical, name) {
+    primitives.parse(lexical, name);
+    return { value: lexical, memberType: null };
+}
+
+/**
+ * Checks the facets a declared type applies, but for whiteSpace which check has already applied
+ * @param {String} lexical - the normalized value
+ * @param {String|Object} type - the simple type
+ * @param {Array} items - the items of the value, if it is a list
+ */
+function checkFacets(lexical, type, items) {
+    if(typeof type === "string" || !type.facets) {
+        return;
+    }
+
+    let applied = Object.assign({}, type.facets);
+    delete applied.whiteSpace;
+
+    facets.check(lexical, applied, {
+        type        : type.name || "anonymous simple type",
+        primitive   : primitive(type),
+        items       : items
+    });
+}
+
+/**
+ * Returns how a simple type normalizes white space: as its whiteSpace facet or its base type says,
+ * by collapsing it for lists, and not at all for unions, whose member types normalize it themselves
+ */
+function whiteSpace(type) {
+    if(typeof type === "string") {
+        return types[type] && types[type].itemType ? "collapse" : facets.whiteSpace(type);
+    }
+    if(type.facets && type.facets.whiteSpace) {
+        return type.facets.whiteSpace;
+    }
+    switch(type.variety) {
+        case "list":
+            return "collapse";
+        case "union":
+            return "preserve";
+        default:
+            return type.base ? whiteSpace(type.base) : "preserve";
+    }
+}
+
+/**
+ * Converts a value checked against a simple type into the value of the built-in type it derives from
+ * @param {String|Array<String>} value - a checked lexical value, or the items of a checked list
+ * @param {String|Object} type - the simple type, or the member type of a union that accepted it
+ * @param {Object} options - as for primitives.parse
+ */
+function toValue(value, type, options) {
+    if(Array.isArray(value)) {
+        let itemType = resolveItemType(type);
+        return value.map((item) => toValue(item, itemType, options));
+    }
+    if(variety(type) === "union") {
+        let checked = check(value, type);
+        return toValue(checked.value, checked.memberType, options);
+    }
+
+    let builtin = type;
+    while(builtin && typeof builtin !== "string") {
+        builtin = builtin.base;
+    }
+    return builtin ? primitives.parse(value, builtin, options) : value;
+}
+
+/**
+ * Returns the built-in primitive type an atomic simple type derives from, or null for lists and unions
+ */
+function primitive(type) {
+    if(typeof type === "string") {
+        return facets.primitive(type);
+    }
+    return type.variety === "atomic" && type.base ? primitive(type.base) : null;
+}
+
+/**
+ * Returns the variety of a simple type, following the base types of a restriction
+ */
+function variety(type) {
+    if(typeof type === "string") {
+        return types[type] && types[type].itemType ? "list" : "atomic";
+    }
+    if(type.variety === "atomic" && type.base) {
+        return variety(type.base);
+    }
+    return type.variety || "atomic";
+}
+
+/**
+ * Returns the member types of a union type, following the base types of a restriction
+ */
+function memberTypesOf(type) {
+    return type.variety === "union" ? type.memberTypes : memberTypesOf(type.base);
+}
+
+/**
+ * Returns the item type of a list type, following the base types of a restriction
+ */
+function resolveItemType(type) {
+    if(typeof type === "string") {
+        return types[type].itemType;
+    }
+    return type.variety === "list" ? type.itemType : resolveItemType(type.base);
+}
+
+/**
+ * Creates the ValidationException for a value a type doesn't accept
+ */
+function invalid(lexical, type, constraint) {
+    let name = typeof type === "string" ? type : (type.name || "anonymous simple type");
+    return new exceptions.ValidationException(
+        `${JSON.stringify(lexical)} is not a valid ${name}${constraint === "union" ? "" : ` (${constraint})`}`, {
+            type        : name,
+            constraint  : constraint,
+            value       : lexical
+        });
+}
@@ -0,0 +1,382 @@
+/**
+ * @module xml - serializes instances of the generated classes to XML, and deserializes them back
+ */
+
+'use strict';
+
+/**
+ * DOM implementation and serializer
+ */
+const { DOMImplementation, DOMParser, XMLSerializer } = require('xmldom')
+
+/**
+ * Checks values against simple types
+ */
+    , simpleTypes = require('./simpleTypes')
+
+/**
+ * The generated classes and their properties
+ */
+    , classes = require('./classes')
+
+/**
+ * Exceptions
+ */
+    , exceptions = require('../exceptions');
+
+const XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+const XSI_NS = "http://www.w3.org/2001/XMLSchema-instance";
+
+const ELEMENT_NODE = 1;
+const DOCUMENT_NODE = 9;
+
+module.exports = {
+    /**
+     * Serializes an instance of a generated class to an XML document. The child elements come out in
+     * the order of the content model of the complex type, the elements of a base type first, and in
+     * the namespace their declaration puts them in (the target namespace of a qualified element, no
+     * namespace for an unqualified one). A value whose class derives from the type of its property is
+     * marked with xsi:type.
+     * @param {XsdObject} object - the instance
+     * @param {module:xml~options} options - optional options
+     * @returns {Document} - the document
+     * @throws {exceptions.Exception} - if no element is given for an instance whose type is not the
+     *                                  type of a global element
+     */
+    toDocument : function( object, options = {} ) {
+        let element = options.element || object.constructor.xsd.element;
+        if(!element) {
+            throw new exceptions.Exception(
+                `Cannot serialize ${object.constructor.xsd.name}: no global element is declared with `
+                + `the type, pass the element option`);
+        }
+
+        let writer = new Writer(options.prefixes || {}, element.namespace),
+            root = writer.writeElement(element.namespace, element.name, object, null, null);
+
+        for(let [namespace, prefix] of writer.declared) {
+            root.setAttributeNS(XMLNS_NS, `xmlns:${prefix}`, namespace);
+        }
+
+        return writer.document;
+    },
+
+    /**
+     * Serializes an instance of a generated class to an XML string (see toDocument)
+     * @param {XsdObject} object - the instance
+     * @param {module:xml~options} options - optional options
+     * @returns {String} - the XML
+     */
+    toXML : function( object, options = {} ) {
+        let xml = new XMLSerializer().serializeToString(module.exports.toDocument(object, options));
+        return options.declaration ? `<?xml version="1.0" encoding="UTF-8"?>${xml}` : xml;
+    },
+
+    /**
+     * Deserializes an element into an instance of a generated class: of the class of the xsi:type
+     * of the element if it has one (which must derive from type), of type otherwise. The attributes,
+     * child elements and text of the element become the values of the properties they match, simple
+     * values converted by simpleTypes.toValue and complex ones deserialized in turn. Each value is 
+     * checked as it is set (see XsdObject._set). Attributes and elements that match no property are
+     * reported as ValidationExceptions with the "unknown" constraint.
+     * @param {Function} type - the generated class
+     * @param {String|Document|Element} source - the XML, parsed or not
+     * @param {XsdObject~options} options - optional options for the instances, e.g. to collect the
+     *                                      violations instead of throwing
+     * @returns {XsdObject} - the instance
+     * @throws {exceptions.Exception} - if the XML is not well-formed
+     * @throws {exceptions.ValidationException} - unless violations are collected: if the XML breaks
+     *                                            a constraint of the schema
+     */
+    fromXML : function( type, source, options = {} ) {
+        let element = source;
+
+        if(typeof source === "string") {
+            let errors = [];
+            element = new DOMParser({
+                errorHandler : {
+                    warning     : () => {},
+                    error       : (msg) => errors.push(msg),
+                    fatalError  : (msg) => errors.push(msg)
+                }
+            }).parseFromString(source.replace(/^\uFEFF/, ""));
+
+            if(errors.length > 0 || !element.documentElement) {
+                throw new exceptions.Exception(`Cannot parse the XML of a ${type.xsd.name}: ${errors.join("; ")}`);
+            }
+        }
+        if(element.nodeType === DOCUMENT_NODE) {
+            element = element.documentElement;
+        }
+
+        return readElement(type, element, options);
+    }
+}
+
+/**
+ * @typedef {Object} module:xml~options
+ * @property {Object} element - the { name, namespace } of the element to serialize the instance as,
+ *                              by default the first global element declared with its type
+ * @property {Object} prefixes - the prefix to use for each namespace URI, "" making it the default
+ *                               namespace. By default, the namespace of the root element is the
+ *                               default namespace (undeclared on unqualified elements), the XML 
+ *                               Schema instance namespace gets the xsi prefix and other namespaces
+ *                               get prefixes ns1, ns2...
+ * @property {boolean} declaration - true to start the XML with an XML declaration
+ */
+
+/**
+ * Writes the elements of a document, assigning prefixes to namespaces as they are used
+ */
+class Writer {
+    /**
+     * @param {Object} prefixes - the prefixes asked for, by namespace URI
+     * @param {String} rootNamespace - the namespace of the root element
+     */
+    constructor(prefixes, rootNamespace) {
+        this.document = new DOMImplementation().createDocument(null, null, null);
+        this.prefixes = new Map(Object.entries(prefixes));
+        /** the namespaces declared with a prefix on the root element, and their prefix */
+        this.declared = new Map();
+
+        if(!this.prefixes.has(XSI_NS) && !Array.from(this.prefixes.values()).includes("xsi")) {
+            this.prefixes.set(XSI_NS, "xsi");
+        }
+        if(rootNamespace && !this.prefixes.has(rootNamespace) && !Array.from(this.prefixes.values()).includes("")) {
+            this.prefixes.set(rootNamespace, "");
+        }
+    }
+
+    /**
+     * Writes an element and its content
+     * @param {String} namespace - the namespace of the element, or null
+     * @param {String} name - the local name of the element
+     * @param {*} value - an instance of a generated class, or a simple value
+     * @param {Object} property - the descriptor of the property the element is written for, or null
+     *                            for the root element
+     * @param {Node} parent - the parent element, or null for the root element
+     * @returns {Element} - the element
+     */
+    writeElement(namespace, name, value, property, parent) {
+        let prefix = namespace === XML_NS ? "xml" : this.prefixes.get(namespace),
+            inScope = parent ? parent.defaultNamespace : null,
+            element;
+
+        if(namespace && prefix === "") {
+            element = this.document.createElementNS(namespace, name);
+            if(inScope !== namespace) {
+                element.setAttributeNS(XMLNS_NS, "xmlns", namespace);
+            }
+            element.defaultNamespace = namespace;
+        } else if(namespace) {
+            element = this.document.createElementNS(namespace, `${this.prefix(namespace)}:${name}`);
+            element.defaultNamespace = inScope;
+        } else {
+            element = this.document.createElementNS(null, name);
+            if(inScope) {
+                element.setAttributeNS(XMLNS_NS, "xmlns", "");
+            }
+            element.defaultNamespace = null;
+        }
+        (parent || this.document).appendChild(element);
+
+        if(value !== null && typeof value === "object" && value.constructor.xsd) {
+            this.writeType(element, value, property);
+            this.writeContent(element, value);
+        } else if(value !== null && typeof value === "object" && value.nodeType === ELEMENT_NODE) {
+            // The content of an xs:anyType element, as read by fromXML
+            for(let node of Array.from(value.attributes).concat(Array.from(value.childNodes))) {
+                element.appendChild(this.document.importNode(node, true));
+            }
+        } else {
+            element.appendChild(this.document.createTextNode(lexical(value, property)));
+        }
+        return element;
+    }
+
+    /**
+     * Marks an element with xsi:type when the class of its value derives from the type of its
+     * property
+     */
+    writeType(element, value, property) {
+        let type = value.constructor.xsd,
+            expected = property ? property.type : null;
+
+        if(!property || !type.name || (expected && expected.name === type.name && expected.namespace === type.namespace)) {
+            return;
+        }
+
+        let name = type.namespace && type.namespace !== element.defaultNamespace
+            ? `${this.prefix(type.namespace)}:${type.name}` : type.name;
+        element.setAttributeNS(XSI_NS, `${this.prefix(XSI_NS)}:type`, name);
+    }
+
+    /**
+     * Writes the properties of an instance into its element: attributes, child elements in order,
+     * and the text of a type with simple content
+     */
+    writeContent(element, object) {
+        object.validate();
+        for(let property of classes.propertiesOf(object.constructor)) {
+            let value = object._values[property.name];
+            if(value === undefined) {
+                continue;
+            }
+
+            switch(property.kind) {
+                case "attribute":
+                    if(property.namespace) {
+                        element.setAttributeNS(property.namespace,
+                            `${this.prefix(property.namespace)}:${property.localName}`, lexical(value, property));
+                    } else {
+                        element.setAttribute(property.localName, lexical(value, property));
+                    }
+                    break;
+
+                case "text":
+                    element.appendChild(this.document.createTextNode(lexical(value, property)));
+                    break;
+
+                default:
+                    for(let item of property.maxOccurs > 1 ? value : [value]) {
+                        this.writeElement(property.namespace, property.localName, item, property, element);
+                    }
+            }
+        }
+    }
+
+    /**
+     * Returns the prefix of a namespace for a qualified name that needs one (an attribute, or an
+     * element in a namespace other than the default one), declaring it on the root element
+     */
+    prefix(namespace) {
+        if(namespace === XML_NS) {
+            return "xml";
+        }
+        if(this.declared.has(namespace)) {
+            return this.declared.get(namespace);
+        }
+
+        let prefix = this.prefixes.get(namespace),
+            taken = new Set(this.prefixes.values());
+        for(let n = 1; !prefix; n++) {
+            prefix = taken.has(`ns${n}`) ? null : `ns${n}`;
+        }
+        this.declared.set(namespace, prefix);
+        return prefix;
+    }
+}
+
+/**
+ * Reads an element into an instance of a generated class (see fromXML in the exports)
+ * @param {Function} type - the class of the type the element is declared with
+ * @param {Element} element - the element
+ * @param {XsdObject~options} options - the options for the instances
+ * @returns {XsdObject} - the instance
+ */
+function readElement(type, element, options) {
+    let concrete = type,
+        xsiType = element.getAttributeNS(XSI_NS, "type");
+
+    if(xsiType) {
+        let name = xsiType.trim(),
+            colon = name.indexOf(":"),
+            namespace = element.lookupNamespaceURI(colon > 0 ? name.slice(0, colon) : "") || null;
+
+        concrete = classes.forName(namespace, name.slice(colon + 1));
+        if(!concrete || !classes.derivesFrom(concrete, type)) {
+            throw new exceptions.ValidationException(
+                `Cannot read element '${element.localName}' as a ${type.xsd.name}: xsi:type '${name}' `
+                + `${concrete ? `doesn't derive from ${type.xsd.name}` : "names no registered class"}`, {
+                    type        : type.xsd.name,
+                    property    : element.localName,
+                    constraint  : "xsi:type",
+                    value       : name
+                });
+        }
+    }
+
+    let object = new concrete(undefined, options),
+        properties = classes.propertiesOf(concrete),
+        values = new Map(),
+        unknown = [];
+
+    let read = (property, lexical) => {
+        try {
+            return simpleTypes.toValue(lexical, property.simpleType, {
+                namespaces : (prefix) => element.lookupNamespaceURI(prefix || "")
+            });
+        } catch(err) {
+            // Left for _set to report, along with the property it was read for
+            return lexical;
+        }
+    };
+
+    for(let attribute of Array.from(element.attributes)) {
+        let namespace = attribute.namespaceURI || null;
+        if(namespace === XMLNS_NS || namespace === XSI_NS) {
+            continue;
+        }
+
+        let property = properties.find((p) => p.kind === "attribute" && p.localName === attribute.localName && p.namespace === namespace);
+        if(!property) {
+            unknown.push(["attribute", attribute.localName, namespace, attribute.value]);
+        } else {
+            values.set(property, property.simpleType ? read(property, attribute.value) : attribute.value);
+        }
+    }
+
+    for(let child of Array.from(element.childNodes).filter((node) => node.nodeType === ELEMENT_NODE)) {
+        let namespace = child.namespaceURI || null,
+            property = properties.find((p) => p.kind === "element" && p.localName === child.localName && p.namespace === namespace);
+        if(!property) {
+            unknown.push(["element", child.localName, namespace, child]);
+            continue;
+        }
+
+        let value;
+        if(property.type) {
+            value = readElement(classes.classOf(concrete, property), child, options);
+        } else if(property.simpleType) {
+            value = read(property, child.textContent);
+        } else {
+            value = Array.from(child.childNodes).some((node) => node.nodeType === ELEMENT_NODE) ? child : child.textContent;
+        }
+
+        if(property.maxOccurs > 1) {
+            values.set(property, (values.get(property) || []).concat([value]));
+        } else {
+            values.set(property, values.has(property) ? [values.get(property), value] : value);
+        }
+    }
+
+    let text = properties.find((p) => p.kind === "text");
+    if(text) {
+        values.set(text, text.simpleType ? read(text, element.textContent) : element.textContent);
+    }
+
+    for(let [property, value] of values) {
+        object._set(property.name, value);
+    }
+    for(let [kind, name, namespace, value] of unknown) {
+        let violation = new exceptions.ValidationException(
+            `${concrete.xsd.name} has no ${kind} '${name}'${namespace ? ` in namespace ${namespace}` : ""}`, {
+                type        : concrete.xsd.name,
+                property    : name,
+                constraint  : "unknown",
+                value       : value
+            });
+        object._report(violation);
+    }
+    object._checkRequired();
+
+    return object;
+}
+
+/**
+ * Returns the lexical form of a simple value of a property
+ */
+function lexical(value, property) {
+    return property && property.simpleType ? simpleTypes.serialize(value, property.simpleType) : String(value);
+}
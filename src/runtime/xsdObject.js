@@ -0,0 +1,468 @@
+/**
+ * @module xsdObject - the base class of every class generated for a complex type
+ */
+
+'use strict';
+
+/**
+ * Exceptions
+ */
+const exceptions = require('../exceptions')
+
+/**
+ * Checks values against simple types
+ */
+    , simpleTypes = require('./simpleTypes')
+
+/**
+ * The registry of the generated classes
+ */
+    , classes = require('./classes')
+
+/**
+ * XML serialization and deserialization
+ */
+    , xml = require('./xml')
+
+/**
+ * JSON conversion
+ */
+    , json = require('./json');
+
+/**
+ * Base class of the generated classes. Each generated class sets a static xsd property to the 
+ * descriptor of its complex type (see descriptors.describeComplexType) and stores the values of its 
+ * properties through _get and _set. The class of a derived complex type extends that of its base 
+ * type, whose descriptor holds the properties and choices it inherits. A generated class also sets a
+ * static propertyClasses function, returning the classes of its complex-typed properties by name, and
+ * registers itself (see register).
+ *
+ * Values are checked against the type, cardinality and facets of a property as they are assigned,
+ * and the instance as a whole as it is serialized or read (see validate). By default a value that
+ * breaks a constraint throws a ValidationException; an instance created with the "collect"
+ * validation option stores the value anyway and collects the exception, to be read through
+ * violations().
+ */
+class XsdObject {
+    /**
+     * @param {Object} values - optional initial values, by property name
+     * @param {XsdObject~options} options - optional options
+     */
+    constructor(values, options) {
+        this._values = {};
+        this._validation = (options && options.validation) || "throw";
+        this._violations = [];
+
+        if(values) {
+            for(let name of Object.keys(values)) {
+                this._set(name, values[name]);
+            }
+        }
+    }
+
+    /**
+     * @typedef {Object} XsdObject~options
+     * @property {String} validation - "throw" (the default) to throw a ValidationException when an 
+     *                                 assigned value breaks a constraint, or "collect" to store the
+     *                                 value and collect the exception instead
+     */
+
+    /**
+     * Returns the violations collected by an instance created with the "collect" validation option
+     * @returns {Array<exceptions.ValidationException>} - the violations of the values currently set,
+     *                                                    in the order they were assigned
+     */
+    violations() {
+        return this._violations.slice();
+    }
+
+    /**
+     * Checks the instance as a whole: the values of its properties again, as an array a property
+     * returns can have changed since it was set, and that every required element and attribute is
+     * set. The serializers check each instance they write, and the readers that each instance they
+     * read has its required properties.
+     * @throws {exceptions.ValidationException} - unless the instance collects violations: the first
+     *                                            violation (those collected for the properties are
+     *                                            replaced otherwise)
+     */
+    validate() {
+        for(let property of classes.propertiesOf(this.constructor)) {
+            let value = this._values[property.name];
+            if(value === undefined) {
+                continue;
+            }
+
+            this._violations = this._violations.filter((violation) => violation.property !== property.name);
+            try {
+                this._validate(property, value);
+            } catch(err) {
+                if(!(err instanceof exceptions.ValidationException)) {
+                    throw err;
+                }
+                this._report(err);
+            }
+        }
+        this._checkRequired();
+    }
+
+    /**
+     * Serializes the instance to XML, as the global element declared with its type unless another
+     * element is given (see xml.toXML)
+     * @param {module:xml~options} options - optional options: element, prefixes and declaration
+     * @returns {String} - the XML
+     */
+    toXML(options) {
+        return xml.toXML(this, options);
+    }
+
+    /**
+     * Deserializes XML into an instance of the class, or of the class its xsi:type names (see 
+     * xml.fromXML)
+     * @param {String|Document|Element} source - the XML, parsed or not
+     * @param {XsdObject~options} options - optional options for the instances
+     * @returns {XsdObject} - the instance
+     */
+    static fromXML(source, options) {
+        return xml.fromXML(this, source, options);
+    }
+
+    /**
+     * Converts the instance to JSON (see json.toJSON). JSON.stringify calls it with the plain mapping.
+     * @param {module:json~options} options - optional options: the mapping
+     * @returns {Object} - the JSON value
+     */
+    toJSON(options) {
+        return json.toJSON(this, options !== null && typeof options === "object" ? options : {});
+    }
+
+    /**
+     * Converts JSON into an instance of the class, or of the class the JSON names as derived from it
+     * (see json.fromJSON)
+     * @param {String|Object} source - the JSON, parsed or not
+     * @param {module:json~options} options - optional options: the mapping and those of the instances
+     * @returns {XsdObject} - the instance
+     */
+    static fromJSON(source, options) {
+        return json.fromJSON(this, source, options);
+    }
+
+    /**
+     * Registers the class, so that serialized data read by fromXML or fromJSON can name it
+     */
+    static register() {
+        classes.register(this);
+    }
+
+    /**
+     * Returns the names of the branches of a choice that are set
+     * @param {String} choiceName - the name of the choice
+     * @returns {Array<String>} - the names of the branches that have at least one property set (at 
+     *                            most one, unless the choice repeats)
+     */
+    activeBranches(choiceName) {
+        let choice = this._choice(choiceName);
+
+        return choice.branches
+            .filter((branch) => branch.properties.some((name) => this._values[name] !== undefined))
+            .map((branch) => branch.name);
+    }
+
+    /**
+     * Returns the name of the branch of a choice that is set
+     * @param {String} choiceName - the name of the choice
+     * @returns {String} - the name of the branch that is set, or null if none is
+     */
+    activeBranch(choiceName) {
+        return this.activeBranches(choiceName)[0] || null;
+    }
+
+    /**
+     * Returns the value of a property
+     * @param {String} name - the name of the property
+     * @returns {*} - the value, or undefined if the property is not set
+     */
+    _get(name) {
+        this._property(name);
+        return this._values[name];
+    }
+
+    /**
+     * Sets the value of a property. Setting null or undefined clears the property.
+     * @param {String} name - the name of the property
+     * @param {*} value - the value: an array of values if the property repeats
+     * @throws {exceptions.ValidationException} - unless the instance collects violations: if there 
+     *                                            is no such property or the value breaks one of its 
+     *                                            constraints (see _validate)
+     */
+    _set(name, value) {
+        this._violations = this._violations.filter((violation) => violation.property !== name);
+
+        let property;
+        try {
+            property = this._property(name);
+            if(value !== undefined && value !== null) {
+                this._validate(property, value);
+            } else if(property.minOccurs > 0 && property.kind !== "text") {
+                throw this._violation(property, "the property is required", "minOccurs", value);
+            }
+        } catch(err) {
+            if(this._validation !== "collect" || !(err instanceof exceptions.ValidationException)) {
+                throw err;
+            }
+            this._violations.push(err);
+            if(!property) {
+                return;
+            }
+        }
+
+        if(value === undefined || value === null) {
+            delete this._values[name];
+        } else {
+            // A copy, so that changing the array that was set doesn't bypass the checks
+            this._values[name] = Array.isArray(value) ? value.slice() : value;
+        }
+    }
+
+    /**
+     * Reports each required element and attribute that isn't set (see _report)
+     * @throws {exceptions.ValidationException} - unless the instance collects violations: whose 
+     *                                            constraint is "minOccurs"
+     */
+    _checkRequired() {
+        for(let property of classes.propertiesOf(this.constructor)) {
+            if(property.minOccurs > 0 && property.kind !== "text" && this._values[property.name] === undefined
+                && !this._violations.some((violation) => violation.property === property.name && violation.constraint === "minOccurs")) {
+                this._report(new exceptions.ValidationException(
+                    `${this.constructor.xsd.name}.${property.name} is required but isn't set`, {
+                        type        : this.constructor.xsd.name,
+                        property    : property.name,
+                        constraint  : "minOccurs"
+                    }));
+            }
+        }
+    }
+
+    /**
+     * Reports a violation found while reading serialized data into the instance: throws it, or 
+     * collects it if the instance collects violations
+     * @param {exceptions.ValidationException} violation - the violation
+     * @throws {exceptions.ValidationException} - violation, unless the instance collects violations
+     */
+    _report(violation) {
+        if(this._validation !== "collect") {
+            throw violation;
+        }
+        this._violations.push(violation);
+    }
+
+    /**
+     * Checks a value against the constraints of a property, in turn: that the property is not 
+     * prohibited by a restriction, that the value is an array of as many values as the occurrences 
+     * of the property allow if it repeats, and a single value if it doesn't, that each value is of 
+     * the type of the property (an instance of the class of its complex type or of a class derived
+     * from it, or a valid value of its simple type, facets included), and that setting the property 
+     * doesn't set a second branch of a choice
+     * @param {Object} property - the descriptor of the property
+     * @param {*} value - the value, neither null nor undefined
+     * @throws {exceptions.ValidationException} - whose constraint is "prohibited", "cardinality", 
+     *                                            "minOccurs", "maxOccurs", "type", "choice", or the 
+     *                                            facet or lexical rule a simple value breaks
+     */
+    _validate(property, value) {
+        if(property.maxOccurs === 0) {
+            throw this._violation(property, "the property is prohibited by restriction", "prohibited", value);
+        }
+
+        let items = [value];
+        if(property.maxOccurs > 1) {
+            if(!Array.isArray(value)) {
+                throw this._violation(property, "expected an array of values", "cardinality", value);
+            }
+            if(value.length < property.minOccurs) {
+                throw this._violation(property, 
+                    `expected at least ${property.minOccurs} values, got ${value.length}`, "minOccurs", value);
+            }
+            if(value.length > property.maxOccurs) {
+                throw this._violation(property, 
+                    `expected at most ${property.maxOccurs} values, got ${value.length}`, "maxOccurs", value);
+            }
+            items = value;
+        } else if(Array.isArray(value) && !(property.simpleType && simpleTypes.variety(property.simpleType) === "list")) {
+            throw this._violation(property, "expected a single value, not an array", "cardinality", value);
+        }
+
+        for(let item of items) {
+            if(property.type) {
+                this._checkComplexType(property, item);
+            } else if(property.simpleType) {
+                this._checkSimpleType(property, item);
+            }
+        }
+
+        if(property.choice) {
+            this._checkChoice(property, value);
+        }
+    }
+
+    /**
+     * Checks that a value is an instance of the class generated for the complex type of a property,
+     * or of a class derived from it. Any instance of a generated class will do for an anonymous type.
+     */
+    _checkComplexType(property, item) {
+        let expected = property.type;
+
+        if(item instanceof XsdObject) {
+            if(!expected.name) {
+                return;
+            }
+            for(let type = item.constructor; type && type.xsd; type = Object.getPrototypeOf(type)) {
+                if(type.xsd.name === expected.name && type.xsd.namespace === expected.namespace) {
+                    return;
+                }
+            }
+        }
+
+        throw this._violation(property, 
+            `expected an instance of ${expected.name || "the anonymous complex type"}, got ${describe(item)}`, 
+            "type", item);
+    }
+
+    /**
+     * Checks that a value is a valid value of the simple type of a property: a lexical value, or a 
+     * value of the kind simpleTypes.accepts, whose lexical form is checked
+     */
+    _checkSimpleType(property, item) {
+        let type = property.simpleType;
+
+        if(!simpleTypes.accepts(item, type)) {
+            throw this._violation(property, `expected a value of ${typeName(type)}, got ${describe(item)}`, "type", item);
+        }
+        try {
+            simpleTypes.check(simpleTypes.serialize(item, type), type);
+        } catch(err) {
+            if(!(err instanceof exceptions.ValidationException)) {
+                throw err;
+            }
+            throw this._violation(property, err.toString(), err.constraint, item);
+        }
+    }
+
+    /**
+     * Creates the exception for a value that breaks a constraint of a property
+     */
+    _violation(property, reason, constraint, value) {
+        return new exceptions.ValidationException(
+            `Cannot set ${this.constructor.xsd.name}.${property.name}: ${reason}`, {
+                type        : this.constructor.xsd.name,
+                property    : property.name,
+                constraint  : constraint,
+                value       : value
+            });
+    }
+
+    /**
+     * Checks that setting a property of a choice branch doesn't set a second branch of that choice,
+     * or of any non-repeating choice it is nested in: one branch must hold the property and every
+     * other property of the choice that is set (a property may be in several branches)
+     */
+    _checkChoice(property, value) {
+        let choiceName = property.choice;
+
+        while(choiceName) {
+            let choice = this._choice(choiceName),
+                set = choice.branches.flatMap((branch) => branch.properties)
+                    .filter((name) => name !== property.name && this._values[name] !== undefined);
+
+            if(choice.maxOccurs <= 1 && !choice.branches.some((branch) => branch.properties.includes(property.name)
+                && set.every((name) => branch.properties.includes(name)))) {
+                let active = choice.branches.filter((branch) => branch.properties.some((name) => set.includes(name))),
+                    other = active.find((branch) => !branch.properties.includes(property.name)) || active[0];
+                throw this._violation(property, 
+                    `branch '${other.name}' of choice '${choiceName}' is already set`, "choice", value);
+            }
+
+            choiceName = choice.parent ? choice.parent.choice : null;
+        }
+    }
+
+    /**
+     * Returns the descriptor of a property, as declared by the most derived class that declares it
+     * @throws {exceptions.ValidationException} - if there is no such property
+     */
+    _property(name) {
+        let property = this._lookUp("properties", name);
+        if(!property) {
+            throw new exceptions.ValidationException(
+                `${this.constructor.xsd.name} has no property '${name}'`, {
+                    type        : this.constructor.xsd.name,
+                    property    : name,
+                    constraint  : "property"
+                });
+        }
+        return property;
+    }
+
+    /**
+     * Returns the descriptor of a choice, as declared by the most derived class that declares it
+     */
+    _choice(name) {
+        let choice = this._lookUp("choices", name);
+        if(!choice) {
+            throw new exceptions.Exception(`${this.constructor.xsd.name} has no choice '${name}'`);
+        }
+        return choice;
+    }
+
+    /**
+     * Looks up a property or choice descriptor by name in the descriptors of the class and of the 
+     * classes it extends, most derived first
+     * @param {String} list - "properties" or "choices"
+     * @param {String} name - the name of the property or choice
+     * @returns {Object} - the descriptor, or undefined if none of the classes declares it
+     */
+    _lookUp(list, name) {
+        for(let type = this.constructor; type && type.xsd; type = Object.getPrototypeOf(type)) {
+            if(Object.prototype.hasOwnProperty.call(type, "xsd")) {
+                let found = type.xsd[list].find((descriptor) => descriptor.name === name);
+                if(found) {
+                    return found;
+                }
+            }
+        }
+        return undefined;
+    }
+}
+
+/**
+ * The descriptor of the complex type a class was generated for
+ */
+XsdObject.xsd = {
+    name        : "XsdObject",
+    namespace   : null,
+    base        : null,
+    derivation  : null,
+    properties  : [],
+    choices     : []
+};
+
+/**
+ * Returns the name of a simple type, for messages
+ */
+function typeName(type) {
+    return typeof type === "string" ? type : type.name || "the anonymous simple type";
+}
+
+/**
+ * Describes the kind of a value, for messages
+ */
+function describe(value) {
+    if(Array.isArray(value)) {
+        return "an array";
+    }
+    if(value && typeof value === "object") {
+        return `an instance of ${value.constructor.xsd ? value.constructor.xsd.name : value.constructor.name}`;
+    }
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+module.exports = XsdObject;
@@ -0,0 +1,176 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST   =  require('../../const')
+    , builder =  require('../../builder')
+    , loader  =  require('../../loader')
+    , model   =  require('../../model')
+    , exceptions =  require('../../exceptions')
+    , fs      =  require('fs')
+    , os      =  require('os')
+    , path    =  require('path');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+
+describe('Test the schema model builder', async () => {
+    let tmpDir, fhirModel;
+
+    async function buildSchema(body, attrs) {
+        let file = path.join(tmpDir, `schema-${Date.now()}-${Math.random().toString(16).slice(2)}.xsd`);
+        fs.writeFileSync(file,
+            `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" ${attrs || ''}>${body}</xs:schema>`);
+        let options = { schemaFile: file };
+        return builder.buildModel(options, await loader.loadSchemaSet(options));
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-builder-'));
+
+        let options = { schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` };
+        fhirModel = builder.buildModel(options, await loader.loadSchemaSet(options));
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('models complex types derived by extension', async () => {
+        let account = fhirModel.getType(FHIR_NS, 'Account');
+
+        expect(account.derivation).to.equal('extension');
+        expect(account.baseName).to.include({ namespaceURI: FHIR_NS, localName: 'DomainResource' });
+        expect(account.content).to.be.instanceOf(model.ModelGroup);
+        expect(account.content.compositor).to.equal('sequence');
+        expect(account.content.particles[0].name).to.equal('identifier');
+        expect(account.content.particles[0].typeName.qualifiedName).to.equal(`{${FHIR_NS}}Identifier`);
+        expect(account.content.particles[0].targetNamespace).to.equal(FHIR_NS);
+    });
+
+    it('models simple types with facets', async () => {
+        let status = fhirModel.getType(FHIR_NS, 'AccountStatus-list');
+
+        expect(status).to.be.instanceOf(model.SimpleType);
+        expect(status.variety).to.equal('atomic');
+        expect(status.baseName.toString()).to.equal('code-primitive');
+        expect(status.facets.map((f) => f.value))
+            .to.deep.equal(['active', 'inactive', 'entered-in-error', 'on-hold', 'unknown']);
+        expect(status.facets[0]).to.include({ name: 'enumeration', documentation: 'Active' });
+    });
+
+    it('keeps every xs:documentation entry with its language', async () => {
+        let date = fhirModel.getType(FHIR_NS, 'date');
+
+        expect(date.documentations).to.have.lengthOf(2);
+        expect(date.documentations[0]).to.be.instanceOf(model.Documentation);
+        expect(date.documentations[0].text).to.match(/^A date or partial date/);
+        expect(date.documentations.map((entry) => entry.lang)).to.deep.equal(['en', 'en']);
+        expect(date.documentation).to.equal(date.documentations.map((entry) => entry.text).join('\n\n'));
+
+        let schemaModel = await buildSchema(`
+            <xs:simpleType name="Colour">
+                <xs:annotation xml:lang="en">
+                    <xs:documentation>A colour</xs:documentation>
+                    <xs:documentation xml:lang="fr" source="http://example.org/couleur">Une <b>couleur</b></xs:documentation>
+                </xs:annotation>
+                <xs:restriction base="xs:string"/>
+            </xs:simpleType>`);
+
+        expect(schemaModel.getType(null, 'Colour').documentations.map((entry) => Object.assign({}, entry))).to.deep.equal([
+            { text: 'A colour', lang: 'en', source: null },
+            { text: 'Une couleur', lang: 'fr', source: 'http://example.org/couleur' }
+        ]);
+    });
+
+    it('models anonymous union types', async () => {
+        let date = fhirModel.getType(FHIR_NS, 'date-primitive');
+
+        expect(date.baseName).to.be.null;
+        expect(date.base.variety).to.equal('union');
+        expect(date.base.memberTypeNames.map((name) => name.toString())).to.deep.equal(['xs:gYear', 'xs:gYearMonth', 'xs:date']);
+        expect(date.base.memberTypeNames[0].namespaceURI).to.equal(CONST.XML_SCHEMA_NS);
+        expect(date.facets[0].name).to.equal('pattern');
+    });
+
+    it('models attributes, groups and attribute groups', async () => {
+        let schemaModel = await buildSchema(`
+            <xs:attributeGroup name="common"><xs:attribute name="id" type="xs:ID"/></xs:attributeGroup>
+            <xs:group name="items"><xs:sequence><xs:element name="item" type="xs:string"/></xs:sequence></xs:group>
+            <xs:complexType name="List">
+                <xs:choice>
+                    <xs:group ref="items"/>
+                    <xs:any namespace="##other" processContents="lax"/>
+                </xs:choice>
+                <xs:attribute name="size" type="xs:int" use="required"/>
+                <xs:attributeGroup ref="common"/>
+            </xs:complexType>`, 'targetNamespace="urn:test" xmlns="urn:test"');
+        let list = schemaModel.getType('urn:test', 'List');
+
+        expect(schemaModel.groups.get('{urn:test}items').content.particles[0].name).to.equal('item');
+        expect(schemaModel.attributeGroups.get('{urn:test}common').attributes[0].name).to.equal('id');
+        expect(list.content.compositor).to.equal('choice');
+        expect(list.content.particles[0]).to.be.instanceOf(model.GroupReference);
+        expect(list.content.particles[1]).to.include({ kind: 'any', namespace: '##other', processContents: 'lax' });
+        expect(list.attributes[0]).to.include({ name: 'size', use: 'required' });
+        expect(list.attributes[0].typeName.qualifiedName).to.equal(`{${CONST.XML_SCHEMA_NS}}int`);
+        expect(list.attributeGroups[0].refName.qualifiedName).to.equal('{urn:test}common');
+    });
+
+    it('qualifies local elements according to elementFormDefault', async () => {
+        let schemaModel = await buildSchema(`
+            <xs:element name="root">
+                <xs:complexType><xs:sequence><xs:element name="child" type="xs:string"/></xs:sequence></xs:complexType>
+            </xs:element>`, 'targetNamespace="urn:test"');
+        let root = schemaModel.elements.get('{urn:test}root');
+
+        expect(root.targetNamespace).to.equal('urn:test');
+        expect(root.type).to.be.instanceOf(model.ComplexType);
+        expect(root.type.content.particles[0].targetNamespace).to.be.null;
+    });
+
+    it('resolves the unprefixed names of an included schema without a targetNamespace in each includer', async () => {
+        fs.writeFileSync(path.join(tmpDir, 'codes.xsd'), `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}">
+                <xs:simpleType name="Code"><xs:restriction base="xs:token"/></xs:simpleType>
+                <xs:element name="code" type="Code"/>
+            </xs:schema>`);
+        fs.writeFileSync(path.join(tmpDir, 'left.xsd'), `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" targetNamespace="urn:left">
+                <xs:include schemaLocation="codes.xsd"/>
+            </xs:schema>`);
+        let schemaModel = await buildSchema(`
+                <xs:import namespace="urn:left" schemaLocation="left.xsd"/>
+                <xs:include schemaLocation="codes.xsd"/>`, 'targetNamespace="urn:right"');
+
+        expect(schemaModel.elements.get('{urn:left}code').typeName.qualifiedName).to.equal('{urn:left}Code');
+        expect(schemaModel.elements.get('{urn:right}code').typeName.qualifiedName).to.equal('{urn:right}Code');
+    });
+
+    it('rejects duplicate components', async () => {
+        let error;
+        try {
+            await buildSchema(`
+                <xs:simpleType name="Code"><xs:restriction base="xs:token"/></xs:simpleType>
+                <xs:complexType name="Code"/>`);
+        } catch(err) {
+            error = err;
+        }
+
+        expect(error).to.be.instanceOf(exceptions.SchemaException);
+        expect(error.toString()).to.match(/^Duplicate complexType 'Code'/);
+    });
+
+    it('rejects undeclared namespace prefixes', async () => {
+        let error;
+        try {
+            await buildSchema(`
+                <xs:complexType name="Patient">
+                    <xs:sequence><xs:element name="name" type="hl7:HumanName"/></xs:sequence>
+                </xs:complexType>`);
+        } catch(err) {
+            error = err;
+        }
+
+        expect(error).to.be.instanceOf(exceptions.SchemaReferenceException);
+        expect(error.component).to.equal("element 'name' in complexType 'Patient'");
+    });
+});
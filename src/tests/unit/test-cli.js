@@ -0,0 +1,210 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , cli         =  require('../../cli')
+    , exceptions  =  require('../../exceptions')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path');
+
+const { EXIT_CODES } = cli;
+
+describe('Test the command line interface', async () => {
+    let tmpDir, schemaFile;
+
+    function thrown(fn) {
+        try {
+            fn();
+        } catch(err) {
+            return err;
+        }
+        return null;
+    }
+
+    /**
+     * Runs the command, collecting what it prints
+     */
+    async function run(...args) {
+        let output = { stdout: '', stderr: '' },
+            io = {
+                stdout : { write: (text) => output.stdout += text },
+                stderr : { write: (text) => output.stderr += text }
+            };
+
+        output.code = await cli.run(args, io);
+        return output;
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-cli-'));
+        schemaFile = path.join(tmpDir, 'shapes.xsd');
+        fs.writeFileSync(schemaFile, `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test" elementFormDefault="qualified">
+                <xs:element name="shape" type="Shape"/>
+                <xs:complexType name="Shape">
+                    <xs:attribute name="color" type="Color"/>
+                    <xs:attribute name="size" type="Size"/>
+                </xs:complexType>
+                <xs:simpleType name="Color">
+                    <xs:restriction base="xs:string">
+                        <xs:enumeration value="red"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:simpleType name="Size">
+                    <xs:restriction base="xs:int"/>
+                </xs:simpleType>
+            </xs:schema>`);
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('arguments', async () => {
+        it('turns the arguments into options', async () => {
+            let options = cli.parseArguments(['-o', 'out', '-n', 'fhir=http://hl7.org/fhir', '--namespace', 'h=http://www.w3.org/1999/xhtml',
+                '--emit', 'classes, declarations,json-schema', '--no-cache', '--fetch-timeout', '5000', 'a.xsd', 'https://example.org/b.xsd']);
+
+            expect(options).to.deep.include({
+                schemas         : ['a.xsd', 'https://example.org/b.xsd'],
+                outputDir       : 'out',
+                namespaces      : { fhir: 'http://hl7.org/fhir', h: 'http://www.w3.org/1999/xhtml' },
+                emit            : ['classes', 'declarations', 'json-schema'],
+                moduleFormat    : 'commonjs',
+                jsonSchemaFile  : path.join('out', 'schema.json'),
+                declarations    : true,
+                cacheDir        : false,
+                fetchTimeout    : 5000
+            });
+        });
+
+        it('rejects arguments it cannot run with', async () => {
+            for(let [args, message] of [
+                [['-o', 'out'], "No schema given"],
+                [['a.xsd'], "No output directory given (--output-dir)"],
+                [['-o', 'out', '-f', 'amd', 'a.xsd'], "Unknown module format 'amd' (expected commonjs or esm)"],
+                [['-o', 'out', '-e', 'classes,python', 'a.xsd'], "Unknown emitter 'python' (expected classes, declarations, json-schema)"],
+                [['-o', 'out', '-e', 'declarations', 'a.xsd'], "Declarations are only generated along with the classes (--emit classes,declarations)"],
+                [['-e', 'json-schema', 'a.xsd'], "No file to write the JSON Schema to (--json-schema-file or --output-dir)"],
+                [['-o', 'out', '-n', 'fhir', 'a.xsd'], "Invalid namespace mapping 'fhir' (expected prefix=uri)"],
+                [['-o', 'out', '--fetch-timeout', 'soon', 'a.xsd'], "Invalid fetch timeout 'soon' (expected a number of milliseconds)"],
+                [['-o', 'out', '--offline', 'a.xsd'], "Offline, schemas can only be read from a cache (--cache-dir)"],
+                [['-o', 'out', '--offline', '--cache-dir', 'cache', '--no-cache', 'a.xsd'], "Offline, schemas can only be read from a cache (--cache-dir)"]
+            ]) {
+                let error = thrown(() => cli.parseArguments(args));
+
+                expect(error).to.be.instanceOf(exceptions.UsageException);
+                expect(error.toString()).to.equal(message);
+            }
+            expect(thrown(() => cli.parseArguments(['--colour', 'a.xsd']))).to.be.instanceOf(exceptions.UsageException);
+        });
+    });
+
+    describe('running', async () => {
+        it('generates what it is asked for and prints a summary', async () => {
+            let outputDir = path.join(tmpDir, 'out'),
+                output = await run('--output-dir', outputDir, '--emit', 'classes,declarations,json-schema', schemaFile);
+
+            expect(output.code).to.equal(EXIT_CODES.SUCCESS);
+            expect(output.stderr).to.equal('');
+            expect(output.stdout).to.equal([
+                'Read 1 schema document declaring 3 types and 1 global element',
+                `Wrote 4 modules to ${outputDir}: 1 class, 1 enumeration, 1 simple type and index.js`,
+                'Wrote 4 TypeScript declaration files',
+                `Wrote a JSON Schema of 3 definitions to ${path.join(outputDir, 'schema.json')}`
+            ].map((line) => `${line}\n`).join(''));
+            expect(fs.readdirSync(outputDir)).to.have.members(['shape.js', 'color.js', 'size.js', 'index.js',
+                'shape.d.ts', 'color.d.ts', 'size.d.ts', 'index.d.ts', 'schema.json']);
+        });
+
+        it('generates ES modules when asked to', async () => {
+            let outputDir = path.join(tmpDir, 'esm'),
+                output = await run('-o', outputDir, '-f', 'esm', '-e', 'classes,declarations', schemaFile);
+
+            expect(output.code).to.equal(EXIT_CODES.SUCCESS);
+            expect(output.stdout).to.include(`Wrote 4 modules to ${outputDir}: 1 class, 1 enumeration, 1 simple type and index.js`);
+            expect(fs.readdirSync(outputDir)).to.have.members(['shape.js', 'color.js', 'size.js', 'index.js',
+                'shape.d.ts', 'color.d.ts', 'size.d.ts', 'index.d.ts', 'package.json']);
+            expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'package.json'), 'utf8'))).to.deep.equal({ type: 'module' });
+            expect(fs.readFileSync(path.join(outputDir, 'index.js'), 'utf8')).to.include('export { default as Shape } from "./shape.js";');
+        });
+
+        it('reports the types that refer to each other', async () => {
+            let cyclesFile = path.join(tmpDir, 'cycles.xsd'),
+                outputDir = path.join(tmpDir, 'cycles');
+            fs.writeFileSync(cyclesFile, `
+                <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">
+                    <xs:complexType name="Extension">
+                        <xs:sequence>
+                            <xs:element name="extension" type="Extension" minOccurs="0"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                    <xs:complexType name="reference">
+                        <xs:sequence>
+                            <xs:element name="identifier" type="Identifier" minOccurs="0"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                    <xs:complexType name="Identifier">
+                        <xs:sequence>
+                            <xs:element name="assigner" type="reference" minOccurs="0"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                </xs:schema>`);
+
+            let output = await run('-o', outputDir, '-f', 'esm', '--report-cycles', cyclesFile);
+
+            expect(output.code).to.equal(EXIT_CODES.SUCCESS);
+            expect(output.stdout.split('\n').slice(1)).to.deep.equal([
+                `Wrote 5 modules to ${outputDir}: 3 classes, 0 enumerations, 0 simple types, 1 module of a cycle of types and index.js`,
+                'Found 2 cycles of types that refer to each other, the largest of 2 types',
+                '  1. Extension',
+                '  2. Identifier, Reference',
+                ''
+            ]);
+            expect((await run('-o', outputDir, cyclesFile)).stdout).to.match(/the largest of 2 types\n$/);
+        });
+
+        it('prints nothing when quiet, and the help and version when asked', async () => {
+            let jsonSchemaFile = path.join(tmpDir, 'quiet', 'shapes.json'),
+                output = await run('-q', '-e', 'json-schema', '--json-schema-file', jsonSchemaFile, schemaFile);
+
+            expect(output).to.deep.equal({ stdout: '', stderr: '', code: EXIT_CODES.SUCCESS });
+            expect(fs.existsSync(jsonSchemaFile)).to.be.true;
+            expect((await run('--help')).stdout).to.match(/^Usage: gnm-xsd-to-nodejs-classes \[options\] <schema>\.\.\./);
+            expect((await run('-v')).stdout).to.equal(`${require('../../../package.json').version}\n`);
+        });
+
+        it('exits with a code that tells what went wrong', async () => {
+            let invalid = path.join(tmpDir, 'invalid.xsd');
+            fs.writeFileSync(invalid, `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}"><xs:element name="a" type="Missing"/></xs:schema>`);
+
+            let failing = path.join(tmpDir, 'failing-plugin.js'),
+                crashing = path.join(tmpDir, 'crashing-plugin.js');
+            fs.writeFileSync(failing, `
+                const { Exception } = require(${JSON.stringify(require.resolve('../../exceptions'))});
+                module.exports = { afterBuild: () => { throw new Exception('The model is not for me'); } };`);
+            fs.writeFileSync(crashing, `module.exports = { afterBuild: (schemaModel) => schemaModel.missing.length };`);
+
+            let usage = await run('-e', 'classes', schemaFile),
+                missing = await run('-o', path.join(tmpDir, 'missing'), path.join(tmpDir, 'missing.xsd')),
+                unresolved = await run('-o', path.join(tmpDir, 'invalid'), invalid),
+                plugin = await run('-o', path.join(tmpDir, 'plugin'), '-p', failing, schemaFile),
+                unknownPlugin = await run('-o', path.join(tmpDir, 'plugin'), '-p', path.join(tmpDir, 'missing-plugin.js'), schemaFile),
+                crash = await run('-o', path.join(tmpDir, 'crash'), '-p', crashing, schemaFile);
+
+            expect(usage.code).to.equal(EXIT_CODES.USAGE);
+            expect(usage.stderr).to.match(/^No output directory given \(--output-dir\)\n\nUsage:/);
+            expect(missing.code).to.equal(EXIT_CODES.SCHEMA_LOAD);
+            expect(missing.stderr).to.match(/^Cannot read schema/);
+            expect(unresolved.code).to.equal(EXIT_CODES.SCHEMA_INVALID);
+            expect(unresolved.stdout).to.equal('');
+            expect(plugin.code).to.equal(EXIT_CODES.GENERATION);
+            expect(plugin.stderr).to.equal('The model is not for me\n');
+            expect(unknownPlugin.code).to.equal(EXIT_CODES.GENERATION);
+            expect(unknownPlugin.stderr).to.match(/^Cannot find plugin/);
+            expect(crash.code).to.equal(EXIT_CODES.FAILURE);
+            expect(crash.stderr).to.match(/^TypeError: /);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST        =  require('../../const')
+    , app          =  require('../../index')
+    , dependencies =  require('../../dependencies')
+    , fs           =  require('fs')
+    , os           =  require('os')
+    , path         =  require('path');
+
+describe('Test the dependency graph of the types', async () => {
+    let tmpDir, schemaModel;
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-dependencies-'));
+
+        let schemaFile = path.join(tmpDir, 'references.xsd');
+        fs.writeFileSync(schemaFile, `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">
+                <xs:complexType name="Extension">
+                    <xs:sequence>
+                        <xs:element name="extension" type="Extension" minOccurs="0" maxOccurs="unbounded"/>
+                    </xs:sequence>
+                    <xs:attribute name="url" type="xs:anyURI"/>
+                </xs:complexType>
+                <xs:complexType name="Reference">
+                    <xs:sequence>
+                        <xs:element name="identifier" type="Identifier" minOccurs="0"/>
+                    </xs:sequence>
+                </xs:complexType>
+                <xs:complexType name="Identifier">
+                    <xs:sequence>
+                        <xs:element name="assigner" type="Reference" minOccurs="0"/>
+                        <xs:element name="period">
+                            <xs:complexType>
+                                <xs:attribute name="start" type="xs:date"/>
+                            </xs:complexType>
+                        </xs:element>
+                    </xs:sequence>
+                </xs:complexType>
+                <xs:complexType name="LocalReference">
+                    <xs:complexContent>
+                        <xs:extension base="Reference">
+                            <xs:sequence>
+                                <xs:element name="extension" type="Extension" minOccurs="0" maxOccurs="unbounded"/>
+                            </xs:sequence>
+                        </xs:extension>
+                    </xs:complexContent>
+                </xs:complexType>
+            </xs:schema>`);
+        schemaModel = await app.processSchema({ schemaFile: schemaFile });
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('splits the types into the groups of those that refer to each other', async () => {
+        let graph = dependencies.modelGraph(schemaModel),
+            type = (name) => schemaModel.getType('urn:test', name),
+            nameOf = (t) => t.name || 'anonymous',
+            period = type('Identifier').properties.find((property) => property.name === 'period').type;
+
+        expect(graph.size).to.equal(5);
+        expect(Array.from(graph.get(type('LocalReference'))).map(nameOf)).to.deep.equal(['Reference', 'Extension']);
+        expect(graph.cycles().map((cycle) => cycle.map(nameOf).sort())).to.deep.equal([['Extension'], ['Identifier', 'Reference']]);
+        expect(graph.components.map((component) => component.map(nameOf).sort())).to.deep.equal(
+            [['Extension'], ['anonymous'], ['Identifier', 'Reference'], ['LocalReference']]);
+        expect(graph.refersBack(type('Reference'), type('Identifier'))).to.be.true;
+        expect(graph.refersBack(type('Extension'), type('Extension'))).to.be.true;
+        expect(graph.refersBack(type('Identifier'), period)).to.be.false;
+        expect(graph.refersBack(type('LocalReference'), type('Reference'))).to.be.false;
+        expect(graph.peersOf(type('Reference'))).to.deep.equal([type('Identifier')]);
+        expect(graph.peersOf(type('Extension'))).to.deep.equal([]);
+    });
+
+    it('builds the graph of the types some types depend on', async () => {
+        let graph = dependencies.buildGraph([schemaModel.getType('urn:test', 'Reference'), schemaModel.getType(CONST.XML_SCHEMA_NS, 'string')]);
+
+        expect(Array.from(graph.keys()).map((type) => type.name || 'anonymous')).to.deep.equal(['Reference', 'Identifier', 'anonymous']);
+    });
+
+    it('finds the components of long chains without running out of stack', async () => {
+        let edges = new Map();
+        for(let i = 0; i < 100000; i++) {
+            edges.set(i, [i + 1]);
+        }
+        edges.set(100000, [0, 100001]);
+
+        let components = dependencies.stronglyConnectedComponents(edges);
+
+        expect(components).to.have.lengthOf(2);
+        expect(components[0]).to.deep.equal([100001]);
+        expect(components[1]).to.have.lengthOf(100001);
+        expect(dependencies.stronglyConnectedComponents(new Map([['a', ['b']], ['b', []], ['c', ['a', 'c']]])))
+            .to.deep.equal([['b'], ['a'], ['c']]);
+    });
+});
@@ -0,0 +1,488 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , emitter     =  require('../../emitter')
+    , naming      =  require('../../naming')
+    , runtime     =  require('../../runtime')
+    , exceptions  =  require('../../exceptions')
+    , childProcess =  require('child_process')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path')
+    , { pathToFileURL } = require('url');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+
+describe('Test the code emitter', async () => {
+    let tmpDir, fhirModel;
+
+    function load(name, source) {
+        let file = path.join(tmpDir, `${name}.js`);
+        fs.writeFileSync(file, source);
+        return require(file);
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-emitter-'));
+        fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` });
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('enumerations', async () => {
+        it('emits a frozen enum object for an enumerated simple type', async () => {
+            let source = emitter.emitEnum(fhirModel.getType(FHIR_NS, 'AccountStatus-list')),
+                AccountStatusList = load('account-status-list', source);
+
+            expect(AccountStatusList).to.deep.equal({
+                ACTIVE              : 'active',
+                INACTIVE            : 'inactive',
+                ENTERED_IN_ERROR    : 'entered-in-error',
+                ON_HOLD             : 'on-hold',
+                UNKNOWN             : 'unknown'
+            });
+            expect(Object.isFrozen(AccountStatusList)).to.be.true;
+        });
+
+        it('documents each member with its xs:documentation', async () => {
+            let source = emitter.emitEnum(fhirModel.getType(FHIR_NS, 'AccountStatus-list'));
+
+            expect(source).to.include('    /** Entered in error */\n    ENTERED_IN_ERROR : "entered-in-error",');
+            expect(source).to.include(' * @enum {string}');
+        });
+
+        it('names members after symbols and keeps the names unique', async () => {
+            let QuantityComparatorList = load('quantity-comparator-list',
+                    emitter.emitEnum(fhirModel.getType(FHIR_NS, 'QuantityComparator-list'))),
+                SearchComparatorList = load('search-comparator-list',
+                    emitter.emitEnum(fhirModel.getType(FHIR_NS, 'SearchComparator-list')));
+
+            expect(QuantityComparatorList).to.deep.equal({ LESS: '<', LESS_EQUALS: '<=', GREATER_EQUALS: '>=', GREATER: '>' });
+            expect(Object.keys(SearchComparatorList)).to.deep.equal(['EQ', 'NE', 'GT', 'LT', 'GE', 'LE', 'SA', 'EB', 'AP']);
+        });
+
+        async function derivedEnum() {
+            let file = path.join(tmpDir, 'colors.xsd');
+            fs.writeFileSync(file, `
+                <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">
+                    <xs:simpleType name="Color">
+                        <xs:restriction base="xs:string">
+                            <xs:enumeration value="red"><xs:annotation><xs:documentation>Red</xs:documentation></xs:annotation></xs:enumeration>
+                            <xs:enumeration value="green"/>
+                        </xs:restriction>
+                    </xs:simpleType>
+                    <xs:simpleType name="Red">
+                        <xs:restriction base="Color">
+                            <xs:pattern value="r.*"/>
+                        </xs:restriction>
+                    </xs:simpleType>
+                </xs:schema>`);
+            return app.processSchema({ schemaFile: file });
+        }
+
+        it('keeps the members a restriction inherits when it only adds a pattern', async () => {
+            let source = emitter.emitEnum((await derivedEnum()).getType('urn:test', 'Red'));
+
+            expect(load('red', source)).to.deep.equal({ RED: 'red', GREEN: 'green' });
+            expect(source).to.include('    /** Red */\n    RED : "red",');
+        });
+
+        it('declares the members a restriction inherits', async () => {
+            let schemaModel = await derivedEnum(),
+                source = emitter.emitDeclarations(schemaModel.getType('urn:test', 'Red'), naming.nameModel(schemaModel));
+
+            expect(source).to.include('declare const Red: {\n    /** Red */\n    readonly RED: "red";\n    readonly GREEN: "green";\n};');
+            expect(source).to.include('type Red = "red" | "green";');
+        });
+    });
+
+    describe('classes', async () => {
+        const RUNTIME_MODULE = path.join(__dirname, '../../runtime');
+
+        async function generate(name, body, options = {}) {
+            let outputDir = path.join(tmpDir, name),
+                file = path.join(tmpDir, `${name}.xsd`);
+
+            fs.writeFileSync(file,
+                `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">${body}</xs:schema>`);
+            await app.processSchema(Object.assign({ schemaFile: file, outputDir: outputDir, runtimeModule: RUNTIME_MODULE }, options));
+            return outputDir;
+        }
+
+        function compile(file, flags = []) {
+            try {
+                childProcess.execFileSync(process.execPath, [require.resolve('typescript/bin/tsc'), '--noEmit', '--strict',
+                    '--typeRoots', path.join(__dirname, '../../../node_modules/@types'), '--types', 'node', ...flags, file], { encoding: 'utf8' });
+            } catch(err) {
+                return err.stdout || String(err);
+            }
+            return '';
+        }
+
+        it('writes a module per type and a barrel', async () => {
+            let outputDir = await generate('shapes', `
+                <xs:complexType name="Shape">
+                    <xs:sequence>
+                        <xs:element name="label" type="xs:string" minOccurs="0"/>
+                        <xs:element name="tag" type="xs:token" minOccurs="0" maxOccurs="unbounded"/>
+                    </xs:sequence>
+                    <xs:attribute name="color" type="Color"/>
+                </xs:complexType>
+                <xs:complexType name="Circle">
+                    <xs:complexContent>
+                        <xs:extension base="Shape">
+                            <xs:sequence>
+                                <xs:element name="radius" type="xs:double"/>
+                                <xs:element name="center">
+                                    <xs:complexType>
+                                        <xs:attribute name="x" type="xs:int"/>
+                                        <xs:attribute name="y" type="xs:int"/>
+                                    </xs:complexType>
+                                </xs:element>
+                            </xs:sequence>
+                        </xs:extension>
+                    </xs:complexContent>
+                </xs:complexType>
+                <xs:simpleType name="Color">
+                    <xs:restriction base="xs:string">
+                        <xs:enumeration value="red"/>
+                        <xs:enumeration value="green"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:simpleType name="Percent">
+                    <xs:restriction base="xs:decimal">
+                        <xs:maxInclusive value="100"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:element name="drawing">
+                    <xs:complexType>
+                        <xs:sequence>
+                            <xs:element name="shape" type="Shape" maxOccurs="unbounded"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                </xs:element>`);
+
+            expect(fs.readdirSync(outputDir).sort()).to.deep.equal(
+                ['circle-center.js', 'circle.js', 'color.js', 'drawing.js', 'index.js', 'percent.js', 'shape.js']);
+
+            let generated = require(outputDir),
+                circle = new generated.Circle({ label: 'unit', radius: 1 });
+
+            expect(Object.keys(generated)).to.deep.equal(['Circle', 'CircleCenter', 'Color', 'Drawing', 'Percent', 'Shape']);
+            expect(circle).to.be.instanceOf(generated.Shape);
+            expect(circle).to.be.instanceOf(runtime.XsdObject);
+            expect(circle.label).to.equal('unit');
+            circle.center = new generated.CircleCenter({ x: 1, y: 2 });
+            expect(circle._get('center').y).to.equal(2);
+            expect(generated.Circle.xsd.properties.map((p) => p.name)).to.deep.equal(['radius', 'center']);
+            expect(generated.Percent).to.include({ name: 'Percent', variety: 'atomic', base: 'decimal' });
+            expect(generated.Color.GREEN).to.equal('green');
+
+            let error;
+            try {
+                circle.color = 'blue';
+            } catch(err) {
+                error = err;
+            }
+            expect(error).to.be.instanceOf(exceptions.ValidationException);
+        });
+
+        it('documents the properties and requires the types they reference', async () => {
+            let outputDir = await generate('documented', `
+                <xs:complexType name="Person">
+                    <xs:annotation><xs:documentation>A human being</xs:documentation></xs:annotation>
+                    <xs:sequence>
+                        <xs:element name="name" type="xs:string">
+                            <xs:annotation><xs:documentation>The full name</xs:documentation></xs:annotation>
+                        </xs:element>
+                        <xs:element name="born" type="xs:date" minOccurs="0"/>
+                        <xs:element name="friend" type="Person" minOccurs="0" maxOccurs="unbounded"/>
+                        <xs:element name="address" type="Address" minOccurs="0"/>
+                    </xs:sequence>
+                    <xs:attribute name="xml-id" type="xs:ID"/>
+                </xs:complexType>
+                <xs:complexType name="Address">
+                    <xs:attribute name="city" type="xs:string"/>
+                </xs:complexType>`),
+                source = fs.readFileSync(path.join(outputDir, 'person.js'), 'utf8');
+
+            expect(source).to.include('/**\n * A human being\n * Generated from the Person complex type (urn:test)\n */\nclass Person extends XsdObject {');
+            expect(source).to.include('    /**\n     * The full name\n     * Cardinality: 1..1\n     * @type {string}\n     */\n    get name() {');
+            expect(source).to.include('    /**\n     * Cardinality: 0..1\n     * @type {DateTime}\n     */\n    get born() {');
+            expect(source).to.include('    /**\n     * Cardinality: 0..*\n     * @type {Array<Person>}\n     */\n    get friend() {');
+            expect(source).to.include('    get xmlId() {');
+            expect(source).to.include('const Address = require("./address");');
+            expect(source).not.to.include('const Person = require(');
+
+            let { Person, Address } = require(outputDir),
+                person = new Person({ xmlId: 'p1', address: new Address({ city: 'Boston' }) });
+
+            expect(person.xmlId).to.equal('p1');
+            expect(person.address.city).to.equal('Boston');
+        });
+
+        it('turns every xs:documentation entry into JSDoc, with links to the base types and cardinalities', async () => {
+            let outputDir = await generate('jsdoc', `
+                <xs:complexType name="Measure">
+                    <xs:annotation>
+                        <xs:documentation xml:lang="en">A measured quantity</xs:documentation>
+                        <xs:documentation xml:lang="de">Eine gemessene Größe</xs:documentation>
+                    </xs:annotation>
+                    <xs:simpleContent>
+                        <xs:extension base="xs:decimal">
+                            <xs:attribute name="unit" type="Unit" use="required"/>
+                        </xs:extension>
+                    </xs:simpleContent>
+                </xs:complexType>
+                <xs:complexType name="Reading">
+                    <xs:choice>
+                        <xs:element name="measure" type="Measure" maxOccurs="3">
+                            <xs:annotation>
+                                <xs:documentation>What was measured</xs:documentation>
+                                <xs:documentation>At most three times</xs:documentation>
+                            </xs:annotation>
+                        </xs:element>
+                        <xs:element name="failure" type="xs:string"/>
+                    </xs:choice>
+                </xs:complexType>
+                <xs:simpleType name="Unit">
+                    <xs:annotation><xs:documentation>A unit of measure</xs:documentation></xs:annotation>
+                    <xs:restriction base="xs:token">
+                        <xs:enumeration value="kg">
+                            <xs:annotation>
+                                <xs:documentation xml:lang="en">Kilogram</xs:documentation>
+                                <xs:documentation xml:lang="fr">Kilogramme</xs:documentation>
+                            </xs:annotation>
+                        </xs:enumeration>
+                    </xs:restriction>
+                </xs:simpleType>`, { declarations: true }),
+                source = (file) => fs.readFileSync(path.join(outputDir, file), 'utf8');
+
+            expect(source('measure.js')).to.include('/**\n'
+                + ' * (en) A measured quantity\n *\n * (de) Eine gemessene Größe\n'
+                + ' * Generated from the Measure complex type (urn:test)\n'
+                + ' * @see {@link https://www.w3.org/TR/xmlschema-2/#decimal xs:decimal} the base type\n */\nclass Measure');
+            expect(source('measure.js')).to.include('    /**\n     * Cardinality: 1..1 (attribute)\n     * @type {Unit}\n     */');
+            expect(source('reading.js')).to.include('    /**\n     * What was measured\n     *\n     * At most three times\n'
+                + '     * Cardinality: 0..3 (branch \'measure\' of choice \'choice\')\n     * @type {Array<Measure>}\n     */');
+            expect(source('unit.js')).to.include('/**\n * A unit of measure\n * Values of the Unit simple type (urn:test)\n'
+                + ' * @see {@link https://www.w3.org/TR/xmlschema-2/#token xs:token} the base type\n');
+            expect(source('unit.js')).to.include('    /**\n     * (en) Kilogram\n     *\n     * (fr) Kilogramme\n     */\n    KG : "kg"');
+            expect(source('reading.d.ts')).to.include('    /**\n     * What was measured\n     *\n     * At most three times\n'
+                + '     * Cardinality: 0..3 (branch \'measure\' of choice \'choice\')\n     */\n    measure?: Array<Measure>;');
+        });
+
+        const SHAPES = `
+            <xs:complexType name="Shape">
+                <xs:sequence>
+                    <xs:element name="label" type="xs:string" minOccurs="0"/>
+                    <xs:element name="tag" type="xs:token" minOccurs="0" maxOccurs="unbounded"/>
+                </xs:sequence>
+                <xs:attribute name="color" type="Color"/>
+            </xs:complexType>
+            <xs:complexType name="Circle">
+                <xs:annotation><xs:documentation>A round shape</xs:documentation></xs:annotation>
+                <xs:complexContent>
+                    <xs:extension base="Shape">
+                        <xs:sequence>
+                            <xs:element name="radius" type="xs:decimal"/>
+                            <xs:element name="center">
+                                <xs:complexType>
+                                    <xs:attribute name="x" type="xs:int"/>
+                                    <xs:attribute name="y" type="xs:int"/>
+                                </xs:complexType>
+                            </xs:element>
+                        </xs:sequence>
+                    </xs:extension>
+                </xs:complexContent>
+            </xs:complexType>
+            <xs:complexType name="Length">
+                <xs:simpleContent>
+                    <xs:extension base="xs:double">
+                        <xs:attribute name="unit">
+                            <xs:simpleType>
+                                <xs:restriction base="xs:string">
+                                    <xs:enumeration value="cm"/>
+                                    <xs:enumeration value="in"/>
+                                </xs:restriction>
+                            </xs:simpleType>
+                        </xs:attribute>
+                    </xs:extension>
+                </xs:simpleContent>
+            </xs:complexType>
+            <xs:complexType name="string">
+                <xs:attribute name="value" type="xs:string"/>
+            </xs:complexType>
+            <xs:simpleType name="Color">
+                <xs:restriction base="xs:string">
+                    <xs:enumeration value="red"><xs:annotation><xs:documentation>Like blood</xs:documentation></xs:annotation></xs:enumeration>
+                    <xs:enumeration value="green"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Percent">
+                <xs:restriction base="xs:decimal">
+                    <xs:maxInclusive value="100"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:element name="drawing">
+                <xs:complexType>
+                    <xs:sequence>
+                        <xs:element name="shape" type="Shape" maxOccurs="unbounded"/>
+                        <xs:element name="title" type="string" minOccurs="0"/>
+                    </xs:sequence>
+                </xs:complexType>
+            </xs:element>`;
+
+        it('writes TypeScript declarations that compile against a sample usage', async () => {
+            let outputDir = await generate('generated', SHAPES, { declarations: true }),
+                declarations = (name) => fs.readFileSync(path.join(outputDir, `${name}.d.ts`), 'utf8');
+
+            expect(fs.readdirSync(outputDir).filter((file) => file.endsWith('.d.ts')).sort()).to.deep.equal(
+                ['circle-center.d.ts', 'circle.d.ts', 'color.d.ts', 'drawing.d.ts', 'index.d.ts', 'length.d.ts',
+                    'percent.d.ts', 'shape.d.ts', 'string.d.ts']);
+            expect(declarations('circle')).to.include(
+                '/**\n * A round shape\n * Generated from the Circle complex type (urn:test)\n * @see {@link Shape} the base type\n */\n'
+                + 'declare class Circle extends Shape {');
+            expect(declarations('circle')).to.include('    radius: number | bigint | $runtime.primitives.Decimal | string;');
+            expect(declarations('shape')).to.include('    tag?: Array<string>;');
+            expect(declarations('color')).to.include('    /** Like blood */\n    readonly RED: "red";');
+            expect(declarations('color')).to.include('type Color = "red" | "green";');
+            expect(declarations('length')).to.include('    unit?: "cm" | "in";');
+            expect(declarations('drawing')).to.include('import String$ = require("./string");');
+            expect(declarations('index')).to.include('    String$\n};');
+
+            fs.copyFileSync(path.join(__dirname, 'typescript/usage.ts'), path.join(tmpDir, 'usage.ts'));
+            expect(compile(path.join(tmpDir, 'usage.ts'))).to.equal('');
+        });
+
+        it('writes ES modules, and declarations that compile against the sample usage as an ES module', async () => {
+            let outputDir = await generate('generated-esm', SHAPES, { declarations: true, moduleFormat: 'esm',
+                    runtimeModule: path.join(RUNTIME_MODULE, 'index.js') }),
+                source = (file) => fs.readFileSync(path.join(outputDir, file), 'utf8');
+
+            expect(source('circle.js')).to.match(/^import Shape from "\.\/shape\.js";\nimport CircleCenter from "\.\/circle-center\.js";\n\n/);
+            expect(source('circle.js')).to.include('Circle.propertyClasses = () => ({\n    "center" : CircleCenter\n});');
+            expect(source('circle.js')).to.include('Circle.register();\nexport default Circle;\n');
+            expect(source('circle.js')).not.to.include('require(');
+            expect(fs.readdirSync(outputDir).filter((file) => file.endsWith('.cycle.js'))).to.be.empty;
+            expect(source('color.js')).to.match(/export default Color;\n$/);
+            expect(source('index.js')).to.include('export { default as CircleCenter } from "./circle-center.js";');
+            expect(source('circle.d.ts')).to.include('import Shape from "./shape.js";');
+            expect(source('circle.d.ts')).to.match(/export default Circle;\n$/);
+            expect(source('index.d.ts')).to.include('export { default as String$ } from "./string.js";');
+
+            fs.writeFileSync(path.join(tmpDir, 'usage.mts'), fs.readFileSync(path.join(__dirname, 'typescript/usage.ts'), 'utf8')
+                .replace('from "./generated";', 'from "./generated-esm/index.js";'));
+            expect(compile(path.join(tmpDir, 'usage.mts'), ['--module', 'nodenext'])).to.equal('');
+        });
+
+        const CYCLES = `
+            <xs:complexType name="Element">
+                <xs:sequence>
+                    <xs:element name="extension" type="Extension" minOccurs="0" maxOccurs="unbounded"/>
+                </xs:sequence>
+            </xs:complexType>
+            <xs:complexType name="Extension">
+                <xs:complexContent>
+                    <xs:extension base="Element">
+                        <xs:sequence>
+                            <xs:element name="valueReference" type="Reference" minOccurs="0"/>
+                        </xs:sequence>
+                        <xs:attribute name="url" type="xs:anyURI"/>
+                    </xs:extension>
+                </xs:complexContent>
+            </xs:complexType>
+            <xs:complexType name="Reference">
+                <xs:complexContent>
+                    <xs:extension base="Element">
+                        <xs:sequence>
+                            <xs:element name="identifier" type="Identifier" minOccurs="0"/>
+                            <xs:element name="period" type="Period" minOccurs="0"/>
+                        </xs:sequence>
+                    </xs:extension>
+                </xs:complexContent>
+            </xs:complexType>
+            <xs:complexType name="Identifier">
+                <xs:complexContent>
+                    <xs:extension base="Element">
+                        <xs:sequence>
+                            <xs:element name="assigner" type="Reference" minOccurs="0"/>
+                        </xs:sequence>
+                        <xs:attribute name="value" type="xs:string"/>
+                    </xs:extension>
+                </xs:complexContent>
+            </xs:complexType>
+            <xs:complexType name="Period">
+                <xs:attribute name="start" type="xs:date"/>
+            </xs:complexType>`;
+
+        it('resolves the classes of types that refer to each other once needed', async () => {
+            let outputDir = await generate('cycles', CYCLES),
+                source = (file) => fs.readFileSync(path.join(outputDir, file), 'utf8');
+
+            expect(source('reference.js')).to.match(/^'use strict';\n\nconst Element = require\("\.\/element"\);\nconst Period = require\("\.\/period"\);\n\n/);
+            expect(source('reference.js')).to.include('Reference.propertyClasses = () => ({\n'
+                + '    "identifier" : require("./identifier"),\n    "period" : Period\n});');
+            expect(source('reference.js')).to.match(/module\.exports = Reference;\n$/);
+            expect(source('element.js')).to.include('Element.propertyClasses = () => ({\n    "extension" : require("./extension")\n});');
+
+            let Identifier = require(path.join(outputDir, 'identifier')),
+                identifier = Identifier.fromJSON({ extension: [{ url: 'urn:x' }], value: '42',
+                    assigner: { identifier: { value: '7' }, period: { start: '2020-01-01' } } });
+
+            expect(identifier.assigner.identifier.value).to.equal('7');
+            expect(identifier.assigner.identifier).to.be.instanceOf(Identifier);
+            expect(identifier.extension[0].url).to.equal('urn:x');
+            expect(identifier.assigner.period.start.toString()).to.equal('2020-01-01');
+        });
+
+        it('defines the ES modules of types that refer to each other in one module', async () => {
+            let outputDir = await generate('cycles-esm', CYCLES, { moduleFormat: 'esm', runtimeModule: path.join(RUNTIME_MODULE, 'index.js') }),
+                source = (file) => fs.readFileSync(path.join(outputDir, file), 'utf8'),
+                cycle = source('element.cycle.js');
+
+            expect(fs.readdirSync(outputDir).sort()).to.deep.equal(['element.cycle.js', 'element.js', 'extension.js', 'identifier.js',
+                'index.js', 'package.json', 'period.js', 'reference.js']);
+            expect(source('reference.js')).to.equal('/** The Reference class, defined along with the classes of the types it refers to that refer back to it */\n'
+                + 'export { Reference as default } from "./element.cycle.js";\n');
+            expect(cycle).to.match(/\*\/\nimport \$runtime from .*;\nconst \{ XsdObject \} = \$runtime;\nimport Period from "\.\/period\.js";\n\n/);
+            expect(cycle.indexOf('class Element extends XsdObject {')).to.be.below(cycle.indexOf('class Extension extends Element {'));
+            expect(cycle).to.include('Reference.propertyClasses = () => ({\n    "identifier" : Identifier,\n    "period" : Period\n});');
+            expect(cycle).to.match(/\nexport \{ Element, Extension, Identifier, Reference \};\n$/);
+            expect(source('period.js')).to.match(/^import \$runtime from /);
+
+            for(let file of ['element', 'extension', 'identifier', 'reference']) {
+                expect(childProcess.execFileSync(process.execPath, ['--input-type=module', '-e', `
+                    import Class from ${JSON.stringify(pathToFileURL(path.join(outputDir, `${file}.js`)).href)};
+                    process.stdout.write(Class.fromJSON({ extension: [{ url: "urn:x", valueReference: { identifier: { value: "7" } } }] })
+                        .extension[0].valueReference.identifier.value);`], { encoding: 'utf8' }), file).to.equal('7');
+            }
+        });
+
+        it('generates loadable classes for the FHIR schema', async () => {
+            let outputDir = path.join(tmpDir, 'fhir');
+
+            emitter.writeModules(outputDir, emitter.emitModel(fhirModel, { runtimeModule: RUNTIME_MODULE }));
+
+            let fhir = require(outputDir),
+                account = new fhir.Account({ id: new fhir.Id({ value: 'example' }), status: new fhir.AccountStatus({ value: 'active' }) });
+
+            expect(account).to.be.instanceOf(fhir.DomainResource);
+            expect(account).to.be.instanceOf(fhir.Resource);
+            expect(account.status.value).to.equal('active');
+            expect(fhir.Extension.xsd.base).to.deep.equal({ name: 'Element', namespace: FHIR_NS });
+            expect(new fhir.Extension({ url: 'http://example.org' }).url).to.equal('http://example.org');
+
+            for(let file of ['backbone-element', 'dosage', 'quantity', 'extension']) {
+                expect(childProcess.execFileSync(process.execPath, ['-e', `
+                    const Class = require(${JSON.stringify(path.join(outputDir, file))});
+                    process.stdout.write(Class.fromJSON({ extension: [{ url: "urn:x" }] }, { validation: "collect" }).extension[0].url);`],
+                    { encoding: 'utf8' }), file).to.equal('urn:x');
+            }
+        });
+    });
+});
@@ -0,0 +1,257 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST         =  require('../../const')
+    , app           =  require('../../index')
+    , descriptors   =  require('../../descriptors')
+    , exceptions    =  require('../../exceptions')
+    , facets        =  require('../../runtime/facets')
+    , simpleTypes   =  require('../../runtime/simpleTypes')
+    , fs            =  require('fs')
+    , os            =  require('os')
+    , path          =  require('path');
+
+describe('Test the facet validation engine', async () => {
+    let tmpDir, testModel;
+
+    async function processSchema(body) {
+        let file = path.join(tmpDir, `schema-${Date.now()}-${Math.random().toString(16).slice(2)}.xsd`);
+        fs.writeFileSync(file,
+            `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">${body}</xs:schema>`);
+        return app.processSchema({ schemaFile: file });
+    }
+
+    function thrown(fn) {
+        try {
+            fn();
+        } catch(err) {
+            return err;
+        }
+        return null;
+    }
+
+    function violated(lexical, type) {
+        let error = thrown(() => simpleTypes.check(lexical, type));
+        expect(error, `${lexical} accepted`).to.be.instanceOf(exceptions.ValidationException);
+        return error.constraint;
+    }
+
+    function typeNamed(name) {
+        return descriptors.describeSimpleType(testModel.getType('urn:test', name));
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-facets-'));
+        testModel = await processSchema(`
+            <xs:simpleType name="Code">
+                <xs:restriction base="xs:token">
+                    <xs:minLength value="2"/>
+                    <xs:maxLength value="4"/>
+                    <xs:pattern value="\\i\\c*"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Pin">
+                <xs:restriction base="xs:string">
+                    <xs:length value="4"/>
+                    <xs:pattern value="[0-9]+"/>
+                    <xs:pattern value="[A-Z]+"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Price">
+                <xs:restriction base="xs:decimal">
+                    <xs:totalDigits value="5"/>
+                    <xs:fractionDigits value="2"/>
+                    <xs:minExclusive value="0"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Rate">
+                <xs:restriction base="xs:decimal">
+                    <xs:enumeration value="0.5"/>
+                    <xs:enumeration value="1"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Century">
+                <xs:restriction base="xs:date">
+                    <xs:minInclusive value="2000-01-01"/>
+                    <xs:maxExclusive value="2100-01-01"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Era">
+                <xs:restriction base="xs:gYear">
+                    <xs:minInclusive value="-0100"/>
+                    <xs:maxExclusive value="10000"/>
+                </xs:restriction>
+            </xs:simpleType>
+            <xs:simpleType name="Pair">
+                <xs:restriction>
+                    <xs:simpleType><xs:list itemType="xs:unsignedByte"/></xs:simpleType>
+                    <xs:length value="2"/>
+                </xs:restriction>
+            </xs:simpleType>`);
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('built-in types', async () => {
+        it('inherits bounds along the baseType chain', async () => {
+            expect(simpleTypes.parse('255', 'unsignedByte')).to.equal('255');
+            expect(violated('256', 'unsignedByte')).to.equal('maxInclusive');
+            expect(violated('-1', 'unsignedByte')).to.equal('minInclusive');
+            expect(violated('1.5', 'unsignedByte')).to.equal('fractionDigits');
+            expect(violated('x', 'unsignedByte')).to.equal('lexical');
+            expect(violated('0', 'positiveInteger')).to.equal('minInclusive');
+            expect(violated('-129', 'byte')).to.equal('minInclusive');
+        });
+
+        it('compares large integers exactly', async () => {
+            expect(simpleTypes.parse('18446744073709551615', 'unsignedLong')).to.equal('18446744073709551615');
+            expect(violated('18446744073709551616', 'unsignedLong')).to.equal('maxInclusive');
+            expect(violated('9223372036854775808', 'long')).to.equal('maxInclusive');
+        });
+
+        it('applies the patterns and legal literals of the built-in types', async () => {
+            expect(simpleTypes.parse('en-US', 'language')).to.equal('en-US');
+            expect(violated('english language', 'language')).to.equal('pattern');
+            expect(violated('a:b', 'NCName')).to.equal('pattern');
+            expect(simpleTypes.parse('a:b', 'Name')).to.equal('a:b');
+            expect(violated('yes', 'boolean')).to.equal('lexical');
+        });
+
+        it('normalizes white space as each type prescribes', async () => {
+            expect(simpleTypes.parse('  a \n b  ', 'token')).to.equal('a b');
+            expect(simpleTypes.parse(' a\tb ', 'normalizedString')).to.equal(' a b ');
+            expect(simpleTypes.parse(' a\tb ', 'string')).to.equal(' a\tb ');
+            expect(simpleTypes.parse(' 42\n', 'int')).to.equal('42');
+        });
+    });
+
+    describe('declared facets', async () => {
+        it('applies length facets and patterns', async () => {
+            let code = typeNamed('Code'),
+                pin = typeNamed('Pin');
+
+            expect(simpleTypes.parse(' ab1 ', code)).to.equal('ab1');
+            expect(violated('a', code)).to.equal('minLength');
+            expect(violated('abcde', code)).to.equal('maxLength');
+            expect(violated('1ab', code)).to.equal('pattern');
+            expect(simpleTypes.parse('1234', pin)).to.equal('1234');
+            expect(simpleTypes.parse('ABCD', pin)).to.equal('ABCD');
+            expect(violated('12AB', pin)).to.equal('pattern');
+            expect(violated('123', pin)).to.equal('length');
+        });
+
+        it('applies digit facets and bounds to decimals', async () => {
+            let price = typeNamed('Price');
+
+            expect(simpleTypes.parse('999.99', price)).to.equal('999.99');
+            expect(simpleTypes.parse('010.500', price)).to.equal('010.500');
+            expect(simpleTypes.parse('1000.00', price)).to.equal('1000.00');
+            expect(violated('1000.01', price)).to.equal('totalDigits');
+            expect(violated('1.005', price)).to.equal('fractionDigits');
+            expect(violated('0.00', price)).to.equal('minExclusive');
+        });
+
+        it('compares enumerations in the value space', async () => {
+            let rate = typeNamed('Rate');
+
+            expect(simpleTypes.parse('1.0', rate)).to.equal('1.0');
+            expect(simpleTypes.parse('.50', rate)).to.equal('.50');
+            expect(violated('2', rate)).to.equal('enumeration');
+        });
+
+        it('bounds dates', async () => {
+            let century = typeNamed('Century');
+
+            expect(simpleTypes.parse('2024-02-29', century)).to.equal('2024-02-29');
+            expect(violated('1999-12-31', century)).to.equal('minInclusive');
+            expect(violated('2100-01-01', century)).to.equal('maxExclusive');
+        });
+
+        it('bounds dates whose years are negative or have more than four digits', async () => {
+            let era = typeNamed('Era');
+
+            expect(simpleTypes.parse('-0044', era)).to.equal('-0044');
+            expect(simpleTypes.parse('9999', era)).to.equal('9999');
+            expect(violated('-0101', era)).to.equal('minInclusive');
+            expect(violated('10000', era)).to.equal('maxExclusive');
+            expect(violated('123456', era)).to.equal('maxExclusive');
+        });
+
+        it('matches the multi-character escapes of patterns in every script', async () => {
+            expect(facets.regExp('\\w+').test('Größe')).to.be.true;
+            expect(facets.regExp('\\w+').test('a_b')).to.be.false;
+            expect(facets.regExp('[\\w\\-]+').test('état-civil')).to.be.true;
+            expect(facets.regExp('\\W').test('·')).to.be.true;
+            expect(facets.regExp('\\d+').test('٣٤')).to.be.true;
+            expect(facets.regExp('[\\D]').test('7')).to.be.false;
+            expect(facets.regExp('\\s').test('\t')).to.be.true;
+            expect(facets.regExp('\\s').test('\u00A0')).to.be.false;
+            expect(facets.regExp('[^\\s]+').test('a b')).to.be.false;
+            expect(facets.regExp('[\\S]+').test('a\u00A0b')).to.be.true;
+        });
+
+        it('counts the items of a list', async () => {
+            let pair = typeNamed('Pair');
+
+            expect(simpleTypes.parse('1 2', pair)).to.deep.equal(['1', '2']);
+            expect(violated('1 2 3', pair)).to.equal('length');
+            expect(violated('1 256', pair)).to.equal('maxInclusive');
+        });
+    });
+
+    describe('ordering', async () => {
+        it('orders durations when they are comparable', async () => {
+            expect(facets.compare('duration', 'P1Y', 'P364D')).to.equal(1);
+            expect(facets.compare('duration', 'PT36H', 'P1D')).to.equal(1);
+            expect(facets.compare('duration', 'P1M', 'P30D')).to.be.NaN;
+        });
+
+        it('orders dates and times of any year, in any timezone', async () => {
+            expect(facets.compare('date', '12345-01-01', '9999-12-31')).to.equal(1);
+            expect(facets.compare('gYear', '-0044', '0001')).to.equal(-1);
+            expect(facets.compare('gYearMonth', '-0001-12', '0000-01')).to.equal(-1);
+            expect(facets.compare('dateTime', '2000-01-01T00:00:00+01:00', '1999-12-31T23:30:00Z')).to.equal(-1);
+            expect(facets.compare('dateTime', '2000-03-01T00:00:00.000', '2000-02-29T24:00:00')).to.equal(0);
+            expect(facets.compare('time', '10:00:00.5Z', '10:00:00Z')).to.equal(1);
+            expect(facets.compare('gMonthDay', '--02-29', '--03-01')).to.equal(-1);
+        });
+    });
+
+    describe('schema load', async () => {
+        it('rejects facets the base type does not allow', async () => {
+            let error;
+            try {
+                await processSchema(`
+                    <xs:simpleType name="Amount">
+                        <xs:restriction base="xs:decimal">
+                            <xs:maxLength value="10"/>
+                        </xs:restriction>
+                    </xs:simpleType>`);
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(exceptions.SchemaException);
+            expect(error.toString()).to.match(/^Facet 'maxLength' is not allowed on simpleType 'Amount', derived from 'decimal'/);
+        });
+
+        it('rejects facets a list type does not allow', async () => {
+            let error;
+            try {
+                await processSchema(`
+                    <xs:simpleType name="Numbers">
+                        <xs:restriction>
+                            <xs:simpleType><xs:list itemType="xs:int"/></xs:simpleType>
+                            <xs:maxInclusive value="10"/>
+                        </xs:restriction>
+                    </xs:simpleType>`);
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error.toString()).to.match(/^Facet 'maxInclusive' is not allowed on simpleType 'Numbers', derived from an anonymous list type/);
+        });
+    });
+});
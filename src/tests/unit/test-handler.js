@@ -2,6 +2,7 @@
 
 const { expect } = require('chai')
     , CONST =  require('../../const')
+    , model =  require('../../model')
     , app   =  require('../../index');
 
 describe('Test the entire library', async () => {
@@ -24,8 +25,11 @@ describe('Test the entire library', async () => {
     });
 
     it('reads an xsd', async () => {
-        app.processSchema({
+        let schemaModel = await app.processSchema({
             schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd`
         });
+
+        expect(schemaModel).to.be.instanceOf(model.SchemaModel);
+        expect(schemaModel.getType('http://hl7.org/fhir', 'Account')).to.be.instanceOf(model.ComplexType);
     });
 });
\ No newline at end of file
@@ -0,0 +1,228 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , emitter     =  require('../../emitter')
+    , exceptions  =  require('../../exceptions')
+    , runtime     =  require('../../runtime')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path')
+    , { pathToFileURL } = require('url');
+
+const RUNTIME_MODULES = {
+    commonjs    : path.join(__dirname, '../../runtime'),
+    esm         : path.join(__dirname, '../../runtime/index.js')
+};
+
+/**
+ * Loads the barrel of the modules generated in a directory, importing it if they are ES modules
+ */
+async function load(outputDir, moduleFormat) {
+    return moduleFormat === 'esm' ? import(pathToFileURL(path.join(outputDir, 'index.js')).href) : require(outputDir);
+}
+
+describe('Test the JSON mappings of the generated classes', async () => {
+    for(const moduleFormat of emitter.MODULE_FORMATS) {
+        describe(`${moduleFormat} modules`, async () => {
+            let tmpDir, generated, fhir;
+
+            function thrown(fn) {
+                try {
+                    fn();
+                } catch(err) {
+                    return err;
+                }
+                return null;
+            }
+
+            before( async () => {
+                tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-json-'));
+
+                let file = path.join(tmpDir, 'inventory.xsd');
+                fs.writeFileSync(file, `
+                    <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test" elementFormDefault="qualified">
+                        <xs:element name="inventory" type="Inventory"/>
+                        <xs:complexType name="Inventory">
+                            <xs:sequence>
+                                <xs:element name="item" type="Item" minOccurs="0" maxOccurs="unbounded"/>
+                                <xs:element name="sizes" minOccurs="0">
+                                    <xs:simpleType><xs:list itemType="xs:int"/></xs:simpleType>
+                                </xs:element>
+                            </xs:sequence>
+                            <xs:attribute name="updated" type="xs:dateTime"/>
+                        </xs:complexType>
+                        <xs:complexType name="Item">
+                            <xs:sequence>
+                                <xs:element name="name" type="xs:string"/>
+                                <xs:element name="price" type="Price"/>
+                            </xs:sequence>
+                            <xs:attribute name="stocked" type="xs:boolean"/>
+                        </xs:complexType>
+                        <xs:complexType name="Book">
+                            <xs:complexContent>
+                                <xs:extension base="Item">
+                                    <xs:attribute name="isbn" type="xs:token"/>
+                                </xs:extension>
+                            </xs:complexContent>
+                        </xs:complexType>
+                        <xs:complexType name="Price">
+                            <xs:simpleContent>
+                                <xs:extension base="xs:decimal">
+                                    <xs:attribute name="currency" type="xs:token"/>
+                                </xs:extension>
+                            </xs:simpleContent>
+                        </xs:complexType>
+                    </xs:schema>`);
+                await app.processSchema({ schemaFile: file, outputDir: path.join(tmpDir, 'inventory'), runtimeModule: RUNTIME_MODULES[moduleFormat], moduleFormat: moduleFormat });
+                generated = await load(path.join(tmpDir, 'inventory'), moduleFormat);
+
+                let fhirDir = path.join(tmpDir, 'fhir'),
+                    fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` });
+                emitter.writeModules(fhirDir, emitter.emitModel(fhirModel, { runtimeModule: RUNTIME_MODULES[moduleFormat], moduleFormat: moduleFormat }));
+                fhir = await load(fhirDir, moduleFormat);
+            });
+
+            after( async () => {
+                fs.rmSync(tmpDir, { recursive: true });
+            });
+
+            describe('plain mapping', async () => {
+                const XML = '<inventory xmlns="urn:test" updated="2021-05-06T07:08:09Z" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+                    + '<item stocked="true"><name>Pen</name><price currency="EUR">1.5</price></item>'
+                    + '<item xsi:type="Book" stocked="0" isbn="978-3"><name>Atlas</name><price>25.0</price></item>'
+                    + '<sizes>1 2 3</sizes>'
+                    + '</inventory>';
+
+                it('maps each property to a member', async () => {
+                    let inventory = generated.Inventory.fromXML(XML);
+
+                    expect(JSON.parse(JSON.stringify(inventory))).to.deep.equal({
+                        updated : '2021-05-06T07:08:09Z',
+                        item    : [
+                            { name: 'Pen', price: { $value: 1.5, currency: 'EUR' }, stocked: true },
+                            { $type: 'Book', name: 'Atlas', price: { $value: '25.0' }, stocked: false, isbn: '978-3' }
+                        ],
+                        sizes   : [1, 2, 3]
+                    });
+                });
+
+                it('reads the JSON it writes back into typed instances', async () => {
+                    let json = JSON.stringify(generated.Inventory.fromXML(XML)),
+                        inventory = generated.Inventory.fromJSON(json);
+
+                    expect(inventory.item[1]).to.be.instanceOf(generated.Book);
+                    expect(inventory.updated).to.be.instanceOf(runtime.primitives.DateTime);
+                    expect(inventory.sizes).to.deep.equal([1n, 2n, 3n]);
+                    expect(inventory.toXML()).to.equal(XML.replace('stocked="0"', 'stocked="false"'));
+                });
+
+                it('reports members that match no property and invalid values', async () => {
+                    let json = { item: [{ name: 'Pen', colour: 'red' }] },
+                        error = thrown(() => generated.Inventory.fromJSON(json));
+
+                    expect(error).to.be.instanceOf(exceptions.ValidationException);
+                    expect(error).to.include({ type: 'Item', property: 'colour', constraint: 'unknown' });
+                    expect(thrown(() => generated.Inventory.fromJSON({ updated: 'yesterday' })))
+                        .to.include({ property: 'updated', constraint: 'lexical' });
+                    expect(thrown(() => generated.Inventory.fromJSON({ item: [{ $type: 'Price' }] })).toString())
+                        .to.equal("Cannot read a Item: $type 'Price' doesn't derive from Item");
+                    expect(thrown(() => generated.Inventory.fromJSON('{'))).to.be.instanceOf(exceptions.Exception);
+
+                    let inventory = generated.Inventory.fromJSON(json, { validation: 'collect' });
+                    expect(inventory.item[0].violations().map((violation) => violation.property)).to.deep.equal(['colour', 'price']);
+                });
+
+                it('takes mappings of your own', async () => {
+                    let mapping = {
+                        write : (object) => ({ names: object.item.map((item) => item.name) }),
+                        read  : (type, json) => new type({ item: json.names.map((name) => new generated.Item({ name: name })) })
+                    };
+                    let json = generated.Inventory.fromXML(XML).toJSON({ mapping: mapping });
+
+                    expect(json).to.deep.equal({ names: ['Pen', 'Atlas'] });
+                    expect(generated.Inventory.fromJSON(json, { mapping: mapping }).item[1].name).to.equal('Atlas');
+                    expect(thrown(() => generated.Inventory.fromJSON(json, { mapping: 'yaml' })).toString())
+                        .to.equal("Unknown JSON mapping 'yaml'");
+                });
+            });
+
+            describe('FHIR mapping', async () => {
+                const PATIENT = '<Patient xmlns="http://hl7.org/fhir">'
+                    + '<id value="example"/>'
+                    + '<meta><versionId value="2"/><lastUpdated value="2020-01-02T03:04:05.678+01:00"/></meta>'
+                    + '<extension url="http://example.org/fhir/StructureDefinition/eye-colour"><valueCode value="blue"/></extension>'
+                    + '<identifier><use value="usual"/><system value="urn:oid:1.2.36.146.595.217.0.1"/><value value="12345"/></identifier>'
+                    + '<active value="true"/>'
+                    + '<name><use value="official"/><family value="Chalmers"/><given value="Peter"/>'
+                    + '<given><extension url="http://example.org/fhir/StructureDefinition/nickname"><valueString value="Jim"/></extension></given>'
+                    + '<given value="James"/></name>'
+                    + '<gender value="male"/>'
+                    + '<birthDate id="bd" value="1974-12-25"><extension url="http://hl7.org/fhir/StructureDefinition/patient-birthTime">'
+                    + '<valueDateTime value="1974-12-25T14:35:45-05:00"/></extension></birthDate>'
+                    + '<multipleBirthInteger value="2"/>'
+                    + '</Patient>';
+
+                const BUNDLE = '<Bundle xmlns="http://hl7.org/fhir">'
+                    + '<id value="bundle-example"/><type value="searchset"/><total value="2"/>'
+                    + '<entry><fullUrl value="urn:uuid:1"/><resource><Observation>'
+                    + '<contained><Device><id value="scale"/><lotNumber value="L-1"/></Device></contained>'
+                    + '<status value="final"/><code><coding><system value="http://loinc.org"/><code value="29463-7"/></coding></code>'
+                    + '<effectivePeriod><start value="2021"/></effectivePeriod>'
+                    + '<valueQuantity><value value="72.5"/><unit value="kg"/></valueQuantity>'
+                    + '<device><reference value="#scale"/></device>'
+                    + '</Observation></resource><search><mode value="match"/><score value="1.0"/></search></entry>'
+                    + '<entry><resource><Basic><code><text value="Note"/></code></Basic></resource></entry>'
+                    + '</Bundle>';
+
+                it('flattens primitive values and puts their extensions into underscored members', async () => {
+                    let json = fhir.Patient.fromXML(PATIENT).toJSON({ mapping: 'fhir' });
+
+                    expect(json).to.include({ resourceType: 'Patient', id: 'example', active: true, gender: 'male', multipleBirthInteger: 2 });
+                    expect(json.birthDate).to.equal('1974-12-25');
+                    expect(json._birthDate).to.deep.equal({
+                        id          : 'bd',
+                        extension   : [{ url: 'http://hl7.org/fhir/StructureDefinition/patient-birthTime', valueDateTime: '1974-12-25T14:35:45-05:00' }]
+                    });
+                    expect(json.name[0].given).to.deep.equal(['Peter', null, 'James']);
+                    expect(json.name[0]._given).to.deep.equal(
+                        [null, { extension: [{ url: 'http://example.org/fhir/StructureDefinition/nickname', valueString: 'Jim' }] }, null]);
+                });
+
+                it('writes contained resources with their resourceType', async () => {
+                    let json = fhir.Bundle.fromXML(BUNDLE).toJSON({ mapping: 'fhir' }),
+                        observation = json.entry[0].resource;
+
+                    expect(observation.resourceType).to.equal('Observation');
+                    expect(observation.contained).to.deep.equal([{ resourceType: 'Device', id: 'scale', lotNumber: 'L-1' }]);
+                    expect(observation.valueQuantity).to.deep.equal({ value: 72.5, unit: 'kg' });
+                    expect(json.entry[0].search).to.deep.equal({ mode: 'match', score: 1 });
+                    expect(json.entry[1].resource).to.deep.equal({ resourceType: 'Basic', code: { text: 'Note' } });
+                });
+
+                it('round-trips XML through objects and JSON without loss', async () => {
+                    for(let [type, xml] of [[fhir.Patient, PATIENT], [fhir.Bundle, BUNDLE]]) {
+                        let json = JSON.stringify(type.fromXML(xml).toJSON({ mapping: 'fhir' })),
+                            read = type.fromJSON(json, { mapping: 'fhir' });
+
+                        expect(read).to.be.instanceOf(type);
+                        expect(read.toXML()).to.equal(xml);
+                        expect(type.fromJSON(JSON.stringify(read), { mapping: 'plain' }).toXML()).to.equal(xml);
+                    }
+                });
+
+                it('picks the class of a resource from its resourceType', async () => {
+                    let resource = fhir.Resource.fromJSON({ resourceType: 'Patient', active: false }, { mapping: 'fhir' });
+
+                    expect(resource).to.be.instanceOf(fhir.Patient);
+                    expect(resource.active.value).to.equal(false);
+                    expect(thrown(() => fhir.Patient.fromJSON({ resourceType: 'Device' }, { mapping: 'fhir' })))
+                        .to.include({ constraint: 'resourceType', value: 'Device' });
+                    expect(thrown(() => fhir.Patient.fromJSON({ _active: { colour: 'red' } }, { mapping: 'fhir' })))
+                        .to.include({ type: 'boolean', property: 'colour', constraint: 'unknown' });
+                });
+            });
+        });
+    }
+});
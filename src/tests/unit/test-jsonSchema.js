@@ -0,0 +1,250 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , emitter     =  require('../../emitter')
+    , jsonSchema  =  require('../../jsonSchema')
+    , Ajv         =  require('ajv/dist/2020')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path');
+
+const RUNTIME_MODULE = path.join(__dirname, '../../runtime');
+const SCHEMA_ID = 'http://example.org/schema.json';
+
+describe('Test the JSON Schema exporter', async () => {
+    let tmpDir, document, generated, validate;
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-json-schema-'));
+
+        let file = path.join(tmpDir, 'orders.xsd');
+        fs.writeFileSync(file, `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test" elementFormDefault="qualified">
+                <xs:element name="order" type="Order"/>
+                <xs:complexType name="Order">
+                    <xs:annotation><xs:documentation>An order</xs:documentation></xs:annotation>
+                    <xs:sequence>
+                        <xs:element name="line" type="Line" maxOccurs="10"/>
+                        <xs:choice minOccurs="0">
+                            <xs:element name="pickup" type="xs:date"/>
+                            <xs:sequence>
+                                <xs:element name="street" type="xs:string"/>
+                                <xs:element name="city" type="xs:string"/>
+                            </xs:sequence>
+                        </xs:choice>
+                        <xs:element name="tags" type="Tags" minOccurs="0"/>
+                    </xs:sequence>
+                    <xs:attribute name="status" type="Status" use="required"/>
+                </xs:complexType>
+                <xs:complexType name="Line">
+                    <xs:sequence>
+                        <xs:element name="sku" type="Sku"/>
+                        <xs:element name="quantity" type="Quantity"/>
+                    </xs:sequence>
+                </xs:complexType>
+                <xs:complexType name="GiftLine">
+                    <xs:complexContent>
+                        <xs:extension base="Line">
+                            <xs:attribute name="message" type="xs:string"/>
+                        </xs:extension>
+                    </xs:complexContent>
+                </xs:complexType>
+                <xs:simpleType name="Status">
+                    <xs:restriction base="xs:token">
+                        <xs:enumeration value="open"/>
+                        <xs:enumeration value="shipped"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:simpleType name="Sku">
+                    <xs:restriction base="xs:string">
+                        <xs:pattern value="[A-Z]{3}-\\d+"/>
+                        <xs:maxLength value="12"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:simpleType name="Quantity">
+                    <xs:restriction base="xs:int">
+                        <xs:minInclusive value="1"/>
+                        <xs:maxExclusive value="100"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:simpleType name="Tags">
+                    <xs:restriction>
+                        <xs:simpleType><xs:list itemType="xs:NCName"/></xs:simpleType>
+                        <xs:maxLength value="3"/>
+                    </xs:restriction>
+                </xs:simpleType>
+            </xs:schema>`);
+
+        await app.processSchema({ schemaFile: file, outputDir: path.join(tmpDir, 'orders'), runtimeModule: RUNTIME_MODULE,
+            jsonSchemaFile: path.join(tmpDir, 'orders.schema.json') });
+        generated = require(path.join(tmpDir, 'orders'));
+        document = JSON.parse(fs.readFileSync(path.join(tmpDir, 'orders.schema.json'), 'utf8'));
+        validate = new Ajv({ strict: false }).compile(document);
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('mapping', async () => {
+        it('defines each named type in $defs and accepts the types of the global elements', async () => {
+            expect(document.$schema).to.equal('https://json-schema.org/draft/2020-12/schema');
+            expect(Object.keys(document.$defs)).to.have.members(['Order', 'Line', 'GiftLine', 'Status', 'Sku', 'Quantity', 'Tags']);
+            expect(document.anyOf).to.deep.equal([{ $ref: '#/$defs/Order', unevaluatedProperties: false }]);
+            expect(document.$defs.Order.description).to.equal('An order');
+        });
+
+        it('maps properties to members and extensions to allOf', async () => {
+            let order = document.$defs.Order.allOf[0];
+
+            expect(order.required).to.deep.equal(['line', 'status']);
+            expect(order.properties.line).to.deep.include({ type: 'array', minItems: 1, maxItems: 10 });
+            expect(document.$defs.GiftLine).to.deep.equal({
+                allOf: [
+                    { $ref: '#/$defs/Line' },
+                    { type: 'object', properties: { message: { type: 'string' } } }
+                ]
+            });
+        });
+
+        it('maps choices to oneOf and derived types to a oneOf named by $type', async () => {
+            expect(document.$defs.Order.allOf[1]).to.deep.equal({
+                oneOf: [
+                    { not: { anyOf: [{ required: ['pickup'] }, { required: ['street'] }, { required: ['city'] }] } },
+                    { anyOf: [{ required: ['pickup'] }], not: { anyOf: [{ required: ['street'] }, { required: ['city'] }] } },
+                    { anyOf: [{ required: ['street'] }, { required: ['city'] }], not: { anyOf: [{ required: ['pickup'] }] } }
+                ]
+            });
+            expect(document.$defs.Order.allOf[0].properties.line.items).to.deep.equal({
+                oneOf: [
+                    { $ref: '#/$defs/Line', not: { required: ['$type'] }, unevaluatedProperties: false },
+                    { $ref: '#/$defs/GiftLine', properties: { $type: { const: 'GiftLine' } }, required: ['$type'],
+                        unevaluatedProperties: false }
+                ]
+            });
+        });
+
+        it('maps choices whose branches share properties to anyOf', async () => {
+            let file = path.join(tmpDir, 'period.xsd');
+            fs.writeFileSync(file, `
+                <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">
+                    <xs:complexType name="Period">
+                        <xs:choice>
+                            <xs:sequence>
+                                <xs:element name="start" type="xs:date"/>
+                                <xs:element name="end" type="xs:date" minOccurs="0"/>
+                            </xs:sequence>
+                            <xs:sequence>
+                                <xs:element name="duration" type="xs:duration"/>
+                                <xs:element name="end" type="xs:date"/>
+                            </xs:sequence>
+                        </xs:choice>
+                    </xs:complexType>
+                </xs:schema>`);
+
+            let periodDocument = jsonSchema.exportModel(await app.processSchema({ schemaFile: file }), { id: SCHEMA_ID }),
+                validatePeriod = new Ajv({ strict: false }).addSchema(periodDocument).compile({ $ref: `${SCHEMA_ID}#/$defs/Period` });
+
+            expect(periodDocument.$defs.Period.allOf[1]).to.deep.equal({
+                anyOf: [
+                    { anyOf: [{ required: ['start'] }, { required: ['end'] }], not: { anyOf: [{ required: ['duration'] }] } },
+                    { anyOf: [{ required: ['duration'] }, { required: ['end'] }], not: { anyOf: [{ required: ['start'] }] } }
+                ]
+            });
+            expect(validatePeriod({ end: '2020-01-02' })).to.be.true;
+            expect(validatePeriod({ duration: 'P1D', end: '2020-01-02' })).to.be.true;
+            expect(validatePeriod({ start: '2020-01-01', duration: 'P1D' })).to.be.false;
+        });
+
+        it('maps enumerations to enum and facets to keywords', async () => {
+            expect(document.$defs.Status).to.deep.equal({ type: 'string', enum: ['open', 'shipped'] });
+            expect(document.$defs.Sku).to.deep.equal({ type: 'string', pattern: '^(?:[A-Z]{3}-[\\p{Nd}]+)$', maxLength: 12 });
+            expect(document.$defs.Quantity).to.deep.equal({
+                allOf: [
+                    { type: ['integer', 'string'], pattern: '^(?:[\\-+]?[0-9]+)$', multipleOf: 1, minimum: -2147483648, maximum: 2147483647 },
+                    { minimum: 1, exclusiveMaximum: 100 }
+                ]
+            });
+            expect(document.$defs.Tags).to.deep.include({ type: 'array', maxItems: 3 });
+        });
+    });
+
+    describe('validation', async () => {
+        it('accepts the JSON of the generated classes', async () => {
+            let order = new generated.Order({
+                status  : 'open',
+                line    : [
+                    new generated.Line({ sku: 'ABC-1', quantity: 2 }),
+                    new generated.GiftLine({ sku: 'XYZ-22', quantity: 1, message: 'Enjoy' })
+                ],
+                street  : 'Main Street',
+                city    : 'Springfield',
+                tags    : ['gift', 'urgent']
+            });
+
+            expect(validate(order.toJSON()), JSON.stringify(validate.errors)).to.be.true;
+            expect(validate({ status: 'shipped', line: [{ sku: 'ABC-1', quantity: '2' }], pickup: '2021-05-06' })).to.be.true;
+        });
+
+        it('rejects JSON that breaks the schema', async () => {
+            let valid = { status: 'open', line: [{ sku: 'ABC-1', quantity: 2 }] },
+                invalid = [
+                    { line: valid.line },
+                    Object.assign({}, valid, { status: 'lost' }),
+                    Object.assign({}, valid, { colour: 'red' }),
+                    Object.assign({}, valid, { pickup: '2021-05-06', street: 'Main Street', city: 'Springfield' }),
+                    Object.assign({}, valid, { line: [{ sku: 'abc', quantity: 2 }] }),
+                    Object.assign({}, valid, { line: [{ sku: 'ABC-1', quantity: 100 }] }),
+                    Object.assign({}, valid, { line: [{ sku: 'ABC-1', quantity: 1.5 }] }),
+                    Object.assign({}, valid, { line: [{ $type: 'GiftLine', sku: 'ABC-1', quantity: 1, colour: 'red' }] }),
+                    Object.assign({}, valid, { line: [{ sku: 'ABC-1', quantity: 1, message: 'Enjoy' }] }),
+                    Object.assign({}, valid, { tags: ['a', 'b', 'c', 'd'] })
+                ];
+
+            expect(validate(valid)).to.be.true;
+            for(let json of invalid) {
+                expect(validate(json), JSON.stringify(json)).to.be.false;
+            }
+        });
+    });
+
+    describe('FHIR', function() {
+        // Compiling a resource compiles every resource it may contain
+        this.timeout(120000);
+
+        let fhir, fhirDocument, ajv;
+
+        before( async () => {
+            let fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-all.xsd` });
+            emitter.writeModules(path.join(tmpDir, 'fhir'), emitter.emitModel(fhirModel, { runtimeModule: RUNTIME_MODULE }));
+            fhir = require(path.join(tmpDir, 'fhir'));
+            fhirDocument = jsonSchema.exportModel(fhirModel, { id: SCHEMA_ID });
+            ajv = new Ajv({ strict: false });
+            ajv.addSchema(fhirDocument);
+        });
+
+        it('exports the whole schema set as a valid JSON Schema', async () => {
+            expect(ajv.validateSchema(fhirDocument)).to.be.true;
+            expect(fhirDocument.$id).to.equal(SCHEMA_ID);
+            expect(fhirDocument.$defs.Patient.allOf[0]).to.deep.equal({ $ref: '#/$defs/DomainResource' });
+            expect(fhirDocument.$defs['AdministrativeGender-list']).to.deep.equal({
+                allOf: [{ $ref: '#/$defs/code-primitive' }, { enum: ['male', 'female', 'other', 'unknown'] }]
+            });
+        });
+
+        it('validates resources against the definition of their type', async () => {
+            let patient = fhir.Patient.fromXML('<Patient xmlns="http://hl7.org/fhir"><id value="example"/><active value="true"/>'
+                    + '<name><family value="Chalmers"/><given value="Peter"/><given value="James"/></name>'
+                    + '<gender value="male"/><birthDate value="1974-12-25"/><multipleBirthInteger value="2"/></Patient>'),
+                validatePatient = ajv.compile({ $ref: `${SCHEMA_ID}#/$defs/Patient`, unevaluatedProperties: false }),
+                json = patient.toJSON();
+
+            expect(validatePatient(json), JSON.stringify(validatePatient.errors)).to.be.true;
+            expect(validatePatient(Object.assign({}, json, { gender: { value: 'blue' } }))).to.be.false;
+            expect(validatePatient(Object.assign({}, json, { multipleBirthBoolean: { value: true } }))).to.be.false;
+            expect(validatePatient(Object.assign({}, json, { colour: { value: 'red' } }))).to.be.false;
+        });
+    });
+});
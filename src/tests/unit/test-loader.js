@@ -0,0 +1,319 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST  =  require('../../const')
+    , loader =  require('../../loader')
+    , exceptions =  require('../../exceptions')
+    , fs     =  require('fs')
+    , os     =  require('os')
+    , path   =  require('path')
+    , http   =  require('http')
+    , url    =  require('url');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+
+function writeSchema(dir, name, body, attrs) {
+    fs.writeFileSync(path.join(dir, name),
+        `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" ${attrs || ''}>${body}</xs:schema>`);
+    return path.join(dir, name);
+}
+
+describe('Test the schema loader', async () => {
+    let tmpDir;
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-loader-'));
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('follows every xs:include and xs:import of fhir-all.xsd', async () => {
+        let schemaSet = await loader.loadSchemaSet({
+            schemaFile: `${__dirname}/fhir-all-xsd/fhir-all.xsd`
+        });
+        let names = schemaSet.documents.map((d) => path.basename(d.location));
+
+        expect(names[0]).to.equal('fhir-all.xsd');
+        expect(names).to.include.members(['account.xsd', 'fhir-base.xsd', 'xml.xsd', 'fhir-xhtml.xsd']);
+        expect(new Set(names).size).to.equal(names.length);
+        expect(schemaSet.documents.find((d) => d.location.endsWith('xml.xsd')).targetNamespace)
+            .to.equal(CONST.XML_NS);
+    });
+
+    it('detects include cycles', async () => {
+        let schemaSet = await loader.loadSchemaSet({
+            schemaFile: `${__dirname}/fhir-all-xsd/fhir-all.xsd`
+        });
+
+        expect(schemaSet.cycles).to.have.lengthOf(1);
+        expect(schemaSet.cycles[0].map((l) => path.basename(l)))
+            .to.deep.equal(['fhir-all.xsd', 'account.xsd', 'fhir-base.xsd', 'fhir-all.xsd']);
+    });
+
+    it('records the target namespace of each component', async () => {
+        let schemaSet = await loader.loadSchemaSet({
+            schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd`
+        });
+        let lang = schemaSet.components.find((c) => c.kind === 'attribute' && c.name === 'lang'),
+            account = schemaSet.components.find((c) => c.kind === 'complexType' && c.name === 'Account');
+
+        expect(lang.targetNamespace).to.equal(CONST.XML_NS);
+        expect(account.targetNamespace).to.equal(FHIR_NS);
+        expect(account.document.location).to.equal(path.resolve(`${__dirname}/fhir-all-xsd/fhir-single.xsd`));
+    });
+
+    it('gives included schemas without a targetNamespace the namespace of the includer', async () => {
+        writeSchema(tmpDir, 'chameleon.xsd', '<xs:simpleType name="Code"><xs:restriction base="xs:token"/></xs:simpleType>');
+        let main = writeSchema(tmpDir, 'main.xsd', '<xs:include schemaLocation="chameleon.xsd"/>',
+            'targetNamespace="urn:main"');
+
+        let schemaSet = await loader.loadSchemaSet({ schemaFile: main });
+
+        expect(schemaSet.components).to.have.lengthOf(1);
+        expect(schemaSet.components[0].targetNamespace).to.equal('urn:main');
+    });
+
+    it('loads a schema without a targetNamespace again for each namespace it is included into', async () => {
+        writeSchema(tmpDir, 'shared.xsd', '<xs:include schemaLocation="shared-more.xsd"/>'
+            + '<xs:simpleType name="Code"><xs:restriction base="xs:token"/></xs:simpleType>');
+        writeSchema(tmpDir, 'shared-more.xsd', '<xs:include schemaLocation="shared.xsd"/>'
+            + '<xs:simpleType name="Label"><xs:restriction base="xs:string"/></xs:simpleType>');
+        let left = writeSchema(tmpDir, 'left.xsd', '<xs:include schemaLocation="shared.xsd"/>', 'targetNamespace="urn:left"'),
+            right = writeSchema(tmpDir, 'right.xsd', '<xs:import namespace="urn:left" schemaLocation="left.xsd"/>'
+                + '<xs:include schemaLocation="shared.xsd"/><xs:include schemaLocation="shared-more.xsd"/>', 'targetNamespace="urn:right"');
+
+        let schemaSet = await loader.loadSchemaSet({ schemaFile: right });
+
+        expect(schemaSet.documents.map((d) => [path.basename(d.location), d.targetNamespace])).to.deep.equal([
+            ['right.xsd', 'urn:right'],
+            ['left.xsd', 'urn:left'],
+            ['shared.xsd', 'urn:left'],
+            ['shared-more.xsd', 'urn:left'],
+            ['shared.xsd', 'urn:right'],
+            ['shared-more.xsd', 'urn:right']
+        ]);
+        expect(schemaSet.components.map((c) => `{${c.targetNamespace}}${c.name}`)).to.deep.equal(
+            ['{urn:left}Label', '{urn:left}Code', '{urn:right}Label', '{urn:right}Code']);
+        expect(schemaSet.cycles.map((cycle) => cycle.map((l) => path.basename(l)))).to.deep.equal([
+            ['shared.xsd', 'shared-more.xsd', 'shared.xsd'],
+            ['shared.xsd', 'shared-more.xsd', 'shared.xsd']
+        ]);
+    });
+
+    it('loads several schemas into one set', async () => {
+        let first = writeSchema(tmpDir, 'first.xsd', '<xs:element name="a" type="xs:string"/>', 'targetNamespace="urn:first"'),
+            second = writeSchema(tmpDir, 'second.xsd', '<xs:import namespace="urn:first" schemaLocation="first.xsd"/>'
+                + '<xs:element name="b" type="xs:string"/>', 'targetNamespace="urn:second"');
+
+        let schemaSet = await loader.loadSchemaSet({ schemaFile: first, schemas: [second] });
+
+        expect(schemaSet.documents.map((d) => path.basename(d.location))).to.deep.equal(['first.xsd', 'second.xsd']);
+        expect(schemaSet.components.map((c) => c.name)).to.deep.equal(['a', 'b']);
+    });
+
+    it('rejects an include with a different targetNamespace', async () => {
+        writeSchema(tmpDir, 'other.xsd', '', 'targetNamespace="urn:other"');
+        let main = writeSchema(tmpDir, 'bad-include.xsd', '<xs:include schemaLocation="other.xsd"/>',
+            'targetNamespace="urn:main"');
+
+        let error;
+        try {
+            await loader.loadSchemaSet({ schemaFile: main });
+        } catch(err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(exceptions.SchemaLoadException);
+        expect(error.location).to.equal(path.join(tmpDir, 'other.xsd'));
+    });
+
+    it('rejects a missing schema', async () => {
+        let error;
+        try {
+            await loader.loadSchemaSet({ schemaFile: path.join(tmpDir, 'missing.xsd') });
+        } catch(err) {
+            error = err;
+        }
+        expect(error.toString()).to.match(/^Cannot read schema/);
+    });
+
+    describe('loading from a schemaURL', async () => {
+        let server, baseURL, requests;
+
+        before( async () => {
+            server = http.createServer((req, res) => {
+                requests.push(req.url);
+                if(req.url.startsWith('/stalled/')) {
+                    return;
+                }
+                let file = path.join(__dirname, 'fhir-all-xsd', path.basename(req.url));
+                if(!req.url.startsWith('/schemas/') || !fs.existsSync(file)) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                res.end(fs.readFileSync(file));
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            baseURL = `http://127.0.0.1:${server.address().port}/schemas/`;
+        });
+
+        after( async () => {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        beforeEach( async () => {
+            requests = [];
+        });
+
+        it('fetches over http and resolves relative imports against the base URL', async () => {
+            let cacheDir = path.join(tmpDir, 'http-cache');
+            let schemaSet = await loader.loadSchemaSet({
+                schemaURL: `${baseURL}fhir-xhtml.xsd`,
+                cacheDir: cacheDir
+            });
+
+            expect(schemaSet.documents.map((d) => d.location))
+                .to.deep.equal([`${baseURL}fhir-xhtml.xsd`, `${baseURL}xml.xsd`]);
+            expect(requests).to.deep.equal(['/schemas/fhir-xhtml.xsd', '/schemas/xml.xsd']);
+        });
+
+        it('reads previously fetched schemas from the cache without fetching', async () => {
+            let cacheDir = path.join(tmpDir, 'offline-cache');
+            await loader.loadSchemaSet({ schemaURL: `${baseURL}fhir-xhtml.xsd`, cacheDir: cacheDir });
+            requests = [];
+
+            let schemaSet = await loader.loadSchemaSet({
+                schemaURL: `${baseURL}fhir-xhtml.xsd`,
+                cacheDir: cacheDir,
+                offline: true
+            });
+
+            expect(requests).to.be.empty;
+            expect(schemaSet.documents).to.have.lengthOf(2);
+            expect(fs.readdirSync(cacheDir).filter((f) => /^[0-9a-f]{64}\.xsd$/.test(f))).to.have.lengthOf(2);
+        });
+
+        it('fetches cached schemas again unless offline', async () => {
+            let cacheDir = path.join(tmpDir, 'online-cache');
+            await loader.loadSchemaSet({ schemaURL: `${baseURL}fhir-xhtml.xsd`, cacheDir: cacheDir });
+            requests = [];
+
+            await loader.loadSchemaSet({ schemaURL: `${baseURL}fhir-xhtml.xsd`, cacheDir: cacheDir });
+
+            expect(requests).to.deep.equal(['/schemas/fhir-xhtml.xsd', '/schemas/xml.xsd']);
+        });
+
+        it('fails offline when a schema is not cached', async () => {
+            let error;
+            try {
+                await loader.loadSchemaSet({
+                    schemaURL: `${baseURL}fhir-xhtml.xsd`,
+                    cacheDir: path.join(tmpDir, 'empty-cache'),
+                    offline: true
+                });
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(exceptions.SchemaLoadException);
+            expect(requests).to.be.empty;
+        });
+
+        it('reports a corrupt cache index', async () => {
+            let cacheDir = path.join(tmpDir, 'corrupt-cache'),
+                error;
+            fs.mkdirSync(cacheDir, { recursive: true });
+            fs.writeFileSync(path.join(cacheDir, 'index.json'), '{ "http://');
+
+            try {
+                await loader.loadSchemaSet({ schemaURL: `${baseURL}fhir-xhtml.xsd`, cacheDir: cacheDir, offline: true });
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(exceptions.SchemaLoadException);
+            expect(error.location).to.equal(path.join(cacheDir, 'index.json'));
+            expect(error.toString()).to.match(/^Cannot read the schema cache index: /);
+        });
+
+        it('fails offline without a cache to read from', async () => {
+            let error;
+            try {
+                await loader.loadSchemaSet({ schemaURL: `${baseURL}fhir-xhtml.xsd`, offline: true });
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(exceptions.SchemaLoadException);
+            expect(error.toString()).to.equal(`options.offline is set but there is no options.cacheDir to read the schema from (${baseURL}fhir-xhtml.xsd)`);
+            expect(requests).to.be.empty;
+        });
+
+        it('gives up on a server that sends nothing', async () => {
+            let error;
+            try {
+                await loader.loadSchemaSet({ schemaURL: `${baseURL.replace('/schemas/', '/stalled/')}fhir-xhtml.xsd`, fetchTimeout: 100 });
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(exceptions.SchemaLoadException);
+            expect(error.toString()).to.match(/^Cannot fetch schema: the server sent nothing for 100 ms \(http:.*\/stalled\/fhir-xhtml\.xsd\)$/);
+        });
+
+        it('reports http errors', async () => {
+            let error;
+            try {
+                await loader.loadSchemaSet({ schemaURL: `${baseURL}missing.xsd`, cacheDir: false });
+            } catch(err) {
+                error = err;
+            }
+
+            expect(error.toString()).to.equal(`Cannot fetch schema: HTTP status 404 (${baseURL}missing.xsd)`);
+        });
+
+        it('uses an injected fetcher', async () => {
+            let fetched = [];
+            let schemaSet = await loader.loadSchemaSet({
+                schemaURL: 'https://schemas.example.org/fhir/fhir-xhtml.xsd',
+                cacheDir: false,
+                fetcher: async (location) => {
+                    fetched.push(location);
+                    return fs.readFileSync(path.join(__dirname, 'fhir-all-xsd', path.basename(location)));
+                }
+            });
+
+            expect(fetched).to.deep.equal([
+                'https://schemas.example.org/fhir/fhir-xhtml.xsd',
+                'https://schemas.example.org/fhir/xml.xsd'
+            ]);
+            expect(schemaSet.documents[1].targetNamespace).to.equal(CONST.XML_NS);
+        });
+
+        it('reads file URLs', async () => {
+            let schemaSet = await loader.loadSchemaSet({
+                schemaURL: url.pathToFileURL(path.join(__dirname, 'fhir-all-xsd', 'fhir-xhtml.xsd')).href,
+                cacheDir: false
+            });
+
+            expect(schemaSet.documents[1].location)
+                .to.equal(url.pathToFileURL(path.join(__dirname, 'fhir-all-xsd', 'xml.xsd')).href);
+        });
+
+        it('never caches file URLs, and reads them offline', async () => {
+            let cacheDir = path.join(tmpDir, 'file-cache'),
+                schemaSet = await loader.loadSchemaSet({
+                    schemaURL: url.pathToFileURL(path.join(__dirname, 'fhir-all-xsd', 'fhir-xhtml.xsd')).href,
+                    cacheDir: cacheDir,
+                    offline: true
+                });
+
+            expect(schemaSet.documents).to.have.lengthOf(2);
+            expect(fs.existsSync(cacheDir)).to.be.false;
+        });
+    });
+});
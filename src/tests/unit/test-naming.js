@@ -0,0 +1,252 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , naming      =  require('../../naming')
+    , exceptions  =  require('../../exceptions')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path');
+
+const RUNTIME_MODULE = path.join(__dirname, '../../runtime');
+
+describe('Test the naming of classes, properties and files', async () => {
+    let tmpDir;
+
+    function thrown(fn) {
+        try {
+            fn();
+        } catch(err) {
+            return err;
+        }
+        return null;
+    }
+
+    async function build(name, content, options = {}) {
+        let file = path.join(tmpDir, `${name}.xsd`);
+        fs.writeFileSync(file, `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test" elementFormDefault="qualified">
+                ${content}
+            </xs:schema>`);
+        return app.processSchema(Object.assign({ schemaFile: file }, options));
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-naming-'));
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('case', async () => {
+        it('turns XSD names into PascalCase, camelCase and kebab-case', async () => {
+            expect(naming.toPascalCase('dateTime-primitive')).to.equal('DateTimePrimitive');
+            expect(naming.toPascalCase('Account.Coverage')).to.equal('AccountCoverage');
+            expect(naming.toCamelCase('Account.Coverage')).to.equal('accountCoverage');
+            expect(naming.toCamelCase('HTTPVerb')).to.equal('httpVerb');
+            expect(naming.toCamelCase('xml-id')).to.equal('xmlId');
+            expect(naming.toKebabCase('AccountStatus-list')).to.equal('account-status-list');
+            expect(naming.toKebabCase('HTTPVerb')).to.equal('http-verb');
+            expect(naming.toPascalCase('123abc')).to.equal('_123abc');
+        });
+
+        it('keeps the letters of every script', async () => {
+            expect(naming.toPascalCase('größe')).to.equal('Größe');
+            expect(naming.toCamelCase('Straße-Nummer')).to.equal('straßeNummer');
+            expect(naming.toKebabCase('ÉtatCivil')).to.equal('état-civil');
+            expect(naming.toPascalCase('заказ.позиция')).to.equal('ЗаказПозиция');
+            expect(naming.toCamelCase('हिन्दी')).to.equal('हिन्दी');
+            expect(naming.toPascalCase('注文')).to.equal('注文');
+            expect(naming.toPascalCase('٣abc')).to.equal('_٣abc');
+        });
+
+        it('escapes reserved words', async () => {
+            expect(naming.escape('class')).to.equal('class$');
+            expect(naming.escape('default')).to.equal('default$');
+            expect(naming.escape('Date')).to.equal('Date');
+            expect(naming.escape('Date', true)).to.equal('Date$');
+            expect(naming.escape('string', true)).to.equal('string$');
+            for(let name of ['String', 'Number', 'Boolean', 'Symbol', 'Error', 'Map', 'Set', 'Promise']) {
+                expect(naming.escape(name)).to.equal(name);
+                expect(naming.escape(name, true)).to.equal(`${name}$`);
+            }
+        });
+    });
+
+    describe('models', async () => {
+        it('names classes, files and properties without collisions', async () => {
+            let schemaModel = await build('collisions', `
+                    <xs:complexType name="Order">
+                        <xs:sequence>
+                            <xs:element name="cite" type="xs:string"/>
+                            <xs:element name="line-item" type="xs:string"/>
+                            <xs:element name="lineItem" type="xs:string"/>
+                            <xs:element name="default" type="xs:string"/>
+                            <xs:element name="toJSON" type="xs:string"/>
+                            <xs:element name="address">
+                                <xs:complexType><xs:attribute name="city" type="xs:string"/></xs:complexType>
+                            </xs:element>
+                        </xs:sequence>
+                        <xs:attribute name="cite" type="xs:string"/>
+                    </xs:complexType>
+                    <xs:complexType name="order">
+                        <xs:attribute name="id" type="xs:ID"/>
+                    </xs:complexType>
+                    <xs:complexType name="index"/>
+                    <xs:complexType name="date"/>`),
+                names = naming.nameModel(schemaModel),
+                type = (name) => schemaModel.getType('urn:test', name),
+                order = type('Order'),
+                property = (name, kind = 'element') => names.propertyName(order.properties.find((p) => p.name === name && p.kind === kind));
+
+            expect(names.get(order)).to.equal('Order');
+            expect(names.get(type('order'))).to.equal('Order2');
+            expect(names.files.get(order)).to.equal('order');
+            expect(names.files.get(type('order'))).to.equal('order2');
+            expect(names.get(type('index'))).to.equal('Index');
+            expect(names.files.get(type('index'))).to.equal('index2');
+            expect(names.get(type('date'))).to.equal('Date$');
+            expect(names.get(order.properties.find((p) => p.name === 'address').type)).to.equal('OrderAddress');
+
+            expect(property('cite')).to.equal('cite');
+            expect(property('cite', 'attribute')).to.equal('citeAttribute');
+            expect(property('line-item')).to.equal('lineItem');
+            expect(property('lineItem')).to.equal('lineItem2');
+            expect(property('default')).to.equal('default$');
+            expect(property('toJSON')).to.equal('toJSON2');
+        });
+
+        it('tells attributes of the XML namespace apart', async () => {
+            let xmlFile = path.join(tmpDir, 'xml.xsd');
+            fs.writeFileSync(xmlFile, `
+                <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" targetNamespace="${CONST.XML_NS}">
+                    <xs:attribute name="lang" type="xs:language"/>
+                </xs:schema>`);
+
+            let schemaModel = await build('lang', `
+                    <xs:import namespace="${CONST.XML_NS}" schemaLocation="xml.xsd"/>
+                    <xs:complexType name="Text">
+                        <xs:sequence>
+                            <xs:element name="lang" type="xs:string"/>
+                        </xs:sequence>
+                        <xs:attribute ref="xml:lang"/>
+                    </xs:complexType>`),
+                names = naming.nameModel(schemaModel),
+                text = schemaModel.getType('urn:test', 'Text');
+
+            expect(text.properties.map((property) => names.propertyName(property))).to.deep.equal(['lang', 'xmlLang']);
+        });
+
+        it('gives a restricting property the name of the property it restricts', async () => {
+            let schemaModel = await build('restriction', `
+                    <xs:complexType name="Base">
+                        <xs:sequence>
+                            <xs:element name="line-item" type="xs:string" maxOccurs="unbounded"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                    <xs:complexType name="Single">
+                        <xs:complexContent>
+                            <xs:restriction base="Base">
+                                <xs:sequence>
+                                    <xs:element name="line-item" type="xs:string"/>
+                                </xs:sequence>
+                            </xs:restriction>
+                        </xs:complexContent>
+                    </xs:complexType>`),
+                names = naming.nameModel(schemaModel);
+
+            expect(names.propertyName(schemaModel.getType('urn:test', 'Single').properties[0])).to.equal('lineItem');
+        });
+    });
+
+    describe('overrides', async () => {
+        const SCHEMA = `
+            <xs:element name="order" type="Order"/>
+            <xs:complexType name="Order">
+                <xs:sequence>
+                    <xs:element name="line-item" type="xs:string" maxOccurs="unbounded"/>
+                </xs:sequence>
+                <xs:attribute name="id" type="xs:ID"/>
+            </xs:complexType>
+            <xs:complexType name="Invoice"/>`;
+
+        it('takes the names it is given for particular types and properties', async () => {
+            let options = {
+                    naming : {
+                        types           : {
+                            '{urn:test}Order'   : { className: 'PurchaseOrder', fileName: 'purchase', properties: { id: 'orderId' } }
+                        },
+                        className       : (type, name) => `${name}Model`,
+                        propertyName    : (property, complexType, name) => name.replace(/Item$/, 's')
+                    }
+                },
+                schemaModel = await build('overrides', SCHEMA, options),
+                names = naming.nameModel(schemaModel, options),
+                order = schemaModel.getType('urn:test', 'Order');
+
+            expect(names.get(order)).to.equal('PurchaseOrder');
+            expect(names.files.get(order)).to.equal('purchase');
+            expect(names.get(schemaModel.getType('urn:test', 'Invoice'))).to.equal('InvoiceModel');
+            expect(names.files.get(schemaModel.getType('urn:test', 'Invoice'))).to.equal('invoice-model');
+            expect(order.properties.map((property) => names.propertyName(property))).to.deep.equal(['lines', 'orderId']);
+        });
+
+        it('rejects names it is given that are taken', async () => {
+            let schemaModel = await build('taken', SCHEMA),
+                error = thrown(() => naming.nameModel(schemaModel, { naming: { types: { Invoice: { className: 'Order' } } } }));
+
+            expect(error).to.be.instanceOf(exceptions.Exception);
+            expect(error.toString()).to.equal("The class name of type 'Invoice' can't be 'Order': the name is taken");
+        });
+
+        it('rejects names that are empty or not identifiers', async () => {
+            let schemaModel = await build('invalid', SCHEMA + `
+                    <xs:complexType name="Größe">
+                        <xs:attribute name="·" type="xs:string"/>
+                    </xs:complexType>`),
+                invalid = (options) => thrown(() => naming.nameModel(schemaModel, options)),
+                names = naming.nameModel(schemaModel, { naming: { types: { Größe: { properties: { '·': 'value' } } } } }),
+                error = invalid({});
+
+            expect(names.get(schemaModel.getType('urn:test', 'Größe'))).to.equal('Größe');
+            expect(names.files.get(schemaModel.getType('urn:test', 'Größe'))).to.equal('größe');
+            expect(error).to.be.instanceOf(exceptions.SchemaException);
+            expect(error.toString()).to.match(/^The name of property '·' of type 'Größe' is empty \(.*invalid\.xsd\)$/);
+            expect(invalid({ naming: { types: { Order: { className: 'Purchase Order' } } } }).toString())
+                .to.match(/^The class name of type 'Order' can't be 'Purchase Order': it isn't a valid class name/);
+            expect(invalid({ naming: { types: { Order: { className: 'Object' } } } })).to.be.instanceOf(exceptions.SchemaException);
+            expect(invalid({ naming: { types: { Order: { fileName: '../order' } } } })).to.be.instanceOf(exceptions.SchemaException);
+            expect(invalid({ naming: { types: { Order: { properties: { id: 'class' } } } } })).to.be.instanceOf(exceptions.SchemaException);
+            expect(invalid({ naming: { className: (type, name) => `${name}-class` } }).toString())
+                .to.match(/^The class name of type 'Order' can't be 'Order-class'/);
+            expect(invalid({ naming: { propertyName: () => '' } }).toString())
+                .to.match(/^The name of property 'line-item' of type 'Order' is empty/);
+        });
+
+        it('generates classes that read and write the XSD names', async () => {
+            let outputDir = path.join(tmpDir, 'generated'),
+                options = { naming: { types: { Order: { properties: { id: 'orderId' } } } } };
+
+            await build('generated', SCHEMA + `
+                <xs:complexType name="Note">
+                    <xs:sequence>
+                        <xs:element name="default" type="xs:string"/>
+                    </xs:sequence>
+                </xs:complexType>`, Object.assign({ outputDir: outputDir, runtimeModule: RUNTIME_MODULE }, options));
+
+            let generated = require(outputDir),
+                order = new generated.Order({ orderId: 'o1', lineItem: ['vase', 'lamp'] }),
+                xml = order.toXML(),
+                read = generated.Order.fromXML(xml);
+
+            expect(fs.readdirSync(outputDir).sort()).to.deep.equal(['index.js', 'invoice.js', 'note.js', 'order.js']);
+            expect(xml).to.equal('<order xmlns="urn:test" id="o1"><line-item>vase</line-item><line-item>lamp</line-item></order>');
+            expect(read.orderId).to.equal('o1');
+            expect(read.lineItem).to.deep.equal(['vase', 'lamp']);
+            expect(order.toJSON()).to.deep.equal({ lineItem: ['vase', 'lamp'], orderId: 'o1' });
+            expect(new generated.Note({ default$: 'none' }).default$).to.equal('none');
+        });
+    });
+});
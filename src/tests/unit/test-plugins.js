@@ -0,0 +1,195 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , builder     =  require('../../builder')
+    , emitter     =  require('../../emitter')
+    , plugins     =  require('../../plugins')
+    , exceptions  =  require('../../exceptions')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path');
+
+const VENDOR_NS = 'urn:vendor';
+
+describe('Test the plugins', async () => {
+    let tmpDir, schemaFile;
+
+    function thrown(fn) {
+        try {
+            fn();
+        } catch(err) {
+            return err;
+        }
+        return null;
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-plugins-'));
+        schemaFile = path.join(tmpDir, 'orders.xsd');
+        fs.writeFileSync(schemaFile, `
+            <xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns:v="${VENDOR_NS}" xmlns="urn:test" targetNamespace="urn:test"
+                    elementFormDefault="qualified">
+                <xs:element name="orders">
+                    <xs:complexType>
+                        <xs:sequence>
+                            <xs:element name="order" type="Order" maxOccurs="unbounded"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                    <xs:unique name="orderId">
+                        <xs:selector xpath="order"/>
+                        <xs:field xpath="@id"/>
+                    </xs:unique>
+                </xs:element>
+                <xs:complexType name="Order">
+                    <xs:annotation>
+                        <xs:documentation>An order</xs:documentation>
+                        <xs:appinfo>
+                            <v:table name="ORDERS"><v:index column="ID"/></v:table>
+                            <xs:element name="ignored" type="xs:string"/>
+                        </xs:appinfo>
+                    </xs:annotation>
+                    <xs:attribute name="id" type="xs:ID"/>
+                </xs:complexType>
+            </xs:schema>`);
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('processors', async () => {
+        it('processes vendor extensions in xs:appinfo into the annotated component', async () => {
+            let plugin = {
+                name        : 'tables',
+                processors  : {
+                    [`{${VENDOR_NS}}table`] : {
+                        pre : (context, parent, node) => {
+                            parent.table = { name: node.getAttribute('name'), indexes: [] };
+                            return parent.table;
+                        }
+                    },
+                    [`{${VENDOR_NS}}index`] : {
+                        pre : (context, parent, node) => {
+                            parent.indexes.push(node.getAttribute('column'));
+                            return null;
+                        }
+                    }
+                }
+            };
+
+            let schemaModel = await app.processSchema({ schemaFile: schemaFile, plugins: [plugin] }),
+                order = schemaModel.getType('urn:test', 'Order');
+
+            expect(order.table).to.deep.equal({ name: 'ORDERS', indexes: ['ID'] });
+            expect(order.content).to.be.null;
+            expect(order.documentation).to.equal('An order');
+        });
+
+        it('handles XSD nodes that have no built-in processor', async () => {
+            let keys = [],
+                plugin = {
+                    processors : {
+                        unique : {
+                            pre  : (context, parent, node) => ({ name: node.getAttribute('name'), element: parent, fields: [] }),
+                            post : (context, parent, node, key) => keys.push(key)
+                        },
+                        field : {
+                            pre : (context, parent, node) => {
+                                parent.fields.push(node.getAttribute('xpath'));
+                                return null;
+                            }
+                        }
+                    }
+                };
+
+            await app.processSchema({ schemaFile: schemaFile, plugins: [plugin] });
+
+            expect(keys).to.have.lengthOf(1);
+            expect(keys[0]).to.deep.include({ name: 'orderId', fields: ['@id'] });
+            expect(keys[0].element.name).to.equal('orders');
+        });
+
+        it('overrides and removes built-in processors', async () => {
+            let shouting = {
+                    processors : {
+                        documentation : {
+                            pre : (context, parent, node) => {
+                                let obj = builder.processors.documentation.pre(context, parent, node);
+                                parent.documentation = parent.documentation.toUpperCase();
+                                return obj;
+                            }
+                        }
+                    }
+                },
+                silent = { processors: { documentation: null } };
+
+            let shouted = await app.processSchema({ schemaFile: schemaFile, plugins: [shouting] }),
+                silenced = await app.processSchema({ schemaFile: schemaFile, plugins: [shouting, silent] });
+
+            expect(shouted.getType('urn:test', 'Order').documentation).to.equal('AN ORDER');
+            expect(silenced.getType('urn:test', 'Order').documentation).to.be.null;
+        });
+    });
+
+    describe('hooks', async () => {
+        it('hooks into building the model and emitting the modules', async () => {
+            let calls = [],
+                outputDir = path.join(tmpDir, 'hooked'),
+                plugin = {
+                    afterBuild  : (schemaModel) => calls.push(['afterBuild', schemaModel.getType('urn:test', 'Order').properties.length]),
+                    afterLayout : (schemaModel) => calls.push(['afterLayout', schemaModel.getType('urn:test', 'Order').properties.length]),
+                    emitModule  : (module, type) => {
+                        if(type && type.name === 'Order') {
+                            return { fileName: module.fileName, source: `// Table ORDERS\n${module.source}` };
+                        }
+                    },
+                    afterEmit   : (modules) => modules.concat({ fileName: 'tables.json', source: '["ORDERS"]' })
+                };
+
+            await app.processSchema({ schemaFile: schemaFile, outputDir: outputDir, plugins: [plugin] });
+
+            expect(calls).to.deep.equal([['afterBuild', 0], ['afterLayout', 1]]);
+            expect(fs.readFileSync(path.join(outputDir, 'order.js'), 'utf8')).to.match(/^\/\/ Table ORDERS\n/);
+            expect(fs.readFileSync(path.join(outputDir, 'orders.js'), 'utf8')).to.not.include('Table ORDERS');
+            expect(fs.readFileSync(path.join(outputDir, 'tables.json'), 'utf8')).to.equal('["ORDERS"]');
+        });
+
+        it('runs the hooks of each plugin in turn', async () => {
+            let schemaModel = await app.processSchema({ schemaFile: schemaFile }),
+                first = { emitModule: (module) => ({ fileName: module.fileName, source: `${module.source}// first\n` }) },
+                second = { emitModule: (module) => ({ fileName: module.fileName, source: `${module.source}// second\n` }) },
+                modules = emitter.emitModel(schemaModel, { plugins: [first, second] });
+
+            expect(modules.find((module) => module.fileName === 'index.js').source).to.match(/\/\/ first\n\/\/ second\n$/);
+        });
+    });
+
+    describe('loading', async () => {
+        it('requires the plugins given as module names', async () => {
+            let file = path.join(tmpDir, 'plugin.js');
+            fs.writeFileSync(file, `module.exports = { afterLayout: (schemaModel) => { schemaModel.plugged = true; } };`);
+
+            let schemaModel = await app.processSchema({ schemaFile: schemaFile, plugins: [file] });
+
+            expect(schemaModel.plugged).to.be.true;
+            expect(plugins.resolvePlugins({ plugins: [file] })[0].name).to.equal(file);
+        });
+
+        it('rejects plugins it cannot use', async () => {
+            for(let [plugin, message] of [
+                ['no-such-plugin', "Cannot find plugin 'no-such-plugin'"],
+                [{ name: 'early', beforeBuild: () => {} }, "Plugin 'early' has an unknown hook 'beforeBuild' (expected afterBuild, afterLayout, emitModule, afterEmit)"],
+                [{ afterEmit: 'modules' }, "A plugin has a hook 'afterEmit' that isn't a function"],
+                [{ processors: { element: { before: () => {} } } }, "A plugin has an invalid processor for 'element' (expected { pre, post } functions)"],
+                [42, "A plugin must be an object"]
+            ]) {
+                let error = thrown(() => plugins.resolvePlugins({ plugins: [plugin] }));
+
+                expect(error).to.be.instanceOf(exceptions.Exception);
+                expect(error.toString()).to.equal(message);
+            }
+        });
+    });
+});
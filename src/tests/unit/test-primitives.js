@@ -0,0 +1,145 @@
+'use strict';
+
+const { expect } = require('chai')
+    , exceptions    =  require('../../exceptions')
+    , primitives    =  require('../../runtime/primitives');
+
+describe('Test the parsers of the built-in types', async () => {
+    function reason(lexical, name, options) {
+        try {
+            primitives.parse(lexical, name, options);
+        } catch(err) {
+            expect(err).to.be.instanceOf(exceptions.ValidationException);
+            expect(err).to.include({ type: name, value: lexical.trim() });
+            return err.toString();
+        }
+        expect.fail(`${lexical} accepted as ${name}`);
+    }
+
+    describe('dates and times', async () => {
+        it('parses dateTimes into their fields', async () => {
+            let value = primitives.parse('2021-03-14T09:30:05.25+05:30', 'dateTime');
+
+            expect(value).to.be.instanceOf(primitives.DateTime);
+            expect(value).to.include({ year: 2021, month: 3, day: 14, hour: 9, minute: 30, second: 5.25, timezone: 330 });
+            expect(value.toString()).to.equal('2021-03-14T09:30:05.25+05:30');
+            expect(value.toDate().toISOString()).to.equal('2021-03-14T04:00:05.250Z');
+        });
+
+        it('parses the partial dates', async () => {
+            expect(primitives.parse('2021-03', 'gYearMonth')).to.include({ year: 2021, month: 3, day: null, timezone: null });
+            expect(primitives.parse('-0044', 'gYear')).to.include({ year: -44 });
+            expect(primitives.parse('--02-29', 'gMonthDay')).to.include({ month: 2, day: 29 });
+            expect(primitives.parse('---31Z', 'gDay')).to.include({ day: 31, timezone: 0 });
+            expect(primitives.parse('--12', 'gMonth').toString()).to.equal('--12');
+            expect(primitives.parse('24:00:00', 'time')).to.include({ hour: 24, minute: 0, second: 0 });
+        });
+
+        it('explains why a date or time is not valid', async () => {
+            expect(reason('2021-02-29', 'date')).to.equal('"2021-02-29" is not a valid date: day 29 is out of range for month 02');
+            expect(primitives.isValid('2020-02-29', 'date')).to.be.true;
+            expect(reason('2021-13', 'gYearMonth')).to.equal('"2021-13" is not a valid gYearMonth: month 13 is out of range');
+            expect(reason('2021-3-14', 'date')).to.equal('"2021-3-14" is not a valid date: expected YYYY-MM-DD with an optional timezone');
+            expect(reason('0000', 'gYear')).to.include('there is no year 0000');
+            expect(reason('02021', 'gYear')).to.include("can't start with zero");
+            expect(reason('24:00:01', 'time')).to.include('hour is out of range');
+            expect(reason('12:00:00+15:00', 'time')).to.include('timezone +15:00 is out of range');
+            expect(reason('2021-03-14 09:30:00', 'dateTime')).to.include('expected YYYY-MM-DDThh:mm:ss');
+        });
+    });
+
+    describe('durations', async () => {
+        it('parses durations into their components', async () => {
+            let value = primitives.parse('-P1Y2M3DT4H5M6.5S', 'duration');
+
+            expect(value).to.be.instanceOf(primitives.Duration);
+            expect(value).to.include({ negative: true, years: 1, months: 2, days: 3, hours: 4, minutes: 5, seconds: 6.5 });
+            expect(value.toString()).to.equal('-P1Y2M3DT4H5M6.5S');
+            expect(primitives.parse('PT0S', 'duration').toString()).to.equal('PT0S');
+        });
+
+        it('rejects durations without components', async () => {
+            expect(reason('P', 'duration')).to.include('expected at least one of years');
+            expect(reason('P1YT', 'duration')).to.include("'T' must be followed by hours, minutes or seconds");
+            expect(reason('P1S', 'duration')).to.include('expected PnYnMnDTnHnMnS');
+        });
+    });
+
+    describe('numbers', async () => {
+        it('parses decimals without losing precision', async () => {
+            let value = primitives.parse('-0012.3400', 'decimal');
+
+            expect(value).to.be.instanceOf(primitives.Decimal);
+            expect(value.toString()).to.equal('-12.34');
+            expect(value.toNumber()).to.equal(-12.34);
+            expect(primitives.parse('-0', 'decimal').toString()).to.equal('0.0');
+            expect(reason('1.2.3', 'decimal')).to.include('expected digits');
+            expect(reason('.', 'decimal')).to.include('expected digits');
+        });
+
+        it('parses the integer types into BigInts within their bounds', async () => {
+            expect(primitives.parse('18446744073709551615', 'unsignedLong')).to.equal(18446744073709551615n);
+            expect(primitives.parse('+42', 'byte')).to.equal(42n);
+            expect(reason('128', 'byte')).to.include('maxInclusive');
+            expect(reason('1.0', 'integer')).to.include('pattern');
+        });
+
+        it('parses floats and doubles', async () => {
+            expect(primitives.parse('1.5E3', 'double')).to.equal(1500);
+            expect(primitives.parse('-INF', 'float')).to.equal(-Infinity);
+            expect(primitives.parse('NaN', 'double')).to.be.NaN;
+            expect(primitives.parse('0.1', 'float')).to.equal(Math.fround(0.1));
+            expect(reason('1e', 'double')).to.include('expected a decimal number with an optional exponent');
+            expect(reason('Infinity', 'double')).to.include('INF, -INF or NaN');
+        });
+
+        it('parses booleans', async () => {
+            expect(primitives.parse('1', 'boolean')).to.be.true;
+            expect(primitives.parse(' false ', 'boolean')).to.be.false;
+            expect(reason('TRUE', 'boolean')).to.include('expected true, false, 1 or 0');
+        });
+    });
+
+    describe('binary data', async () => {
+        it('parses hexBinary and base64Binary into Buffers', async () => {
+            expect(primitives.parse('0FB7', 'hexBinary')).to.deep.equal(Buffer.from([0x0f, 0xb7]));
+            expect(primitives.parse('aGVs bG8=', 'base64Binary').toString()).to.equal('hello');
+            expect(reason('0FB', 'hexBinary')).to.include('an even number of hexadecimal digits');
+            expect(reason('0FBG', 'hexBinary')).to.include('expected hexadecimal digits');
+            expect(reason('aGVsbG8', 'base64Binary')).to.include('groups of four base64 characters');
+            expect(reason('aGVsbG9=', 'base64Binary')).to.include('the bits before the padding must be zero');
+        });
+    });
+
+    describe('names and strings', async () => {
+        it('parses QNames, resolving their prefixes', async () => {
+            let namespaces = { '': 'urn:default', fhir: 'http://hl7.org/fhir' },
+                value = primitives.parse('fhir:Patient', 'QName', { namespaces: namespaces });
+
+            expect(value).to.be.instanceOf(primitives.QualifiedName);
+            expect(value).to.include({ namespaceURI: 'http://hl7.org/fhir', localName: 'Patient', prefix: 'fhir' });
+            expect(primitives.parse('Patient', 'QName', { namespaces: namespaces }).namespaceURI).to.equal('urn:default');
+            expect(primitives.parse('x:y', 'QName')).to.include({ namespaceURI: null, prefix: 'x' });
+            expect(reason('xs:string', 'QName', { namespaces: namespaces })).to.include("prefix 'xs' is not bound");
+            expect(reason('a:b:c', 'QName')).to.include('expected an NCName');
+        });
+
+        it('applies the constraints of the string types', async () => {
+            expect(primitives.parse('  some   token ', 'token')).to.equal('some token');
+            expect(primitives.parse('a b  c', 'NMTOKENS')).to.deep.equal(['a', 'b', 'c']);
+            expect(reason('', 'IDREFS')).to.include('expected at least one item');
+            expect(reason('1abc', 'ID')).to.include('pattern');
+            expect(reason('100%', 'anyURI')).to.include("'%' must be followed by two hexadecimal digits");
+        });
+
+        it('reports unknown types', async () => {
+            let error;
+            try {
+                primitives.parse('x', 'varchar');
+            } catch(err) {
+                error = err;
+            }
+            expect(error.toString()).to.equal("Unknown built-in type 'varchar'");
+        });
+    });
+});
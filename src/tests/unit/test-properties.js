@@ -0,0 +1,424 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST    =  require('../../const')
+    , app      =  require('../../index')
+    , fs       =  require('fs')
+    , os       =  require('os')
+    , path     =  require('path');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+
+describe('Test the property layout', async () => {
+    let tmpDir, fhirModel;
+
+    async function processSchema(body) {
+        let file = path.join(tmpDir, `schema-${Date.now()}-${Math.random().toString(16).slice(2)}.xsd`);
+        fs.writeFileSync(file,
+            `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">${body}</xs:schema>`);
+        return app.processSchema({ schemaFile: file });
+    }
+
+    function cardinality(complexType) {
+        let result = {};
+        for(let property of complexType.properties) {
+            result[property.name] = [property.minOccurs, property.maxOccurs];
+        }
+        return result;
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-properties-'));
+        fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` });
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('makes repeating elements arrays and marks optional elements', async () => {
+        let account = fhirModel.getType(FHIR_NS, 'Account'),
+            identifier = account.properties.find((p) => p.name === 'identifier'),
+            status = account.properties.find((p) => p.name === 'status');
+
+        expect(identifier.maxOccurs).to.equal(CONST.UNBOUNDED);
+        expect(identifier.isArray).to.be.true;
+        expect(identifier.isOptional).to.be.true;
+        expect(status.isArray).to.be.false;
+        expect(status.isOptional).to.be.false;
+        expect(identifier.type).to.equal(fhirModel.getType(FHIR_NS, 'Identifier'));
+    });
+
+    it('inherits occurrence constraints from enclosing sequences and choices', async () => {
+        let schemaModel = await processSchema(`
+            <xs:complexType name="Order">
+                <xs:sequence>
+                    <xs:element name="id" type="xs:string"/>
+                    <xs:sequence minOccurs="0" maxOccurs="unbounded">
+                        <xs:element name="product" type="xs:string"/>
+                        <xs:element name="quantity" type="xs:int" maxOccurs="2"/>
+                    </xs:sequence>
+                    <xs:sequence maxOccurs="3">
+                        <xs:element name="note" type="xs:string"/>
+                    </xs:sequence>
+                    <xs:choice>
+                        <xs:element name="email" type="xs:string"/>
+                        <xs:element name="phone" type="xs:string"/>
+                    </xs:choice>
+                    <xs:choice maxOccurs="2">
+                        <xs:element name="only" type="xs:string"/>
+                    </xs:choice>
+                    <xs:element name="never" type="xs:string" maxOccurs="0"/>
+                </xs:sequence>
+            </xs:complexType>`);
+
+        expect(cardinality(schemaModel.getType('urn:test', 'Order'))).to.deep.equal({
+            id          : [1, 1],
+            product     : [0, CONST.UNBOUNDED],
+            quantity    : [0, CONST.UNBOUNDED],
+            note        : [1, 3],
+            email       : [0, 1],
+            phone       : [0, 1],
+            only        : [1, 2]
+        });
+    });
+
+    it('merges repeated appearances of an element', async () => {
+        let schemaModel = await processSchema(`
+            <xs:complexType name="Pair">
+                <xs:sequence>
+                    <xs:element name="item" type="xs:string"/>
+                    <xs:element name="separator" type="xs:string" minOccurs="0"/>
+                    <xs:element name="item" type="xs:string"/>
+                </xs:sequence>
+            </xs:complexType>`);
+        let pair = schemaModel.getType('urn:test', 'Pair');
+
+        expect(pair.properties.map((p) => p.name)).to.deep.equal(['item', 'separator']);
+        expect(pair.properties[0].isArray).to.be.true;
+        expect(pair.properties[0].minOccurs).to.equal(2);
+    });
+
+    it('makes attributes optional unless they are required', async () => {
+        let schemaModel = await processSchema(`
+            <xs:element name="Tag">
+                <xs:complexType>
+                    <xs:attribute name="key" type="xs:string" use="required"/>
+                    <xs:attribute name="value" type="xs:string"/>
+                    <xs:attribute name="legacy" type="xs:string" use="prohibited"/>
+                </xs:complexType>
+            </xs:element>`);
+        let tag = schemaModel.elements.get('{urn:test}Tag').type;
+
+        expect(tag.properties.map((p) => [p.kind, p.name, p.isOptional])).to.deep.equal([
+            ['attribute', 'key', false],
+            ['attribute', 'value', true]
+        ]);
+    });
+
+    it('models FHIR value[x] choices as polymorphic choices', async () => {
+        let observation = fhirModel.getType(FHIR_NS, 'Observation'),
+            value = observation.choices.find((c) => c.name === 'value'),
+            valueQuantity = observation.properties.find((p) => p.name === 'valueQuantity');
+
+        expect(observation.choices.map((c) => c.name)).to.deep.equal(['effective', 'value']);
+        expect(value.isPolymorphic).to.be.true;
+        expect(value.branches.map((b) => b.name).slice(0, 3)).to.deep.equal(['Quantity', 'CodeableConcept', 'String']);
+        expect(value.documentation).to.match(/^The information determined as a result/);
+        expect(valueQuantity.choice).to.equal(value);
+        expect(valueQuantity.branch).to.equal(value.branches[0]);
+    });
+
+    it('models nested and repeating choices', async () => {
+        let schemaModel = await processSchema(`
+            <xs:complexType name="Contact">
+                <xs:sequence>
+                    <xs:element name="name" type="xs:string"/>
+                    <xs:choice>
+                        <xs:element name="email" type="xs:string"/>
+                        <xs:sequence>
+                            <xs:element name="phone" type="xs:string"/>
+                            <xs:choice minOccurs="0">
+                                <xs:element name="extension" type="xs:string"/>
+                                <xs:element name="mobile" type="xs:boolean"/>
+                            </xs:choice>
+                        </xs:sequence>
+                    </xs:choice>
+                    <xs:choice maxOccurs="unbounded">
+                        <xs:element name="tag" type="xs:string"/>
+                        <xs:element name="label" type="xs:string"/>
+                    </xs:choice>
+                </xs:sequence>
+            </xs:complexType>`);
+        let contact = schemaModel.getType('urn:test', 'Contact'),
+            [outer, inner, repeating] = contact.choices;
+
+        expect(contact.choices.map((c) => c.name)).to.deep.equal(['choice', 'choice2', 'choice3']);
+        expect(outer.branches.map((b) => b.name)).to.deep.equal(['email', 'phone']);
+        expect(outer.branches[1].properties.map((p) => p.name)).to.deep.equal(['phone', 'extension', 'mobile']);
+        expect(inner.parent).to.equal(outer);
+        expect(inner.parentBranch).to.equal(outer.branches[1]);
+        expect(inner.isRepeating).to.be.false;
+        expect(repeating.isRepeating).to.be.true;
+        expect(contact.properties.find((p) => p.name === 'tag').isArray).to.be.true;
+    });
+
+    it('expands group and attribute group references in place', async () => {
+        let schemaModel = await processSchema(`
+            <xs:group name="address">
+                <xs:sequence>
+                    <xs:element name="street" type="xs:string" maxOccurs="2"/>
+                    <xs:group ref="city"/>
+                </xs:sequence>
+            </xs:group>
+            <xs:group name="city">
+                <xs:sequence><xs:element name="city" type="xs:string"/></xs:sequence>
+            </xs:group>
+            <xs:attributeGroup name="i18n">
+                <xs:attribute name="lang" type="xs:language"/>
+                <xs:attributeGroup ref="core"/>
+            </xs:attributeGroup>
+            <xs:attributeGroup name="core"><xs:attribute name="id" type="xs:ID" use="required"/></xs:attributeGroup>
+            <xs:complexType name="Customer">
+                <xs:sequence>
+                    <xs:element name="name" type="xs:string"/>
+                    <xs:group ref="address" minOccurs="0" maxOccurs="unbounded"/>
+                </xs:sequence>
+                <xs:attribute name="vip" type="xs:boolean"/>
+                <xs:attributeGroup ref="i18n"/>
+            </xs:complexType>`);
+        let customer = schemaModel.getType('urn:test', 'Customer');
+
+        expect(customer.properties.map((p) => [p.name, p.group && p.group.name])).to.deep.equal([
+            ['name', null],
+            ['street', 'address'],
+            ['city', 'city'],
+            ['vip', null],
+            ['lang', 'i18n'],
+            ['id', 'core']
+        ]);
+        expect(cardinality(customer)).to.deep.include({
+            street  : [0, CONST.UNBOUNDED],
+            city    : [0, CONST.UNBOUNDED],
+            id      : [1, 1]
+        });
+    });
+
+    it('expands groups used as choice branches', async () => {
+        let schemaModel = await processSchema(`
+            <xs:group name="phone">
+                <xs:sequence>
+                    <xs:element name="number" type="xs:string"/>
+                    <xs:element name="extension" type="xs:string" minOccurs="0"/>
+                </xs:sequence>
+            </xs:group>
+            <xs:complexType name="Contact">
+                <xs:choice>
+                    <xs:element name="email" type="xs:string"/>
+                    <xs:group ref="phone"/>
+                </xs:choice>
+            </xs:complexType>`);
+        let choice = schemaModel.getType('urn:test', 'Contact').choices[0];
+
+        expect(choice.branches.map((b) => [b.name, b.properties.map((p) => p.name)])).to.deep.equal([
+            ['email', ['email']],
+            ['number', ['number', 'extension']]
+        ]);
+    });
+
+    it('lists an element in each branch of a choice it appears in', async () => {
+        let schemaModel = await processSchema(`
+            <xs:complexType name="Period">
+                <xs:choice>
+                    <xs:sequence>
+                        <xs:element name="start" type="xs:date"/>
+                        <xs:element name="end" type="xs:date" minOccurs="0"/>
+                    </xs:sequence>
+                    <xs:sequence>
+                        <xs:element name="duration" type="xs:duration"/>
+                        <xs:element name="end" type="xs:date"/>
+                    </xs:sequence>
+                </xs:choice>
+            </xs:complexType>`);
+        let period = schemaModel.getType('urn:test', 'Period'),
+            end = period.properties.find((p) => p.name === 'end');
+
+        expect(period.properties.map((p) => p.name)).to.deep.equal(['start', 'end', 'duration']);
+        expect(period.choices[0].branches.map((b) => b.properties.map((p) => p.name))).to.deep.equal(
+            [['start', 'end'], ['duration', 'end']]);
+        expect(end.branch).to.equal(period.choices[0].branches[0]);
+        expect(cardinality(period).end).to.deep.equal([0, 1]);
+    });
+
+    it('rejects an element in two choices neither of which encloses the other', async () => {
+        let error;
+        try {
+            await processSchema(`
+                <xs:complexType name="Contact">
+                    <xs:sequence>
+                        <xs:choice>
+                            <xs:element name="email" type="xs:string"/>
+                            <xs:element name="phone" type="xs:string"/>
+                        </xs:choice>
+                        <xs:choice>
+                            <xs:element name="fax" type="xs:string"/>
+                            <xs:element name="phone" type="xs:string"/>
+                        </xs:choice>
+                    </xs:sequence>
+                </xs:complexType>`);
+        } catch(err) {
+            error = err;
+        }
+
+        expect(error.toString()).to.match(/^Element 'phone' appears in two unrelated choices of complexType 'Contact'/);
+    });
+
+    it('completes the property lists of the FHIR xhtml types', async () => {
+        let inline = fhirModel.getType('http://www.w3.org/1999/xhtml', 'Inline');
+
+        expect(inline.properties.map((p) => p.name)).to.include.members(['a', 'br', 'span', 'em', 'img', 'sub']);
+        expect(inline.properties.find((p) => p.name === 'span').group.name).to.equal('special.pre');
+    });
+
+    it('rejects circular group references', async () => {
+        let error;
+        try {
+            await processSchema(`
+                <xs:group name="loop"><xs:sequence><xs:group ref="loop"/></xs:sequence></xs:group>
+                <xs:complexType name="Loop"><xs:group ref="loop"/></xs:complexType>`);
+        } catch(err) {
+            error = err;
+        }
+
+        expect(error.toString()).to.match(/^Circular reference to group 'loop' from complexType 'Loop'/);
+    });
+
+    describe('derivation', async () => {
+        const BASE = `
+            <xs:complexType name="Animal">
+                <xs:sequence>
+                    <xs:element name="name" type="xs:string"/>
+                    <xs:element name="nickname" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+                    <xs:choice minOccurs="0">
+                        <xs:element name="weight" type="xs:decimal"/>
+                        <xs:element name="size" type="xs:string"/>
+                    </xs:choice>
+                </xs:sequence>
+                <xs:attribute name="id" type="xs:ID"/>
+                <xs:attribute name="legs" type="xs:int"/>
+            </xs:complexType>`;
+
+        async function derivationError(body) {
+            try {
+                await processSchema(BASE + body);
+            } catch(err) {
+                return err;
+            }
+            return null;
+        }
+
+        it('lays out the inherited properties of FHIR resources in XSD order', async () => {
+            let account = fhirModel.getType(FHIR_NS, 'Account'),
+                names = account.allProperties.map((p) => p.name);
+
+            expect(account.base).to.equal(fhirModel.getType(FHIR_NS, 'DomainResource'));
+            expect(account.properties.map((p) => p.name)).not.to.include('meta');
+            expect(names.slice(0, 9)).to.deep.equal(['id', 'meta', 'implicitRules', 'language', 'text',
+                'contained', 'extension', 'modifierExtension', 'identifier']);
+            expect(names).to.include('status');
+        });
+
+        it('puts the attributes of an extension after all of the elements', async () => {
+            let schemaModel = await processSchema(BASE + `
+                <xs:complexType name="Dog">
+                    <xs:complexContent>
+                        <xs:extension base="Animal">
+                            <xs:sequence>
+                                <xs:element name="breed" type="xs:string"/>
+                                <xs:choice>
+                                    <xs:element name="collar" type="xs:string"/>
+                                    <xs:element name="harness" type="xs:string"/>
+                                </xs:choice>
+                            </xs:sequence>
+                            <xs:attribute name="barks" type="xs:boolean"/>
+                        </xs:extension>
+                    </xs:complexContent>
+                </xs:complexType>`),
+                dog = schemaModel.getType('urn:test', 'Dog');
+
+            expect(dog.allProperties.map((p) => p.name)).to.deep.equal(
+                ['name', 'nickname', 'weight', 'size', 'breed', 'collar', 'harness', 'id', 'legs', 'barks']);
+            expect(dog.allChoices.map((c) => c.name)).to.deep.equal(['choice', 'choice2']);
+        });
+
+        it('narrows the inherited properties of a restriction', async () => {
+            let schemaModel = await processSchema(BASE + `
+                <xs:complexType name="Pet">
+                    <xs:complexContent>
+                        <xs:restriction base="Animal">
+                            <xs:sequence>
+                                <xs:element name="name" type="xs:string"/>
+                                <xs:element name="nickname" type="xs:string" maxOccurs="2"/>
+                            </xs:sequence>
+                            <xs:attribute name="id" type="xs:ID" use="required"/>
+                            <xs:attribute name="legs" use="prohibited"/>
+                        </xs:restriction>
+                    </xs:complexContent>
+                </xs:complexType>`),
+                animal = schemaModel.getType('urn:test', 'Animal'),
+                pet = schemaModel.getType('urn:test', 'Pet'),
+                nickname = pet.properties.find((p) => p.name === 'nickname');
+
+            expect(pet.allProperties.map((p) => p.name)).to.deep.equal(['name', 'nickname', 'id']);
+            expect(cardinality(pet)).to.deep.include({ nickname: [1, 2], id: [1, 1], weight: [0, 0], legs: [0, 0] });
+            expect(nickname.restricts).to.equal(animal.properties.find((p) => p.name === 'nickname'));
+            expect(animal.allProperties).to.have.lengthOf(6);
+        });
+
+        it('rejects restrictions that widen or add to what they inherit', async () => {
+            let widened = await derivationError(`
+                <xs:complexType name="Herd">
+                    <xs:complexContent>
+                        <xs:restriction base="Animal">
+                            <xs:sequence>
+                                <xs:element name="name" type="xs:string" maxOccurs="unbounded"/>
+                            </xs:sequence>
+                        </xs:restriction>
+                    </xs:complexContent>
+                </xs:complexType>`),
+                added = await derivationError(`
+                <xs:complexType name="Robot">
+                    <xs:complexContent>
+                        <xs:restriction base="Animal">
+                            <xs:sequence>
+                                <xs:element name="name" type="xs:string"/>
+                                <xs:element name="battery" type="xs:string"/>
+                            </xs:sequence>
+                        </xs:restriction>
+                    </xs:complexContent>
+                </xs:complexType>`),
+                omitted = await derivationError(`
+                <xs:complexType name="Ghost">
+                    <xs:complexContent>
+                        <xs:restriction base="Animal"/>
+                    </xs:complexContent>
+                </xs:complexType>`);
+
+            expect(widened.toString()).to.match(/^complexType 'Herd' widens the occurrences of element 'name' inherited from 'Animal'/);
+            expect(added.toString()).to.match(/^complexType 'Robot' restricts 'Animal' with element 'battery', which 'Animal' doesn't declare/);
+            expect(omitted.toString()).to.match(/^complexType 'Ghost' omits the required element 'name' inherited from 'Animal'/);
+        });
+
+        it('rejects circular derivations', async () => {
+            let error = await derivationError(`
+                <xs:complexType name="Chicken">
+                    <xs:complexContent><xs:extension base="Egg"/></xs:complexContent>
+                </xs:complexType>
+                <xs:complexType name="Egg">
+                    <xs:complexContent><xs:extension base="Chicken"/></xs:complexContent>
+                </xs:complexType>`);
+
+            expect(error.toString()).to.match(/^Circular derivation of complexType '(Chicken|Egg)' from itself/);
+        });
+    });
+});
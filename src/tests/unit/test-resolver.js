@@ -0,0 +1,100 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST    =  require('../../const')
+    , builder  =  require('../../builder')
+    , loader   =  require('../../loader')
+    , resolver =  require('../../resolver')
+    , model    =  require('../../model')
+    , exceptions =  require('../../exceptions')
+    , fs       =  require('fs')
+    , os       =  require('os')
+    , path     =  require('path');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+
+describe('Test the reference resolver', async () => {
+    let tmpDir, fhirModel;
+
+    async function resolveSchema(body, attrs) {
+        let file = path.join(tmpDir, `schema-${Date.now()}-${Math.random().toString(16).slice(2)}.xsd`);
+        fs.writeFileSync(file,
+            `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" ${attrs || ''}>${body}</xs:schema>`);
+        let options = { schemaFile: file };
+        return resolver.resolveModel(builder.buildModel(options, await loader.loadSchemaSet(options)));
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-resolver-'));
+
+        let options = { schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` };
+        fhirModel = resolver.resolveModel(builder.buildModel(options, await loader.loadSchemaSet(options)));
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('links element types and base types to their definitions', async () => {
+        let account = fhirModel.getType(FHIR_NS, 'Account'),
+            identifier = account.content.particles[0];
+
+        expect(account.base).to.equal(fhirModel.getType(FHIR_NS, 'DomainResource'));
+        expect(identifier.type).to.equal(fhirModel.getType(FHIR_NS, 'Identifier'));
+    });
+
+    it('tells schema types apart from built-in types of the same name', async () => {
+        let stringPrimitive = fhirModel.getType(FHIR_NS, 'string-primitive'),
+            fhirString = fhirModel.getType(FHIR_NS, 'string');
+
+        expect(stringPrimitive.base).to.equal(model.builtinTypes.get('string'));
+        expect(stringPrimitive.base.isBuiltin).to.be.true;
+        expect(fhirString).to.be.instanceOf(model.ComplexType);
+        expect(fhirString.attributes[0].type).to.equal(stringPrimitive);
+    });
+
+    it('links union member types and refs across namespaces', async () => {
+        let date = fhirModel.getType(FHIR_NS, 'date-primitive'),
+            narrative = fhirModel.getType(FHIR_NS, 'Narrative'),
+            div = narrative.content.particles.find((p) => p.refName);
+
+        expect(date.base.memberTypes.map((t) => t.name)).to.deep.equal(['gYear', 'gYearMonth', 'date']);
+        expect(div.ref).to.equal(fhirModel.elements.get('{http://www.w3.org/1999/xhtml}div'));
+    });
+
+    it('follows the base type chain of built-in types', async () => {
+        let unsignedByte = model.builtinTypes.get('unsignedByte');
+
+        expect(unsignedByte.base.name).to.equal('unsignedShort');
+        expect(model.builtinTypes.get('string').base.name).to.equal('anySimpleType');
+        expect(model.builtinTypes.get('IDREFS').itemType.name).to.equal('IDREF');
+    });
+
+    it('resolves unprefixed names against the default namespace', async () => {
+        let schemaModel = await resolveSchema(`
+            <simpleType name="Code"><restriction base="token"/></simpleType>
+            <xs:attributeGroup name="common"><xs:attribute name="code" type="t:Code"/></xs:attributeGroup>
+            <xs:complexType name="Item"><xs:attributeGroup ref="t:common"/></xs:complexType>`,
+            `xmlns="${CONST.XML_SCHEMA_NS}" xmlns:t="urn:test" targetNamespace="urn:test"`);
+        let item = schemaModel.getType('urn:test', 'Item');
+
+        expect(schemaModel.getType('urn:test', 'Code').base).to.equal(model.builtinTypes.get('token'));
+        expect(item.attributeGroups[0].attributeGroup).to.equal(schemaModel.attributeGroups.get('{urn:test}common'));
+    });
+
+    it('names the referencing component when a reference does not resolve', async () => {
+        let error;
+        try {
+            await resolveSchema(`
+                <xs:complexType name="Patient">
+                    <xs:sequence><xs:element name="name" type="HumanName"/></xs:sequence>
+                </xs:complexType>`, 'xmlns="urn:test" targetNamespace="urn:test"');
+        } catch(err) {
+            error = err;
+        }
+
+        expect(error).to.be.instanceOf(exceptions.SchemaReferenceException);
+        expect(error.component).to.equal("element 'name' in complexType 'Patient'");
+        expect(error.toString()).to.match(/^Cannot resolve type 'HumanName' \({urn:test}HumanName\) referenced by element 'name' in complexType 'Patient'/);
+    });
+});
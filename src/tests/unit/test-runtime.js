@@ -0,0 +1,310 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , descriptors =  require('../../descriptors')
+    , runtime     =  require('../../runtime')
+    , exceptions  =  require('../../exceptions')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+
+describe('Test the runtime of the generated classes', async () => {
+    let tmpDir, fhirModel;
+
+    async function processSchema(body) {
+        let file = path.join(tmpDir, `schema-${Date.now()}-${Math.random().toString(16).slice(2)}.xsd`);
+        fs.writeFileSync(file,
+            `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test">${body}</xs:schema>`);
+        return app.processSchema({ schemaFile: file });
+    }
+
+    function thrown(fn) {
+        try {
+            fn();
+        } catch(err) {
+            return err;
+        }
+        return null;
+    }
+
+    function classFor(complexType, Base = runtime.XsdObject) {
+        class Generated extends Base {}
+        Generated.xsd = descriptors.describeComplexType(complexType);
+        return Generated;
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-runtime-'));
+        fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` });
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('choices', async () => {
+        it('allows only one branch of a choice to be set', async () => {
+            let Observation = classFor(fhirModel.getType(FHIR_NS, 'Observation')),
+                FhirString = classFor(fhirModel.getType(FHIR_NS, 'string')),
+                FhirBoolean = classFor(fhirModel.getType(FHIR_NS, 'boolean')),
+                observation = new Observation({ valueString: new FhirString({ value: 'positive' }) });
+
+            expect(observation.activeBranch('value')).to.equal('String');
+            expect(observation.activeBranch('effective')).to.be.null;
+
+            let error = thrown(() => observation._set('valueBoolean', new FhirBoolean({ value: true })));
+            expect(error).to.be.instanceOf(exceptions.ValidationException);
+            expect(error).to.include({ type: 'Observation', property: 'valueBoolean', constraint: 'choice' });
+            expect(observation._get('valueBoolean')).to.be.undefined;
+        });
+
+        it('switches branches once the active branch is cleared', async () => {
+            let Observation = classFor(fhirModel.getType(FHIR_NS, 'Observation')),
+                FhirString = classFor(fhirModel.getType(FHIR_NS, 'string')),
+                FhirBoolean = classFor(fhirModel.getType(FHIR_NS, 'boolean')),
+                observation = new Observation({ valueString: new FhirString({ value: 'positive' }) });
+
+            observation._set('valueString', new FhirString({ value: 'negative' }));
+            observation._set('valueString', undefined);
+            observation._set('valueBoolean', new FhirBoolean({ value: false }));
+
+            expect(observation.activeBranch('value')).to.equal('Boolean');
+            expect(observation._get('valueBoolean')._get('value')).to.equal(false);
+        });
+
+        it('enforces nested choices and allows repeating choices to mix branches', async () => {
+            let schemaModel = await processSchema(`
+                <xs:complexType name="Contact">
+                    <xs:sequence>
+                        <xs:choice>
+                            <xs:element name="email" type="xs:string"/>
+                            <xs:sequence>
+                                <xs:element name="phone" type="xs:string"/>
+                                <xs:choice minOccurs="0">
+                                    <xs:element name="extension" type="xs:string"/>
+                                    <xs:element name="mobile" type="xs:boolean"/>
+                                </xs:choice>
+                            </xs:sequence>
+                        </xs:choice>
+                        <xs:choice maxOccurs="unbounded">
+                            <xs:element name="tag" type="xs:string"/>
+                            <xs:element name="label" type="xs:string"/>
+                        </xs:choice>
+                    </xs:sequence>
+                </xs:complexType>`);
+            let Contact = classFor(schemaModel.getType('urn:test', 'Contact')),
+                contact = new Contact({ mobile: true, tag: ['a'], label: ['b'] });
+
+            expect(contact.activeBranch('choice')).to.equal('phone');
+            expect(contact.activeBranch('choice2')).to.equal('mobile');
+            expect(contact.activeBranches('choice3')).to.deep.equal(['tag', 'label']);
+            expect(thrown(() => contact._set('email', 'x@example.org'))).to.be.instanceOf(exceptions.ValidationException);
+            expect(thrown(() => contact._set('extension', '123'))).to.be.instanceOf(exceptions.ValidationException);
+            contact._set('phone', '555-0100');
+            expect(contact._get('phone')).to.equal('555-0100');
+        });
+
+        it('allows a property in several branches along with any of them', async () => {
+            let schemaModel = await processSchema(`
+                <xs:complexType name="Period">
+                    <xs:choice>
+                        <xs:sequence>
+                            <xs:element name="start" type="xs:date"/>
+                            <xs:element name="end" type="xs:date" minOccurs="0"/>
+                        </xs:sequence>
+                        <xs:sequence>
+                            <xs:element name="duration" type="xs:duration"/>
+                            <xs:element name="end" type="xs:date"/>
+                        </xs:sequence>
+                    </xs:choice>
+                </xs:complexType>`);
+            let Period = classFor(schemaModel.getType('urn:test', 'Period')),
+                period = new Period({ duration: 'P1D', end: '2020-01-02' });
+
+            expect(period.activeBranches('choice')).to.deep.equal(['start', 'duration']);
+            expect(thrown(() => period._set('start', '2020-01-01')).toString())
+                .to.equal("Cannot set Period.start: branch 'duration' of choice 'choice' is already set");
+            expect(thrown(() => new Period({ start: '2020-01-01', end: '2020-01-02', duration: 'P1D' })))
+                .to.include({ property: 'duration', constraint: 'choice' });
+            period._set('duration', null);
+            period._set('start', '2020-01-01');
+            expect(period._get('end')).to.equal('2020-01-02');
+        });
+    });
+
+    it('rejects values outside of an enumeration', async () => {
+        let AccountStatus = classFor(fhirModel.getType(FHIR_NS, 'AccountStatus')),
+            status = new AccountStatus({ value: 'active' }),
+            error = thrown(() => status._set('value', 'closed'));
+
+        expect(error).to.be.instanceOf(exceptions.ValidationException);
+        expect(error).to.include({ type: 'AccountStatus', property: 'value', constraint: 'enumeration', value: 'closed' });
+        expect(status._get('value')).to.equal('active');
+    });
+
+    it('rejects unknown properties', async () => {
+        let Observation = classFor(fhirModel.getType(FHIR_NS, 'Observation'));
+
+        let error = thrown(() => new Observation({ valueFoo: 1 }));
+
+        expect(error).to.be.instanceOf(exceptions.ValidationException);
+        expect(error.toString()).to.equal("Observation has no property 'valueFoo'");
+    });
+
+    describe('validation', async () => {
+        let Order, Item;
+
+        before( async () => {
+            let schemaModel = await processSchema(`
+                <xs:complexType name="Order">
+                    <xs:sequence>
+                        <xs:element name="code" type="Code"/>
+                        <xs:element name="placed" type="xs:dateTime" minOccurs="0"/>
+                        <xs:element name="item" type="Item" minOccurs="2" maxOccurs="3"/>
+                        <xs:element name="sizes" type="Sizes" minOccurs="0"/>
+                        <xs:element name="note" minOccurs="0"/>
+                    </xs:sequence>
+                    <xs:attribute name="paid" type="xs:boolean"/>
+                </xs:complexType>
+                <xs:complexType name="Item">
+                    <xs:attribute name="quantity" type="xs:positiveInteger"/>
+                </xs:complexType>
+                <xs:simpleType name="Code">
+                    <xs:restriction base="xs:string">
+                        <xs:pattern value="[A-Z]{3}-[0-9]+"/>
+                    </xs:restriction>
+                </xs:simpleType>
+                <xs:simpleType name="Sizes">
+                    <xs:list itemType="xs:int"/>
+                </xs:simpleType>`);
+            Order = classFor(schemaModel.getType('urn:test', 'Order'));
+            Item = classFor(schemaModel.getType('urn:test', 'Item'));
+        });
+
+        it('accepts values of the types of the properties', async () => {
+            let order = new Order({ 
+                code    : 'ABC-1', 
+                placed  : new Date(0), 
+                item    : [new Item({ quantity: 1 }), new Item({ quantity: '2' })], 
+                sizes   : [1, 2], 
+                note    : { any: 'thing' },
+                paid    : true 
+            });
+
+            expect(order._get('code')).to.equal('ABC-1');
+            expect(order._get('item')[1]._get('quantity')).to.equal('2');
+            expect(order.violations()).to.be.empty;
+        });
+
+        it('rejects values of the wrong type', async () => {
+            let order = new Order();
+
+            expect(thrown(() => order._set('paid', 'yes'))).to.include({ property: 'paid', constraint: 'lexical' });
+            expect(thrown(() => order._set('paid', 1))).to.include({ property: 'paid', constraint: 'type' });
+            expect(thrown(() => order._set('placed', '2021-02-30T00:00:00Z'))).to.include({ constraint: 'lexical' });
+            expect(thrown(() => order._set('item', [new Order(), new Item()])).toString())
+                .to.equal('Cannot set Order.item: expected an instance of Item, got an instance of Order');
+            expect(thrown(() => order._set('sizes', ['1', 'x']))).to.include({ constraint: 'lexical' });
+        });
+
+        it('rejects values that break a facet', async () => {
+            let error = thrown(() => new Order({ code: 'abc-1' }));
+
+            expect(error).to.be.instanceOf(exceptions.ValidationException);
+            expect(error).to.include({ type: 'Order', property: 'code', constraint: 'pattern', value: 'abc-1' });
+            expect(error.toString()).to.match(/^Cannot set Order\.code: "abc-1" is not a valid Code/);
+            expect(thrown(() => new Item({ quantity: 0 }))).to.include({ property: 'quantity', constraint: 'minInclusive' });
+        });
+
+        it('checks the cardinality of the properties', async () => {
+            let order = new Order();
+
+            expect(thrown(() => order._set('item', new Item()))).to.include({ constraint: 'cardinality' });
+            expect(thrown(() => order._set('item', [new Item()]))).to.include({ constraint: 'minOccurs' });
+            expect(thrown(() => order._set('item', [1, 2, 3, 4].map(() => new Item())))).to.include({ constraint: 'maxOccurs' });
+            expect(thrown(() => order._set('code', ['ABC-1']))).to.include({ constraint: 'cardinality' });
+            expect(thrown(() => order._set('item', []))).to.include({ constraint: 'minOccurs' });
+            expect(thrown(() => order._set('item', null)).toString()).to.equal('Cannot set Order.item: the property is required');
+            order._set('placed', undefined);
+            expect(order._get('item')).to.be.undefined;
+        });
+
+        it('checks the instance as a whole', async () => {
+            let items = [new Item(), new Item()],
+                order = new Order({ code: 'ABC-1', item: items });
+
+            items.push(new Item(), new Item());
+            expect(order._get('item')).to.have.lengthOf(2);
+            order.validate();
+
+            order._get('item').push(new Item(), new Item());
+            expect(thrown(() => order.validate())).to.include({ property: 'item', constraint: 'maxOccurs' });
+            expect(thrown(() => new Order({ code: 'ABC-1' }).validate()).toString()).to.equal("Order.item is required but isn't set");
+
+            let collecting = new Order({ item: items.slice(0, 4) }, { validation: 'collect' });
+            collecting._get('item').pop();
+            collecting.validate();
+            expect(collecting.violations().map((violation) => [violation.property, violation.constraint])).to.deep.equal(
+                [['code', 'minOccurs']]);
+        });
+
+        it('collects the violations instead of throwing when asked to', async () => {
+            let order = new Order({ code: 'abc', paid: 'yes', unknown: 1 }, { validation: 'collect' });
+
+            expect(order.violations().map((violation) => [violation.property, violation.constraint])).to.deep.equal(
+                [['code', 'pattern'], ['paid', 'lexical'], ['unknown', 'property']]);
+            expect(order._get('code')).to.equal('abc');
+
+            order._set('code', 'ABC-2');
+            expect(order.violations().map((violation) => violation.property)).to.deep.equal(['paid', 'unknown']);
+        });
+    });
+
+    describe('inheritance', async () => {
+        it('inherits the properties of the base classes', async () => {
+            let Resource = classFor(fhirModel.getType(FHIR_NS, 'Resource')),
+                DomainResource = classFor(fhirModel.getType(FHIR_NS, 'DomainResource'), Resource),
+                Account = classFor(fhirModel.getType(FHIR_NS, 'Account'), DomainResource),
+                FhirId = classFor(fhirModel.getType(FHIR_NS, 'id')),
+                FhirString = classFor(fhirModel.getType(FHIR_NS, 'string')),
+                account = new Account({ id: new FhirId({ value: 'a1' }), name: new FhirString({ value: 'Patient account' }) });
+
+            expect(Account.xsd.base).to.deep.equal({ name: 'DomainResource', namespace: FHIR_NS });
+            expect(Account.xsd.properties.map((p) => p.name)).not.to.include('id');
+            expect(account).to.be.instanceOf(Resource);
+            expect(account._get('id')._get('value')).to.equal('a1');
+            expect(account._get('name')._get('value')).to.equal('Patient account');
+        });
+
+        it('applies the narrowed properties of a restriction', async () => {
+            let schemaModel = await processSchema(`
+                <xs:complexType name="Animal">
+                    <xs:sequence>
+                        <xs:element name="name" type="xs:string"/>
+                        <xs:element name="weight" type="xs:decimal" minOccurs="0"/>
+                    </xs:sequence>
+                </xs:complexType>
+                <xs:complexType name="Pet">
+                    <xs:complexContent>
+                        <xs:restriction base="Animal">
+                            <xs:sequence>
+                                <xs:element name="name" type="xs:string"/>
+                            </xs:sequence>
+                        </xs:restriction>
+                    </xs:complexContent>
+                </xs:complexType>`),
+                Animal = classFor(schemaModel.getType('urn:test', 'Animal')),
+                Pet = classFor(schemaModel.getType('urn:test', 'Pet'), Animal),
+                pet = new Pet({ name: 'Rex' }),
+                error = thrown(() => pet._set('weight', 12));
+
+            expect(new Animal({ name: 'Rex', weight: 12 })._get('weight')).to.equal(12);
+            expect(error).to.be.instanceOf(exceptions.ValidationException);
+            expect(error).to.include({ type: 'Pet', property: 'weight', constraint: 'prohibited' });
+        });
+    });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const { expect } = require('chai')
+    , app           =  require('../../index')
+    , descriptors   =  require('../../descriptors')
+    , exceptions    =  require('../../exceptions')
+    , primitives    =  require('../../runtime/primitives')
+    , simpleTypes   =  require('../../runtime/simpleTypes')
+    , fs            =  require('fs')
+    , os            =  require('os')
+    , path          =  require('path');
+
+const FHIR_NS = 'http://hl7.org/fhir';
+const TEST_NS = 'urn:test';
+
+describe('Test the simple type runtime', async () => {
+    let tmpDir, fhirModel, testModel;
+
+    function thrown(fn) {
+        try {
+            fn();
+        } catch(err) {
+            return err;
+        }
+        return null;
+    }
+
+    before( async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-simple-'));
+        fs.writeFileSync(path.join(tmpDir, 'test.xsd'), `<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:t="${TEST_NS}" targetNamespace="${TEST_NS}">
+  <xs:simpleType name="Size">
+    <xs:union memberTypes="xs:integer">
+      <xs:simpleType>
+        <xs:restriction base="xs:string">
+          <xs:enumeration value="small"/>
+          <xs:enumeration value="large"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:union>
+  </xs:simpleType>
+  <xs:simpleType name="Sizes">
+    <xs:list itemType="t:Size"/>
+  </xs:simpleType>
+  <xs:simpleType name="ShortSizes">
+    <xs:restriction base="t:Sizes">
+      <xs:maxLength value="3"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Years">
+    <xs:list>
+      <xs:simpleType>
+        <xs:restriction base="xs:gYear"/>
+      </xs:simpleType>
+    </xs:list>
+  </xs:simpleType>
+</xs:schema>`);
+        testModel = await app.processSchema({ schemaFile: path.join(tmpDir, 'test.xsd') });
+        fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` });
+    });
+
+    after( async () => {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    describe('unions', async () => {
+        it('reports the member type that accepted the value', async () => {
+            let datePrimitive = descriptors.describeSimpleType(fhirModel.getType(FHIR_NS, 'date-primitive'));
+
+            expect(simpleTypes.check('2021', datePrimitive)).to.deep.equal({ value: '2021', memberType: 'gYear' });
+            expect(simpleTypes.check('2021-03', datePrimitive).memberType).to.equal('gYearMonth');
+            expect(simpleTypes.check('2021-03-14', datePrimitive).memberType).to.equal('date');
+        });
+
+        it('checks the facets of a restricted union', async () => {
+            let datePrimitive = descriptors.describeSimpleType(fhirModel.getType(FHIR_NS, 'date-primitive')),
+                error = thrown(() => simpleTypes.check('2021-03-14Z', datePrimitive));
+
+            expect(error).to.be.instanceOf(exceptions.ValidationException);
+            expect(error).to.include({ type: 'date-primitive', constraint: 'pattern', value: '2021-03-14Z' });
+        });
+
+        it('tries the member types in order', async () => {
+            let size = descriptors.describeSimpleType(testModel.getType(TEST_NS, 'Size'));
+
+            expect(simpleTypes.check('42', size).memberType).to.equal('integer');
+            expect(simpleTypes.check('small', size).memberType).to.equal(size.memberTypes[1]);
+        });
+
+        it('rejects a value no member type accepts', async () => {
+            let size = descriptors.describeSimpleType(testModel.getType(TEST_NS, 'Size')),
+                error = thrown(() => simpleTypes.check('medium', size));
+
+            expect(error).to.be.instanceOf(exceptions.ValidationException);
+            expect(error).to.include({ type: 'Size', constraint: 'union', value: 'medium' });
+            expect(error.toString()).to.include('"medium" is not a valid Size');
+        });
+    });
+
+    describe('lists', async () => {
+        it('parses whitespace-separated values into an array', async () => {
+            let years = descriptors.describeSimpleType(testModel.getType(TEST_NS, 'Years'));
+
+            expect(simpleTypes.variety(years)).to.equal('list');
+            expect(simpleTypes.parse(' 1999\n 2000\t2001 ', years)).to.deep.equal(['1999', '2000', '2001']);
+            expect(simpleTypes.parse('', years)).to.deep.equal([]);
+        });
+
+        it('serializes an array back into its lexical form', async () => {
+            let years = descriptors.describeSimpleType(testModel.getType(TEST_NS, 'Years'));
+
+            expect(simpleTypes.serialize(['1999', '2000'], years)).to.equal('1999 2000');
+            expect(simpleTypes.serialize(simpleTypes.parse('1999  2000', years), years)).to.equal('1999 2000');
+        });
+
+        it('checks each item against the item type', async () => {
+            let sizes = descriptors.describeSimpleType(testModel.getType(TEST_NS, 'ShortSizes'));
+
+            expect(simpleTypes.variety(sizes)).to.equal('list');
+            expect(simpleTypes.parse('small 3 large', sizes)).to.deep.equal(['small', '3', 'large']);
+            expect(thrown(() => simpleTypes.parse('small huge', sizes))).to.include({ type: 'Size', value: 'huge' });
+        });
+
+        it('handles the built-in list types', async () => {
+            expect(simpleTypes.variety('NMTOKENS')).to.equal('list');
+            expect(simpleTypes.parse('a b-c d.e', 'NMTOKENS')).to.deep.equal(['a', 'b-c', 'd.e']);
+            expect(simpleTypes.serialize(['x', 'y'], 'IDREFS')).to.equal('x y');
+        });
+    });
+
+    describe('JavaScript values', async () => {
+        it('accepts the values the primitives parse a type into', async () => {
+            let size = descriptors.describeSimpleType(testModel.getType(TEST_NS, 'Size'));
+
+            expect(simpleTypes.accepts(3, size)).to.be.true;
+            expect(simpleTypes.accepts(true, size)).to.be.false;
+            expect(simpleTypes.accepts(primitives.parse('2021', 'gYear'), 'gYear')).to.be.true;
+            expect(simpleTypes.accepts(new Date(), 'time')).to.be.false;
+            expect(simpleTypes.accepts([1, 'a'], 'NMTOKENS')).to.be.false;
+        });
+
+        it('serializes them into their lexical form', async () => {
+            expect(simpleTypes.serialize(-Infinity, 'double')).to.equal('-INF');
+            expect(simpleTypes.serialize(Buffer.from([1, 254]), 'hexBinary')).to.equal('01FE');
+            expect(simpleTypes.serialize(Buffer.from('hi'), 'base64Binary')).to.equal('aGk=');
+            expect(simpleTypes.serialize(new Date(Date.UTC(2020, 1, 29)), 'date')).to.equal('2020-02-29');
+            expect(simpleTypes.serialize(primitives.parse('12.50', 'decimal'), 'decimal')).to.equal('12.5');
+        });
+    });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+const { expect } = require('chai')
+    , CONST       =  require('../../const')
+    , app         =  require('../../index')
+    , emitter     =  require('../../emitter')
+    , exceptions  =  require('../../exceptions')
+    , runtime     =  require('../../runtime')
+    , fs          =  require('fs')
+    , os          =  require('os')
+    , path        =  require('path')
+    , { pathToFileURL } = require('url');
+
+const RUNTIME_MODULES = {
+    commonjs    : path.join(__dirname, '../../runtime'),
+    esm         : path.join(__dirname, '../../runtime/index.js')
+};
+
+/**
+ * Loads the barrel of the modules generated in a directory, importing it if they are ES modules
+ */
+async function load(outputDir, moduleFormat) {
+    return moduleFormat === 'esm' ? import(pathToFileURL(path.join(outputDir, 'index.js')).href) : require(outputDir);
+}
+
+describe('Test the XML serialization and deserialization of the generated classes', async () => {
+    for(const moduleFormat of emitter.MODULE_FORMATS) {
+        describe(`${moduleFormat} modules`, async () => {
+            let tmpDir, generated, fhir;
+
+            async function generate(name, attributes, body) {
+                let outputDir = path.join(tmpDir, name),
+                    file = path.join(tmpDir, `${name}.xsd`);
+
+                fs.writeFileSync(file,
+                    `<xs:schema xmlns:xs="${CONST.XML_SCHEMA_NS}" xmlns="urn:test" targetNamespace="urn:test" ${attributes}>${body}</xs:schema>`);
+                await app.processSchema({ schemaFile: file, outputDir: outputDir, runtimeModule: RUNTIME_MODULES[moduleFormat], moduleFormat: moduleFormat });
+                return load(outputDir, moduleFormat);
+            }
+
+            before( async () => {
+                tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gnm-xsd-xml-'));
+                generated = await generate('orders', 'elementFormDefault="qualified"', `
+                    <xs:element name="order" type="Order"/>
+                    <xs:complexType name="Entity">
+                        <xs:sequence>
+                            <xs:element name="id" type="xs:string"/>
+                        </xs:sequence>
+                        <xs:attribute name="version" type="xs:int"/>
+                    </xs:complexType>
+                    <xs:complexType name="Order">
+                        <xs:complexContent>
+                            <xs:extension base="Entity">
+                                <xs:sequence>
+                                    <xs:element name="placed" type="xs:date" minOccurs="0"/>
+                                    <xs:element name="line" type="Line" maxOccurs="unbounded"/>
+                                    <xs:element name="total" type="Amount" minOccurs="0"/>
+                                </xs:sequence>
+                                <xs:attribute name="paid" type="xs:boolean"/>
+                            </xs:extension>
+                        </xs:complexContent>
+                    </xs:complexType>
+                    <xs:complexType name="Line">
+                        <xs:sequence>
+                            <xs:element name="product" type="xs:string"/>
+                            <xs:element name="note" type="xs:string" form="unqualified" minOccurs="0"/>
+                        </xs:sequence>
+                    </xs:complexType>
+                    <xs:complexType name="DiscountedLine">
+                        <xs:complexContent>
+                            <xs:extension base="Line">
+                                <xs:attribute name="discount" type="xs:decimal"/>
+                            </xs:extension>
+                        </xs:complexContent>
+                    </xs:complexType>
+                    <xs:complexType name="Amount">
+                        <xs:simpleContent>
+                            <xs:extension base="xs:decimal">
+                                <xs:attribute name="currency" type="xs:token"/>
+                            </xs:extension>
+                        </xs:simpleContent>
+                    </xs:complexType>`);
+
+                let fhirDir = path.join(tmpDir, 'fhir'),
+                    fhirModel = await app.processSchema({ schemaFile: `${__dirname}/fhir-all-xsd/fhir-single.xsd` });
+                emitter.writeModules(fhirDir, emitter.emitModel(fhirModel, { runtimeModule: RUNTIME_MODULES[moduleFormat], moduleFormat: moduleFormat }));
+                fhir = await load(fhirDir, moduleFormat);
+            });
+
+            after( async () => {
+                fs.rmSync(tmpDir, { recursive: true });
+            });
+
+            function order() {
+                let { Order, Line, DiscountedLine, Amount } = generated;
+
+                return new Order({
+                    paid    : true,
+                    total   : new Amount({ currency: 'EUR', $value: '12.50' }),
+                    line    : [new Line({ product: 'vase' }), new DiscountedLine({ product: 'cup', discount: 0.1 })],
+                    id      : 'o1',
+                    version : 2
+                });
+            }
+
+            it('writes the elements in sequence order and the attributes apart', async () => {
+                expect(order().toXML()).to.equal(
+                    '<order xmlns="urn:test" version="2" paid="true" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+                    + '<id>o1</id>'
+                    + '<line><product>vase</product></line>'
+                    + '<line xsi:type="DiscountedLine" discount="0.1"><product>cup</product></line>'
+                    + '<total currency="EUR">12.50</total>'
+                    + '</order>');
+            });
+
+            it('uses the prefixes it is given', async () => {
+                let xml = order().toXML({ prefixes: { 'urn:test': 't' }, declaration: true });
+
+                expect(xml).to.match(/^<\?xml version="1.0" encoding="UTF-8"\?><t:order version="2" paid="true" xmlns:t="urn:test"/);
+                expect(xml).to.include('<t:line xsi:type="t:DiscountedLine" discount="0.1"><t:product>cup</t:product></t:line>');
+            });
+
+            it('writes unqualified elements in no namespace', async () => {
+                let line = new generated.Line({ note: 'fragile', product: 'vase' }),
+                    element = { name: 'line', namespace: 'urn:test' };
+
+                expect(line.toXML({ element: element })).to.equal(
+                    '<line xmlns="urn:test"><product>vase</product><note xmlns="">fragile</note></line>');
+                expect(line.toXML({ element: element, prefixes: { 'urn:test': 't' } })).to.equal(
+                    '<t:line xmlns:t="urn:test"><t:product>vase</t:product><note>fragile</note></t:line>');
+            });
+
+            it('needs an element for a type no global element is declared with', async () => {
+                let line = new generated.Line({ product: 'vase' }),
+                    error;
+
+                try {
+                    line.toXML();
+                } catch(err) {
+                    error = err;
+                }
+                expect(error).to.be.instanceOf(exceptions.Exception);
+                expect(line.toXML({ element: { name: 'item', namespace: 'urn:other' } }))
+                    .to.equal('<item xmlns="urn:other" xmlns:ns1="urn:test"><ns1:product>vase</ns1:product></item>');
+            });
+
+            it('writes FHIR resources in the FHIR namespace', async () => {
+                let observation = new fhir.Observation({
+                    valueQuantity   : new fhir.Quantity({ unit: new fhir.String$({ value: 'kg' }), value: new fhir.Decimal({ value: '72.5' }) }),
+                    status          : new fhir.ObservationStatus({ value: 'final' }),
+                    code            : new fhir.CodeableConcept({ text: new fhir.String$({ value: 'Body weight' }) }),
+                    extension       : [new fhir.Extension({ url: 'http://example.org/source', valueCode: new fhir.Code({ value: 'scale' }) })],
+                    id              : new fhir.Id({ value: 'weight' })
+                });
+
+                expect(observation.toXML()).to.equal(
+                    '<Observation xmlns="http://hl7.org/fhir">'
+                    + '<id value="weight"/>'
+                    + '<extension url="http://example.org/source"><valueCode value="scale"/></extension>'
+                    + '<status value="final"/>'
+                    + '<code><text value="Body weight"/></code>'
+                    + '<valueQuantity><value value="72.5"/><unit value="kg"/></valueQuantity>'
+                    + '</Observation>');
+            });
+
+            describe('deserialization', async () => {
+                function thrown(fn) {
+                    try {
+                        fn();
+                    } catch(err) {
+                        return err;
+                    }
+                    return null;
+                }
+
+                it('reads the XML it writes back into typed instances', async () => {
+                    let { Order, DiscountedLine, Amount } = generated,
+                        xml = order().toXML(),
+                        read = Order.fromXML(xml);
+
+                    expect(read).to.be.instanceOf(Order);
+                    expect(read.id).to.equal('o1');
+                    expect(read.version).to.equal(2n);
+                    expect(read.paid).to.equal(true);
+                    expect(read.line[1]).to.be.instanceOf(DiscountedLine);
+                    expect(read.line[1].discount).to.be.instanceOf(runtime.primitives.Decimal);
+                    expect(read.total).to.be.instanceOf(Amount);
+                    expect(String(read.total.$value)).to.equal('12.5');
+                    expect(read.toXML()).to.equal(xml.replace('12.50', '12.5'));
+                });
+
+                it('converts the values with the parsers of the built-in types', async () => {
+                    let read = generated.Order.fromXML(
+                        '<t:order xmlns:t="urn:test"><t:id> o2 </t:id><t:placed>2021-03-04Z</t:placed>'
+                        + '<t:line><t:product>cup</t:product><note>chipped</note></t:line></t:order>');
+
+                    expect(read.id).to.equal(' o2 ');
+                    expect(read.placed).to.be.instanceOf(runtime.primitives.DateTime);
+                    expect(read.placed.toString()).to.equal('2021-03-04Z');
+                    expect(read.line[0].note).to.equal('chipped');
+                });
+
+                it('accepts a parsed document or element', async () => {
+                    let document = new (require('xmldom').DOMParser)().parseFromString(order().toXML());
+
+                    expect(generated.Order.fromXML(document).id).to.equal('o1');
+                    expect(generated.Line.fromXML(document.documentElement.getElementsByTagName('line')[0]).product).to.equal('vase');
+                });
+
+                it('reports unknown elements and attributes', async () => {
+                    let xml = '<order xmlns="urn:test" colour="red"><id>o3</id><line><product>cup</product></line><line><product>mug</product></line><gift/></order>',
+                        error = thrown(() => generated.Order.fromXML(xml));
+
+                    expect(error).to.be.instanceOf(exceptions.ValidationException);
+                    expect(error).to.include({ type: 'Order', property: 'colour', constraint: 'unknown' });
+
+                    let read = generated.Order.fromXML(xml, { validation: 'collect' });
+                    expect(read.violations().map((violation) => violation.toString())).to.deep.equal([
+                        "Order has no attribute 'colour'", 
+                        "Order has no element 'gift' in namespace urn:test"
+                    ]);
+                    expect(read.line.map((line) => line.product)).to.deep.equal(['cup', 'mug']);
+                });
+
+                it('reports invalid values and xsi:types', async () => {
+                    let error = thrown(() => generated.Order.fromXML('<order xmlns="urn:test" version="two"><id>o4</id></order>'));
+
+                    expect(error).to.include({ type: 'Order', property: 'version', constraint: 'lexical', value: 'two' });
+
+                    error = thrown(() => generated.Order.fromXML(
+                        '<order xmlns="urn:test" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><line xsi:type="Amount"/></order>'));
+                    expect(error.toString()).to.equal("Cannot read element 'line' as a Line: xsi:type 'Amount' doesn't derive from Line");
+                    expect(thrown(() => generated.Order.fromXML('<order'))).to.be.instanceOf(exceptions.Exception);
+                });
+
+                it('reads FHIR resources', async () => {
+                    let observation = fhir.Observation.fromXML(
+                        '<Observation xmlns="http://hl7.org/fhir"><id value="weight"/><status value="final"/>'
+                        + '<code><text value="Body weight"/></code><effectiveDateTime value="2020-02-03T10:00:00+01:00"/>'
+                        + '<valueQuantity><value value="72.5"/><unit value="kg"/></valueQuantity></Observation>');
+
+                    expect(observation).to.be.instanceOf(fhir.DomainResource);
+                    expect(observation.status.value).to.equal('final');
+                    expect(observation.effectiveDateTime.value.timezone).to.equal(60);
+                    expect(observation.valueQuantity.value.value.toNumber()).to.equal(72.5);
+                    expect(observation.activeBranch('value')).to.equal('Quantity');
+                });
+            });
+        });
+    }
+});
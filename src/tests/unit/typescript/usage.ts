@@ -0,0 +1,44 @@
+/**
+ * Sample usage of the declarations generated for the shapes schema of test-emitter.js, compiled
+ * with tsc --noEmit. Each @ts-expect-error line must fail to compile.
+ */
+
+import { Shape, Circle, CircleCenter, Color, Drawing, Length, Percent } from "./generated";
+
+const circle = new Circle({ label: "unit", radius: 1, center: new CircleCenter({ x: 1, y: 2 }) });
+const shape: Shape = circle;
+const drawing = new Drawing({ shape: [circle, new Shape({ tag: ["a", "b"] })] }, { validation: "collect" });
+
+// Optional properties may be left out, required ones are always declared
+const label: string | undefined = shape.label;
+const radius: string = circle.radius.toString();
+const x: number | bigint | string | undefined = circle.center.x;
+
+// Repeating properties are arrays
+const tags: Array<string> | undefined = shape.tag;
+const shapes: Array<Shape> = drawing.shape;
+
+// Enumerations are string-literal unions, beside the object of their values
+const color: Color = Color.GREEN;
+shape.color = "red";
+// @ts-expect-error - blue is not a Color
+shape.color = "blue";
+
+// Text content and its attributes
+const length = new Length({ $value: 2.5, unit: "cm" });
+const value: string = length.$value.toString();
+
+// Simple types are described for the runtime
+const percentVariety: string = Percent.variety;
+
+// The static methods return instances of the class they are called on
+const read: Drawing = Drawing.fromXML("<drawing xmlns=\"urn:test\"/>");
+const fromJSON: Circle = Circle.fromJSON({ radius: 2 });
+const violations: Array<string> = read.violations().map((violation) => violation.constraint);
+
+// @ts-expect-error - a Circle has no diameter
+circle.diameter = 2;
+// @ts-expect-error - the radius is not a date
+new Circle({ radius: new Date() });
+
+export { label, radius, x, tags, shapes, color, value, percentVariety, fromJSON, violations };
@@ -4,6 +4,15 @@
 
 'use strict';
 
+/**
+ * Reference to the CONSTANTS module
+ */
+const CONST = require('./const')
+/**
+ * Used for XPath queries into the XML XSD schema file
+ */
+    , xpath = require('xpath');
+
 module.exports = {
     /**
      * Returns true if the passed in parameter isn't a non-empty String
@@ -40,23 +49,36 @@ module.exports = {
     },
 
     /**
-     * Counts the number of XML siblings of a given set of node types
-     * @param {String} node - an XML node
-     * @param {number || array of numbers} types - a set of nodetypes to filter on
-     * @returns {number} - the total number of siblings matching the specified types, inclusive of node
+     * Returns a name qualified with its namespace in {namespace}name form
+     * @param {String} namespace - the namespace URI, or null for no namespace
+     * @param {String} localName - the local name
+     * @returns {String} - {namespace}localName, or just localName when there is no namespace
      */
-    countSiblingNodes : (node, types) => {
-        let count = 0;
-
-        for(let i = 0; i < node.parentNode.childNodes.length; i++) {
-            if((Array.isArray(types) 
-                && types.includes(node.parentNode.childNodes[i].nodeType))
-                || node.parentNode.childNodes[i].nodeType === types) {
+    qualifiedName : (namespace, localName) => {
+        return namespace ? `{${namespace}}${localName}` : localName;
+    },
 
-                    count++;
-            }
-        }
+    /**
+     * Runs an XPath query against a node of a schema document
+     * @param {processSchema~options} options - the options passed to processSchema (for its namespaces)
+     * @param {Node} doc - the document or node to query
+     * @param {String} query - the XPath query (the xs prefix is always bound to the XML schema namespace)
+     * @returns {XPathResult} - the result of the query
+     */
+    executeXPathLookup : (options, doc, query) => {
+        let ns = options.namespaces || {};
+        ns.xs = CONST.XML_SCHEMA_NS;
 
-        return count;
+        return xpath.evaluate(
+            query,
+            doc,
+            {
+                lookupNamespaceURI: (prefix) => {
+                    return ns[prefix] || null;
+                }
+            },
+            xpath.XPathResult.ANY_TYPE,
+            null
+        );
     }
 };
\ No newline at end of file